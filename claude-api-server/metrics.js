@@ -0,0 +1,167 @@
+/**
+ * Prometheus Metrics for the API server
+ * Same text format as the voice-app's metrics (voice-app/lib/metrics.js);
+ * the two are deployed separately, so each keeps its own copy.
+ *
+ * - claude_api_requests_total{endpoint,status}: HTTP requests by response status
+ * - claude_api_request_duration_seconds{endpoint}: time to answer a request
+ * - claude_api_runs_total{mode,outcome}: claude CLI runs ("once" or "stream"; "ok" or "error")
+ * - claude_api_run_duration_seconds{mode}: how long each claude CLI run took
+ * - claude_api_first_text_seconds: streamed runs, time to the first text
+ * - claude_api_running_processes: claude CLI processes running now
+ * - claude_api_sessions: calls with a Claude session
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; Claude answers in a few seconds but tool-heavy requests take minutes
+const BUCKETS = [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 60, 120, 300, 600];
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return '{' + keys.map((key) => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',') + '}';
+}
+
+/**
+ * One metric: a counter, gauge or histogram with labelled series
+ */
+class Metric {
+  constructor(type, name, help, { labelNames = [], buckets = BUCKETS, collect = null } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  _series(labels = {}) {
+    const picked = {};
+    for (const name of this.labelNames) picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, value: 0, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels, value = 1) {
+    this._series(labels).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this._series(labels).value -= value;
+  }
+
+  set(labels, value) {
+    this._series(labels).value = value;
+  }
+
+  observe(labels, seconds) {
+    const series = this._series(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    let text = `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+    for (const series of this.series.values()) {
+      if (this.type !== 'histogram') {
+        text += `${this.name}${formatLabels(series.labels)} ${series.value}\n`;
+        continue;
+      }
+      this.buckets.forEach((bound, i) => {
+        text += `${this.name}_bucket${formatLabels(Object.assign({}, series.labels, { le: bound }))} ${series.counts[i]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}\n`;
+      text += `${this.name}_sum${formatLabels(series.labels)} ${series.sum}\n`;
+      text += `${this.name}_count${formatLabels(series.labels)} ${series.count}\n`;
+    }
+    return text;
+  }
+}
+
+const requests = new Metric('counter', 'claude_api_requests_total', 'HTTP requests by response status', {
+  labelNames: ['endpoint', 'status'],
+});
+const requestDuration = new Metric('histogram', 'claude_api_request_duration_seconds', 'Time to answer a request', {
+  labelNames: ['endpoint'],
+});
+const runs = new Metric('counter', 'claude_api_runs_total', 'claude CLI runs by outcome', {
+  labelNames: ['mode', 'outcome'],
+});
+const runDuration = new Metric('histogram', 'claude_api_run_duration_seconds', 'How long each claude CLI run took', {
+  labelNames: ['mode'],
+});
+const firstText = new Metric('histogram', 'claude_api_first_text_seconds', 'Streamed runs: time to the first text');
+const runningProcesses = new Metric('gauge', 'claude_api_running_processes', 'claude CLI processes running now');
+const sessions = new Metric('gauge', 'claude_api_sessions', 'Calls with a Claude session');
+
+const all = [requests, requestDuration, runs, runDuration, firstText, runningProcesses, sessions];
+
+/**
+ * Count and time every request; the endpoint label is the route, not the raw URL
+ */
+function middleware(req, res, next) {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const endpoint = req.route ? req.route.path : 'other';
+    requests.inc({ endpoint, status: res.statusCode });
+    requestDuration.observe({ endpoint }, (Date.now() - startedAt) / 1000);
+  });
+  next();
+}
+
+/**
+ * Count a claude CLI process as running until it exits or fails to start
+ * @param {ChildProcess} child
+ */
+function trackProcess(child) {
+  runningProcesses.inc();
+  let running = true;
+  const done = () => {
+    if (!running) return;
+    running = false;
+    runningProcesses.dec();
+  };
+  child.on('close', done);
+  child.on('error', done);
+}
+
+/**
+ * Record a finished claude CLI run
+ * @param {string} mode - "once" or "stream"
+ * @param {number} code - Exit code
+ * @param {number} durationMs
+ */
+function recordRun(mode, code, durationMs) {
+  runs.inc({ mode, outcome: code === 0 ? 'ok' : 'error' });
+  runDuration.observe({ mode }, durationMs / 1000);
+}
+
+/**
+ * @returns {string} Every metric in the Prometheus text format
+ */
+function render() {
+  return all.map((metric) => metric.render()).join('');
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Metric,
+  middleware,
+  trackProcess,
+  recordRun,
+  render,
+  firstText,
+  sessions,
+};
@@ -0,0 +1,208 @@
+/**
+ * Permission profiles for Claude CLI runs.
+ *
+ * The voice-app resolves a role for each caller (admin, family, guest, ...)
+ * and sends it with every query. Each role maps to a profile that becomes
+ * Claude CLI permission flags, so a guest caller can't get a shell just by
+ * asking. Profile fields:
+ * - skipPermissions: run with --dangerously-skip-permissions (full access)
+ * - permissionMode:  --permission-mode value (e.g. "acceptEdits", "plan")
+ * - allowedTools:    tools Claude may use without asking (--allowedTools)
+ * - disallowedTools: tools removed entirely (--disallowedTools)
+ * - noShell:         remove the Bash tool
+ * - readOnly:        remove the file-editing tools and Bash
+ *
+ * Custom profiles come from the JSON file in CLAUDE_ROLES_FILE:
+ *   { "defaultRole": "guest", "roles": { "family": { "noShell": true, "allowedTools": ["WebSearch"] } } }
+ * Requests without a role use CLAUDE_DEFAULT_ROLE (default "guest"), so full
+ * access is only ever an explicit "admin" role.
+ *
+ * The role is only as trustworthy as the client sending it. With
+ * API_SERVER_TOKEN set, a request must carry the same value in the
+ * X-API-Token header to get any role but the default. Without it, anyone who
+ * can reach the server can ask for "admin", so keep it on a trusted network.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SHELL_TOOLS = ['Bash'];
+const WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+const DEFAULT_PROFILES = {
+  admin: { skipPermissions: true },
+  family: {
+    readOnly: true,
+    allowedTools: ['Read', 'Glob', 'Grep', 'WebSearch', 'WebFetch']
+  },
+  guest: {
+    readOnly: true,
+    allowedTools: ['WebSearch', 'WebFetch'],
+    disallowedTools: ['Read', 'Glob', 'Grep', 'Task']
+  }
+};
+
+const PROFILE_FIELDS = ['skipPermissions', 'permissionMode', 'allowedTools', 'disallowedTools', 'noShell', 'readOnly'];
+
+/**
+ * Check one profile
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateProfile(name, profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [`roles.${name} must be an object`];
+  }
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_FIELDS.includes(key)) errors.push(`roles.${name}.${key} is not a profile field`);
+  }
+  for (const key of ['skipPermissions', 'noShell', 'readOnly']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'boolean') {
+      errors.push(`roles.${name}.${key} must be true or false`);
+    }
+  }
+  for (const key of ['allowedTools', 'disallowedTools']) {
+    if (profile[key] !== undefined &&
+        !(Array.isArray(profile[key]) && profile[key].every(tool => typeof tool === 'string' && tool.trim()))) {
+      errors.push(`roles.${name}.${key} must be a list of tool names`);
+    }
+  }
+  if (profile.permissionMode !== undefined && typeof profile.permissionMode !== 'string') {
+    errors.push(`roles.${name}.permissionMode must be a string`);
+  }
+  return errors;
+}
+
+/**
+ * Load the role profiles: built-in defaults, overridden by CLAUDE_ROLES_FILE
+ * Throws on an unreadable or invalid file so the server never starts with
+ * looser permissions than configured.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON roles file (default: CLAUDE_ROLES_FILE)
+ * @param {string} [options.defaultRole] - Role for requests without one (default: CLAUDE_DEFAULT_ROLE or "guest")
+ * @returns {{profiles: Object, defaultRole: string}}
+ */
+function loadProfiles(options = {}) {
+  const file = options.file !== undefined ? options.file : process.env.CLAUDE_ROLES_FILE;
+  let config = {};
+
+  if (file) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read roles file ${file}: ${error.message}`);
+    }
+  }
+
+  const profiles = Object.assign({}, DEFAULT_PROFILES, config.roles);
+  const errors = [];
+  for (const [name, profile] of Object.entries(profiles)) {
+    errors.push(...validateProfile(name, profile));
+  }
+
+  const defaultRole = options.defaultRole || process.env.CLAUDE_DEFAULT_ROLE || config.defaultRole || 'guest';
+  if (!profiles[defaultRole]) errors.push(`default role "${defaultRole}" has no profile`);
+
+  if (errors.length > 0) {
+    throw new Error('Invalid roles config: ' + errors.join('; '));
+  }
+  return { profiles, defaultRole };
+}
+
+/**
+ * Turn a profile into Claude CLI flags
+ * @param {Object} profile
+ * @returns {string[]}
+ */
+function buildPermissionArgs(profile) {
+  const args = [];
+  if (profile.skipPermissions) args.push('--dangerously-skip-permissions');
+  if (profile.permissionMode) args.push('--permission-mode', profile.permissionMode);
+
+  const disallowed = new Set(profile.disallowedTools || []);
+  if (profile.noShell || profile.readOnly) SHELL_TOOLS.forEach(tool => disallowed.add(tool));
+  if (profile.readOnly) WRITE_TOOLS.forEach(tool => disallowed.add(tool));
+
+  const allowed = (profile.allowedTools || []).filter(tool => !disallowed.has(tool));
+  if (allowed.length > 0) args.push('--allowedTools', allowed.join(','));
+  if (disallowed.size > 0) args.push('--disallowedTools', Array.from(disallowed).join(','));
+  return args;
+}
+
+/**
+ * Compare a request's token with the configured one in constant time
+ * @param {string} [presented] - X-API-Token header value
+ * @param {string} token - API_SERVER_TOKEN
+ * @returns {boolean}
+ */
+function tokenMatches(presented, token) {
+  if (typeof presented !== 'string') return false;
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Resolves the role of each request and keeps it fixed for the whole call,
+ * so a later turn can't ask for more access than the first one had
+ *
+ * @param {{profiles: Object, defaultRole: string}} config - From loadProfiles()
+ * @param {Object} [options]
+ * @param {string} [options.token] - Shared secret for non-default roles (default: API_SERVER_TOKEN)
+ */
+function createPermissionResolver(config, options = {}) {
+  const callRoles = new Map();
+  const token = options.token !== undefined ? options.token : process.env.API_SERVER_TOKEN;
+
+  return {
+    defaultRole: config.defaultRole,
+    requiresToken: Boolean(token),
+
+    /**
+     * @param {string} [role] - Role sent by the voice-app
+     * @param {string} [callId]
+     * @param {string} [presentedToken] - X-API-Token header of the request
+     * @returns {{role: string, args: string[]}}
+     * @throws {Error} With statusCode 401 for a non-default role without the token,
+     *   403 for unknown roles or a role change mid-call
+     */
+    resolve(role, callId, presentedToken) {
+      const pinned = callId ? callRoles.get(callId) : null;
+      const wanted = role || pinned || config.defaultRole;
+
+      // Checked against the pinned role too, so a call can't be joined by callId alone
+      if (token && wanted !== config.defaultRole && !tokenMatches(presentedToken, token)) {
+        const error = new Error(`Role ${wanted} needs a valid X-API-Token`);
+        error.statusCode = 401;
+        throw error;
+      }
+      if (!config.profiles[wanted]) {
+        const error = new Error(`Unknown role: ${wanted}`);
+        error.statusCode = 403;
+        throw error;
+      }
+      if (pinned && wanted !== pinned) {
+        const error = new Error(`Role cannot change during a call (${pinned} -> ${wanted})`);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      if (callId) callRoles.set(callId, wanted);
+      return { role: wanted, args: buildPermissionArgs(config.profiles[wanted]) };
+    },
+
+    endSession(callId) {
+      callRoles.delete(callId);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILES,
+  loadProfiles,
+  validateProfile,
+  buildPermissionArgs,
+  tokenMatches,
+  createPermissionResolver,
+};
@@ -6,15 +6,22 @@
  *
  * Usage:
  *   node server-fast.js
+ *
+ * Metrics:
+ *   GET /metrics - Prometheus metrics (see metrics.js)
  */
 
 const express = require('express');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { STREAM_JSON_ARGS, createStreamJsonParser, startSse, writeSse } = require('./stream-json');
+const { loadProfiles, createPermissionResolver } = require('./permissions');
+const metrics = require('./metrics');
 
 const app = express();
 app.use(express.json());
+app.use(metrics.middleware);
 
 const PORT = process.env.PORT || 3333;
 const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-haiku-4-5-20251001';
@@ -81,37 +88,58 @@ console.log('[STARTUP] Environment ready');
 
 // Session storage: callId -> true (for resume tracking)
 const sessions = new Map();
+metrics.sessions.collect = (gauge) => gauge.set({}, sessions.size);
+
+// Caller roles -> Claude CLI permission flags (see permissions.js)
+const permissions = createPermissionResolver(loadProfiles());
 
 const VOICE_CONTEXT = `[VOICE CALL CONTEXT] This query comes via voice call. You MUST include BOTH of these lines in your response: 🗣️ VOICE_RESPONSE: [Your conversational answer in 40 words or less. This is what gets spoken aloud via TTS. Be natural and helpful, like talking to a friend.] 🎯 COMPLETED: [Status summary in 12 words or less. This is for logging only.] IMPORTANT: The VOICE_RESPONSE line is what the caller HEARS. Make it conversational and complete. [END VOICE CONTEXT]`;
 
+/**
+ * Session management: resume the call's session, or start one keyed by callId
+ */
+function addSessionArgs(args, callId) {
+  if (!callId) return;
+  if (sessions.has(callId)) {
+    args.push('--resume', callId);
+  } else {
+    args.push('--session-id', callId);
+    sessions.set(callId, true);
+  }
+}
+
+/**
+ * Build the prompt sent for a voice query
+ */
+function buildVoicePrompt(prompt, devicePrompt) {
+  let fullPrompt = '';
+  if (devicePrompt) {
+    fullPrompt += `[DEVICE IDENTITY] ${devicePrompt} [END DEVICE IDENTITY] `;
+  }
+  return fullPrompt + VOICE_CONTEXT + ' ' + prompt;
+}
+
 /**
  * Run a single claude query. Returns parsed JSON result.
  */
-function runClaude({ prompt, callId, model }) {
+function runClaude({ prompt, callId, model, permissionArgs }) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
     const args = [
       '-p', prompt,
       '--output-format', 'json',
-      '--dangerously-skip-permissions',
+      ...permissionArgs,
       '--model', model,
       '--max-turns', '3',
     ];
 
-    // Session management
-    if (callId) {
-      if (sessions.has(callId)) {
-        args.push('--resume', callId);
-      } else {
-        args.push('--session-id', callId);
-        sessions.set(callId, true);
-      }
-    }
+    addSessionArgs(args, callId);
 
     const proc = spawn(CLAUDE_BIN, args, {
       stdio: ['pipe', 'pipe', 'pipe'],
       env: claudeEnv,
     });
+    metrics.trackProcess(proc);
 
     let stdout = '';
     let stderr = '';
@@ -124,6 +152,7 @@ function runClaude({ prompt, callId, model }) {
 
     proc.on('close', (code) => {
       const duration_ms = Date.now() - startTime;
+      metrics.recordRun('once', code, duration_ms);
 
       if (code !== 0) {
         console.error(`[CLAUDE] Exit code ${code}, stderr: ${stderr.substring(0, 300)}`);
@@ -175,6 +204,67 @@ function runClaude({ prompt, callId, model }) {
   });
 }
 
+/**
+ * Run a claude query in stream-json mode, calling onEvent as output arrives.
+ * Resolves with the final result event.
+ */
+function runClaudeStream({ prompt, callId, model, permissionArgs, onEvent }) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const args = [
+      '-p', prompt,
+      ...STREAM_JSON_ARGS,
+      ...permissionArgs,
+      '--model', model,
+      '--max-turns', '3',
+    ];
+
+    addSessionArgs(args, callId);
+
+    const proc = spawn(CLAUDE_BIN, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: claudeEnv,
+    });
+    metrics.trackProcess(proc);
+
+    let result = null;
+    let stderr = '';
+    let sawText = false;
+    const parser = createStreamJsonParser((event) => {
+      if (event.type === 'result') {
+        result = event;
+        return;
+      }
+      if (event.type === 'text' && !sawText) {
+        sawText = true;
+        metrics.firstText.observe({}, (Date.now() - startTime) / 1000);
+      }
+      onEvent(event);
+    });
+
+    proc.stdin.end();
+    proc.stdout.on('data', (d) => parser.write(d));
+    proc.stderr.on('data', (d) => { stderr += d.toString(); });
+
+    proc.on('error', (err) => reject(err));
+
+    proc.on('close', (code) => {
+      parser.end();
+      const duration_ms = Date.now() - startTime;
+      metrics.recordRun('stream', code, duration_ms);
+
+      if (code !== 0 || !result || result.isError) {
+        console.error(`[CLAUDE] Exit code ${code}, stderr: ${stderr.substring(0, 300)}`);
+        // A run can exit 0 and still end in an error result (e.g. max turns)
+        if (code === 0 && result) return reject(new Error(`Claude run failed: ${result.response || 'error result'}`));
+        return reject(new Error(`Claude exited with code ${code}: ${stderr.substring(0, 200)}`));
+      }
+
+      resolve({ ...result, duration_ms });
+    });
+  });
+}
+
 // =====================================================================
 // Express Routes
 // =====================================================================
@@ -184,6 +274,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// The request's role as CLI flags, or a 403 (returns null)
+function resolvePermissions(req, res, callId) {
+  try {
+    return permissions.resolve(req.body && req.body.role, callId, req.get('X-API-Token'));
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] ROLE REJECTED: ${error.message}`);
+    res.status(error.statusCode || 403).json({ success: false, error: error.message });
+    return null;
+  }
+}
+
 app.post('/ask', async (req, res) => {
   const { prompt, callId, devicePrompt } = req.body;
   const startTime = Date.now();
@@ -197,17 +298,15 @@ app.post('/ask', async (req, res) => {
   console.log(`[${ts}] QUERY: "${prompt.substring(0, 80)}"`);
   console.log(`[${ts}] SESSION: callId=${callId || 'none'}, existing=${existingSession}`);
 
-  try {
-    let fullPrompt = '';
-    if (devicePrompt) {
-      fullPrompt += `[DEVICE IDENTITY] ${devicePrompt} [END DEVICE IDENTITY] `;
-    }
-    fullPrompt += VOICE_CONTEXT + ' ' + prompt;
+  const resolved = resolvePermissions(req, res, callId);
+  if (!resolved) return;
 
+  try {
     const result = await runClaude({
-      prompt: fullPrompt,
+      prompt: buildVoicePrompt(prompt, devicePrompt),
       callId,
       model: CLAUDE_MODEL,
+      permissionArgs: resolved.args,
     });
 
     console.log(`[${new Date().toISOString()}] RESPONSE (${result.duration_ms}ms, $${result.cost_usd.toFixed(4)}): "${result.response.substring(0, 100)}..."`);
@@ -234,14 +333,67 @@ app.post('/ask', async (req, res) => {
   }
 });
 
+// SSE events: text, tool_use, then exactly one result or error (see stream-json.js)
+app.post('/ask-stream', async (req, res) => {
+  const { prompt, callId, devicePrompt } = req.body;
+  const startTime = Date.now();
+  const ts = new Date().toISOString();
+
+  if (!prompt) {
+    return res.status(400).json({ success: false, error: 'Missing prompt' });
+  }
+
+  console.log(`[${ts}] STREAM QUERY: "${prompt.substring(0, 80)}"`);
+  console.log(`[${ts}] SESSION: callId=${callId || 'none'}, existing=${callId ? sessions.has(callId) : false}`);
+
+  const resolved = resolvePermissions(req, res, callId);
+  if (!resolved) return;
+
+  startSse(res);
+
+  try {
+    const result = await runClaudeStream({
+      prompt: buildVoicePrompt(prompt, devicePrompt),
+      callId,
+      model: CLAUDE_MODEL,
+      permissionArgs: resolved.args,
+      onEvent: (event) => {
+        if (event.type === 'text') writeSse(res, 'text', { text: event.text });
+        else if (event.type === 'tool_use') writeSse(res, 'tool_use', { id: event.id, name: event.name, input: event.input });
+      },
+    });
+
+    console.log(`[${new Date().toISOString()}] STREAM RESPONSE (${result.duration_ms}ms, $${result.cost_usd.toFixed(4)}): "${result.response.substring(0, 100)}..."`);
+
+    if (result.sessionId && callId) {
+      sessions.set(callId, result.sessionId);
+    }
+
+    writeSse(res, 'result', {
+      success: true,
+      response: result.response,
+      sessionId: result.sessionId,
+      duration_ms: result.duration_ms,
+    });
+  } catch (error) {
+    console.error(`[${ts}] ERROR: ${error.message}`);
+    writeSse(res, 'error', { success: false, error: error.message, duration_ms: Date.now() - startTime });
+  }
+
+  res.end();
+});
+
 app.post('/ask-structured', async (req, res) => {
   const { prompt, callId, devicePrompt } = req.body || {};
 
+  const resolved = resolvePermissions(req, res, callId);
+  if (!resolved) return;
+
   try {
     let fullPrompt = prompt || '';
     if (devicePrompt) fullPrompt = devicePrompt + ' ' + fullPrompt;
 
-    const result = await runClaude({ prompt: fullPrompt, callId, model: CLAUDE_MODEL });
+    const result = await runClaude({ prompt: fullPrompt, callId, model: CLAUDE_MODEL, permissionArgs: resolved.args });
     res.json({ success: true, data: result.response, raw_response: result.response, duration_ms: result.duration_ms });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -254,6 +406,7 @@ app.post('/end-session', (req, res) => {
     sessions.delete(callId);
     console.log(`[${new Date().toISOString()}] SESSION ENDED: ${callId}`);
   }
+  if (callId) permissions.endSession(callId);
   res.json({ success: true });
 });
 
@@ -266,11 +419,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 app.get('/', (req, res) => {
   res.json({
     service: 'Claude HTTP API Server (Fast Spawn)',
     version: '2.0.0',
     mode: 'Uses --output-format json for clean parsing, session resume for multi-turn',
+    endpoints: {
+      'POST /ask': 'Send a prompt to Claude',
+      'POST /ask-stream': 'Send a prompt and stream the answer as Server-Sent Events',
+      'POST /ask-structured': 'Send a prompt and return the response (n8n)',
+      'POST /end-session': 'Forget a call\'s Claude session',
+      'GET /health': 'Health check',
+      'GET /metrics': 'Prometheus metrics',
+    },
   });
 });
 
@@ -286,6 +452,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`  Health check: http://localhost:${PORT}/health`);
   console.log(`  Model: ${CLAUDE_MODEL}`);
   console.log(`  Claude: ${CLAUDE_BIN}\n`);
+  if (!permissions.requiresToken) {
+    console.warn('  API_SERVER_TOKEN is not set: any client that can reach this port may ask for any role.\n');
+  }
 });
 
 process.on('SIGTERM', () => { console.log('\nShutting down...'); process.exit(0); });
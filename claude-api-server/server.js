@@ -9,8 +9,15 @@
  *
  * Endpoints:
  *   POST /ask - Send a prompt to Claude (with optional callId for session)
+ *   POST /ask-stream - Same as /ask, streamed as Server-Sent Events
+ *   POST /ask-structured - Same as /ask, answered as validated JSON
  *   POST /end-session - Clean up session for a call
  *   GET /health - Health check
+ *   GET /metrics - Prometheus metrics (see metrics.js)
+ *
+ * Every query may carry a "role" (see permissions.js); it picks the Claude
+ * CLI permission profile for the call. With API_SERVER_TOKEN set, any role
+ * but the default needs the same value in an X-API-Token header.
  */
 
 const express = require('express');
@@ -24,6 +31,14 @@ const {
   validateRequiredFields,
   buildRepairPrompt,
 } = require('./structured');
+const {
+  STREAM_JSON_ARGS,
+  createStreamJsonParser,
+  startSse,
+  writeSse,
+} = require('./stream-json');
+const { loadProfiles, createPermissionResolver } = require('./permissions');
+const metrics = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3333;
@@ -112,6 +127,11 @@ console.log('[STARTUP] API keys loaded:', apiKeys.join(', '));
 
 // Session storage: callId -> claudeSessionId
 const sessions = new Map();
+metrics.sessions.collect = (gauge) => gauge.set({}, sessions.size);
+
+// Caller roles -> Claude CLI permission flags (fails startup on a bad roles file)
+const permissions = createPermissionResolver(loadProfiles());
+console.log('[STARTUP] Default role:', permissions.defaultRole);
 
 // Model selection - Sonnet for balanced speed/quality
 const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
@@ -144,25 +164,39 @@ function parseClaudeStdout(stdout) {
   return { response, sessionId };
 }
 
-function runClaudeOnce({ fullPrompt, callId, timestamp }) {
+/**
+ * Add --resume / --session-id so every turn of a call shares one Claude session
+ */
+function addSessionArgs(args, callId, timestamp) {
+  if (!callId) return;
+
+  if (sessions.has(callId)) {
+    args.push('--resume', callId);
+    console.log(`[${timestamp}] Resuming session: ${callId}`);
+  } else {
+    args.push('--session-id', callId);
+    sessions.set(callId, true);
+    console.log(`[${timestamp}] Starting new session: ${callId}`);
+  }
+}
+
+/**
+ * Run Claude once and collect its output
+ *
+ * @param {Object} params
+ * @param {string[]} params.permissionArgs - Flags for the caller's role (see permissions.js)
+ * @returns {Promise<{code: number, stdout: string, stderr: string, duration_ms: number}>}
+ */
+function runClaudeOnce({ fullPrompt, callId, timestamp, permissionArgs }) {
   const startTime = Date.now();
 
   const args = [
-    '--dangerously-skip-permissions',
+    ...permissionArgs,
     '-p', fullPrompt,
     '--model', CLAUDE_MODEL
   ];
 
-  if (callId) {
-    if (sessions.has(callId)) {
-      args.push('--resume', callId);
-      console.log(`[${timestamp}] Resuming session: ${callId}`);
-    } else {
-      args.push('--session-id', callId);
-      sessions.set(callId, true);
-      console.log(`[${timestamp}] Starting new session: ${callId}`);
-    }
-  }
+  addSessionArgs(args, callId, timestamp);
 
   return new Promise((resolve, reject) => {
     const claude = spawn('claude', args, {
@@ -170,6 +204,7 @@ function runClaudeOnce({ fullPrompt, callId, timestamp }) {
       shell: false,
       env: claudeEnv
     });
+    metrics.trackProcess(claude);
 
     let stdout = '';
     let stderr = '';
@@ -184,11 +219,67 @@ function runClaudeOnce({ fullPrompt, callId, timestamp }) {
 
     claude.on('close', (code) => {
       const duration_ms = Date.now() - startTime;
+      metrics.recordRun('once', code, duration_ms);
       resolve({ code, stdout, stderr, duration_ms });
     });
   });
 }
 
+/**
+ * Run Claude in stream-json mode, reporting events as they arrive
+ *
+ * @param {Object} params
+ * @param {string[]} params.permissionArgs - Flags for the caller's role (see permissions.js)
+ * @param {Function} params.onEvent - Called with parsed events (text, tool_use, result)
+ * @returns {Promise<{code: number, stderr: string, duration_ms: number}>}
+ */
+function runClaudeStream({ fullPrompt, callId, timestamp, permissionArgs, onEvent }) {
+  const startTime = Date.now();
+
+  const args = [
+    ...permissionArgs,
+    '-p', fullPrompt,
+    '--model', CLAUDE_MODEL,
+    ...STREAM_JSON_ARGS
+  ];
+
+  addSessionArgs(args, callId, timestamp);
+
+  return new Promise((resolve, reject) => {
+    const claude = spawn('claude', args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell: false,
+      env: claudeEnv
+    });
+    metrics.trackProcess(claude);
+
+    let sawText = false;
+    const parser = createStreamJsonParser((event) => {
+      if (event.type === 'text' && !sawText) {
+        sawText = true;
+        metrics.firstText.observe({}, (Date.now() - startTime) / 1000);
+      }
+      onEvent(event);
+    });
+    let stderr = '';
+
+    claude.stdin.end();
+    claude.stdout.on('data', (data) => parser.write(data));
+    claude.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    claude.on('error', (error) => {
+      reject(error);
+    });
+
+    claude.on('close', (code) => {
+      parser.end();
+      const duration_ms = Date.now() - startTime;
+      metrics.recordRun('stream', code, duration_ms);
+      resolve({ code, stderr, duration_ms });
+    });
+  });
+}
+
 /**
  * Voice Context - Prepended to all voice queries
  *
@@ -196,6 +287,7 @@ function runClaudeOnce({ fullPrompt, callId, timestamp }) {
  * - Output VOICE_RESPONSE for TTS (conversational, 40 words max)
  * - Output COMPLETED for status logging (12 words max)
  * - For Slack delivery requests: do the work, send to Slack, then acknowledge
+ * - If the caller hangs up: finish anyway; the answer may be read on a callback call
  */
 const VOICE_CONTEXT = `[VOICE CALL CONTEXT]
 This query comes via voice call. You MUST include BOTH of these lines in your response:
@@ -211,7 +303,7 @@ SLACK DELIVERY: When the caller requests delivery to Slack (phrases like "send t
 2. Send results to the specified Slack channel using the Slack skill
 3. Include a VOICE_RESPONSE like: "Done! I sent the weather info to the 508 channel."
 
-The caller may hang up while you're working (they'll hear hold music). That's fine - complete the work and send to Slack. They'll see it there.
+The caller may hang up while you're working (they'll hear hold music). That's fine - complete the work. If they asked for Slack, send it there and they'll see it. Otherwise the phone may call them back and read your VOICE_RESPONSE, so make it the complete answer, not "I'm still working on it".
 
 Example query: "What's the weather in Royce City?"
 Example response:
@@ -221,8 +313,42 @@ Example response:
 
 `;
 
+/**
+ * Prompt layering order:
+ * 1. Device prompt (if provided) - identity and available skills
+ * 2. VOICE_CONTEXT - general voice call instructions
+ * 3. User's prompt - what they actually said
+ */
+function buildVoicePrompt(prompt, devicePrompt) {
+  let fullPrompt = '';
+
+  if (devicePrompt) {
+    fullPrompt += `[DEVICE IDENTITY]\n${devicePrompt}\n[END DEVICE IDENTITY]\n\n`;
+  }
+
+  fullPrompt += VOICE_CONTEXT;
+  fullPrompt += prompt;
+  return fullPrompt;
+}
+
+/**
+ * Resolve the request's role, or answer 403 and return null
+ */
+function resolvePermissions(req, res, callId, timestamp) {
+  try {
+    const resolved = permissions.resolve(req.body && req.body.role, callId, req.get('X-API-Token'));
+    console.log(`[${timestamp}] ROLE: ${resolved.role}`);
+    return resolved;
+  } catch (error) {
+    console.warn(`[${timestamp}] ROLE REJECTED: ${error.message}`);
+    res.status(error.statusCode || 403).json({ success: false, error: error.message });
+    return null;
+  }
+}
+
 // Middleware
 app.use(express.json());
+app.use(metrics.middleware);
 
 // Request logging
 app.use((req, res, next) => {
@@ -238,11 +364,13 @@ app.use((req, res, next) => {
  *   {
  *     "prompt": "What Docker containers are running?",
  *     "callId": "optional-call-uuid",
- *     "devicePrompt": "optional device-specific prompt"
+ *     "devicePrompt": "optional device-specific prompt",
+ *     "role": "optional caller role (default: CLAUDE_DEFAULT_ROLE)"
  *   }
  *
  * Response:
  *   { "success": true, "response": "...", "duration_ms": 1234, "sessionId": "..." }
+ *   403 for an unknown role, or a role that differs from earlier turns of the call
  *
  * Session Management:
  *   - If callId is provided and we have a stored session, uses --resume
@@ -273,23 +401,15 @@ app.post('/ask', async (req, res) => {
   console.log(`[${timestamp}] SESSION: callId=${callId || 'none'}, existing=${existingSession || 'none'}`);
   console.log(`[${timestamp}] DEVICE PROMPT: ${devicePrompt ? 'Yes (' + devicePrompt.substring(0, 30) + '...)' : 'No'}`);
 
-  try {
-    /**
-     * Prompt layering order:
-     * 1. Device prompt (if provided) - identity and available skills
-     * 2. VOICE_CONTEXT - general voice call instructions
-     * 3. User's prompt - what they actually said
-     */
-    let fullPrompt = '';
-
-    if (devicePrompt) {
-      fullPrompt += `[DEVICE IDENTITY]\n${devicePrompt}\n[END DEVICE IDENTITY]\n\n`;
-    }
+  const resolved = resolvePermissions(req, res, callId, timestamp);
+  if (!resolved) return;
 
-    fullPrompt += VOICE_CONTEXT;
-    fullPrompt += prompt;
+  try {
+    const fullPrompt = buildVoicePrompt(prompt, devicePrompt);
 
-    const { code, stdout, stderr, duration_ms } = await runClaudeOnce({ fullPrompt, callId, timestamp });
+    const { code, stdout, stderr, duration_ms } = await runClaudeOnce({
+      fullPrompt, callId, timestamp, permissionArgs: resolved.args
+    });
 
     if (code !== 0) {
       console.error(`[${new Date().toISOString()}] ERROR: Claude CLI exited with code ${code}`);
@@ -322,6 +442,92 @@ app.post('/ask', async (req, res) => {
   }
 });
 
+/**
+ * POST /ask-stream
+ *
+ * Same request body as /ask. Responds with Server-Sent Events while Claude works:
+ *
+ *   event: text       data: { "text": "partial assistant text" }
+ *   event: tool_use   data: { "id": "...", "name": "Bash", "input": {...} }
+ *   event: result     data: { "success": true, "response": "...", "sessionId": "...", "duration_ms": 1234 }
+ *   event: error      data: { "success": false, "error": "...", "duration_ms": 1234 }
+ *
+ * The stream always ends with exactly one result or error event.
+ * A rejected role is answered with a plain 403 before the stream starts.
+ */
+app.post('/ask-stream', async (req, res) => {
+  const { prompt, callId, devicePrompt } = req.body;
+  const startTime = Date.now();
+  const timestamp = new Date().toISOString();
+
+  if (!prompt) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing prompt in request body'
+    });
+  }
+
+  console.log(`[${timestamp}] STREAM QUERY: "${prompt.substring(0, 100)}..."`);
+  console.log(`[${timestamp}] MODEL: ${CLAUDE_MODEL}`);
+  console.log(`[${timestamp}] SESSION: callId=${callId || 'none'}, existing=${callId && sessions.has(callId) ? 'yes' : 'no'}`);
+
+  const resolved = resolvePermissions(req, res, callId, timestamp);
+  if (!resolved) return;
+
+  startSse(res);
+  req.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`[${new Date().toISOString()}] STREAM client disconnected, letting Claude finish`);
+    }
+  });
+
+  let result = null;
+
+  try {
+    const { code, stderr, duration_ms } = await runClaudeStream({
+      fullPrompt: buildVoicePrompt(prompt, devicePrompt),
+      callId,
+      timestamp,
+      permissionArgs: resolved.args,
+      onEvent: (event) => {
+        if (event.type === 'text') {
+          writeSse(res, 'text', { text: event.text });
+        } else if (event.type === 'tool_use') {
+          console.log(`[${new Date().toISOString()}] STREAM TOOL: ${event.name}`);
+          writeSse(res, 'tool_use', { id: event.id, name: event.name, input: event.input });
+        } else if (event.type === 'result') {
+          result = event;
+        }
+      }
+    });
+
+    if (code !== 0 || !result || result.isError) {
+      console.error(`[${new Date().toISOString()}] ERROR: Claude CLI exited with code ${code}`);
+      console.error(`STDERR: ${stderr}`);
+      const errorMsg = stderr || (result && result.response) || `Exit code ${code}`;
+      writeSse(res, 'error', { success: false, error: `Claude CLI failed: ${errorMsg}`, duration_ms });
+      return res.end();
+    }
+
+    if (result.sessionId && callId) {
+      sessions.set(callId, result.sessionId);
+      console.log(`[${new Date().toISOString()}] SESSION STORED: ${callId} -> ${result.sessionId}`);
+    }
+
+    console.log(`[${new Date().toISOString()}] STREAM RESPONSE (${duration_ms}ms): "${result.response.substring(0, 100)}..."`);
+
+    writeSse(res, 'result', { success: true, response: result.response, sessionId: result.sessionId, duration_ms });
+    res.end();
+
+  } catch (error) {
+    const duration_ms = Date.now() - startTime;
+    console.error(`[${timestamp}] ERROR:`, error.message);
+
+    writeSse(res, 'error', { success: false, error: error.message, duration_ms });
+    res.end();
+  }
+});
+
 /**
  * POST /ask-structured
  *
@@ -332,6 +538,7 @@ app.post('/ask', async (req, res) => {
  *     "prompt": "Check Ceph health",
  *     "callId": "optional-call-uuid",
  *     "devicePrompt": "optional device-specific prompt",
+ *     "role": "optional caller role",
  *     "schema": {
  *        "queryType": "ceph_health",
  *        "requiredFields": ["cluster_status","ssd_usage_percent","recommendation"],
@@ -380,6 +587,9 @@ app.post('/ask-structured', async (req, res) => {
   console.log(`[${timestamp}] MODEL: ${CLAUDE_MODEL}`);
   console.log(`[${timestamp}] SESSION: callId=${callId || 'none'}, existing=${callId ? (sessions.has(callId) ? 'yes' : 'no') : 'none'}`);
 
+  const resolved = resolvePermissions(req, res, callId, timestamp);
+  if (!resolved) return;
+
   try {
     let lastRaw = '';
     let lastError = 'Unknown error';
@@ -389,7 +599,9 @@ app.post('/ask-structured', async (req, res) => {
 
     for (let attempt = 0; attempt <= retries; attempt++) {
       attemptsMade = attempt + 1;
-      const { code, stdout, stderr, duration_ms } = await runClaudeOnce({ fullPrompt, callId, timestamp });
+      const { code, stdout, stderr, duration_ms } = await runClaudeOnce({
+        fullPrompt, callId, timestamp, permissionArgs: resolved.args
+      });
       totalDuration += duration_ms;
 
       if (code !== 0) {
@@ -476,6 +688,7 @@ app.post('/end-session', (req, res) => {
     sessions.delete(callId);
     console.log(`[${timestamp}] SESSION ENDED: ${callId}`);
   }
+  if (callId) permissions.endSession(callId);
 
   res.json({ success: true });
 });
@@ -492,6 +705,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /metrics
+ * Prometheus metrics
+ */
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 /**
  * GET /
  * Info endpoint
@@ -502,8 +724,10 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /ask': 'Send a prompt to Claude',
+      'POST /ask-stream': 'Send a prompt and stream the answer as Server-Sent Events',
       'POST /ask-structured': 'Send a prompt and return validated JSON (n8n)',
-      'GET /health': 'Health check'
+      'GET /health': 'Health check',
+      'GET /metrics': 'Prometheus metrics'
     }
   });
 });
@@ -515,6 +739,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('='.repeat(64));
   console.log(`\nListening on: http://0.0.0.0:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  if (!permissions.requiresToken) {
+    console.warn('\nAPI_SERVER_TOKEN is not set: any client that can reach this port may ask for any role.');
+  }
   console.log('\nReady to receive Claude queries from voice interface.\n');
 });
 
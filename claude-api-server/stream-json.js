@@ -0,0 +1,116 @@
+/**
+ * Streaming helpers for Claude responses.
+ *
+ * The Claude CLI in `--output-format stream-json` mode prints one JSON message
+ * per line. These helpers turn that into a small set of events and forward
+ * them to HTTP clients as Server-Sent Events:
+ * - text:     partial assistant text ({ text })
+ * - tool_use: Claude started using a tool ({ id, name, input })
+ * - result:   final answer ({ response, sessionId, duration_ms, cost_usd })
+ * - error:    CLI failure ({ error, duration_ms })
+ */
+
+/**
+ * CLI flags that switch `claude -p` to incremental output.
+ * --verbose is required by the CLI for stream-json in print mode.
+ */
+const STREAM_JSON_ARGS = ['--output-format', 'stream-json', '--verbose', '--include-partial-messages'];
+
+/**
+ * Create a line parser for stream-json stdout.
+ *
+ * Text arrives either as partial deltas (stream_event) or, on CLIs without
+ * partial message support, as whole assistant messages. Whole-message text is
+ * only forwarded when no deltas were seen for that message, so text is never
+ * emitted twice.
+ *
+ * @param {Function} onEvent - Called with ({ type, ...data })
+ * @returns {{ write: Function, end: Function }}
+ */
+function createStreamJsonParser(onEvent) {
+  let buffer = '';
+  let sawDeltas = false;
+
+  function handleMessage(msg) {
+    if (msg.type === 'stream_event' && msg.event) {
+      const event = msg.event;
+      if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta' && event.delta.text) {
+        sawDeltas = true;
+        onEvent({ type: 'text', text: event.delta.text });
+      }
+      return;
+    }
+
+    if (msg.type === 'assistant' && msg.message && Array.isArray(msg.message.content)) {
+      for (const block of msg.message.content) {
+        if (block.type === 'tool_use') {
+          onEvent({ type: 'tool_use', id: block.id, name: block.name, input: block.input });
+        } else if (block.type === 'text' && block.text && !sawDeltas) {
+          onEvent({ type: 'text', text: block.text });
+        }
+      }
+      sawDeltas = false;
+      return;
+    }
+
+    if (msg.type === 'result') {
+      onEvent({
+        type: 'result',
+        response: msg.result || '',
+        sessionId: msg.session_id || null,
+        isError: Boolean(msg.is_error),
+        cost_usd: msg.total_cost_usd || 0,
+      });
+    }
+  }
+
+  function handleLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      handleMessage(JSON.parse(trimmed));
+    } catch {
+      // Not JSON (banner, warning); ignore.
+    }
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) handleLine(line);
+    },
+    end() {
+      if (buffer) handleLine(buffer);
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * Prepare an Express response for Server-Sent Events
+ */
+function startSse(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+}
+
+/**
+ * Write one SSE event (no-op once the client has gone away)
+ */
+function writeSse(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  STREAM_JSON_ARGS,
+  createStreamJsonParser,
+  startSse,
+  writeSse,
+};
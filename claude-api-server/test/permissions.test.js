@@ -0,0 +1,164 @@
+/**
+ * Permission Profile Tests
+ *
+ * Checks how roles become Claude CLI flags, the least-privilege default,
+ * that a call's role is fixed once it has one, and that API_SERVER_TOKEN
+ * guards every role but the default.
+ * Run with: node --test test/permissions.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_PROFILES,
+  loadProfiles,
+  buildPermissionArgs,
+  tokenMatches,
+  createPermissionResolver
+} = require('../permissions');
+
+const ENV_KEYS = ['CLAUDE_ROLES_FILE', 'CLAUDE_DEFAULT_ROLE', 'API_SERVER_TOKEN'];
+
+function flag(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1].split(',') : null;
+}
+
+test('permissions', async (t) => {
+  const saved = {};
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-'));
+  t.after(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await t.test('only admin skips permissions', () => {
+    assert.deepStrictEqual(buildPermissionArgs(DEFAULT_PROFILES.admin), ['--dangerously-skip-permissions']);
+    assert.ok(!buildPermissionArgs(DEFAULT_PROFILES.family).includes('--dangerously-skip-permissions'));
+    assert.ok(!buildPermissionArgs(DEFAULT_PROFILES.guest).includes('--dangerously-skip-permissions'));
+  });
+
+  await t.test('noShell and readOnly add to the disallowed tools', () => {
+    assert.deepStrictEqual(flag(buildPermissionArgs({ noShell: true, disallowedTools: ['Task'] }), '--disallowedTools'),
+      ['Task', 'Bash']);
+    assert.deepStrictEqual(flag(buildPermissionArgs({ readOnly: true }), '--disallowedTools'),
+      ['Bash', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+    assert.deepStrictEqual(buildPermissionArgs({}), []);
+  });
+
+  await t.test('a disallowed tool is never allowed', () => {
+    const args = buildPermissionArgs({
+      readOnly: true,
+      allowedTools: ['Read', 'Bash', 'Edit', 'WebSearch'],
+      disallowedTools: ['Read']
+    });
+    assert.deepStrictEqual(flag(args, '--allowedTools'), ['WebSearch']);
+    assert.deepStrictEqual(flag(args, '--disallowedTools'), ['Read', 'Bash', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+
+    // Nothing left to allow: no --allowedTools at all
+    assert.strictEqual(flag(buildPermissionArgs({ noShell: true, allowedTools: ['Bash'] }), '--allowedTools'), null);
+  });
+
+  await t.test('permissionMode is passed through', () => {
+    assert.deepStrictEqual(buildPermissionArgs({ permissionMode: 'plan' }), ['--permission-mode', 'plan']);
+  });
+
+  await t.test('requests without a role get guest', () => {
+    const config = loadProfiles({ file: '' });
+    assert.strictEqual(config.defaultRole, 'guest');
+
+    const resolver = createPermissionResolver(config);
+    const resolved = resolver.resolve(undefined, 'call-1');
+    assert.strictEqual(resolved.role, 'guest');
+    assert.deepStrictEqual(resolved.args, buildPermissionArgs(DEFAULT_PROFILES.guest));
+  });
+
+  await t.test('the default role comes from the option, the environment, then the file', () => {
+    const file = path.join(dir, 'roles.json');
+    fs.writeFileSync(file, JSON.stringify({ defaultRole: 'family', roles: { kids: { readOnly: true } } }));
+
+    assert.strictEqual(loadProfiles({ file }).defaultRole, 'family');
+    process.env.CLAUDE_DEFAULT_ROLE = 'kids';
+    try {
+      assert.strictEqual(loadProfiles({ file }).defaultRole, 'kids');
+      assert.strictEqual(loadProfiles({ file, defaultRole: 'admin' }).defaultRole, 'admin');
+    } finally {
+      delete process.env.CLAUDE_DEFAULT_ROLE;
+    }
+  });
+
+  await t.test('a bad roles file stops startup', () => {
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ defaultRole: 'nobody', roles: { kids: { readOnly: 'yes', tools: [] } } }));
+    assert.throws(() => loadProfiles({ file }), {
+      message: 'Invalid roles config: roles.kids.tools is not a profile field; ' +
+        'roles.kids.readOnly must be true or false; default role "nobody" has no profile'
+    });
+
+    fs.writeFileSync(file, '{ "roles": ');
+    assert.throws(() => loadProfiles({ file }), /Cannot read roles file/);
+  });
+
+  await t.test('an unknown role is refused with 403', () => {
+    const resolver = createPermissionResolver(loadProfiles({ file: '' }));
+    assert.throws(() => resolver.resolve('root', 'call-1'), { message: 'Unknown role: root', statusCode: 403 });
+  });
+
+  await t.test('a call keeps its first role', () => {
+    const resolver = createPermissionResolver(loadProfiles({ file: '' }));
+    assert.strictEqual(resolver.resolve('family', 'call-1').role, 'family');
+
+    // Later turns without a role stay on the call's role, not the default
+    assert.strictEqual(resolver.resolve(undefined, 'call-1').role, 'family');
+    assert.throws(() => resolver.resolve('admin', 'call-1'), {
+      message: 'Role cannot change during a call (family -> admin)',
+      statusCode: 403
+    });
+
+    // A new session starts fresh
+    resolver.endSession('call-1');
+    assert.strictEqual(resolver.resolve('admin', 'call-1').role, 'admin');
+
+    // Without a callId nothing is pinned
+    assert.strictEqual(resolver.resolve('family').role, 'family');
+    assert.strictEqual(resolver.resolve('admin').role, 'admin');
+  });
+
+  await t.test('with a token, only the default role is given without it', () => {
+    const resolver = createPermissionResolver(loadProfiles({ file: '' }), { token: 's3cret' });
+    assert.strictEqual(resolver.requiresToken, true);
+
+    assert.strictEqual(resolver.resolve(undefined, 'call-1').role, 'guest');
+    assert.strictEqual(resolver.resolve('guest').role, 'guest');
+    assert.throws(() => resolver.resolve('admin', 'call-2'), { message: 'Role admin needs a valid X-API-Token', statusCode: 401 });
+    assert.throws(() => resolver.resolve('admin', 'call-2', 'guess'), { statusCode: 401 });
+    assert.strictEqual(resolver.resolve('admin', 'call-2', 's3cret').role, 'admin');
+
+    // Knowing the callId of an admin call isn't enough to join it
+    assert.throws(() => resolver.resolve(undefined, 'call-2'), { message: 'Role admin needs a valid X-API-Token', statusCode: 401 });
+    assert.strictEqual(resolver.resolve(undefined, 'call-2', 's3cret').role, 'admin');
+  });
+
+  await t.test('the token comes from API_SERVER_TOKEN', () => {
+    assert.strictEqual(createPermissionResolver(loadProfiles({ file: '' })).requiresToken, false);
+
+    process.env.API_SERVER_TOKEN = 'from-env';
+    const resolver = createPermissionResolver(loadProfiles({ file: '' }));
+    assert.throws(() => resolver.resolve('family'), { statusCode: 401 });
+    assert.strictEqual(resolver.resolve('family', null, 'from-env').role, 'family');
+    delete process.env.API_SERVER_TOKEN;
+
+    assert.strictEqual(tokenMatches(undefined, 'x'), false);
+    assert.strictEqual(tokenMatches('xy', 'x'), false);
+  });
+});
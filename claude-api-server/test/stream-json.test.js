@@ -0,0 +1,93 @@
+/**
+ * Stream JSON Tests
+ *
+ * Feeds claude CLI stream-json output through the parser in chunks to check
+ * text is sent once (deltas or whole messages), tool use and results are
+ * reported, and lines split across chunks are put back together.
+ * Run with: node --test test/stream-json.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStreamJsonParser, writeSse } = require('../stream-json');
+
+function line(message) {
+  return JSON.stringify(message) + '\n';
+}
+
+function delta(text) {
+  return line({ type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text } } });
+}
+
+function assistant(content) {
+  return line({ type: 'assistant', message: { content } });
+}
+
+function parse(chunks) {
+  const events = [];
+  const parser = createStreamJsonParser((event) => events.push(event));
+  for (const chunk of chunks) parser.write(Buffer.from(chunk));
+  parser.end();
+  return events;
+}
+
+test('stream json', async (t) => {
+  await t.test('deltas are sent and the whole message that repeats them is not', () => {
+    const events = parse([
+      delta('Hello '),
+      delta('there.'),
+      assistant([{ type: 'text', text: 'Hello there.' }])
+    ]);
+    assert.deepStrictEqual(events, [
+      { type: 'text', text: 'Hello ' },
+      { type: 'text', text: 'there.' }
+    ]);
+  });
+
+  await t.test('whole messages are sent when there were no deltas for them', () => {
+    const events = parse([
+      delta('Checking.'),
+      assistant([{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'tool-1', name: 'Bash', input: { command: 'df -h' } }]),
+      // Next message: a CLI without partial messages sends only the whole text
+      assistant([{ type: 'text', text: 'The disk is fine.' }])
+    ]);
+    assert.deepStrictEqual(events, [
+      { type: 'text', text: 'Checking.' },
+      { type: 'tool_use', id: 'tool-1', name: 'Bash', input: { command: 'df -h' } },
+      { type: 'text', text: 'The disk is fine.' }
+    ]);
+  });
+
+  await t.test('the result is reported, error results included', () => {
+    const ok = parse([line({ type: 'result', result: 'Done.', session_id: 'abc', total_cost_usd: 0.01 })]);
+    assert.deepStrictEqual(ok, [{ type: 'result', response: 'Done.', sessionId: 'abc', isError: false, cost_usd: 0.01 }]);
+
+    const failed = parse([line({ type: 'result', subtype: 'error_max_turns', is_error: true })]);
+    assert.deepStrictEqual(failed, [{ type: 'result', response: '', sessionId: null, isError: true, cost_usd: 0 }]);
+  });
+
+  await t.test('a line split across chunks is parsed once it is whole', () => {
+    const result = line({ type: 'result', result: 'Split answer', session_id: 's-1' });
+    const events = parse([
+      'Welcome banner, not JSON\n' + delta('Part').slice(0, 20),
+      delta('Part').slice(20),
+      result.slice(0, 10),
+      result.slice(10, -1)  // the last line has no newline until end()
+    ]);
+    assert.deepStrictEqual(events, [
+      { type: 'text', text: 'Part' },
+      { type: 'result', response: 'Split answer', sessionId: 's-1', isError: false, cost_usd: 0 }
+    ]);
+  });
+
+  await t.test('SSE events are written until the client goes away', () => {
+    const written = [];
+    const res = { writableEnded: false, destroyed: false, write: (data) => written.push(data) };
+
+    writeSse(res, 'text', { text: 'Hi' });
+    res.destroyed = true;
+    writeSse(res, 'text', { text: 'lost' });
+
+    assert.deepStrictEqual(written, ['event: text\ndata: {"text":"Hi"}\n\n']);
+  });
+});
@@ -1,9 +1,10 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import fs from 'fs';
 import { loadConfig, saveConfig, configExists } from '../../config.js';
 import { validateExtension, validateVoiceId } from '../../validators.js';
-import { writeDockerConfig } from '../../docker.js';
+import { writeDockerConfig, writeDevicesConfig } from '../../docker.js';
 
 /**
  * Device add command - Add a new SIP device
@@ -122,6 +123,12 @@ export async function deviceAddCommand() {
   // Regenerate Docker config with new device
   await writeDockerConfig(config);
 
+  // The voice-app reloads devices.json on its own
+  const liveReload = fs.existsSync(config.paths.voiceApp);
+  if (liveReload) {
+    await writeDevicesConfig(config);
+  }
+
   saveSpinner.succeed(chalk.green('Configuration saved'));
 
   console.log(chalk.bold.green('\n✓ Device added successfully!'));
@@ -129,7 +136,11 @@ export async function deviceAddCommand() {
   console.log(chalk.gray(`  Name: ${newDevice.name}`));
   console.log(chalk.gray(`  Extension: ${newDevice.extension}`));
   console.log(chalk.gray(`  Voice: ${voiceResult.name} (${newDevice.voiceId})`));
-  console.log(chalk.yellow('\n⚠ Restart services to apply changes:'));
-  console.log(chalk.gray('  claude-phone stop'));
-  console.log(chalk.gray('  claude-phone start\n'));
+  if (liveReload) {
+    console.log(chalk.gray('\nA running voice-app applies the change within a few seconds.\n'));
+  } else {
+    console.log(chalk.yellow('\n⚠ Restart services to apply changes:'));
+    console.log(chalk.gray('  claude-phone stop'));
+    console.log(chalk.gray('  claude-phone start\n'));
+  }
 }
@@ -1,8 +1,9 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import fs from 'fs';
 import { loadConfig, saveConfig, configExists } from '../../config.js';
-import { writeDockerConfig } from '../../docker.js';
+import { writeDockerConfig, writeDevicesConfig } from '../../docker.js';
 
 /**
  * Device remove command - Remove a device
@@ -74,10 +75,20 @@ export async function deviceRemoveCommand(deviceName) {
   // Regenerate Docker config without this device
   await writeDockerConfig(config);
 
+  // The voice-app reloads devices.json on its own
+  const liveReload = fs.existsSync(config.paths.voiceApp);
+  if (liveReload) {
+    await writeDevicesConfig(config);
+  }
+
   spinner.succeed(chalk.green('Device removed'));
 
   console.log(chalk.bold.green('\n✓ Device removed successfully!'));
-  console.log(chalk.yellow('\n⚠ Restart services to apply changes:'));
-  console.log(chalk.gray('  claude-phone stop'));
-  console.log(chalk.gray('  claude-phone start\n'));
+  if (liveReload) {
+    console.log(chalk.gray('\nA running voice-app applies the change within a few seconds.\n'));
+  } else {
+    console.log(chalk.yellow('\n⚠ Restart services to apply changes:'));
+    console.log(chalk.gray('  claude-phone stop'));
+    console.log(chalk.gray('  claude-phone start\n'));
+  }
 }
@@ -6,7 +6,7 @@ import { loadConfig, configExists, getInstallationType } from '../config.js';
 import { checkDocker, getContainerStatus } from '../docker.js';
 import { isServerRunning, getServerPid } from '../process-manager.js';
 import { validateElevenLabsKey, validateOpenAIKey } from '../validators.js';
-import { isReachable, checkClaudeApiServer as checkClaudeApiHealth } from '../network.js';
+import { isReachable, checkClaudeApiServer as checkClaudeApiHealth, getSipRegistrations } from '../network.js';
 import { checkPort } from '../port-check.js';
 
 /**
@@ -164,6 +164,33 @@ async function checkClaudeAPIServer(port) {
   }
 }
 
+/**
+ * Check that every extension is registered with the PBX
+ * @param {number} port - Voice-app HTTP port
+ * @returns {Promise<{passed: boolean, message: string, problems: string[]}>}
+ */
+async function checkSipRegistrations(port) {
+  const result = await getSipRegistrations(`http://localhost:${port}`);
+  if (!result.registrations) {
+    return { passed: false, message: `SIP registration state unavailable: ${result.error}`, problems: [] };
+  }
+  if (result.registrations.length === 0) {
+    return { passed: true, message: 'No extensions registering (direct SIP mode)', problems: [] };
+  }
+
+  const offline = result.registrations.filter(r => !r.online);
+  const problems = offline.map((r) => {
+    const response = r.lastCode ? `${r.lastCode} ${r.lastReason || ''}`.trim() : r.lastReason || 'no response yet';
+    return `${r.device} (extension ${r.extension}): ${r.status}, ${response}`;
+  });
+  const online = result.registrations.length - offline.length;
+  return {
+    passed: offline.length === 0,
+    message: `${online}/${result.registrations.length} extensions registered`,
+    problems
+  };
+}
+
 /**
  * Doctor command - Run health checks
  * @returns {Promise<void>}
@@ -323,6 +350,23 @@ async function runVoiceServerChecks(config, isPiSplit) {
   }
   checks.push({ name: 'Voice-app container', passed: voiceAppResult.running });
 
+  // Check SIP registrations (only once the voice-app is up)
+  if (voiceAppResult.running) {
+    const sipSpinner = ora('Checking SIP registrations...').start();
+    const sipResult = await checkSipRegistrations(config.server.httpPort || 3000);
+    if (sipResult.passed) {
+      sipSpinner.succeed(chalk.green(sipResult.message));
+      passedCount++;
+    } else {
+      sipSpinner.fail(chalk.red(sipResult.message));
+      for (const problem of sipResult.problems) {
+        console.log(chalk.gray(`  → ${problem}`));
+      }
+      console.log(chalk.gray('  → Check the SIP credentials and registrar in ~/.claude-phone/config.json\n'));
+    }
+    checks.push({ name: 'SIP registrations', passed: sipResult.passed });
+  }
+
   // Check API server reachability (voice-server mode)
   if (isPiSplit) {
     // Pi-split mode: Check API server IP reachability
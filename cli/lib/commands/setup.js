@@ -673,9 +673,11 @@ function createDefaultConfig() {
       openai: { apiKey: '', validated: false }
     },
     sip: {
+      pbx: '3cx',
       domain: '',
       registrar: '',
-      transport: 'udp'
+      transport: 'udp',
+      srtp: 'off'
     },
     server: {
       claudeApiPort: 3333,
@@ -829,6 +831,9 @@ async function setupAPIKeys(config) {
   return config;
 }
 
+// Phone systems the voice-app has built-in profiles for (see voice-app/lib/pbx-profiles.js)
+const PBX_NAMES = { '3cx': '3CX', freepbx: 'FreePBX', freeswitch: 'FreeSWITCH', trunk: 'SIP trunk' };
+
 /**
  * Setup SIP configuration (standard mode)
  * @param {object} config - Current config
@@ -836,10 +841,24 @@ async function setupAPIKeys(config) {
  */
 async function setupSIP(config) {
   const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'pbx',
+      message: 'Phone system:',
+      default: config.sip.pbx || '3cx',
+      choices: [
+        { name: '3CX', value: '3cx' },
+        { name: 'FreePBX / Asterisk', value: 'freepbx' },
+        { name: 'FreeSWITCH', value: 'freeswitch' },
+        { name: 'Direct SIP trunk (no PBX)', value: 'trunk' }
+      ]
+    },
     {
       type: 'input',
       name: 'domain',
-      message: '3CX domain (e.g., your-3cx.3cx.us):',
+      message: (answers) => answers.pbx === 'trunk'
+        ? 'SIP trunk domain (e.g., sip.provider.com):'
+        : `${PBX_NAMES[answers.pbx]} domain (e.g., ${answers.pbx === '3cx' ? 'your-3cx.3cx.us' : 'pbx.example.com'}):`,
       default: config.sip.domain,
       validate: (input) => {
         if (!input || input.trim() === '') {
@@ -854,22 +873,128 @@ async function setupSIP(config) {
     {
       type: 'input',
       name: 'registrar',
-      message: '3CX registrar IP (e.g., 192.168.1.100):',
+      message: (answers) => answers.pbx === 'trunk'
+        ? 'SIP trunk host (IP or hostname):'
+        : `${PBX_NAMES[answers.pbx]} registrar IP (e.g., 192.168.1.100):`,
       default: config.sip.registrar,
       validate: (input) => {
         if (!input || input.trim() === '') {
-          return 'SIP registrar IP is required';
+          return 'SIP registrar is required';
         }
-        if (!validateIP(input)) {
-          return 'Invalid IP address format';
+        if (!validateIP(input) && !validateHostname(input)) {
+          return 'Invalid IP address or hostname';
         }
         return true;
       }
+    },
+    {
+      type: 'input',
+      name: 'outboundProxy',
+      message: 'Outbound proxy (e.g., sip:sbc.example.com, press Enter to skip):',
+      default: config.sip.outboundProxy || '',
+      validate: (input) => !input || /^sips?:\S+$/.test(input.trim()) || 'Use a SIP URI like sip:sbc.example.com'
     }
   ]);
 
+  config.sip.pbx = answers.pbx;
   config.sip.domain = answers.domain;
   config.sip.registrar = answers.registrar;
+  if (answers.outboundProxy) {
+    config.sip.outboundProxy = answers.outboundProxy.trim();
+  } else {
+    delete config.sip.outboundProxy;
+  }
+
+  if (answers.pbx === 'trunk') {
+    console.log(chalk.gray('  SIP trunks authenticate by IP - nothing is registered, and calls go out in E.164'));
+  }
+
+  return setupSipSecurity(config);
+}
+
+/**
+ * Setup SIP transport, TLS certificates and SRTP
+ * @param {object} config - Current config
+ * @returns {Promise<object>} Updated config
+ */
+async function setupSipSecurity(config) {
+  const tls = config.sip.tls || {};
+  const fileExists = (input) => (input && fs.existsSync(input.trim())) || 'File not found';
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'transport',
+      message: 'SIP transport:',
+      default: config.sip.transport || 'udp',
+      choices: [
+        { name: 'UDP - LAN PBX (default)', value: 'udp' },
+        { name: 'TCP', value: 'tcp' },
+        { name: 'TLS - encrypted signalling, for hosted PBXs', value: 'tls' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'port',
+      message: 'Registrar TLS port:',
+      default: config.sip.port || 5061,
+      when: (answers) => answers.transport === 'tls',
+      validate: (input) => (parseInt(input, 10) > 0 && parseInt(input, 10) < 65536) || 'Invalid port'
+    },
+    {
+      type: 'input',
+      name: 'certFile',
+      message: 'TLS certificate file (PEM):',
+      default: tls.certFile,
+      when: (answers) => answers.transport === 'tls',
+      validate: fileExists
+    },
+    {
+      type: 'input',
+      name: 'keyFile',
+      message: 'TLS private key file (PEM):',
+      default: tls.keyFile,
+      when: (answers) => answers.transport === 'tls',
+      validate: fileExists
+    },
+    {
+      type: 'input',
+      name: 'chainFile',
+      message: 'CA chain file to trust (PEM, press Enter to skip):',
+      default: tls.chainFile || '',
+      when: (answers) => answers.transport === 'tls',
+      validate: (input) => !input || fileExists(input)
+    },
+    {
+      type: 'list',
+      name: 'srtp',
+      message: 'Encrypt call audio (SRTP):',
+      default: config.sip.srtp || 'off',
+      choices: [
+        { name: 'Off', value: 'off' },
+        { name: 'Optional - use SRTP when the other side supports it', value: 'optional' },
+        { name: 'Required - refuse calls without SRTP', value: 'required' }
+      ]
+    }
+  ]);
+
+  config.sip.transport = answers.transport;
+  config.sip.srtp = answers.srtp;
+  if (answers.transport === 'tls') {
+    config.sip.port = parseInt(answers.port, 10);
+    config.sip.tls = {
+      certFile: answers.certFile.trim(),
+      keyFile: answers.keyFile.trim(),
+      chainFile: answers.chainFile ? answers.chainFile.trim() : ''
+    };
+  } else {
+    delete config.sip.port;
+    delete config.sip.tls;
+  }
+
+  if (answers.srtp !== 'off' && answers.transport !== 'tls') {
+    console.log(chalk.yellow('  ⚠️  SRTP keys are sent in the SIP messages; without TLS anyone on the path can read them'));
+  }
 
   return config;
 }
@@ -949,6 +1074,8 @@ async function setupDevice(config) {
       name: 'authId',
       message: 'SIP auth ID:',
       default: existingDevice?.authId || '',
+      // SIP trunks authenticate by IP
+      when: () => config.sip.pbx !== 'trunk',
       validate: (input) => {
         if (!input || input.trim() === '') {
           return 'Auth ID is required';
@@ -961,6 +1088,7 @@ async function setupDevice(config) {
       name: 'password',
       message: 'SIP password:',
       default: existingDevice?.password || '',
+      when: () => config.sip.pbx !== 'trunk',
       validate: (input) => {
         if (!input || input.trim() === '') {
           return 'Password is required';
@@ -1022,8 +1150,8 @@ async function setupDevice(config) {
   const device = {
     name: answers.name,
     extension: answers.extension,
-    authId: answers.authId,
-    password: answers.password,
+    authId: answers.authId || '',
+    password: answers.password || '',
     voiceId: answers.voiceId,
     prompt: answers.prompt
   };
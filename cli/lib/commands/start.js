@@ -3,7 +3,7 @@ import ora from 'ora';
 import fs from 'fs';
 import path from 'path';
 import { loadConfig, configExists, getInstallationType } from '../config.js';
-import { checkDocker, writeDockerConfig, startContainers } from '../docker.js';
+import { checkDocker, writeDockerConfig, writeDevicesConfig, startContainers } from '../docker.js';
 import { startServer, isServerRunning } from '../process-manager.js';
 import { isClaudeInstalled, sleep } from '../utils.js';
 import { checkClaudeApiServer } from '../network.js';
@@ -149,12 +149,7 @@ async function startVoiceServer(config, isPiMode) {
     await writeDockerConfig(config);
 
     // Also write devices.json to voice-app/config
-    const devicesPath = path.join(config.paths.voiceApp, 'config', 'devices.json');
-    const devicesConfig = {};
-    for (const device of config.devices) {
-      devicesConfig[device.extension] = device;
-    }
-    await fs.promises.writeFile(devicesPath, JSON.stringify(devicesConfig, null, 2), { mode: 0o644 });
+    await writeDevicesConfig(config);
 
     spinner.succeed('Docker configuration generated');
   } catch (error) {
@@ -271,12 +266,7 @@ async function startBoth(config, isPiMode) {
     await writeDockerConfig(config);
 
     // Also write devices.json to voice-app/config
-    const devicesPath = path.join(config.paths.voiceApp, 'config', 'devices.json');
-    const devicesConfig = {};
-    for (const device of config.devices) {
-      devicesConfig[device.extension] = device;
-    }
-    await fs.promises.writeFile(devicesPath, JSON.stringify(devicesConfig, null, 2), { mode: 0o644 });
+    await writeDevicesConfig(config);
 
     spinner.succeed('Docker configuration generated');
   } catch (error) {
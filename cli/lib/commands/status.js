@@ -2,7 +2,7 @@ import chalk from 'chalk';
 import { loadConfig, configExists, getInstallationType } from '../config.js';
 import { getContainerStatus } from '../docker.js';
 import { isServerRunning, getServerPid } from '../process-manager.js';
-import { checkClaudeApiServer } from '../network.js';
+import { checkClaudeApiServer, getSipRegistrations } from '../network.js';
 
 /**
  * Status command - Show service status
@@ -75,6 +75,30 @@ async function showApiServerStatus(config, isPiSplit) {
   console.log();
 }
 
+/**
+ * One device line: its extension and SIP registration state
+ * @param {object} device - Device from config
+ * @param {object} [registration] - Entry from GET /api/registrations
+ * @returns {string}
+ */
+function formatRegistration(device, registration) {
+  const label = `${device.name} (extension ${device.extension})`;
+  if (!registration) {
+    return chalk.gray(`  • ${label}`);
+  }
+  if (registration.online) {
+    return chalk.green(`  ✓ ${label}: registered until ${new Date(registration.expiresAt).toLocaleTimeString()}`);
+  }
+  if (registration.status === 'failed') {
+    const response = registration.lastCode ? `${registration.lastCode} ${registration.lastReason || ''}`.trim() : registration.lastReason || 'no response';
+    return chalk.red(`  ✗ ${label}: not registered (${response}, ${registration.failures} failed attempts)`);
+  }
+  if (registration.status === 'registered') {
+    return chalk.yellow(`  ✗ ${label}: registration expired, refreshing`);
+  }
+  return chalk.yellow(`  … ${label}: registering`);
+}
+
 /**
  * Show voice server status
  * @param {object} config - Configuration
@@ -100,11 +124,16 @@ async function showVoiceServerStatus(config, isPiSplit, installationType) {
   }
   console.log();
 
-  // Devices
+  // Devices, with whether each extension is registered with the PBX
   console.log(chalk.bold('Configured Devices:'));
   if (config.devices && config.devices.length > 0) {
+    const sip = await getSipRegistrations(`http://localhost:${config.server.httpPort || 3000}`);
     for (const device of config.devices) {
-      console.log(chalk.gray(`  • ${device.name} (extension ${device.extension})`));
+      const registration = (sip.registrations || []).find(r => String(r.extension) === String(device.extension));
+      console.log(formatRegistration(device, registration));
+    }
+    if (!sip.registrations) {
+      console.log(chalk.gray(`    (registration state unavailable: ${sip.error})`));
     }
   } else {
     console.log(chalk.gray('  (none configured)'));
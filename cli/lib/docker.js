@@ -1,6 +1,7 @@
 import { spawn, execSync } from 'child_process';
 import crypto from 'crypto';
 import fs from 'fs';
+import path from 'path';
 import {
   getDockerComposePath,
   getEnvPath,
@@ -107,6 +108,27 @@ export function generateDockerCompose(config) {
   const freeswitchImage = 'drachtio/drachtio-freeswitch-mrf:latest';
   const platformLine = isPiMode ? '\n    platform: linux/arm64' : '';
 
+  // SIP over TLS: drachtio terminates TLS with the certificates from setup
+  const tls = config.sip && config.sip.transport === 'tls' && config.sip.tls ? config.sip.tls : null;
+  let tlsCommand = '';
+  let tlsVolumes = '';
+  if (tls) {
+    tlsCommand = `
+      --contact "sips:*:${tls.port || 5061};transport=tls"
+      --cert-file /etc/drachtio/tls/cert.pem
+      --key-file /etc/drachtio/tls/key.pem`;
+    tlsVolumes = `
+    volumes:
+      - ${tls.certFile}:/etc/drachtio/tls/cert.pem:ro
+      - ${tls.keyFile}:/etc/drachtio/tls/key.pem:ro`;
+    if (tls.chainFile) {
+      tlsCommand += `
+      --chain-file /etc/drachtio/tls/chain.pem`;
+      tlsVolumes += `
+      - ${tls.chainFile}:/etc/drachtio/tls/chain.pem:ro`;
+    }
+  }
+
   return `version: '3.8'
 
 # CRITICAL: All containers must use network_mode: host
@@ -121,10 +143,10 @@ services:
     network_mode: host
     command: >
       drachtio
-      --contact "sip:*:${drachtioPort};transport=tcp,udp"
+      --contact "sip:*:${drachtioPort};transport=tcp,udp"${tlsCommand}
       --secret \${DRACHTIO_SECRET}
       --port 9022
-      --loglevel info
+      --loglevel info${tlsVolumes}
 
   freeswitch:
     image: ${freeswitchImage}${platformLine}
@@ -149,6 +171,8 @@ services:
       - ${getEnvPath()}
     volumes:
       - ${config.paths.voiceApp}/audio:/app/audio
+      - ${config.paths.voiceApp}/recordings:/app/recordings
+      - ${config.paths.voiceApp}/data:/app/data
       - ${config.paths.voiceApp}/config:/app/config
     depends_on:
       - drachtio
@@ -156,6 +180,49 @@ services:
 `;
 }
 
+/**
+ * Map optional STT settings (config.api.stt) to env lines
+ * @param {object} [stt] - { provider, baseUrl, apiKey, model, language }
+ * @returns {string[]} Env lines (empty when not configured)
+ */
+function generateSttEnv(stt) {
+  if (!stt || !stt.provider) return [];
+
+  const lines = [`STT_PROVIDER=${stt.provider}`];
+  if (stt.baseUrl) lines.push(`STT_BASE_URL=${stt.baseUrl}`);
+  if (stt.apiKey) lines.push(`STT_API_KEY=${stt.apiKey}`);
+  if (stt.model) lines.push(`STT_MODEL=${stt.model}`);
+  if (stt.language) lines.push(`STT_LANGUAGE=${stt.language}`);
+  return lines;
+}
+
+/**
+ * Map SIP transport and SRTP settings (config.sip) to env lines
+ * @param {object} [sip] - { transport, port, srtp, tls }
+ * @returns {string[]} Env lines (empty for plain UDP without SRTP)
+ */
+function generateSipSecurityEnv(sip) {
+  if (!sip) return [];
+
+  const lines = [];
+  if (sip.transport && sip.transport !== 'udp') lines.push(`SIP_TRANSPORT=${sip.transport}`);
+  if (sip.port) lines.push(`SIP_REGISTRAR_PORT=${sip.port}`);
+  if (sip.transport === 'tls' && sip.tls && sip.tls.port) lines.push(`DRACHTIO_TLS_PORT=${sip.tls.port}`);
+  if (sip.srtp && sip.srtp !== 'off') lines.push(`SIP_SRTP=${sip.srtp}`);
+  return lines;
+}
+
+/**
+ * Map the PBX type and outbound proxy (config.sip) to env lines
+ * @param {object} sip - { pbx, outboundProxy }
+ * @returns {string[]} Env lines
+ */
+function generatePbxEnv(sip) {
+  const lines = [`SIP_PBX=${sip.pbx || '3cx'}`];
+  if (sip.outboundProxy) lines.push(`SIP_OUTBOUND_PROXY=${sip.outboundProxy}`);
+  return lines;
+}
+
 /**
  * Generate .env file from config
  * @param {object} config - Configuration object
@@ -208,9 +275,11 @@ export function generateEnvFile(config) {
     // Note: This is the default ESL password for drachtio/drachtio-freeswitch-mrf
     'FREESWITCH_SECRET=JambonzR0ck$',
     '',
-    '# 3CX / SIP Configuration',
+    '# PBX / SIP Configuration',
+    ...generatePbxEnv(config.sip),
     `SIP_DOMAIN=${config.sip.domain}`,
     `SIP_REGISTRAR=${config.sip.registrar}`,
+    ...generateSipSecurityEnv(config.sip),
     '',
     '# Default extension (primary device)',
     `SIP_EXTENSION=${config.devices[0].extension}`,
@@ -226,6 +295,7 @@ export function generateEnvFile(config) {
     '',
     '# OpenAI (Whisper STT)',
     `OPENAI_API_KEY=${config.api.openai.apiKey}`,
+    ...generateSttEnv(config.api.stt),
     '',
     '# Application Settings',
     `HTTP_PORT=${config.server.httpPort}`,
@@ -257,6 +327,21 @@ export async function writeDockerConfig(config) {
   await fs.promises.writeFile(envPath, envContent, { mode: 0o600 });
 }
 
+/**
+ * Write the voice-app's devices.json from the configured devices.
+ * A running voice-app watches this file and applies changes without a restart.
+ * @param {object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+export async function writeDevicesConfig(config) {
+  const devicesPath = path.join(config.paths.voiceApp, 'config', 'devices.json');
+  const devicesConfig = {};
+  for (const device of config.devices) {
+    devicesConfig[device.extension] = device;
+  }
+  await fs.promises.writeFile(devicesPath, JSON.stringify(devicesConfig, null, 2), { mode: 0o644 });
+}
+
 /**
  * Start Docker containers
  * @returns {Promise<void>}
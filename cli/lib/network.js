@@ -107,3 +107,58 @@ export async function checkClaudeApiServer(url) {
     }
   });
 }
+
+/**
+ * Get the SIP registration state of every extension from the voice-app
+ * @param {string} url - Full URL to the voice-app (e.g., http://localhost:3000)
+ * @returns {Promise<object>} Check result
+ * @property {boolean} reachable - True if the voice-app answered
+ * @property {Array} [registrations] - One entry per extension (see GET /api/registrations)
+ * @property {string} [error] - Error message if check failed
+ */
+export async function getSipRegistrations(url) {
+  return new Promise((resolve) => {
+    try {
+      // eslint-disable-next-line no-undef, no-new
+      new URL(url);
+
+      const req = http.get(url + '/api/registrations', { timeout: 3000 }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            resolve({ reachable: true, error: `Registration status returned ${res.statusCode}` });
+            return;
+          }
+          try {
+            resolve({ reachable: true, registrations: JSON.parse(body).registrations || [] });
+          } catch (err) {
+            resolve({ reachable: true, error: 'Invalid registration status response' });
+          }
+        });
+      });
+
+      req.on('error', (err) => {
+        resolve({
+          reachable: false,
+          error: err.message
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        resolve({
+          reachable: false,
+          error: 'Connection timeout'
+        });
+      });
+    } catch (err) {
+      // Invalid URL format
+      resolve({
+        reachable: false,
+        error: err.message
+      });
+    }
+  });
+}
@@ -279,4 +279,88 @@ test('docker compose generation', async (t) => {
     assert.ok(!envFile.includes('CLAUDE_API_URL=http://localhost:'),
       'voice-server mode should NOT use localhost when apiServerIp is set');
   });
+
+  await t.test('writes STT provider settings when configured', () => {
+    const config = {
+      server: { externalIp: '192.168.1.50', httpPort: 3000, claudeApiPort: 3333 },
+      sip: { domain: '3cx.local', registrar: '192.168.1.10' },
+      devices: [{ extension: '9000', authId: 'user123', password: 'pass123', voiceId: 'voice-id' }],
+      api: {
+        elevenlabs: { apiKey: 'elev-key' },
+        openai: { apiKey: '' },
+        stt: { provider: 'whisper-cpp', baseUrl: 'http://192.168.1.60:8080', language: 'de' }
+      },
+      secrets: { drachtio: 'drachtio-secret', freeswitch: 'fs-secret' }
+    };
+
+    const envFile = generateEnvFile(config);
+
+    assert.ok(envFile.includes('STT_PROVIDER=whisper-cpp'));
+    assert.ok(envFile.includes('STT_BASE_URL=http://192.168.1.60:8080'));
+    assert.ok(envFile.includes('STT_LANGUAGE=de'));
+    assert.ok(!envFile.includes('STT_API_KEY='), 'unset STT keys should be omitted');
+  });
+
+  await t.test('adds a TLS listener with the certificates when SIP uses TLS', () => {
+    const config = {
+      server: { externalIp: '192.168.1.50', httpPort: 3000, claudeApiPort: 3333 },
+      paths: { voiceApp: '/app/voice-app' },
+      secrets: { drachtio: 'test-secret-123', freeswitch: 'test-secret-456' },
+      sip: {
+        domain: 'pbx.example.com',
+        registrar: '203.0.113.10',
+        transport: 'tls',
+        port: 5061,
+        tls: { certFile: '/certs/voice.pem', keyFile: '/certs/voice.key', chainFile: '' }
+      }
+    };
+
+    const compose = generateDockerCompose(config);
+
+    assert.ok(compose.includes('--contact "sip:*:5060;transport=tcp,udp"'), 'should keep the UDP/TCP listener');
+    assert.ok(compose.includes('--contact "sips:*:5061;transport=tls"'));
+    assert.ok(compose.includes('--cert-file /etc/drachtio/tls/cert.pem'));
+    assert.ok(compose.includes('- /certs/voice.key:/etc/drachtio/tls/key.pem:ro'));
+    assert.ok(!compose.includes('--chain-file'), 'no chain file was given');
+
+    config.sip.transport = 'udp';
+    assert.ok(!generateDockerCompose(config).includes('transport=tls'), 'TLS settings are ignored over UDP');
+  });
+
+  await t.test('writes SIP transport and SRTP settings when not plain UDP', () => {
+    const config = {
+      server: { externalIp: '192.168.1.50', httpPort: 3000, claudeApiPort: 3333 },
+      sip: { domain: 'pbx.example.com', registrar: '203.0.113.10', transport: 'tls', port: 5061, srtp: 'required' },
+      devices: [{ extension: '9000', authId: 'user123', password: 'pass123', voiceId: 'voice-id' }],
+      api: { elevenlabs: { apiKey: 'elev-key' }, openai: { apiKey: '' } },
+      secrets: { drachtio: 'drachtio-secret', freeswitch: 'fs-secret' }
+    };
+
+    const envFile = generateEnvFile(config);
+    assert.ok(envFile.includes('SIP_TRANSPORT=tls'));
+    assert.ok(envFile.includes('SIP_REGISTRAR_PORT=5061'));
+    assert.ok(envFile.includes('SIP_SRTP=required'));
+
+    config.sip = { domain: 'pbx.example.com', registrar: '192.168.1.10', transport: 'udp', srtp: 'off' };
+    assert.ok(!generateEnvFile(config).includes('SIP_TRANSPORT='), 'UDP is the default');
+    assert.ok(!generateEnvFile(config).includes('SIP_SRTP='), 'SRTP off is the default');
+  });
+
+  await t.test('writes the PBX type and outbound proxy', () => {
+    const config = {
+      server: { externalIp: '192.168.1.50', httpPort: 3000, claudeApiPort: 3333 },
+      sip: { pbx: 'trunk', domain: 'sip.provider.com', registrar: 'sip.provider.com', outboundProxy: 'sip:sbc.example.com' },
+      devices: [{ extension: '9000', authId: '', password: '', voiceId: 'voice-id' }],
+      api: { elevenlabs: { apiKey: 'elev-key' }, openai: { apiKey: '' } },
+      secrets: { drachtio: 'drachtio-secret', freeswitch: 'fs-secret' }
+    };
+
+    const envFile = generateEnvFile(config);
+    assert.ok(envFile.includes('SIP_PBX=trunk'));
+    assert.ok(envFile.includes('SIP_OUTBOUND_PROXY=sip:sbc.example.com'));
+
+    config.sip = { domain: 'pbx.example.com', registrar: '192.168.1.10' };
+    assert.ok(generateEnvFile(config).includes('SIP_PBX=3cx'), 'configs from before PBX profiles are 3CX');
+    assert.ok(!generateEnvFile(config).includes('SIP_OUTBOUND_PROXY='));
+  });
 });
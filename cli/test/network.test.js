@@ -1,8 +1,10 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
+import http from 'http';
 import {
   isReachable,
-  checkClaudeApiServer
+  checkClaudeApiServer,
+  getSipRegistrations
 } from '../lib/network.js';
 
 test('network module', async (t) => {
@@ -80,4 +82,31 @@ test('network module', async (t) => {
       assert.ok(typeof result.healthy === 'boolean', 'healthy should be boolean');
     }
   });
+
+  await t.test('getSipRegistrations reads the voice-app registration list', async () => {
+    const server = http.createServer((req, res) => {
+      assert.strictEqual(req.url, '/api/registrations');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        success: true,
+        registrations: [{ extension: '9000', device: 'Morpheus', status: 'registered', online: true }]
+      }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const result = await getSipRegistrations(`http://127.0.0.1:${server.address().port}`);
+      assert.strictEqual(result.reachable, true);
+      assert.deepStrictEqual(result.registrations.map(r => [r.extension, r.online]), [['9000', true]]);
+    } finally {
+      server.close();
+    }
+  });
+
+  await t.test('getSipRegistrations reports an unreachable voice-app', async () => {
+    const result = await getSipRegistrations('http://192.0.2.1:3000');
+
+    assert.strictEqual(result.reachable, false);
+    assert.ok(result.error, 'Should say why');
+  });
 });
@@ -61,7 +61,10 @@ module.exports = [
         clearInterval: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
-        fetch: 'readonly'  // Node 18+ global fetch
+        fetch: 'readonly',  // Node 18+ global fetch
+        FormData: 'readonly',  // Node 18+ global FormData (multipart uploads)
+        Blob: 'readonly',
+        Intl: 'readonly'  // Timezones for voicemail business hours
       }
     },
     rules: {
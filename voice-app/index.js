@@ -18,6 +18,16 @@ var extractCallerId = sipHandler.extractCallerId;
 var whisperClient = require("./lib/whisper-client");
 var claudeBridge = require("./lib/claude-bridge");
 var ttsService = require("./lib/tts-service");
+var callRecorder = require("./lib/call-recorder");
+var callHistory = require("./lib/call-history");
+var callWebhook = require("./lib/call-webhook");
+var callerMemory = require("./lib/caller-memory");
+var voicemail = require("./lib/voicemail");
+var callback = require("./lib/callback");
+var callLimits = require("./lib/call-limits");
+var sipSecurity = require("./lib/sip-security");
+var pbxProfiles = require("./lib/pbx-profiles");
+var metrics = require("./lib/metrics");
 
 // Multi-extension support
 var deviceRegistry = require("./lib/device-registry");
@@ -37,9 +47,38 @@ var queryModule = require("./lib/query-routes");
 var queryRouter = queryModule.router;
 var setupQueryRoutes = queryModule.setupRoutes;
 
+// Import call history routes
+var historyModule = require("./lib/history-routes");
+var historyRouter = historyModule.router;
+var setupHistoryRoutes = historyModule.setupRoutes;
+
+// Import caller memory routes
+var memoryModule = require("./lib/memory-routes");
+var memoryRouter = memoryModule.router;
+var setupMemoryRoutes = memoryModule.setupRoutes;
+
+// Import voicemail routes
+var voicemailModule = require("./lib/voicemail-routes");
+var voicemailRouter = voicemailModule.router;
+var setupVoicemailRoutes = voicemailModule.setupRoutes;
+
+// Import SIP registration routes
+var registrationModule = require("./lib/registration-routes");
+var registrationRouter = registrationModule.router;
+var setupRegistrationRoutes = registrationModule.setupRoutes;
+
 // Load device registry first
 // deviceRegistry is a singleton, already instantiated
 
+// SIP_TRANSPORT, SIP_REGISTRAR_PORT and SIP_SRTP (see sip-security)
+// A typo must not quietly downgrade to plain UDP or RTP
+var sipEnvErrors = sipSecurity.validateSipEnvironment();
+if (sipEnvErrors.length > 0) {
+  console.error("[" + new Date().toISOString() + "] SIP Invalid settings: " + sipEnvErrors.join("; "));
+  process.exit(1);
+}
+var sipDefaults = sipSecurity.sipSettings();
+
 // Configuration
 var config = {
   drachtio: {
@@ -58,8 +97,13 @@ var config = {
     password: process.env.SIP_AUTH_PASSWORD || "DGHwMW6v25",
     domain: process.env.SIP_DOMAIN || "hello.networkchuck.com",
     registrar: process.env.SIP_REGISTRAR || "hello.networkchuck.com",
-    registrar_port: parseInt(process.env.SIP_REGISTRAR_PORT) || 5060,
-    expiry: parseInt(process.env.SIP_EXPIRY) || 3600
+    pbx: pbxProfiles.pbxProfile().name,
+    registrar_port: sipDefaults.port,
+    transport: sipDefaults.transport,
+    srtp: sipDefaults.srtp,
+    expiry: parseInt(process.env.SIP_EXPIRY) || 3600,
+    retry_min: parseInt(process.env.SIP_RETRY_MIN_SECONDS) || 15,
+    retry_max: parseInt(process.env.SIP_RETRY_MAX_SECONDS) || 600
   },
   external_ip: process.env.EXTERNAL_IP || "10.70.7.81",
   http_port: parseInt(process.env.HTTP_PORT) || 3000,
@@ -67,6 +111,16 @@ var config = {
   audio_dir: process.env.AUDIO_DIR || "/tmp/voice-audio"
 };
 
+// Devices to register with the PBX
+// null if no device has real SIP credentials (direct SIP mode, no PBX)
+function registrableDevices() {
+  var regConfigs = deviceRegistry.getRegistrationConfigs();
+  var hasRealCreds = Object.values(regConfigs).some(
+    d => d.authId && d.authId !== "" && d.authId !== "none"
+  );
+  return hasRealCreds ? regConfigs : null;
+}
+
 // Initialize drachtio SRF
 var srf = new Srf();
 var mediaServer = null;
@@ -85,16 +139,52 @@ console.log("=".repeat(64));
 console.log("\nConfiguration:");
 console.log("  - drachtio:    " + config.drachtio.host + ":" + config.drachtio.port);
 console.log("  - FreeSWITCH:  " + config.freeswitch.host + ":" + config.freeswitch.port);
+console.log("  - PBX:         " + config.sip.pbx);
 console.log("  - SIP Domain:  " + config.sip.domain);
-console.log("  - Registrar:   " + config.sip.registrar + ":" + config.sip.registrar_port);
+console.log("  - Registrar:   " + config.sip.registrar + ":" + config.sip.registrar_port + " (" + config.sip.transport + ")");
+console.log("  - SRTP:        " + config.sip.srtp);
 console.log("  - External IP: " + config.external_ip);
 console.log("  - HTTP Port:   " + config.http_port);
 console.log("  - WS Port:     " + config.ws_port);
 console.log("  - Audio Dir:   " + config.audio_dir);
 console.log("  - Mix Type:    " + (process.env.AUDIO_FORK_MIXTYPE || "L") + " (capture direction)");
+console.log("  - STT:         " + whisperClient.getProviderName());
+console.log("  - Recordings:  " + callRecorder.RECORDINGS_DIR);
+console.log("  - Voicemail:   " + voicemail.VOICEMAIL_DIR);
+console.log("  - Max Calls:   " + (callLimits.getCallLimiter().maxCalls || "unlimited"));
+console.log("  - Webhook:     " + (process.env.CALL_WEBHOOK_URL || "disabled"));
 console.log("\n[DEVICES] Loaded " + Object.keys(deviceRegistry.getAllDevices()).length + " device extensions");
 console.log("\nWaiting for connections...\n");
 
+// Call start/end notifications for inbound and outbound calls (see call-hooks)
+if (process.env.CALL_WEBHOOK_URL) {
+  callWebhook.registerCallWebhook(process.env.CALL_WEBHOOK_URL);
+}
+
+// Per-caller memory across calls, for devices with "memory" enabled
+callerMemory.registerCallerMemory(callerMemory.getCallerMemory(), { claudeBridge: claudeBridge });
+
+// Pick up devices.json edits without a restart; calls in progress keep their device
+deviceRegistry.on("change", function() {
+  if (registrar) registrar.sync(registrableDevices() || {});
+});
+deviceRegistry.watch();
+
+// Gauges read at scrape time: callers in the queue and SIP registrations
+metrics.queuedCalls.collect = function(gauge) {
+  var devices = callLimits.getCallLimiter().stats().devices;
+  Object.keys(devices).forEach(function(name) {
+    gauge.set({ device: name }, devices[name].queued);
+  });
+};
+metrics.sipRegistered.collect = function(gauge) {
+  if (!registrar) return;
+  var devices = deviceRegistry.getRegistrationConfigs();
+  Object.keys(devices).forEach(function(extension) {
+    gauge.set({ extension: extension, device: devices[extension].name }, registrar.isRegistered(extension) ? 1 : 0);
+  });
+};
+
 // Connect to drachtio
 srf.connect({
   host: config.drachtio.host,
@@ -119,18 +209,17 @@ srf.on("connect", function(err, hostport) {
       domain: config.sip.domain,
       registrar: config.sip.registrar,
       registrar_port: config.sip.registrar_port,
+      transport: config.sip.transport,
       local_address: localAddress,
       local_port: parseInt(process.env.DRACHTIO_SIP_PORT) || 5060,
-      expiry: config.sip.expiry
+      expiry: config.sip.expiry,
+      retry_min: config.sip.retry_min,
+      retry_max: config.sip.retry_max
     });
 
     // Register all devices from config
-    // Skip registration if no real SIP credentials (no 3CX)
-    const regConfigs = deviceRegistry.getRegistrationConfigs();
-    const hasRealCreds = Object.values(regConfigs).some(
-      d => d.authId && d.authId !== "" && d.authId !== "none"
-    );
-    if (hasRealCreds) {
+    const regConfigs = registrableDevices();
+    if (regConfigs) {
       registrar.registerAll(regConfigs);
     } else {
       console.log("[MULTI-REGISTRAR] No SIP credentials - skipping registration (direct SIP mode)");
@@ -204,6 +293,18 @@ function initializeServers() {
   ttsService.setAudioDir(config.audio_dir);
   console.log("[" + new Date().toISOString() + "] TTS Service configured");
 
+  // Pregenerate greetings and thinking phrases in the background
+  if (process.env.TTS_PREWARM !== "false") {
+    var devices = deviceRegistry.getAllDevices();
+    var phrases = [];
+    Object.keys(devices).forEach(function(extension) {
+      phrases = phrases.concat(sipHandler.getPrewarmPhrases(devices[extension]));
+    });
+    ttsService.prewarm(phrases).catch(function(err) {
+      console.error("[TTS] Prewarm failed: " + err.message);
+    });
+  }
+
   // ========== OUTBOUND CALLING ROUTES ==========
   setupOutboundRoutes({
     srf: srf,
@@ -219,6 +320,17 @@ function initializeServers() {
   httpServer.app.use("/api", outboundRouter);
   console.log("[" + new Date().toISOString() + "] OUTBOUND Calling API enabled");
 
+  // Callbacks are outbound conversation calls (see callback)
+  callback.getCallbackScheduler().configure({
+    srf: srf,
+    mediaServer: mediaServer,
+    audioForkServer: audioForkServer,
+    whisperClient: whisperClient,
+    claudeBridge: claudeBridge,
+    ttsService: ttsService,
+    wsPort: config.ws_port
+  });
+
   // ========== QUERY API ROUTES ==========
   setupQueryRoutes({
     claudeBridge: claudeBridge
@@ -227,6 +339,38 @@ function initializeServers() {
   httpServer.app.use("/api", queryRouter);
   console.log("[" + new Date().toISOString() + "] QUERY API enabled (/api/query, /api/devices)");
 
+  // ========== CALL HISTORY ROUTES ==========
+  setupHistoryRoutes({
+    callHistory: callHistory.getCallHistory()
+  });
+
+  httpServer.app.use("/api", historyRouter);
+  console.log("[" + new Date().toISOString() + "] HISTORY API enabled (/api/calls/history)");
+
+  // ========== CALLER MEMORY ROUTES ==========
+  setupMemoryRoutes({
+    callerMemory: callerMemory.getCallerMemory()
+  });
+
+  httpServer.app.use("/api", memoryRouter);
+  console.log("[" + new Date().toISOString() + "] MEMORY API enabled (/api/memory)");
+
+  // ========== VOICEMAIL ROUTES ==========
+  setupVoicemailRoutes({
+    mailbox: voicemail.getMailbox()
+  });
+
+  httpServer.app.use("/api", voicemailRouter);
+  console.log("[" + new Date().toISOString() + "] VOICEMAIL API enabled (/api/voicemail)");
+
+  // ========== SIP REGISTRATION ROUTES ==========
+  setupRegistrationRoutes({
+    getRegistrar: function() { return registrar; }
+  });
+
+  httpServer.app.use("/api", registrationRouter);
+  console.log("[" + new Date().toISOString() + "] REGISTRATION API enabled (/api/registrations)");
+
   // Finalize HTTP server
   httpServer.finalize();
 
@@ -234,6 +378,12 @@ function initializeServers() {
   setInterval(function() {
     cleanupOldFiles(config.audio_dir, 5 * 60 * 1000);
   }, 60 * 1000);
+
+  // Delete call recordings past RECORDING_RETENTION_DAYS
+  callRecorder.cleanupOldRecordings();
+  setInterval(function() {
+    callRecorder.cleanupOldRecordings();
+  }, 60 * 60 * 1000);
 }
 
 // Check ready state
@@ -248,6 +398,7 @@ function checkReadyState() {
     // Register SIP INVITE handler
     srf.invite(function(req, res) {
       handleInvite(req, res, {
+        srf: srf,
         audioForkServer: audioForkServer,
         mediaServer: mediaServer,
         deviceRegistry: deviceRegistry,
@@ -270,6 +421,7 @@ function checkReadyState() {
 // Graceful shutdown
 function shutdown(signal) {
   console.log("\n[" + new Date().toISOString() + "] Received " + signal + ", shutting down...");
+  deviceRegistry.unwatch();
   if (registrar) registrar.stop();
   if (httpServer) httpServer.close();
   if (audioForkServer) audioForkServer.stop();
@@ -0,0 +1,372 @@
+/**
+ * Caller Access Control
+ * Decides who may reach Claude on a device ("access" block in devices.json).
+ * Claude can run tools on the API host, so a caller who fails these checks
+ * is turned away politely before any query is made.
+ *
+ *   "access": {
+ *     "allow": ["+15551234567", "1001", "+1555*"],  // empty/missing = anyone
+ *     "block": ["+1900*"],
+ *     "pin": "4321",                  // optional DTMF PIN
+ *     "pinPolicy": "unlisted",        // "unlisted": only callers not on an allow list; "always": everyone;
+ *                                     // "optional": unlisted callers may skip it and get "defaultRole"
+ *     "maxAttempts": 3,               // wrong PINs before a lockout
+ *     "lockoutMinutes": 15,
+ *     "rejectMessage": "Sorry, this line is private. Goodbye.",
+ *     "roles": {                      // caller role by number or PIN (permission profile on the API server)
+ *       "admin": { "allow": ["+15551234567"], "pin": "9999" },
+ *       "family": { "allow": ["+1555*"], "pin": "1234" }
+ *     },
+ *     "defaultRole": "guest"          // everyone else who gets through
+ *   }
+ *
+ * Numbers are compared digits-only ("+1 (555) 123-4567" = "15551234567");
+ * a trailing "*" matches any number starting with the pattern. Numbers in
+ * a role's "allow" count as allowlisted, and a role's PIN opens the line too.
+ * A role PIN beats a role matched by number. Callers with a withheld number
+ * are never asked for a PIN: they are turned away where one is needed, or
+ * get defaultRole with "pinPolicy": "optional". Callers without a role get the
+ * API server's default role ("guest" unless configured), so full access
+ * needs an explicit "admin" role here.
+ * Applies to inbound calls and to outbound conversation calls (the number dialed).
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { DigitCollector } = require('./ivr');
+
+const ACCESS_DEFAULTS = {
+  pinPolicy: 'unlisted',
+  maxAttempts: 3,
+  lockoutMinutes: 15,
+  rejectMessage: "Sorry, I can't take your call on this line. Goodbye."
+};
+
+const PIN_PROMPT = 'Please enter your PIN, then press pound.';
+const OPTIONAL_PIN_PROMPT = 'If you have a PIN, enter it now. Then press pound.';
+const PIN_RETRY = "That PIN wasn't right. Please try again.";
+const PIN_TIMEOUT_MS = 10000;
+const PIN_MAX_DIGITS = 12;
+const PIN_PATTERN = /^\d{4,12}$/;
+const ROLE_PATTERN = /^[A-Za-z][\w-]*$/;
+
+function digitsOf(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+/**
+ * @param {string} callerId
+ * @param {string[]} patterns - Numbers, optionally ending in "*"
+ * @returns {boolean}
+ */
+function matchesNumber(callerId, patterns) {
+  const caller = digitsOf(callerId);
+  if (!caller || !Array.isArray(patterns)) return false;
+  return patterns.some((pattern) => {
+    const value = String(pattern).trim();
+    if (value.endsWith('*')) return caller.startsWith(digitsOf(value.slice(0, -1)));
+    return caller === digitsOf(value);
+  });
+}
+
+/**
+ * Check a device "access" block
+ * @param {Object} access
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateAccess(access) {
+  const errors = [];
+  if (!access || typeof access !== 'object') return ['access must be an object'];
+  for (const field of ['allow', 'block']) {
+    if (access[field] !== undefined && !Array.isArray(access[field])) {
+      errors.push(`access.${field} must be a list of numbers`);
+    }
+  }
+  if (access.pin !== undefined && !PIN_PATTERN.test(String(access.pin))) {
+    errors.push('access.pin must be 4-12 digits');
+  }
+  if (access.pinPolicy !== undefined && !['unlisted', 'always', 'optional'].includes(access.pinPolicy)) {
+    errors.push('access.pinPolicy must be "unlisted", "always" or "optional"');
+  }
+  if (access.pinPolicy === 'optional' && !access.defaultRole) {
+    errors.push('access.pinPolicy "optional" needs a defaultRole');
+  }
+  if (access.defaultRole !== undefined && !ROLE_PATTERN.test(String(access.defaultRole))) {
+    errors.push('access.defaultRole must be a role name');
+  }
+  if (access.roles !== undefined) validateRoles(access, errors);
+  for (const field of ['maxAttempts', 'lockoutMinutes']) {
+    if (access[field] !== undefined && !(typeof access[field] === 'number' && access[field] > 0)) {
+      errors.push(`access.${field} must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+function validateRoles(access, errors) {
+  if (!access.roles || typeof access.roles !== 'object' || Array.isArray(access.roles)) {
+    errors.push('access.roles must map role names to numbers and PINs');
+    return;
+  }
+  const pins = access.pin !== undefined ? [String(access.pin)] : [];
+  for (const [role, entry] of Object.entries(access.roles)) {
+    const where = `access.roles["${role}"]`;
+    if (!ROLE_PATTERN.test(role)) errors.push(`${where}: role names start with a letter`);
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (entry.allow !== undefined && !Array.isArray(entry.allow)) {
+      errors.push(`${where}.allow must be a list of numbers`);
+    }
+    if (entry.pin !== undefined) {
+      if (!PIN_PATTERN.test(String(entry.pin))) errors.push(`${where}.pin must be 4-12 digits`);
+      else if (pins.includes(String(entry.pin))) errors.push(`${where}.pin is already used`);
+      pins.push(String(entry.pin));
+    }
+  }
+}
+
+/**
+ * Counts wrong PINs per caller and device, and locks callers out after too many.
+ * Wrong PINs are forgotten once a lockout's length passes without another one.
+ */
+class LockoutTracker {
+  constructor() {
+    this._entries = new Map();
+  }
+
+  _entry(key, now) {
+    const entry = this._entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this._entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  _prune(now) {
+    for (const [key, entry] of this._entries) {
+      if (entry.expiresAt <= now) this._entries.delete(key);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isLocked(key, now = Date.now()) {
+    const entry = this._entry(key, now);
+    return !!(entry && entry.lockedUntil);
+  }
+
+  /**
+   * Count a wrong PIN
+   * @param {string} key
+   * @param {number} maxAttempts
+   * @param {number} lockoutMs
+   * @param {number} [now]
+   * @returns {boolean} True if this failure locked the caller out
+   */
+  recordFailure(key, maxAttempts, lockoutMs, now = Date.now()) {
+    this._prune(now);
+    const entry = this._entry(key, now) || { failures: 0, lockedUntil: null, expiresAt: 0 };
+    entry.failures++;
+    if (entry.failures >= maxAttempts) entry.lockedUntil = now + lockoutMs;
+    entry.expiresAt = now + lockoutMs;
+    this._entries.set(key, entry);
+    return !!entry.lockedUntil;
+  }
+
+  reset(key) {
+    this._entries.delete(key);
+  }
+}
+
+const lockouts = new LockoutTracker();
+
+// Only for callers with a number: a shared key for withheld numbers would let one caller lock out all of them
+function lockoutKey(deviceConfig, callerId) {
+  return (deviceConfig && deviceConfig.name ? deviceConfig.name : 'default') + ':' + digitsOf(callerId);
+}
+
+function roleEntries(access) {
+  return Object.entries(access.roles || {});
+}
+
+// Every PIN that opens the line, with the role it grants (null = no role of its own)
+function pinsOf(access) {
+  const pins = access.pin ? [{ pin: String(access.pin), role: null }] : [];
+  for (const [role, entry] of roleEntries(access)) {
+    if (entry.pin) pins.push({ pin: String(entry.pin), role });
+  }
+  return pins;
+}
+
+function isListed(access, callerId) {
+  return matchesNumber(callerId, access.allow) ||
+    roleEntries(access).some(([, entry]) => matchesNumber(callerId, entry.allow));
+}
+
+/**
+ * Role of a caller who got through: the first role listing their number,
+ * else the device's defaultRole
+ * @param {Object} access - Device "access" block
+ * @param {string} callerId
+ * @returns {string|null} Role name, or null for the API server's default
+ */
+function resolveRole(access, callerId) {
+  if (!access) return null;
+  const match = roleEntries(access).find(([, entry]) => matchesNumber(callerId, entry.allow));
+  if (match) return match[0];
+  return access.defaultRole || null;
+}
+
+/**
+ * Decide what a caller needs before reaching Claude
+ * @param {Object} deviceConfig - Device (uses its "access" block)
+ * @param {string} callerId - Caller ID, or the number dialed for outbound calls
+ * @param {LockoutTracker} [tracker]
+ * @returns {Object} { decision: 'allow' | 'pin' | 'reject', reason }
+ */
+function evaluateAccess(deviceConfig, callerId, tracker = lockouts) {
+  const access = deviceConfig && deviceConfig.access;
+  if (!access) return { decision: 'allow', reason: 'no_policy' };
+
+  // A policy we can't read locks the device rather than opening it
+  if (validateAccess(access).length > 0) {
+    return { decision: 'reject', reason: 'invalid_policy' };
+  }
+
+  const anonymous = !digitsOf(callerId);
+  if (!anonymous && tracker.isLocked(lockoutKey(deviceConfig, callerId))) {
+    return { decision: 'reject', reason: 'locked_out' };
+  }
+  if (matchesNumber(callerId, access.block)) {
+    return { decision: 'reject', reason: 'blocked' };
+  }
+
+  const hasAllowList = (Array.isArray(access.allow) && access.allow.length > 0) ||
+    roleEntries(access).some(([, entry]) => Array.isArray(entry.allow) && entry.allow.length > 0);
+  const listed = hasAllowList && isListed(access, callerId);
+
+  if (pinsOf(access).length > 0) {
+    const policy = access.pinPolicy || ACCESS_DEFAULTS.pinPolicy;
+    if (policy !== 'always' && listed) return { decision: 'allow', reason: 'allowlisted' };
+    // Wrong PINs can't be held against a withheld number, so it gets no PIN prompt to guess at
+    if (anonymous) {
+      return policy === 'optional'
+        ? { decision: 'allow', reason: 'no_pin' }
+        : { decision: 'reject', reason: 'anonymous' };
+    }
+    return { decision: 'pin', reason: 'pin_required' };
+  }
+
+  if (hasAllowList && !listed) return { decision: 'reject', reason: 'not_allowed' };
+  return { decision: 'allow', reason: hasAllowList ? 'allowlisted' : 'open' };
+}
+
+function pinMatches(entered, pin) {
+  const a = Buffer.from(String(entered));
+  const b = Buffer.from(String(pin));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read digits until # (or the longest PIN), or a pause
+ * @param {DigitCollector} digits
+ * @returns {Promise<string>} Digits entered ('' if none)
+ */
+async function collectPin(digits) {
+  let entered = '';
+  while (entered.length < PIN_MAX_DIGITS) {
+    const digit = await digits.next(PIN_TIMEOUT_MS);
+    if (digit === null || digit === '#') break;
+    if (digit === '*') {
+      entered = ''; // Start over
+      continue;
+    }
+    entered += digit;
+  }
+  return entered;
+}
+
+/**
+ * Apply the device's access policy to a connected call
+ * Asks for the PIN when needed and speaks the rejection message on failure.
+ *
+ * @param {Object} options
+ * @param {Object} options.endpoint - FreeSWITCH endpoint
+ * @param {Object} options.deviceConfig - Device (uses its "access" block)
+ * @param {string} options.callerId - Caller ID, or the number dialed for outbound calls
+ * @param {Function} options.speak - (text) => Promise; plays a line in the device's voice
+ * @param {string} [options.rejectMessage] - Spoken on refusal instead of the device's own message
+ * @param {LockoutTracker} [options.tracker]
+ * @returns {Promise<{allowed: boolean, reason: string, role: string|null}>} role is set when allowed
+ */
+async function authorizeCaller({ endpoint, deviceConfig, callerId, speak, rejectMessage, tracker = lockouts }) {
+  const access = Object.assign({}, ACCESS_DEFAULTS, deviceConfig && deviceConfig.access);
+  if (rejectMessage) access.rejectMessage = rejectMessage;
+  const check = evaluateAccess(deviceConfig, callerId, tracker);
+  const callUuid = endpoint.uuid;
+
+  const reject = async (reason) => {
+    logger.warn('Caller rejected', { callUuid, callerId, device: deviceConfig && deviceConfig.name, reason });
+    try {
+      await speak(access.rejectMessage);
+    } catch (e) {
+      // Caller may already be gone
+    }
+    return { allowed: false, reason, role: null };
+  };
+  const allow = (reason, role) => ({ allowed: true, reason, role: role || resolveRole(access, callerId) });
+
+  if (check.decision === 'allow') return allow(check.reason);
+  if (check.decision === 'reject') return reject(check.reason);
+
+  // PIN challenge
+  const key = lockoutKey(deviceConfig, callerId);
+  const pins = pinsOf(access);
+  const optional = access.pinPolicy === 'optional';
+  let digits = null;
+  try {
+    await endpoint.api('uuid_recv_dtmf', endpoint.uuid + ' true');
+    digits = new DigitCollector(endpoint);
+
+    for (let attempt = 1; attempt <= access.maxAttempts; attempt++) {
+      await speak(attempt > 1 ? PIN_RETRY : optional ? OPTIONAL_PIN_PROMPT : PIN_PROMPT);
+      const entered = await collectPin(digits);
+
+      if (!entered && optional) return allow('no_pin');
+
+      const match = entered ? pins.find(entry => pinMatches(entered, entry.pin)) : null;
+      if (match) {
+        tracker.reset(key);
+        logger.info('Caller PIN accepted', { callUuid, callerId, role: match.role });
+        return allow('pin', match.role);
+      }
+
+      logger.warn('Caller PIN rejected', { callUuid, callerId, attempt });
+      const locked = tracker.recordFailure(key, access.maxAttempts, access.lockoutMinutes * 60 * 1000);
+      if (locked) return reject('locked_out');
+    }
+    return reject('pin_failed');
+  } catch (error) {
+    // Hang-up or media error mid-challenge: never fall through to Claude
+    logger.info('PIN challenge ended', { callUuid, error: error.message });
+    return { allowed: false, reason: 'pin_aborted', role: null };
+  } finally {
+    if (digits) digits.close();
+  }
+}
+
+module.exports = {
+  authorizeCaller,
+  evaluateAccess,
+  resolveRole,
+  validateAccess,
+  matchesNumber,
+  LockoutTracker,
+  ACCESS_DEFAULTS
+};
@@ -1,50 +1,46 @@
 const { EventEmitter } = require('node:events');
 const WebSocket = require('ws');
+const { VAD_DEFAULTS, CALIBRATION_MS, pcmStats, resolveVadConfig, createVadState, processFrame } = require('./vad');
 
-function pcmStats(buf, endian = 'LE') {
-  const sampleCount = Math.floor(buf.length / 2);
-  if (sampleCount <= 0) {
-    return { sampleCount: 0, rms: 0, maxAbs: 0, nearZeroRatio: 1 };
-  }
+// Barge-in defaults (overridable per device via devices.json "bargeIn")
+const BARGE_IN_DEFAULTS = {
+  enabled: false,
+  minSpeechMs: 400,         // sustained caller speech needed to interrupt playback
+  echoGuardMs: 300,         // ignore audio right after playback starts (line echo settles)
+  thresholdMultiplier: 2    // speech must be this much louder than normal VAD thresholds
+};
 
-  let sumSquares = 0;
-  let maxAbs = 0;
-  let nearZero = 0;
-  const read = endian === 'BE' ? Buffer.prototype.readInt16BE : Buffer.prototype.readInt16LE;
-
-  for (let i = 0; i < sampleCount; i++) {
-    const sample = read.call(buf, i * 2);
-    const abs = Math.abs(sample);
-    sumSquares += abs * abs;
-    if (abs > maxAbs) maxAbs = abs;
-    if (abs < 200) nearZero++;
-  }
-
-  const rms = Math.sqrt(sumSquares / sampleCount);
-  return { sampleCount, rms, maxAbs, nearZeroRatio: nearZero / sampleCount };
-}
+// A gap this long during playback means the "speech" was a blip, not the caller talking
+const BARGE_IN_MAX_GAP_MS = 250;
 
 class AudioForkSession extends EventEmitter {
   constructor({
     ws,
     callUuid,
     sampleRate = 16000,
-    endSilenceMs = 1500,
-    minSpeechMs = 350,
+    channels = 1,
+    endSilenceMs = VAD_DEFAULTS.endSilenceMs,
+    minSpeechMs = VAD_DEFAULTS.minSpeechMs,
     maxUtteranceMs = 60000
   }) {
     super();
     this.ws = ws;
     this.callUuid = callUuid;
     this.sampleRate = sampleRate;
+    // 2 = stereo fork (caller left, playback right); VAD only looks at the caller
+    this.channels = channels;
 
     this.endSilenceMs = endSilenceMs;
     this.minSpeechMs = minSpeechMs;
     this.maxUtteranceMs = maxUtteranceMs;
+    this.sensitivity = VAD_DEFAULTS.sensitivity;
 
     this.captureEnabled = true;
     this._pcmEndian = null;
 
+    // Adaptive VAD: noise floor is calibrated and tracked per call (see vad.js)
+    this._vadState = createVadState();
+
     this._preRollChunks = [];
     this._preRollBytes = 0;
     this._preRollMaxBytes = Math.floor((this.sampleRate * 0.2) * 2);
@@ -55,6 +51,12 @@ class AudioForkSession extends EventEmitter {
     this._speechBytes = 0;
     this._silenceMs = 0;
 
+    // Barge-in: VAD keeps running while a response plays (see beginPlayback)
+    this.bargeIn = { ...BARGE_IN_DEFAULTS };
+    this._playbackActive = false;
+    this._playbackElapsedMs = 0;
+    this._bargeGapMs = 0;
+
     // DEBUG: Track message counts
     this._messageCount = 0;
     this._binaryCount = 0;
@@ -80,6 +82,71 @@ class AudioForkSession extends EventEmitter {
     if (!this.captureEnabled) this._resetUtterance();
   }
 
+  /**
+   * Apply per-device VAD settings (devices.json "vad" block)
+   * @param {Object} [options] - { endSilenceMs, minSpeechMs, sensitivity }
+   */
+  configureVad(options) {
+    const vad = resolveVadConfig(options);
+    this.endSilenceMs = vad.endSilenceMs;
+    this.minSpeechMs = vad.minSpeechMs;
+    this.sensitivity = vad.sensitivity;
+    console.log('[AUDIO-DEBUG] VAD configured for ' + this.callUuid + ' (endSilenceMs=' + this.endSilenceMs + ', minSpeechMs=' + this.minSpeechMs + ', sensitivity=' + this.sensitivity + ')');
+  }
+
+  /**
+   * Apply per-device barge-in settings (devices.json "bargeIn" block)
+   * @param {Object} [options] - { enabled, minSpeechMs, echoGuardMs, thresholdMultiplier }
+   */
+  configureBargeIn(options) {
+    const opts = options || {};
+    this.bargeIn = {
+      enabled: Boolean(opts.enabled),
+      minSpeechMs: Number(opts.minSpeechMs) || BARGE_IN_DEFAULTS.minSpeechMs,
+      echoGuardMs: Number.isFinite(Number(opts.echoGuardMs)) ? Number(opts.echoGuardMs) : BARGE_IN_DEFAULTS.echoGuardMs,
+      thresholdMultiplier: Number(opts.thresholdMultiplier) || BARGE_IN_DEFAULTS.thresholdMultiplier
+    };
+    console.log('[AUDIO-DEBUG] Barge-in ' + (this.bargeIn.enabled ? 'enabled' : 'disabled') + ' for ' + this.callUuid + ' (minSpeechMs=' + this.bargeIn.minSpeechMs + ', echoGuardMs=' + this.bargeIn.echoGuardMs + ', x' + this.bargeIn.thresholdMultiplier + ')');
+  }
+
+  /**
+   * Start listening for barge-in while the caller hears playback.
+   * Capture stays on, but speech has to be louder and sustained before it
+   * counts, so line echo of our own audio doesn't interrupt us.
+   * Emits 'bargein' once, then continues as a normal utterance.
+   * @returns {boolean} false if barge-in is disabled for this session
+   */
+  beginPlayback() {
+    if (!this.bargeIn.enabled) return false;
+    this._resetUtterance();
+    this._preRollChunks = [];
+    this._preRollBytes = 0;
+    this._playbackActive = true;
+    this._playbackElapsedMs = 0;
+    this._bargeGapMs = 0;
+    this.captureEnabled = true;
+    return true;
+  }
+
+  /**
+   * Playback finished without the caller interrupting
+   */
+  endPlayback() {
+    if (!this._playbackActive) return;
+    this._playbackActive = false;
+    this.captureEnabled = false;
+    this._resetUtterance();
+  }
+
+  isPlaybackActive() {
+    return this._playbackActive;
+  }
+
+  // True while the VAD hears the caller talking (capture must be enabled)
+  isSpeaking() {
+    return this._inSpeech;
+  }
+
   _chunkDurationMs(byteLen) {
     const samples = Math.floor(byteLen / 2);
     return (samples / this.sampleRate) * 1000;
@@ -128,6 +195,8 @@ class AudioForkSession extends EventEmitter {
     const durationMs = this._chunkDurationMs(this._utteranceBytes);
     const speechMs = this._chunkDurationMs(this._speechBytes);
     const speechRatio = this._utteranceBytes > 0 ? this._speechBytes / this._utteranceBytes : 0;
+    // How long the caller had been quiet when end-of-speech was detected
+    const trailingSilenceMs = this._silenceMs;
 
     const audio = Buffer.concat(this._utteranceChunks);
     this._resetUtterance();
@@ -144,7 +213,7 @@ class AudioForkSession extends EventEmitter {
       return false;
     }
     console.log('[AUDIO-DEBUG] Utterance ACCEPTED, emitting event');
-    this.emit('utterance', { callUuid: this.callUuid, audio, durationMs, speechMs, reason });
+    this.emit('utterance', { callUuid: this.callUuid, audio, durationMs, speechMs, trailingSilenceMs, reason });
     return true;
   }
 
@@ -163,6 +232,19 @@ class AudioForkSession extends EventEmitter {
     return this._finalizeUtterance('dtmf_trigger');
   }
 
+  /**
+   * Left channel of an interleaved stereo chunk (the caller)
+   */
+  _callerChannel(buf) {
+    const frames = Math.floor(buf.length / 4);
+    const out = Buffer.alloc(frames * 2);
+    for (let i = 0; i < frames; i++) {
+      out[i * 2] = buf[i * 4];
+      out[i * 2 + 1] = buf[i * 4 + 1];
+    }
+    return out;
+  }
+
   _detectEndian(buf) {
     const le = pcmStats(buf, 'LE');
     const be = pcmStats(buf, 'BE');
@@ -173,16 +255,22 @@ class AudioForkSession extends EventEmitter {
     return result;
   }
 
-  _isSpeech(buf) {
+  /**
+   * @param {Buffer} buf - Caller audio
+   * @param {number} [multiplier=1] - Scales the speech thresholds
+   * @param {boolean} [trackFloor=true] - Let this chunk move the noise floor
+   * @returns {boolean}
+   */
+  _isSpeech(buf, multiplier = 1, trackFloor = true) {
     if (!this._pcmEndian) this._pcmEndian = this._detectEndian(buf);
     const stats = pcmStats(buf, this._pcmEndian);
 
-    const rmsThreshold = 650;
-    const maxThreshold = 2200;
-
-    const looksSilent = stats.nearZeroRatio > 0.94 && stats.rms < rmsThreshold;
-    if (looksSilent) return false;
-    return stats.maxAbs >= maxThreshold || stats.rms >= rmsThreshold;
+    const result = processFrame(this._vadState, stats, this._chunkDurationMs(buf.length), {
+      sensitivity: this.sensitivity,
+      multiplier
+    });
+    if (trackFloor) this._vadState = result.state;
+    return result.isSpeech;
   }
 
   _onMessage(data) {
@@ -211,6 +299,10 @@ class AudioForkSession extends EventEmitter {
 
     this._binaryCount++;
 
+    // Raw fork audio (both channels) for recording
+    this.emit('audio', data);
+    if (this.channels === 2) data = this._callerChannel(data);
+
     // Log periodically (every 50 chunks or every 5 seconds)
     const now = Date.now();
     if (this._binaryCount % 50 === 1 || now - this._lastLogTime > 5000) {
@@ -225,13 +317,15 @@ class AudioForkSession extends EventEmitter {
 
     if (data.length < 2) return;
 
+    if (this._playbackActive) return this._onPlaybackChunk(data);
+
     const isSpeech = this._isSpeech(data);
     const chunkMs = this._chunkDurationMs(data.length);
 
     // Log speech detection periodically
     if (this._binaryCount % 50 === 1) {
       const stats = pcmStats(data, this._pcmEndian || 'LE');
-      console.log('[AUDIO-DEBUG] VAD: isSpeech=' + isSpeech + ', inSpeech=' + this._inSpeech + ', silenceMs=' + Math.round(this._silenceMs) + ', RMS=' + Math.round(stats.rms) + ', max=' + stats.maxAbs);
+      console.log('[AUDIO-DEBUG] VAD: isSpeech=' + isSpeech + ', inSpeech=' + this._inSpeech + ', silenceMs=' + Math.round(this._silenceMs) + ', RMS=' + Math.round(stats.rms) + ', max=' + stats.maxAbs + ', noiseFloor=' + Math.round(this._vadState.noiseFloor || 0));
     }
 
     if (!this._inSpeech) {
@@ -250,6 +344,48 @@ class AudioForkSession extends EventEmitter {
     if (this._silenceMs >= this.endSilenceMs) return this._finalizeUtterance('end_silence');
   }
 
+  /**
+   * VAD while a response is playing: only sustained, loud speech counts.
+   * Once it does, the buffered audio becomes the start of the next utterance.
+   */
+  _onPlaybackChunk(data) {
+    const chunkMs = this._chunkDurationMs(data.length);
+    this._playbackElapsedMs += chunkMs;
+    if (this._playbackElapsedMs <= this.bargeIn.echoGuardMs) return;
+
+    // Echo of our own playback would raise the noise floor and hide the caller's next turn.
+    // Calibration (often during the greeting) keeps the quietest chunk, so it can go on.
+    const calibrating = this._vadState.calibrationMs < CALIBRATION_MS;
+    const isSpeech = this._isSpeech(data, this.bargeIn.thresholdMultiplier, calibrating);
+
+    if (!this._inSpeech) {
+      this._rememberPreRoll(data);
+      if (!isSpeech) return;
+      this._startUtteranceWithPreRoll();
+      this._bargeGapMs = 0;
+    }
+
+    this._appendUtterance(data, isSpeech);
+
+    if (isSpeech) {
+      this._bargeGapMs = 0;
+    } else {
+      this._bargeGapMs += chunkMs;
+      if (this._bargeGapMs >= BARGE_IN_MAX_GAP_MS) {
+        this._resetUtterance();
+        return;
+      }
+    }
+
+    const speechMs = this._chunkDurationMs(this._speechBytes);
+    if (speechMs >= this.bargeIn.minSpeechMs) {
+      this._playbackActive = false;
+      this._silenceMs = 0;
+      console.log('[AUDIO-DEBUG] BARGE-IN detected for ' + this.callUuid + ' after ' + Math.round(speechMs) + 'ms of speech');
+      this.emit('bargein', { callUuid: this.callUuid, speechMs });
+    }
+  }
+
   waitForUtterance({ timeoutMs = 30000 } = {}) {
     console.log('[AUDIO-DEBUG] waitForUtterance called, timeoutMs=' + timeoutMs + ', captureEnabled=' + this.captureEnabled);
     return new Promise((resolve, reject) => {
@@ -323,7 +459,7 @@ class AudioForkServer extends EventEmitter {
           console.log('[AUDIO-DEBUG] No pending expectation for ' + callUuid + ', creating session anyway');
         }
 
-        const session = new AudioForkSession({ ws, callUuid });
+        const session = new AudioForkSession({ ws, callUuid, channels: pending ? pending.channels : 1 });
         this._sessions.set(callUuid, session);
         session.on('close', () => this._sessions.delete(callUuid));
         session.on('error', () => this._sessions.delete(callUuid));
@@ -341,7 +477,7 @@ class AudioForkServer extends EventEmitter {
       }
 
       clearTimeout(pending.timeout);
-      const session = new AudioForkSession({ ws, callUuid: pending.callUuid });
+      const session = new AudioForkSession({ ws, callUuid: pending.callUuid, channels: pending.channels });
       this._sessions.set(pending.callUuid, session);
       session.on('close', () => this._sessions.delete(pending.callUuid));
       session.on('error', () => this._sessions.delete(pending.callUuid));
@@ -379,7 +515,15 @@ class AudioForkServer extends EventEmitter {
     return false;
   }
 
-  expectSession(callUuid, { timeoutMs = 5000 } = {}) {
+  /**
+   * Wait for the fork of a call to connect
+   * @param {string} callUuid
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Default: 5000
+   * @param {number} [options.channels] - 2 when the fork was started with mixType "stereo"
+   * @returns {Promise<AudioForkSession>}
+   */
+  expectSession(callUuid, { timeoutMs = 5000, channels = 1 } = {}) {
     console.log('[AUDIO-DEBUG] expectSession called for ' + callUuid + ', timeoutMs=' + timeoutMs);
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
@@ -389,7 +533,7 @@ class AudioForkServer extends EventEmitter {
         reject(new Error('Timed out waiting for WebSocket audio session (' + timeoutMs + 'ms) for call ' + callUuid));
       }, timeoutMs);
 
-      this._pending.push({ callUuid, resolve, reject, timeout });
+      this._pending.push({ callUuid, channels, resolve, reject, timeout });
     });
   }
 
@@ -0,0 +1,186 @@
+/**
+ * Call History Store
+ * Persistent record of every inbound and outbound call: caller, device,
+ * timestamps, turns (with Claude's full responses) and why the call ended.
+ *
+ * - Storage: append-only JSONL, one line per finished call (CALL_HISTORY_FILE)
+ * - The file is read into memory at startup; search runs over that copy
+ * - A truncated last line (crash mid-write) is skipped on load
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const CALL_HISTORY_FILE = process.env.CALL_HISTORY_FILE || path.join(__dirname, '..', 'data', 'call-history.jsonl');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class CallHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSONL file (default: CALL_HISTORY_FILE)
+   */
+  constructor({ file = CALL_HISTORY_FILE } = {}) {
+    this.file = file;
+    this.calls = [];        // oldest first
+    this.byId = new Map();
+    this._writes = Promise.resolve();
+  }
+
+  /**
+   * Read existing history from disk
+   * @returns {CallHistory} this
+   */
+  load() {
+    this.calls = [];
+    this.byId.clear();
+
+    let content = '';
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this._index(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    logger.info('Call history loaded', { file: this.file, calls: this.calls.length, skipped });
+    return this;
+  }
+
+  _index(record) {
+    if (!record || !record.id) throw new Error('Call record needs an id');
+    // A call written twice keeps its latest version
+    if (this.byId.has(record.id)) {
+      this.calls = this.calls.filter(call => call.id !== record.id);
+    }
+    this.calls.push(record);
+    this.byId.set(record.id, record);
+  }
+
+  /**
+   * Store a finished call
+   * @param {Object} record - { id, direction, callerId, to, device, startedAt, endedAt, endReason, turns, ... }
+   * @returns {Promise<Object>} The stored record, once it is on disk
+   */
+  add(record) {
+    const stored = Object.assign({ turns: [] }, record);
+    if (stored.startedAt && stored.endedAt && stored.durationSeconds === undefined) {
+      stored.durationSeconds = Math.round((Date.parse(stored.endedAt) - Date.parse(stored.startedAt)) / 1000);
+    }
+    this._index(stored);
+
+    const line = JSON.stringify(stored) + '\n';
+    this._writes = this._writes.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, line);
+    }).catch((error) => {
+      logger.error('Failed to write call history', { callId: stored.id, error: error.message });
+    });
+
+    return this._writes.then(() => stored);
+  }
+
+  /**
+   * @param {string} id - Call ID
+   * @returns {Object|null} Full record including turns
+   */
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Filter and search calls, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.q] - Words that must all appear in the transcript (case-insensitive)
+   * @param {string} [filters.direction] - "inbound" or "outbound"
+   * @param {string} [filters.device] - Device name (case-insensitive)
+   * @param {string} [filters.caller] - Substring of the caller ID or dialed number
+   * @param {string} [filters.endReason] - Exact end reason
+   * @param {string} [filters.since] - ISO date; calls started at or after
+   * @param {string} [filters.until] - ISO date; calls started before
+   * @param {number} [filters.limit] - Default 50, max 500
+   * @param {number} [filters.offset] - Default 0
+   * @returns {Object} { total, calls } - calls are summaries (no turns) with matching lines for q
+   */
+  search(filters = {}) {
+    const terms = (filters.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const device = filters.device ? filters.device.toLowerCase() : null;
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(filters.limit) || DEFAULT_LIMIT));
+    const offset = Math.max(0, parseInt(filters.offset) || 0);
+
+    const matches = [];
+    for (let i = this.calls.length - 1; i >= 0; i--) {
+      const call = this.calls[i];
+      if (filters.direction && call.direction !== filters.direction) continue;
+      if (device && String(call.device || '').toLowerCase() !== device) continue;
+      if (filters.endReason && call.endReason !== filters.endReason) continue;
+      if (filters.caller && !String(call.callerId || '').includes(filters.caller) &&
+          !String(call.to || '').includes(filters.caller)) continue;
+
+      const started = Date.parse(call.startedAt);
+      if (since !== null && !(started >= since)) continue;
+      if (until !== null && !(started < until)) continue;
+
+      if (terms.length) {
+        const transcript = call.turns.map(turnText).join('\n').toLowerCase();
+        if (!terms.every(term => transcript.includes(term))) continue;
+        const lines = call.turns.filter(turn => terms.some(term => turnText(turn).toLowerCase().includes(term)));
+        matches.push(Object.assign(summarize(call), {
+          matches: lines.slice(0, 3).map(turn => ({ role: turn.role, text: turn.text }))
+        }));
+      } else {
+        matches.push(summarize(call));
+      }
+    }
+
+    return { total: matches.length, calls: matches.slice(offset, offset + limit) };
+  }
+}
+
+// Searchable text of a turn: what was said, plus Claude's full response
+function turnText(turn) {
+  return (turn.text || '') + (turn.response ? '\n' + turn.response : '');
+}
+
+/**
+ * A call without its turns, for listings
+ * @param {Object} call
+ * @returns {Object}
+ */
+function summarize(call) {
+  const summary = Object.assign({}, call);
+  delete summary.turns;
+  summary.turnCount = call.turns.length;
+  return summary;
+}
+
+let shared = null;
+
+/**
+ * The store used by the voice-app (loaded on first use)
+ * @returns {CallHistory}
+ */
+function getCallHistory() {
+  if (!shared) shared = new CallHistory().load();
+  return shared;
+}
+
+module.exports = {
+  CallHistory,
+  CALL_HISTORY_FILE,
+  getCallHistory,
+  summarize
+};
@@ -0,0 +1,110 @@
+/**
+ * Call Hooks
+ * Named extension points in the turn pipeline (see conversation-loop), shared
+ * by inbound and outbound calls. Register a handler once and it runs for
+ * every call in both directions.
+ *
+ * Handlers are called in registration order as handler(payload, call) and
+ * may be async. They customise a call by changing fields on the payload:
+ *
+ * - onCallStart      { startedAt }                         before the audio fork starts
+ * - beforeTranscribe { audio, durationMs }                 replace audio before STT
+ * - afterTranscript  { transcript }                        rewrite what the caller said ('' = not heard)
+ * - beforeClaude     { prompt, queryOptions }              rewrite the prompt or query options
+ * - afterClaude      { transcript, response, voiceLine, endCall, transfer }
+ *                                                          set endCall to hang up after this turn, or
+ *                                                          transfer to hand the caller to the device's transfer target
+ * - beforeSpeak      { text, kind }                        rewrite any line before TTS ('' = skip fixed lines)
+ * - onCallEnd        { endReason, endedAt, recorded }      after cleanup; the recording is saved
+ * - onVoicemail      { message }                           a voicemail was saved (see voicemail)
+ *
+ * The call argument is the same object for the whole call:
+ * { callUuid, direction, callerId, role, deviceConfig, startedAt, turns, endpoint, session }
+ * plus transfer ({ method, target }) once the caller has been transferred.
+ *
+ * A handler that throws is logged and skipped; it never ends the call.
+ */
+
+const logger = require('./logger');
+
+const HOOK_NAMES = [
+  'onCallStart',
+  'beforeTranscribe',
+  'afterTranscript',
+  'beforeClaude',
+  'afterClaude',
+  'beforeSpeak',
+  'onCallEnd',
+  'onVoicemail'
+];
+
+class CallHooks {
+  constructor() {
+    this._handlers = new Map(HOOK_NAMES.map(name => [name, []]));
+  }
+
+  /**
+   * @param {string} name - One of HOOK_NAMES
+   * @param {Function} handler - (payload, call) => void | Promise<void>
+   * @returns {Function} Unregisters the handler
+   */
+  register(name, handler) {
+    if (!this._handlers.has(name)) {
+      throw new Error(`Unknown call hook "${name}" (expected one of: ${HOOK_NAMES.join(', ')})`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for call hook "${name}" must be a function`);
+    }
+    this._handlers.get(name).push(handler);
+    return () => this.unregister(name, handler);
+  }
+
+  unregister(name, handler) {
+    const handlers = this._handlers.get(name);
+    if (!handlers) return;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+  }
+
+  /**
+   * Run every handler for a hook
+   * @param {string} name
+   * @param {Object} payload - Handlers may change its fields
+   * @param {Object} call - Per-call context
+   * @returns {Promise<Object>} The payload, after all handlers ran
+   */
+  async run(name, payload, call) {
+    for (const handler of this._handlers.get(name).slice()) {
+      try {
+        await handler(payload, call);
+      } catch (error) {
+        logger.error('Call hook failed', {
+          hook: name,
+          callUuid: call ? call.callUuid : null,
+          error: error.message
+        });
+      }
+    }
+    return payload;
+  }
+}
+
+// Hooks used by every call unless a call is given its own
+const hooks = new CallHooks();
+
+/**
+ * Register a handler on the shared hooks
+ * @param {string} name - One of HOOK_NAMES
+ * @param {Function} handler - (payload, call) => void | Promise<void>
+ * @returns {Function} Unregisters the handler
+ */
+function registerHook(name, handler) {
+  return hooks.register(name, handler);
+}
+
+module.exports = {
+  CallHooks,
+  HOOK_NAMES,
+  hooks,
+  registerHook
+};
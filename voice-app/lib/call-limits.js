@@ -0,0 +1,347 @@
+/**
+ * Call Limits
+ * Caps how many calls talk at once, globally and per device. Every
+ * conversation runs its own claude process on the API server, so a burst of
+ * calls could otherwise take that host down.
+ *
+ * An inbound call that finds no free line either gets 486 Busy or waits in a
+ * queue: hold music, its place in line every so often, and voicemail or a
+ * hang-up once it has waited too long. Calls the app places itself never
+ * queue: outbound conversation calls are refused, callbacks retry later, and
+ * a transfer that finds no line tells the caller it couldn't connect them.
+ * Transfer legs count against MAX_CONCURRENT_CALLS only, since the caller
+ * already holds the device's line.
+ *
+ * MAX_CONCURRENT_CALLS caps all devices together (0 = no limit).
+ *
+ * Device "limits" block in devices.json:
+ *   {
+ *     "maxCalls": 2,               // calls this device talks to at once
+ *     "whenFull": "queue",         // "busy" (486) or "queue"
+ *     "maxQueue": 5,               // callers waiting before new ones get 486
+ *     "maxWaitSeconds": 180,       // longest wait in the queue
+ *     "announceSeconds": 30,       // how often waiting callers hear their place in line
+ *     "onTimeout": "voicemail"     // "voicemail" (if the device takes messages) or "hangup"
+ *   }
+ */
+
+const logger = require('./logger');
+
+const LIMIT_DEFAULTS = {
+  maxCalls: 0,
+  whenFull: 'busy',
+  maxQueue: 10,
+  maxWaitSeconds: 180,
+  announceSeconds: 30,
+  onTimeout: 'hangup'
+};
+
+const HOLD_MUSIC_URL = 'http://127.0.0.1:3000/static/hold-music.mp3';
+
+/**
+ * Check a device "limits" block
+ * @param {Object} limits
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object') return ['limits must be an object'];
+
+  const errors = [];
+  for (const key of ['maxCalls', 'maxQueue']) {
+    if (limits[key] !== undefined && !(Number.isInteger(limits[key]) && limits[key] >= 0)) {
+      errors.push(`limits.${key} must be a whole number (0 = no limit)`);
+    }
+  }
+  for (const key of ['maxWaitSeconds', 'announceSeconds']) {
+    if (limits[key] !== undefined && !(typeof limits[key] === 'number' && limits[key] > 0)) {
+      errors.push(`limits.${key} must be a positive number`);
+    }
+  }
+  if (limits.whenFull !== undefined && !['busy', 'queue'].includes(limits.whenFull)) {
+    errors.push('limits.whenFull must be "busy" or "queue"');
+  }
+  if (limits.onTimeout !== undefined && !['voicemail', 'hangup'].includes(limits.onTimeout)) {
+    errors.push('limits.onTimeout must be "voicemail" or "hangup"');
+  }
+  return errors;
+}
+
+/**
+ * Limit settings of a device
+ * @param {Object} deviceConfig
+ * @returns {Object} Defaults merged with the device's "limits" block
+ */
+function limitSettings(deviceConfig) {
+  return Object.assign({}, LIMIT_DEFAULTS, deviceConfig && deviceConfig.limits);
+}
+
+/**
+ * Tracks calls in progress and hands freed lines to waiting callers in order
+ */
+class CallLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCalls] - Calls across all devices (0 = no limit; default: MAX_CONCURRENT_CALLS)
+   */
+  constructor(options = {}) {
+    this.maxCalls = options.maxCalls !== undefined
+      ? options.maxCalls
+      : parseInt(process.env.MAX_CONCURRENT_CALLS || '0', 10) || 0;
+    this.total = 0;
+    this.byDevice = new Map();
+    this.waiting = [];
+  }
+
+  /**
+   * @param {string} [device] - Device name (default: all devices)
+   * @returns {number} Calls in progress
+   */
+  activeCalls(device) {
+    return device === undefined ? this.total : (this.byDevice.get(device) || 0);
+  }
+
+  /**
+   * @param {string} [device] - Device name (default: all devices)
+   * @returns {number} Callers waiting for a line
+   */
+  queuedCalls(device) {
+    return device === undefined ? this.waiting.length : this.waiting.filter(w => w.device === device).length;
+  }
+
+  _hasRoom(device, deviceMax) {
+    if (this.maxCalls && this.total >= this.maxCalls) return false;
+    if (deviceMax && this.activeCalls(device) >= deviceMax) return false;
+    return true;
+  }
+
+  _take(device) {
+    this.total++;
+    this.byDevice.set(device, this.activeCalls(device) + 1);
+    let released = false;
+    return {
+      device,
+      release: () => {
+        if (released) return;
+        released = true;
+        this.total--;
+        this.byDevice.set(device, this.activeCalls(device) - 1);
+        this._grant();
+      }
+    };
+  }
+
+  // Waiting callers only ever wait on a full line, so a freed line goes to
+  // the first of them that fits before any new call can take it
+  _grant() {
+    for (let i = 0; i < this.waiting.length; i++) {
+      const entry = this.waiting[i];
+      if (!this._hasRoom(entry.device, entry.deviceMax)) continue;
+      this.waiting.splice(i, 1);
+      i--;
+      entry.resolve(this._take(entry.device));
+    }
+  }
+
+  /**
+   * Take a line if one is free
+   * @param {string} device - Device name
+   * @param {number} [deviceMax] - The device's own limit (0 = none)
+   * @returns {{device: string, release: Function}|null} The line; release() when the call is done
+   */
+  tryAcquire(device, deviceMax = 0) {
+    return this._hasRoom(device, deviceMax) ? this._take(device) : null;
+  }
+
+  /**
+   * Wait in line for a call slot
+   * @param {string} device - Device name
+   * @param {number} [deviceMax] - The device's own limit (0 = none)
+   * @param {number} [maxQueue] - Callers already waiting for this device before the queue is full (0 = no limit)
+   * @returns {{slot: Promise<Object>, position: Function, cancel: Function}|null} null when the queue is full
+   */
+  enqueue(device, deviceMax = 0, maxQueue = 0) {
+    if (maxQueue && this.queuedCalls(device) >= maxQueue) return null;
+
+    const entry = { device, deviceMax };
+    let granted = null;
+    entry.slot = new Promise((resolve) => {
+      entry.resolve = (slot) => {
+        granted = slot;
+        resolve(slot);
+      };
+    });
+    this.waiting.push(entry);
+    this._grant();
+
+    return {
+      slot: entry.slot,
+      // Callers ahead that want the same line: the same device, or any device under a global limit
+      position: () => {
+        const index = this.waiting.indexOf(entry);
+        if (index === -1) return 0;
+        return this.waiting.slice(0, index).filter(w => this.maxCalls || w.device === device).length + 1;
+      },
+      // Leave the queue; a line granted in the meantime is given back
+      cancel: () => {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) this.waiting.splice(index, 1);
+        if (granted) granted.release();
+      }
+    };
+  }
+
+  /**
+   * @returns {{active: number, queued: number, maxCalls: number, devices: Object}}
+   */
+  stats() {
+    const devices = {};
+    for (const [device, active] of this.byDevice) devices[device] = { active, queued: 0 };
+    for (const entry of this.waiting) {
+      devices[entry.device] = devices[entry.device] || { active: 0, queued: 0 };
+      devices[entry.device].queued++;
+    }
+    return { active: this.total, queued: this.waiting.length, maxCalls: this.maxCalls, devices };
+  }
+}
+
+/**
+ * What a waiting caller hears about their place in line
+ * @param {number} position - 1 = next
+ * @param {boolean} first - First announcement of this call
+ * @returns {string}
+ */
+function buildPositionMessage(position, first) {
+  const place = position <= 1 ? "You're next in line." : `You're number ${position} in line.`;
+  return first
+    ? `All of our lines are busy right now. ${place} Please hold and we'll be with you shortly.`
+    : `Thanks for holding. ${place}`;
+}
+
+/**
+ * Keep an answered caller on hold until a line is free
+ * Plays hold music, and their place in line every announceSeconds.
+ *
+ * @param {Object} options
+ * @param {Object} options.endpoint - FreeSWITCH endpoint
+ * @param {Object} options.dialog - SIP dialog
+ * @param {Object} options.queue - Entry from CallLimiter.enqueue()
+ * @param {Object} options.settings - limitSettings() of the device
+ * @param {Function} options.say - (text) => Promise; speaks a line to the caller
+ * @returns {Promise<{slot: Object|null, outcome: string, waitedMs: number}>}
+ *   outcome: "answered" (slot is the line), "timeout" or "hangup"
+ */
+async function waitInQueue({ endpoint, dialog, queue, settings, say }) {
+  const startedAt = Date.now();
+  const deadline = startedAt + settings.maxWaitSeconds * 1000;
+
+  let hungUp = false;
+  let onHangup;
+  const hangup = new Promise((resolve) => {
+    onHangup = () => {
+      hungUp = true;
+      resolve('hangup');
+    };
+    dialog.once('destroy', onHangup);
+  });
+
+  // Hold music until the next announcement; the file restarts when it runs out
+  let musicRun = 0;
+  const startMusic = () => {
+    const run = ++musicRun;
+    const loop = () => {
+      if (run !== musicRun || hungUp) return;
+      endpoint.play(HOLD_MUSIC_URL).then(loop, (e) => {
+        logger.warn('Queue hold music failed', { error: e.message });
+      });
+    };
+    loop();
+  };
+  const stopMusic = async () => {
+    musicRun++;
+    try {
+      await endpoint.api('uuid_break', endpoint.uuid);
+    } catch (e) {
+      // Ignore - music may have already stopped
+    }
+  };
+
+  // A line may have freed up while the call was being answered
+  let outcome = queue.position() === 0 ? 'answered' : null;
+  let first = true;
+  try {
+    while (!outcome) {
+      // Announcements are short; a line that frees up meanwhile waits for the end of one
+      await Promise.race([say(buildPositionMessage(queue.position(), first)).catch(() => {}), hangup]);
+      first = false;
+      if (hungUp) {
+        outcome = 'hangup';
+        break;
+      }
+      if (queue.position() === 0) {
+        outcome = 'answered';
+        break;
+      }
+
+      const waitMs = Math.min(settings.announceSeconds * 1000, deadline - Date.now());
+      if (waitMs <= 0) {
+        outcome = 'timeout';
+        break;
+      }
+      let timer;
+      startMusic();
+      outcome = await Promise.race([
+        queue.slot.then(() => 'answered'),
+        hangup,
+        new Promise((resolve) => { timer = setTimeout(() => resolve(Date.now() >= deadline ? 'timeout' : null), waitMs); })
+      ]);
+      clearTimeout(timer);
+      await stopMusic();
+    }
+  } finally {
+    musicRun++;
+    dialog.off('destroy', onHangup);
+  }
+
+  const waitedMs = Date.now() - startedAt;
+  if (outcome !== 'answered') {
+    queue.cancel();
+    return { slot: null, outcome, waitedMs };
+  }
+  return { slot: await queue.slot, outcome, waitedMs };
+}
+
+let shared = null;
+
+/**
+ * The limiter shared by every call
+ * @returns {CallLimiter}
+ */
+function getCallLimiter() {
+  if (!shared) shared = new CallLimiter();
+  return shared;
+}
+
+/**
+ * Take a line for a call the app places itself, without queueing
+ * @param {Object} deviceConfig - Device the call is for
+ * @param {Object} [options]
+ * @param {boolean} [options.deviceLimit=true] - Count against the device's maxCalls too
+ * @param {CallLimiter} [options.limiter] - Default: the shared limiter
+ * @returns {{device: string, release: Function}|null} null when every line is busy
+ */
+function acquireCallSlot(deviceConfig, options = {}) {
+  const limiter = options.limiter || getCallLimiter();
+  const deviceMax = options.deviceLimit === false ? 0 : limitSettings(deviceConfig).maxCalls;
+  return limiter.tryAcquire(deviceConfig ? deviceConfig.name : 'Morpheus', deviceMax);
+}
+
+module.exports = {
+  CallLimiter,
+  LIMIT_DEFAULTS,
+  validateLimits,
+  limitSettings,
+  buildPositionMessage,
+  waitInQueue,
+  getCallLimiter,
+  acquireCallSlot
+};
@@ -0,0 +1,261 @@
+/**
+ * Call Recorder
+ * Records a call to a stereo WAV - caller on the left channel, everything
+ * played to the caller (TTS, beeps, hold music) on the right - plus a JSON
+ * sidecar with turn timestamps.
+ *
+ * Both sides come from the audio fork running in stereo mode, so they share
+ * one clock and the turn timestamps line up with the WAV.
+ *
+ * - Files: <RECORDINGS_DIR>/<callId>.wav and <callId>.json
+ * - Enabled per device ("recording" block) or per outbound request ("record")
+ * - Old recordings are deleted after RECORDING_RETENTION_DAYS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+
+// 0 keeps recordings forever
+const RETENTION_DAYS = process.env.RECORDING_RETENTION_DAYS !== undefined
+  ? parseFloat(process.env.RECORDING_RETENTION_DAYS)
+  : 30;
+
+const DEFAULT_CONSENT_MESSAGE = 'This call is being recorded.';
+
+// Call IDs are UUIDs; anything else could escape the recordings directory
+const CALL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Decide whether a call is recorded and what the caller is told
+ * Precedence: outbound request "record" > device "recording.enabled" > RECORDING_ENABLED
+ *
+ * @param {Object} [deviceConfig] - Device config (uses its "recording" block)
+ * @param {boolean} [requested] - Per-call override from the outbound API
+ * @returns {Object} { enabled, consentMessage } - empty consentMessage means no announcement
+ */
+function resolveRecordingConfig(deviceConfig, requested) {
+  const device = (deviceConfig && deviceConfig.recording) || {};
+
+  let enabled = process.env.RECORDING_ENABLED === 'true';
+  if (typeof device.enabled === 'boolean') enabled = device.enabled;
+  if (typeof requested === 'boolean') enabled = requested;
+
+  let consentMessage = DEFAULT_CONSENT_MESSAGE;
+  if (process.env.RECORDING_CONSENT_MESSAGE !== undefined) consentMessage = process.env.RECORDING_CONSENT_MESSAGE;
+  if (typeof device.consentMessage === 'string') consentMessage = device.consentMessage;
+
+  return { enabled, consentMessage: consentMessage.trim() };
+}
+
+/**
+ * Build a 44-byte PCM WAV header
+ * @param {number} dataBytes - Size of the PCM data
+ * @param {number} sampleRate
+ * @param {number} channels
+ * @returns {Buffer}
+ */
+function wavHeader(dataBytes, sampleRate, channels) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.callId - Used for the file names
+   * @param {string} [options.dir] - Recordings directory (default: RECORDINGS_DIR)
+   * @param {number} [options.sampleRate] - Fork sample rate (default: 16000)
+   * @param {number} [options.channels] - 2 for caller/assistant (default: 2)
+   * @param {Object} [options.metadata] - Extra sidecar fields (device, direction, ...)
+   */
+  constructor({ callId, dir = RECORDINGS_DIR, sampleRate = 16000, channels = 2, metadata = {} }) {
+    if (!CALL_ID_PATTERN.test(String(callId))) {
+      throw new Error('Invalid call ID for recording: ' + callId);
+    }
+    this.callId = callId;
+    this.dir = dir;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.metadata = metadata;
+
+    this.wavPath = path.join(dir, callId + '.wav');
+    this.sidecarPath = path.join(dir, callId + '.json');
+    this._partPath = this.wavPath + '.part';
+
+    this.turns = [];
+    this.bytesWritten = 0;
+    this.startedAt = null;
+    this._stream = null;
+    this._session = null;
+    this._stopping = null;
+    this._onAudio = (buf) => this.write(buf);
+  }
+
+  /**
+   * Open the output file; audio written before this is dropped
+   * @returns {CallRecorder} this
+   */
+  start() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._stream = fs.createWriteStream(this._partPath);
+    this._stream.on('error', (error) => {
+      logger.error('Recording write failed', { callId: this.callId, error: error.message });
+    });
+    // Placeholder header, rewritten with the real sizes in stop()
+    this._stream.write(wavHeader(0, this.sampleRate, this.channels));
+    this.startedAt = new Date();
+    logger.info('Recording started', { callId: this.callId, path: this.wavPath });
+    return this;
+  }
+
+  /**
+   * Record every chunk the session receives
+   * @param {Object} session - AudioForkSession opened with channels: 2
+   */
+  attach(session) {
+    this._session = session;
+    session.on('audio', this._onAudio);
+  }
+
+  /**
+   * @param {Buffer} buf - Interleaved 16-bit LE PCM
+   */
+  write(buf) {
+    if (!this._stream || this._stopping) return;
+    this._stream.write(buf);
+    this.bytesWritten += buf.length;
+  }
+
+  /**
+   * Current position in the recording
+   * @returns {number} Milliseconds of audio written so far
+   */
+  positionMs() {
+    const bytesPerSecond = this.sampleRate * this.channels * 2;
+    return Math.round((this.bytesWritten / bytesPerSecond) * 1000);
+  }
+
+  /**
+   * Add a turn to the sidecar
+   * @param {string} role - "caller" or "assistant"
+   * @param {string} text - What was said
+   * @param {number} startMs - From positionMs() when the turn started
+   * @param {number} [endMs] - Defaults to now
+   */
+  addTurn(role, text, startMs, endMs) {
+    const end = endMs !== undefined ? endMs : this.positionMs();
+    this.turns.push({ role, text, startMs: Math.max(0, Math.min(startMs, end)), endMs: end });
+  }
+
+  /**
+   * Finish the WAV and write the sidecar; safe to call more than once
+   * @returns {Promise<{wavPath: string, sidecarPath: string, durationMs: number}>}
+   */
+  stop() {
+    if (!this._stopping) this._stopping = this._finish();
+    return this._stopping;
+  }
+
+  async _finish() {
+    if (this._session) this._session.off('audio', this._onAudio);
+    if (!this._stream) throw new Error('Recording was never started');
+
+    await new Promise((resolve) => this._stream.end(resolve));
+
+    const handle = await fs.promises.open(this._partPath, 'r+');
+    try {
+      await handle.write(wavHeader(this.bytesWritten, this.sampleRate, this.channels), 0, 44, 0);
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(this._partPath, this.wavPath);
+
+    const durationMs = this.positionMs();
+    const sidecar = Object.assign({
+      callId: this.callId,
+      startedAt: this.startedAt.toISOString(),
+      endedAt: new Date().toISOString(),
+      durationMs,
+      sampleRate: this.sampleRate,
+      channels: { left: 'caller', right: 'assistant' }
+    }, this.metadata, { turns: this.turns });
+    await fs.promises.writeFile(this.sidecarPath, JSON.stringify(sidecar, null, 2));
+
+    logger.info('Recording saved', { callId: this.callId, durationMs, turns: this.turns.length });
+    return { wavPath: this.wavPath, sidecarPath: this.sidecarPath, durationMs };
+  }
+}
+
+/**
+ * Find a finished recording
+ * @param {string} callId
+ * @param {string} [dir] - Recordings directory (default: RECORDINGS_DIR)
+ * @returns {Object|null} { wavPath, sidecarPath } or null if there is none
+ */
+function findRecording(callId, dir = RECORDINGS_DIR) {
+  if (!CALL_ID_PATTERN.test(String(callId))) return null;
+  const wavPath = path.join(dir, callId + '.wav');
+  if (!fs.existsSync(wavPath)) return null;
+  return { wavPath, sidecarPath: path.join(dir, callId + '.json') };
+}
+
+/**
+ * Delete recordings (and leftover partial files) older than the retention period
+ * @param {string} [dir] - Recordings directory (default: RECORDINGS_DIR)
+ * @param {number} [retentionDays] - Default: RECORDING_RETENTION_DAYS; 0 keeps everything
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function cleanupOldRecordings(dir = RECORDINGS_DIR, retentionDays = RETENTION_DAYS) {
+  if (!(retentionDays > 0)) return 0;
+
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    return 0; // Nothing recorded yet
+  }
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+  for (const file of files) {
+    const filepath = path.join(dir, file);
+    try {
+      const stats = await fs.promises.stat(filepath);
+      if (stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(filepath);
+        deleted++;
+      }
+    } catch (error) {
+      // Skip files that can't be accessed
+    }
+  }
+
+  if (deleted > 0) logger.info('Deleted old recordings', { deleted, retentionDays });
+  return deleted;
+}
+
+module.exports = {
+  CallRecorder,
+  RECORDINGS_DIR,
+  resolveRecordingConfig,
+  findRecording,
+  cleanupOldRecordings,
+  wavHeader
+};
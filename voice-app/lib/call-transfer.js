@@ -0,0 +1,260 @@
+/**
+ * Call Transfer
+ * Hands the caller to a human at another extension or number.
+ *
+ * - Blind, by REFER: the PBX places the new call and then clears ours
+ * - Bridged: we dial the human ourselves (the B-leg) and bridge the two legs
+ *   in FreeSWITCH, for PBXs and trunks that don't support REFER
+ * - Attended: bridged, after telling the human what the call is about
+ *
+ * Device "transfer" block in devices.json:
+ *   {
+ *     "target": "1000",                  // extension, number or SIP URI
+ *     "mode": "blind",                   // "blind" or "attended"
+ *     "method": "auto",                  // "refer", "bridge", or "auto" (REFER, bridge if refused)
+ *     "phrases": ["talk to a human"],    // caller phrases that ask for a transfer
+ *     "dtmfKey": "0",                    // key that asks for a transfer
+ *     "announce": "Transferring you now.",
+ *     "failMessage": "Sorry, nobody is available right now."
+ *   }
+ * Claude can also ask for a transfer with a "🔀 TRANSFER_CALL" line.
+ */
+
+const logger = require('./logger');
+
+// How long to wait for the PBX to hang up our leg after accepting the REFER
+const SETTLE_MS = 5000;
+
+const TRANSFER_DEFAULTS = {
+  mode: 'blind',
+  method: 'auto',
+  // Whole requests only: a single word like "operator" also turns up in ordinary questions
+  phrases: ['talk to a human', 'speak to a human', 'talk to a person', 'speak to a person',
+    'talk to a real person', 'speak to a real person', 'talk to an operator', 'speak to an operator'],
+  dtmfKey: null,
+  announce: "Let me transfer you to someone who can help. Please hold.",
+  failMessage: "Sorry, nobody is available to take your call right now. I'm still here though."
+};
+
+// Claude asks for a transfer with this marker (see transferInstructions)
+const TRANSFER_MARKER = /🔀\s*TRANSFER_CALL/i;
+
+/**
+ * Turn an extension, number or SIP URI into a Refer-To URI
+ * @param {string} target - "1000", "+15551234567" or "sip:1000@pbx.local"
+ * @param {string} domain - SIP domain for bare extensions and numbers
+ * @returns {string}
+ */
+function buildReferTarget(target, domain) {
+  const value = String(target).trim();
+  if (/^sips?:/i.test(value)) return value;
+  if (!domain) throw new Error('SIP_DOMAIN is required to transfer to ' + value);
+  return 'sip:' + value + '@' + domain;
+}
+
+/**
+ * Blind-transfer the caller
+ * @param {Object} dialog - drachtio dialog with the caller
+ * @param {string} target - Extension, number or SIP URI
+ * @param {Object} [options]
+ * @param {string} [options.domain] - SIP domain (default: SIP_DOMAIN)
+ * @param {number} [options.settleMs] - Wait for the PBX to hang up our leg (default: 5000)
+ * @returns {Promise<string>} The Refer-To URI, once the PBX accepted it
+ */
+async function blindTransfer(dialog, target, options = {}) {
+  const referTo = buildReferTarget(target, options.domain || process.env.SIP_DOMAIN);
+  const settleMs = options.settleMs !== undefined ? options.settleMs : SETTLE_MS;
+
+  logger.info('Transferring call', { target: referTo });
+  const res = await dialog.request({
+    method: 'REFER',
+    headers: { 'Refer-To': '<' + referTo + '>' }
+  });
+
+  if (res.status !== 202 && res.status !== 200) {
+    throw new Error('REFER rejected with ' + res.status);
+  }
+
+  // Give the PBX time to connect the caller before our side hangs up
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, settleMs);
+    dialog.once('destroy', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+  logger.info('Call transferred', { target: referTo });
+  return referTo;
+}
+
+/**
+ * Check a device "transfer" block
+ * @param {Object} transfer
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateTransfer(transfer) {
+  const errors = [];
+  if (!transfer || typeof transfer !== 'object') return ['transfer must be an object'];
+  if (typeof transfer.target !== 'string' || !transfer.target.trim()) {
+    errors.push('transfer.target is required');
+  }
+  if (transfer.mode !== undefined && !['blind', 'attended'].includes(transfer.mode)) {
+    errors.push('transfer.mode must be "blind" or "attended"');
+  }
+  if (transfer.method !== undefined && !['auto', 'refer', 'bridge'].includes(transfer.method)) {
+    errors.push('transfer.method must be "auto", "refer" or "bridge"');
+  }
+  if (transfer.mode === 'attended' && transfer.method === 'refer') {
+    errors.push('transfer.mode "attended" needs method "bridge" or "auto"');
+  }
+  if (transfer.phrases !== undefined &&
+      !(Array.isArray(transfer.phrases) && transfer.phrases.every(phrase => typeof phrase === 'string'))) {
+    errors.push('transfer.phrases must be a list of phrases');
+  }
+  if (transfer.dtmfKey !== undefined && transfer.dtmfKey !== null && !/^[0-9*]$/.test(String(transfer.dtmfKey))) {
+    errors.push('transfer.dtmfKey must be 0-9 or * (# sends speech)');
+  }
+  return errors;
+}
+
+/**
+ * Transfer settings of a device
+ * @param {Object} deviceConfig
+ * @returns {Object|null} Settings with defaults, or null when the device has no transfer target
+ */
+function transferSettings(deviceConfig) {
+  const transfer = deviceConfig && deviceConfig.transfer;
+  if (!transfer || !transfer.target) return null;
+  return Object.assign({}, TRANSFER_DEFAULTS, transfer);
+}
+
+/**
+ * @param {string} transcript
+ * @param {string[]} phrases
+ * @returns {boolean} True if the caller asked to be transferred
+ */
+function isTransferRequest(transcript, phrases = TRANSFER_DEFAULTS.phrases) {
+  const text = ' ' + String(transcript || '').toLowerCase().replace(/[^a-z0-9' ]+/g, ' ').replace(/\s+/g, ' ') + ' ';
+  return phrases.some(phrase => text.includes(' ' + phrase.toLowerCase().trim() + ' '));
+}
+
+/**
+ * Added to the device prompt so Claude knows it can hand the call over
+ * @returns {string}
+ */
+function transferInstructions() {
+  return '[CALL TRANSFER]\nA human colleague can take this call. If the caller asks for a person, ' +
+    'or you cannot help them, tell them you are transferring them and end your response with ' +
+    'a line containing only: 🔀 TRANSFER_CALL\n[END CALL TRANSFER]';
+}
+
+/**
+ * What the human hears before an attended transfer is connected
+ * @param {Object} call - Hook call object ({ callerId, turns })
+ * @param {string} deviceName
+ * @param {string[]} [phrases] - Transfer phrases (left out of the summary)
+ * @returns {string}
+ */
+function buildTransferSummary(call, deviceName, phrases) {
+  const caller = call.callerId && /\d/.test(call.callerId)
+    ? ' from ' + String(call.callerId).replace(/\D/g, '').split('').join(' ')
+    : '';
+  const asked = call.turns
+    .filter(turn => turn.role === 'caller' && !turn.dtmf && turn.text && !isTransferRequest(turn.text, phrases))
+    .slice(-2)
+    .map(turn => turn.text.trim().replace(/[.!?]+$/, ''));
+
+  let summary = `Hi, this is ${deviceName}, transferring a caller${caller}.`;
+  if (asked.length > 0) summary += ` They said: ${asked.join(' ... ')}.`;
+  return summary + ' Connecting you now.';
+}
+
+// Hang up the B-leg and give back its line
+async function hangupLeg(leg) {
+  await Promise.resolve().then(() => leg.dialog.destroy()).catch(() => {});
+  if (leg.release) leg.release();
+}
+
+/**
+ * Dial the human and bridge the caller to them, staying in the media path
+ * until either side hangs up
+ *
+ * @param {Object} options
+ * @param {Object} options.dialog - Caller's dialog
+ * @param {Object} options.endpoint - Caller's FreeSWITCH endpoint
+ * @param {string} options.target - Extension or number to dial
+ * @param {Function} options.dial - (target) => Promise<{ dialog, endpoint, release? }> places the B-leg;
+ *   release() is called once the B-leg has been hung up
+ * @param {Function} [options.speakTo] - (endpoint, text) => Promise; plays the summary to the human
+ * @param {string} [options.summary] - Said to the human before connecting (attended)
+ * @param {Function} [options.isActive] - Returns false once the caller hung up
+ * @returns {Promise<void>} Resolves when the bridged call ends
+ */
+async function bridgeTransfer({ dialog, endpoint, target, dial, speakTo, summary, isActive = () => true }) {
+  logger.info('Dialing transfer target', { target, attended: !!summary });
+  const leg = await dial(target);
+
+  try {
+    if (summary && speakTo) await speakTo(leg.endpoint, summary);
+    if (!isActive()) throw new Error('Caller hung up before the transfer connected');
+    await endpoint.bridge(leg.endpoint);
+  } catch (error) {
+    await hangupLeg(leg);
+    throw error;
+  }
+  logger.info('Call bridged', { target });
+
+  await new Promise((resolve) => {
+    if (!isActive()) return resolve();
+    dialog.once('destroy', resolve);
+    leg.dialog.once('destroy', resolve);
+  });
+  await hangupLeg(leg);
+  logger.info('Bridged call ended', { target });
+}
+
+/**
+ * Transfer the caller the way the settings ask for
+ *
+ * @param {Object} options - As for bridgeTransfer, plus:
+ * @param {string} [options.mode='blind'] - "blind" or "attended" (attended always bridges)
+ * @param {string} [options.method='auto'] - "refer", "bridge", or "auto" (REFER, bridge if refused)
+ * @param {string} [options.domain] - SIP domain for REFER targets
+ * @param {Function} [options.dial] - Needed to bridge; without it only REFER is possible
+ * @returns {Promise<{method: string, target: string}>} Once the caller has been handed over
+ *   (for bridged calls, once the bridged call has ended)
+ */
+async function transferCall(options) {
+  const { dialog, target, mode = 'blind', method = 'auto', dial, isActive = () => true } = options;
+  const bridge = async (summary) => {
+    if (!dial) throw new Error('Bridged transfers need a media server to dial from');
+    await bridgeTransfer(Object.assign({}, options, { summary }));
+    return { method: 'bridge', target };
+  };
+
+  if (mode === 'attended') return bridge(options.summary);
+  if (method === 'bridge') return bridge(null);
+
+  try {
+    return { method: 'refer', target: await blindTransfer(dialog, target, { domain: options.domain }) };
+  } catch (error) {
+    if (method !== 'auto' || !dial || !isActive()) throw error;
+    logger.warn('REFER failed, bridging instead', { target, error: error.message });
+    return bridge(null);
+  }
+}
+
+module.exports = {
+  blindTransfer,
+  bridgeTransfer,
+  transferCall,
+  buildReferTarget,
+  buildTransferSummary,
+  isTransferRequest,
+  transferInstructions,
+  transferSettings,
+  validateTransfer,
+  TRANSFER_DEFAULTS,
+  TRANSFER_MARKER
+};
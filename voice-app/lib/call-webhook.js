@@ -0,0 +1,112 @@
+/**
+ * Call Webhook
+ * Posts a notification when a call starts and the transcript when it ends
+ * (e.g. to an n8n workflow), and each voicemail with its summary.
+ * Registered on the call hooks, so it covers inbound and outbound calls alike.
+ *
+ * - Enabled by setting CALL_WEBHOOK_URL
+ * - Fire-and-forget: a slow or failing webhook never holds up a call
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const logger = require('./logger');
+const { hooks: sharedHooks } = require('./call-hooks');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * POST a JSON payload without waiting for the response
+ * @param {string} url
+ * @param {Object} body
+ */
+function postJson(url, body) {
+  const payload = JSON.stringify(body);
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    timeout: WEBHOOK_TIMEOUT_MS
+  });
+  req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+  req.on('error', (error) => {
+    logger.warn('Call webhook failed', { callId: body.callId, error: error.message });
+  });
+  req.on('response', (res) => res.resume());
+  req.end(payload);
+}
+
+function deviceName(call) {
+  return call.deviceConfig ? call.deviceConfig.name : 'Morpheus';
+}
+
+/**
+ * Post call start and end, and voicemails, to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} [hooks] - CallHooks to register on (default: the shared hooks)
+ * @returns {Function} Unregisters the webhook
+ */
+function registerCallWebhook(url, hooks = sharedHooks) {
+  new URL(url); // Throws on a malformed URL at startup rather than on the first call
+
+  const offStart = hooks.register('onCallStart', (payload, call) => {
+    postJson(url, {
+      callId: call.callUuid,
+      direction: call.direction,
+      device: deviceName(call),
+      callerId: call.callerId || 'unknown',
+      message: 'call started',
+      time: payload.startedAt
+    });
+  });
+
+  const offEnd = hooks.register('onCallEnd', (payload, call) => {
+    const transcript = call.turns.map((turn) => {
+      return (turn.role === 'caller' ? 'Caller' : 'Claude') + ': ' + turn.text.trim();
+    }).join('\n');
+
+    postJson(url, {
+      callId: call.callUuid,
+      direction: call.direction,
+      device: deviceName(call),
+      callerId: call.callerId || 'unknown',
+      startTime: call.startedAt,
+      endTime: payload.endedAt,
+      endReason: payload.endReason,
+      turns: call.turns.length,
+      transcript
+    });
+    logger.info('Call transcript sent to webhook', { callId: call.callUuid, turns: call.turns.length });
+  });
+
+  const offVoicemail = hooks.register('onVoicemail', ({ message }, call) => {
+    postJson(url, {
+      callId: call.callUuid,
+      direction: call.direction,
+      device: message.device,
+      callerId: message.callerId,
+      message: 'voicemail',
+      time: message.receivedAt,
+      reason: message.reason,
+      durationMs: message.durationMs,
+      transcript: message.transcript,
+      summary: message.summary,
+      actionItems: message.actionItems,
+      audio: `/api/voicemail/${encodeURIComponent(message.id)}/audio`
+    });
+    logger.info('Voicemail sent to webhook', { callId: call.callUuid });
+  });
+
+  return () => {
+    offStart();
+    offEnd();
+    offVoicemail();
+  };
+}
+
+module.exports = {
+  registerCallWebhook
+};
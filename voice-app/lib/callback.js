@@ -0,0 +1,315 @@
+/**
+ * Callbacks
+ * "Work on it and call me back": the caller hangs up while Claude keeps
+ * working on claude-api-server, and the device calls them back with the
+ * result. The callback is an outbound conversation call that opens with
+ * Claude's answer and continues in the same Claude session.
+ *
+ * A callback starts when, on an inbound call:
+ * - the caller says one of the phrases ("call me back when it's done"), or
+ * - the caller hangs up while Claude is still answering (onHangup)
+ *
+ * Device "callback" block in devices.json ("callback": true for the defaults):
+ *   {
+ *     "phrases": ["and call me back"], // caller phrases that ask for a callback
+ *     "onHangup": true,                // call back if they hang up during hold music
+ *     "maxMinutes": 30,                // longest Claude may work on a callback request
+ *     "attempts": 3,                   // dial attempts when busy or unanswered
+ *     "retryMinutes": 2                // wait between attempts
+ *   }
+ */
+
+const logger = require('./logger');
+const { getCallHistory } = require('./call-history');
+const { acquireCallSlot } = require('./call-limits');
+
+const CALLBACK_DEFAULTS = {
+  // Whole requests only: "call me when" or "let me know when you" also start ordinary questions
+  phrases: ['and call me back', 'and ring me back', 'call me back when', 'call me back once', 'call me back with',
+    "call me when it's done", "call me when you're done", "let me know when it's done", "let me know when you're done",
+    'work on it and call'],
+  onHangup: true,
+  maxMinutes: 30,
+  attempts: 3,
+  retryMinutes: 2,
+  goodbye: "Sure. I'll work on that and call you back when it's done. Goodbye!"
+};
+
+// "Don't call me back when..." is not a request
+const NEGATION = /\b(don't|dont|not|never|no)\b/;
+const NEGATION_WORDS = 3;
+
+// Dial failures worth another attempt; anything else is final
+const RETRYABLE = ['busy', 'no_answer'];
+
+/**
+ * Check a device "callback" block
+ * @param {Object|boolean} callback
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateCallback(callback) {
+  if (callback === true || callback === false) return [];
+  if (!callback || typeof callback !== 'object') return ['callback must be true or an object'];
+
+  const errors = [];
+  if (callback.phrases !== undefined &&
+      !(Array.isArray(callback.phrases) && callback.phrases.every(phrase => typeof phrase === 'string' && phrase.trim()))) {
+    errors.push('callback.phrases must be a list of phrases');
+  }
+  if (callback.onHangup !== undefined && typeof callback.onHangup !== 'boolean') {
+    errors.push('callback.onHangup must be true or false');
+  }
+  for (const key of ['maxMinutes', 'retryMinutes']) {
+    if (callback[key] !== undefined && !(typeof callback[key] === 'number' && callback[key] > 0)) {
+      errors.push(`callback.${key} must be a positive number`);
+    }
+  }
+  if (callback.attempts !== undefined && !(Number.isInteger(callback.attempts) && callback.attempts > 0)) {
+    errors.push('callback.attempts must be a positive whole number');
+  }
+  return errors;
+}
+
+/**
+ * Callback settings of a device
+ * @param {Object} deviceConfig
+ * @returns {Object|null} Defaults merged with the device's block, or null when callbacks are off
+ */
+function callbackSettings(deviceConfig) {
+  const callback = deviceConfig && deviceConfig.callback;
+  if (callback === true) return Object.assign({}, CALLBACK_DEFAULTS);
+  if (callback && typeof callback === 'object' && callback.enabled !== false) {
+    return Object.assign({}, CALLBACK_DEFAULTS, callback);
+  }
+  return null;
+}
+
+/**
+ * @param {string} transcript
+ * @param {string[]} [phrases]
+ * @returns {boolean} True if the caller asked to be called back
+ */
+function isCallbackRequest(transcript, phrases = CALLBACK_DEFAULTS.phrases) {
+  const text = ' ' + String(transcript || '').toLowerCase().replace(/[^a-z0-9' ]+/g, ' ').replace(/\s+/g, ' ') + ' ';
+  return phrases.some((phrase) => {
+    const needle = ' ' + phrase.toLowerCase().trim() + ' ';
+    for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + 1)) {
+      const before = text.slice(0, at).trim().split(' ').slice(-NEGATION_WORDS).join(' ');
+      if (!NEGATION.test(before)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Added to the prompt of a request the caller will be called back about
+ * @returns {string}
+ */
+function callbackInstructions() {
+  return '\n[CALLBACK: The caller has hung up. Take the time you need to finish this. ' +
+    'When you are done, your VOICE_RESPONSE is read to them when we call them back, ' +
+    'so make it a complete answer.]';
+}
+
+/**
+ * First thing the caller hears when they pick up
+ * @param {string} deviceName
+ * @param {string} voiceLine - Claude's answer
+ * @returns {string}
+ */
+function buildCallbackGreeting(deviceName, voiceLine) {
+  return `Hi, it's ${deviceName} calling you back. ${voiceLine} Is there anything else?`;
+}
+
+class CallbackScheduler {
+  /**
+   * @param {Object} [deps] - See configure()
+   */
+  constructor(deps = {}) {
+    this.jobs = new Map();
+    this.configure(deps);
+  }
+
+  /**
+   * What the scheduler needs to place calls
+   * @param {Object} deps
+   * @param {Object} deps.srf - drachtio SRF
+   * @param {Object} deps.mediaServer - FreeSWITCH media server
+   * @param {Object} deps.audioForkServer
+   * @param {Object} deps.whisperClient
+   * @param {Object} deps.claudeBridge
+   * @param {Object} deps.ttsService
+   * @param {number} deps.wsPort
+   * @param {string} [deps.defaultVoiceId]
+   * @param {Function} [deps.dial] - (to, deviceConfig) => { dialog, endpoint }; default: initiateOutboundCall
+   * @param {Function} [deps.converse] - Runs the call; default: runConversationLoop
+   * @param {Function} [deps.hangup] - (dialog, endpoint, callId); default: hangupCall
+   * @param {Function} [deps.wait] - (ms) => Promise; default: setTimeout
+   * @param {Object} [deps.callHistory] - Where callback calls are recorded; default: the shared call history
+   * @param {Object} [deps.limiter] - Call limiter the callback takes a line from; default: the shared one
+   */
+  configure(deps) {
+    this.deps = Object.assign({}, this.deps, deps);
+  }
+
+  /**
+   * Call the caller back once Claude's answer is ready
+   * @param {Object} request
+   * @param {string} request.callId - Call the request came from; also its Claude session
+   * @param {string} request.to - Number to call back
+   * @param {Object} request.deviceConfig
+   * @param {string} [request.role] - Caller role, kept for the callback
+   * @param {Promise<string>} request.reply - Claude's full response
+   * @returns {Object} The job ({ id, to, device, status, attempts, ... })
+   */
+  schedule({ callId, to, deviceConfig, role = null, reply }) {
+    const settings = callbackSettings(deviceConfig) || Object.assign({}, CALLBACK_DEFAULTS);
+    const job = {
+      id: callId,
+      to,
+      device: deviceConfig ? deviceConfig.name : 'Morpheus',
+      status: 'working',
+      requestedAt: new Date().toISOString(),
+      attempts: 0,
+      callbackCallId: null,
+      error: null
+    };
+    this.jobs.set(callId, job);
+    logger.info('Callback scheduled', { callId, to, device: job.device });
+
+    job.done = this._run(job, { deviceConfig, role, reply, settings });
+    return job;
+  }
+
+  async _run(job, { deviceConfig, role, reply, settings }) {
+    const { extractVoiceLine } = require('./conversation-loop');
+    try {
+      const response = await reply;
+      job.voiceLine = extractVoiceLine(String(response || ''));
+      logger.info('Callback answer ready', { callId: job.id, voiceLine: job.voiceLine });
+
+      while (job.status !== 'done') {
+        job.attempts++;
+        job.status = 'calling';
+        try {
+          await this._call(job, deviceConfig, role);
+          job.status = 'done';
+        } catch (error) {
+          if (!RETRYABLE.includes(error.message) || job.attempts >= settings.attempts) throw error;
+          job.status = 'retrying';
+          logger.info('Callback not answered, retrying', { callId: job.id, reason: error.message, attempt: job.attempts });
+          await this._wait(settings.retryMinutes * 60 * 1000);
+        }
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.warn('Callback failed', { callId: job.id, to: job.to, error: error.message });
+      // Nobody will continue the session now
+      try {
+        await this.deps.claudeBridge.endSession(job.id);
+      } catch (e) {
+        // Ignore
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+    return job;
+  }
+
+  async _call(job, deviceConfig, role) {
+    const deps = this.deps;
+    // Loaded on first use: conversation-loop requires this module
+    const outbound = () => require('./outbound-handler');
+    const dial = deps.dial || ((to, device) => outbound().initiateOutboundCall(deps.srf, deps.mediaServer, {
+      to,
+      message: 'callback',
+      deviceConfig: device
+    }));
+    const hangup = deps.hangup || outbound().hangupCall;
+    const converse = deps.converse || require('./conversation-loop').runConversationLoop;
+
+    // No free line counts as busy: the callback is tried again later
+    const slot = acquireCallSlot(deviceConfig, { limiter: deps.limiter });
+    if (!slot) throw new Error('busy');
+
+    let dialog, endpoint;
+    try {
+      ({ dialog, endpoint } = await dial(job.to, deviceConfig));
+    } catch (error) {
+      slot.release();
+      throw error;
+    }
+    const callUuid = endpoint.uuid;
+    job.callbackCallId = callUuid;
+    logger.info('Callback answered', { callId: job.id, callbackCallId: callUuid });
+
+    let result;
+    try {
+      result = await converse(endpoint, dialog, callUuid, {
+        audioForkServer: deps.audioForkServer,
+        whisperClient: deps.whisperClient,
+        claudeBridge: deps.claudeBridge,
+        ttsService: deps.ttsService,
+        wsPort: deps.wsPort,
+        deviceConfig,
+        defaultVoiceId: deps.defaultVoiceId,
+        direction: 'outbound',
+        callerId: job.to,
+        role,
+        claudeSessionId: job.id,
+        greeting: buildCallbackGreeting(job.device, job.voiceLine),
+        srf: deps.srf,
+        mediaServer: deps.mediaServer
+      });
+    } finally {
+      await hangup(dialog, endpoint, callUuid);
+      slot.release();
+    }
+
+    try {
+      (deps.callHistory || getCallHistory()).add({
+        id: callUuid,
+        direction: 'outbound',
+        to: job.to,
+        device: job.device,
+        mode: 'callback',
+        callbackFor: job.id,
+        startedAt: result.startedAt,
+        endedAt: result.endedAt,
+        endReason: result.endReason,
+        recorded: result.recorded,
+        turns: result.turns
+      });
+    } catch (e) {
+      logger.error('Failed to save call history', { callId: callUuid, error: e.message });
+    }
+  }
+
+  _wait(ms) {
+    if (this.deps.wait) return this.deps.wait(ms);
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+let shared = null;
+
+/**
+ * The scheduler used by the voice-app
+ * @returns {CallbackScheduler}
+ */
+function getCallbackScheduler() {
+  if (!shared) shared = new CallbackScheduler();
+  return shared;
+}
+
+module.exports = {
+  CallbackScheduler,
+  CALLBACK_DEFAULTS,
+  callbackSettings,
+  validateCallback,
+  isCallbackRequest,
+  callbackInstructions,
+  buildCallbackGreeting,
+  getCallbackScheduler
+};
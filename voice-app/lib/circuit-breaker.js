@@ -0,0 +1,309 @@
+/**
+ * Circuit Breakers for external services
+ *
+ * Wraps calls to speech providers (ElevenLabs, OpenAI, local engines) so a
+ * provider that keeps failing is skipped for a while instead of making every
+ * caller wait for it to time out.
+ *
+ * - closed:    calls go through; consecutive failures are counted
+ * - open:      calls fail fast until resetTimeoutMs has passed
+ * - half-open: one trial call; success closes the breaker, failure re-opens it
+ *
+ * Breakers live in a registry keyed by name (e.g. "tts:elevenlabs",
+ * "stt:whisper-cpp@http://10.0.0.5:8080") so their state can be reported on
+ * /health. A breaker is shared by every device using that provider, so
+ * per-device settings such as timeouts are passed with each call.
+ */
+
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULTS = {
+  failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD) || 3,
+  resetTimeoutMs: parseInt(process.env.BREAKER_RESET_MS) || 30000,
+  timeoutMs: 0,        // 0 = no timeout
+  retries: 0,
+  retryDelayMs: 250
+};
+
+/**
+ * Error thrown when a breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryInMs) {
+    super(`Circuit open for ${name} (retry in ${Math.ceil(retryInMs / 1000)}s)`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+/**
+ * Client errors won't get better by retrying (bad key, bad request, or an
+ * error flagged retryable: false such as a missing API key).
+ * Timeouts, rate limits, 5xx and network errors might.
+ */
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  const status = error.status || (error.response && error.response.status);
+  if (status && status >= 400 && status < 500) {
+    return status === 408 || status === 429;
+  }
+  return error.code !== 'CIRCUIT_OPEN';
+}
+
+function withTimeout(promise, timeoutMs, name) {
+  if (!timeoutMs) return promise;
+
+  let timer = null;
+  const timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      const error = new Error(`${name} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(function() {
+    clearTimeout(timer);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Breaker name (shown on /health)
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=3] - Consecutive failures before opening
+   * @param {number} [options.resetTimeoutMs=30000] - How long to stay open
+   * @param {number} [options.timeoutMs=0] - Per-attempt timeout (0 = none); execute() can override it
+   * @param {number} [options.retries=0] - Extra attempts for retryable errors
+   * @param {number} [options.retryDelayMs=250] - Delay before each retry
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = Object.assign({}, DEFAULTS, options);
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this._trialInFlight = false;
+  }
+
+  /**
+   * Change options after creation (e.g. timeouts from per-device config)
+   */
+  configure(options = {}) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if a call would be attempted right now
+   */
+  isAvailable() {
+    if (this.state === 'open') {
+      return Date.now() - this.openedAt >= this.options.resetTimeoutMs;
+    }
+    if (this.state === 'half-open') {
+      return !this._trialInFlight;
+    }
+    return true;
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Returns a Promise
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Per-attempt timeout for this call (default: the breaker's)
+   * @returns {Promise<*>} fn's result
+   */
+  async execute(fn, options = {}) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.options.timeoutMs;
+    if (this.state === 'open') {
+      const elapsed = Date.now() - this.openedAt;
+      if (elapsed < this.options.resetTimeoutMs) {
+        throw new CircuitOpenError(this.name, this.options.resetTimeoutMs - elapsed);
+      }
+      this._transition('half-open');
+    }
+
+    const trial = this.state === 'half-open';
+    if (trial) {
+      if (this._trialInFlight) {
+        throw new CircuitOpenError(this.name, this.options.resetTimeoutMs);
+      }
+      this._trialInFlight = true;
+    }
+
+    try {
+      // A half-open trial gets exactly one attempt
+      const attempts = trial ? 1 : 1 + this.options.retries;
+      let lastError = null;
+
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+          const result = await withTimeout(Promise.resolve().then(fn), timeoutMs, this.name);
+          this._onSuccess();
+          return result;
+        } catch (error) {
+          lastError = error;
+          if (attempt < attempts && isRetryable(error)) {
+            logger.warn('Retrying after failure', { breaker: this.name, attempt, error: error.message });
+            await sleep(this.options.retryDelayMs * attempt);
+            continue;
+          }
+          break;
+        }
+      }
+
+      this._onFailure(lastError);
+      throw lastError;
+    } finally {
+      if (trial) this._trialInFlight = false;
+    }
+  }
+
+  _onSuccess() {
+    this.failures = 0;
+    this.lastSuccessAt = Date.now();
+    if (this.state !== 'closed') this._transition('closed');
+  }
+
+  _onFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === 'half-open' || this.failures >= this.options.failureThreshold) {
+      this.openedAt = Date.now();
+      this._transition('open');
+    }
+  }
+
+  _transition(state) {
+    if (this.state === state) return;
+    const from = this.state;
+    this.state = state;
+    const log = state === 'open' ? logger.warn : logger.info;
+    log.call(logger, 'Circuit breaker state change', {
+      breaker: this.name,
+      from,
+      to: state,
+      failures: this.failures,
+      lastError: this.lastError
+    });
+  }
+
+  /**
+   * Close the breaker and forget failures
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+    this._transition('closed');
+  }
+
+  /**
+   * @returns {Object} Snapshot for /health
+   */
+  getState() {
+    const iso = function(ms) { return ms ? new Date(ms).toISOString() : null; };
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: iso(this.lastFailureAt),
+      lastSuccessAt: iso(this.lastSuccessAt),
+      openedAt: iso(this.state === 'open' ? this.openedAt : null)
+    };
+  }
+}
+
+// Registry of named breakers
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a name
+ * @param {string} name - e.g. "tts:elevenlabs", "stt:openai"
+ * @param {Object} [options] - Used only when the breaker is created; pass
+ *   per-call settings such as timeoutMs to execute() instead
+ * @returns {CircuitBreaker}
+ */
+function getBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * @returns {Object} { [name]: state } for every breaker created so far
+ */
+function getStates() {
+  const states = {};
+  for (const [name, breaker] of breakers) {
+    states[name] = breaker.getState();
+  }
+  return states;
+}
+
+/**
+ * Try each provider in order until one succeeds
+ * Providers whose breaker is open are skipped without being called.
+ * With a single provider its own error is rethrown unchanged.
+ *
+ * @param {Array<{name: string, breaker: CircuitBreaker, timeoutMs: number}>} chain - Ordered providers;
+ *   timeoutMs (optional) is this call's per-attempt timeout for the provider
+ * @param {Function} fn - Called with each chain entry, returns a Promise
+ * @param {string} [label] - What's being done (for logs)
+ * @returns {Promise<*>} First successful result
+ */
+async function runWithFallback(chain, fn, label = 'request') {
+  const errors = [];
+  let lastError = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    try {
+      const result = await entry.breaker.execute(function() { return fn(entry); }, { timeoutMs: entry.timeoutMs });
+      if (i > 0) {
+        logger.info('Fallback provider succeeded', { label, provider: entry.name, skipped: errors.length });
+      }
+      return result;
+    } catch (error) {
+      lastError = error;
+      errors.push(entry.name + ': ' + error.message);
+      metrics.speechErrors.inc({ service: label, provider: entry.name });
+      if (i < chain.length - 1) {
+        logger.warn('Provider failed, falling back', {
+          label,
+          provider: entry.name,
+          next: chain[i + 1].name,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // Nothing to fall back to - keep the provider's own error
+  if (chain.length === 1) throw lastError;
+
+  const error = new Error(`All providers failed for ${label} (${errors.join('; ')})`);
+  error.code = 'ALL_PROVIDERS_FAILED';
+  throw error;
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  getBreaker,
+  getStates,
+  runWithFallback,
+  isRetryable
+};
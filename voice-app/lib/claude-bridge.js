@@ -6,6 +6,18 @@
 const axios = require('axios');
 
 const CLAUDE_API_URL = process.env.CLAUDE_API_URL || 'http://localhost:3333';
+const API_SERVER_TOKEN = process.env.API_SERVER_TOKEN;
+
+/**
+ * Request headers, with the token the API server wants before it honours a role
+ * @param {Object} [extra] - Additional headers
+ * @returns {Object}
+ */
+function apiHeaders(extra = {}) {
+  const headers = Object.assign({ 'Content-Type': 'application/json' }, extra);
+  if (API_SERVER_TOKEN) headers['X-API-Token'] = API_SERVER_TOKEN;
+  return headers;
+}
 
 /**
  * Query Claude via HTTP API with session support
@@ -13,11 +25,12 @@ const CLAUDE_API_URL = process.env.CLAUDE_API_URL || 'http://localhost:3333';
  * @param {Object} options - Options including callId for session management
  * @param {string} options.callId - Call UUID for maintaining conversation context
  * @param {string} options.devicePrompt - Device-specific personality prompt
+ * @param {string} [options.role] - Caller role; the API server maps it to a permission profile
  * @param {number} options.timeout - Timeout in seconds (default: 30, AC27)
  * @returns {Promise<string>} Claude's response
  */
 async function query(prompt, options = {}) {
-  const { callId, devicePrompt, timeout = 120 } = options; // AC27: Default 30s timeout
+  const { callId, devicePrompt, role, timeout = 120 } = options; // AC27: Default 30s timeout
   const timestamp = new Date().toISOString();
 
   try {
@@ -31,10 +44,10 @@ async function query(prompt, options = {}) {
 
     const response = await axios.post(
       `${CLAUDE_API_URL}/ask`,
-      { prompt, callId, devicePrompt },
+      { prompt, callId, devicePrompt, role },
       {
         timeout: timeout * 1000,
-        headers: { 'Content-Type': 'application/json' }
+        headers: apiHeaders()
       }
     );
 
@@ -49,22 +62,180 @@ async function query(prompt, options = {}) {
     return response.data.response;
 
   } catch (error) {
-    // AC26: API server unreachable during call - don't crash, return helpful message
-    if (error.code === 'ECONNREFUSED' || error.code === 'EHOSTUNREACH' || error.code === 'ENETUNREACH') {
-      console.warn(`[${timestamp}] CLAUDE API server unreachable (${error.code})`);
-      return "I'm having trouble connecting to my brain right now. The API server may be offline or unreachable. Please try again later.";
+    return friendlyError(error, timeout, timestamp);
+  }
+}
+
+/**
+ * Map a failed request to something the caller can hear instead of a crash
+ * @param {Error} error - axios error
+ * @param {number} timeout - Timeout in seconds (for the message)
+ * @param {string} timestamp - Log timestamp of the query
+ * @returns {string} Speakable error message
+ */
+function friendlyError(error, timeout, timestamp) {
+  // AC26: API server unreachable during call - don't crash, return helpful message
+  if (error.code === 'ECONNREFUSED' || error.code === 'EHOSTUNREACH' || error.code === 'ENETUNREACH') {
+    console.warn(`[${timestamp}] CLAUDE API server unreachable (${error.code})`);
+    return "I'm having trouble connecting to my brain right now. The API server may be offline or unreachable. Please try again later.";
+  }
+
+  // AC27: Timeout with helpful error message
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    console.error(`[${timestamp}] CLAUDE Timeout after ${timeout} seconds`);
+    return "I'm sorry, that request took too long. This might mean the API server is slow or there's a network issue. Try asking something simpler, or check that claude-phone api-server is running.";
+  }
+
+  // The API server refused the caller's role
+  if (error.response && error.response.status === 403) {
+    console.warn(`[${timestamp}] CLAUDE Role rejected by API server`);
+    return "Sorry, I'm not allowed to help with that on this line.";
+  }
+
+  console.error(`[${timestamp}] CLAUDE Error:`, error.message);
+  // AC26: Don't crash on unknown errors, return friendly message
+  return "I encountered an unexpected error. Please check that the API server is running claude-phone api-server and is on the same network.";
+}
+
+/**
+ * Parse one Server-Sent Events block ("event: x\ndata: {...}")
+ * @returns {{event: string, data: Object}|null}
+ */
+function parseSseBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  }
+
+  if (dataLines.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Query Claude and receive the answer incrementally via /ask-stream (SSE)
+ * Falls back to query() when the API server has no streaming endpoint.
+ *
+ * @param {string} prompt - The prompt/question to send to Claude
+ * @param {Object} options - Same options as query(), plus callbacks
+ * @param {Function} [options.onText] - Called with (delta, textSoFar) as text arrives
+ * @param {Function} [options.onToolUse] - Called with ({ id, name, input }) when Claude uses a tool
+ * @returns {Promise<string>} Claude's final response
+ */
+async function queryStream(prompt, options = {}) {
+  const { callId, devicePrompt, role, timeout = 120, onText, onToolUse } = options;
+  const timestamp = new Date().toISOString();
+
+  try {
+    console.log(`[${timestamp}] CLAUDE Streaming query to ${CLAUDE_API_URL}...`);
+    if (callId) {
+      console.log(`[${timestamp}] CLAUDE Session: ${callId}`);
     }
 
-    // AC27: Timeout with helpful error message
-    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      console.error(`[${timestamp}] CLAUDE Timeout after ${timeout} seconds`);
-      return "I'm sorry, that request took too long. This might mean the API server is slow or there's a network issue. Try asking something simpler, or check that claude-phone api-server is running.";
+    const response = await axios.post(
+      `${CLAUDE_API_URL}/ask-stream`,
+      { prompt, callId, devicePrompt, role },
+      {
+        timeout: timeout * 1000,
+        responseType: 'stream',
+        headers: apiHeaders({ 'Accept': 'text/event-stream' })
+      }
+    );
+
+    return await new Promise((resolve, reject) => {
+      const stream = response.data;
+      let buffer = '';
+      let text = '';
+      let settled = false;
+
+      function finish(err, value) {
+        if (settled) return;
+        settled = true;
+        if (err) reject(err);
+        else resolve(value);
+      }
+
+      function handleEvent(evt) {
+        if (evt.event === 'text') {
+          text += evt.data.text || '';
+          if (onText) onText(evt.data.text || '', text);
+        } else if (evt.event === 'tool_use') {
+          console.log(`[${new Date().toISOString()}] CLAUDE Using tool: ${evt.data.name}`);
+          if (onToolUse) onToolUse(evt.data);
+        } else if (evt.event === 'result') {
+          console.log(`[${new Date().toISOString()}] CLAUDE Stream complete (${evt.data.duration_ms}ms)`);
+          finish(null, evt.data.response || text);
+        } else if (evt.event === 'error') {
+          finish(new Error(evt.data.error || 'Claude API returned failure'));
+        }
+      }
+
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString().replace(/\r\n/g, '\n');
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          const evt = parseSseBlock(block);
+          if (evt) handleEvent(evt);
+        }
+      });
+      stream.on('end', () => finish(new Error('Stream ended without a result')));
+      stream.on('error', (err) => finish(err));
+    });
+
+  } catch (error) {
+    // Older API servers don't have /ask-stream - use the buffered endpoint
+    if (error.response && error.response.status === 404) {
+      console.warn(`[${timestamp}] CLAUDE /ask-stream not available, falling back to /ask`);
+      return query(prompt, { callId, devicePrompt, role, timeout });
     }
+    return friendlyError(error, timeout, timestamp);
+  }
+}
+
+/**
+ * Query Claude for validated JSON via /ask-structured
+ * Unlike query(), failures throw: there is no spoken fallback for data.
+ *
+ * @param {string} prompt - The prompt/question to send to Claude
+ * @param {Object} options
+ * @param {Object} options.schema - { queryType, requiredFields, fieldGuidance, allowExtraFields, example }
+ * @param {string} [options.callId] - Call UUID, to use that call's session
+ * @param {string} [options.role] - Caller role; the API server maps it to a permission profile
+ * @param {number} [options.timeout] - Timeout in seconds (default: 120)
+ * @returns {Promise<Object>} The validated data
+ */
+async function queryStructured(prompt, options = {}) {
+  const { schema, callId, role, timeout = 120 } = options;
+  const timestamp = new Date().toISOString();
+
+  console.log(`[${timestamp}] CLAUDE Structured query (${schema && schema.queryType || 'untyped'})...`);
+  let response;
+  try {
+    response = await axios.post(
+      `${CLAUDE_API_URL}/ask-structured`,
+      { prompt, callId, role, schema },
+      {
+        timeout: timeout * 1000,
+        headers: apiHeaders()
+      }
+    );
+  } catch (error) {
+    const detail = error.response && error.response.data && error.response.data.error;
+    throw new Error('Structured query failed: ' + (detail || error.message));
+  }
 
-    console.error(`[${timestamp}] CLAUDE Error:`, error.message);
-    // AC26: Don't crash on unknown errors, return friendly message
-    return "I encountered an unexpected error. Please check that the API server is running claude-phone api-server and is on the same network.";
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Claude API returned failure');
   }
+  return response.data.data;
 }
 
 /**
@@ -82,7 +253,7 @@ async function endSession(callId) {
       { callId },
       { 
         timeout: 5000,
-        headers: { 'Content-Type': 'application/json' }
+        headers: apiHeaders()
       }
     );
     console.log(`[${timestamp}] CLAUDE Session ended: ${callId}`);
@@ -107,6 +278,9 @@ async function isAvailable() {
 
 module.exports = {
   query,
+  queryStructured,
+  queryStream,
+  parseSseBlock,
   endSession,
   isAvailable
 };
@@ -1,6 +1,7 @@
 /**
  * Shared Conversation Loop
- * Extracted from sip-handler.js for use by both inbound and outbound calls
+ * The turn pipeline for both inbound and outbound calls; extend it with
+ * call hooks (see call-hooks) instead of forking it
  *
  * Features:
  * - VAD-based speech detection
@@ -10,15 +11,44 @@
  * - TTS response generation
  * - Turn-taking audio cues (beeps)
  * - Hold music during processing
+ * - Barge-in: caller can interrupt the response by speaking
+ * - Streaming responses: first sentence plays while Claude is still answering
+ * - Optional call recording with a consent announcement (see call-recorder)
+ * - Goodbye detection, silence timeout and END_CALL from Claude
+ * - Transfer to a human by phrase, DTMF key or TRANSFER_CALL from Claude (see call-transfer)
+ * - Voicemail key: ends the conversation so the caller can leave a message (see voicemail)
+ * - "Call me back": Claude keeps working after the caller hangs up (see callback)
+ * - Prometheus metrics: per-stage turn latency, calls by outcome, active calls (see metrics)
  */
 
 const logger = require('./logger');
+const { createVoiceLineStreamer, remainingSpeech, SpeechQueue } = require('./streaming-speech');
+const { CallRecorder, resolveRecordingConfig } = require('./call-recorder');
+const { hooks: sharedHooks } = require('./call-hooks');
+const { runIvr, DigitCollector } = require('./ivr');
+const { authorizeCaller } = require('./access-control');
+const {
+  transferCall,
+  transferSettings,
+  transferInstructions,
+  isTransferRequest,
+  buildTransferSummary,
+  TRANSFER_MARKER
+} = require('./call-transfer');
+const { voicemailSettings } = require('./voicemail');
+const { callbackSettings, isCallbackRequest, callbackInstructions } = require('./callback');
+const { pbxProfile } = require('./pbx-profiles');
+const { acquireCallSlot } = require('./call-limits');
+const metrics = require('./metrics');
 
 // Audio cue URLs
 const READY_BEEP_URL = 'http://127.0.0.1:3000/static/ready-beep.wav';
 const GOTIT_BEEP_URL = 'http://127.0.0.1:3000/static/gotit-beep.wav';
 const HOLD_MUSIC_URL = 'http://127.0.0.1:3000/static/hold-music.mp3';
 
+// Said when an IVR option leads to a device the caller may not use
+const IVR_REFUSED = "Sorry, that option isn't available to you.";
+
 // Claude Code-style thinking phrases
 const THINKING_PHRASES = [
   "Pondering...",
@@ -44,29 +74,51 @@ function getRandomThinkingPhrase() {
 
 function isGoodbye(transcript) {
   const lower = transcript.toLowerCase().trim();
-  const goodbyePhrases = ['goodbye', 'good bye', 'bye', 'hang up', 'end call', "that's all", 'thats all'];
-  return goodbyePhrases.some(phrase => {
-    return lower === phrase || lower.includes(` ${phrase}`) ||
-           lower.startsWith(`${phrase} `) || lower.endsWith(` ${phrase}`);
-  });
+
+  // Explicit farewells
+  const exactPhrases = [
+    'goodbye', 'good bye', 'bye', 'bye bye', 'hang up', 'end call',
+    "that's all", 'thats all', 'no thanks', 'no thank you',
+    'nothing else', 'nothing else thank you', 'nothing else thanks',
+    "i'm done", 'im done', "i'm good", 'im good', "i'm all set", 'im all set',
+    'have a good one', 'have a nice day', 'have a good day',
+    'talk later', 'talk to you later', 'ttyl', 'take care',
+    'see ya', 'see you', 'later', 'peace',
+    'just a test', 'this was a test', 'just testing', 'only a test'
+  ];
+
+  // Check exact match or phrase appears in transcript
+  if (exactPhrases.some(phrase => lower === phrase || lower.includes(phrase))) return true;
+
+  // Patterns that imply ending
+  const endPatterns = [
+    /^(that('?s| is) (all|it|everything))/,
+    /^(no(thing)? (else|more|further))/,
+    /(thanks?|thank you).{0,20}$/,   // ends with thanks
+    /^(i('m| am) (done|finished|good|all set|okay now|set))/,
+    /(good (night|evening|morning|afternoon))\s*$/,
+    /^(just (testing|checking|a test))/,
+  ];
+
+  return endPatterns.some(pattern => pattern.test(lower));
+}
+
+/**
+ * Clean markdown and formatting from text for speech
+ */
+function cleanForSpeech(text) {
+  return text
+    .replace(/\*+/g, '')              // Remove bold/italic markers
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')  // Convert [text](url) to just text
+    .replace(/\[([^\]]+)\]/g, '$1')   // Remove remaining brackets
+    .trim();
 }
 
 /**
  * Extract voice-friendly line from Claude's response
- * Priority: VOICE_RESPONSE > CUSTOM COMPLETED > COMPLETED > first sentence
+ * Priority: VOICE_RESPONSE > CUSTOM COMPLETED > COMPLETED > first 120 words
  */
 function extractVoiceLine(response) {
-  /**
-   * Clean markdown and formatting from text for speech
-   */
-  function cleanForSpeech(text) {
-    return text
-      .replace(/\*+/g, '')              // Remove bold/italic markers
-      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')  // Convert [text](url) to just text
-      .replace(/\[([^\]]+)\]/g, '$1')   // Remove remaining brackets
-      .trim();
-  }
-
   // Priority 1: Check for new VOICE_RESPONSE line (voice-optimized content)
   const voiceMatch = response.match(/🗣️\s*VOICE_RESPONSE:\s*([^\n]+)/im);
   if (voiceMatch) {
@@ -97,18 +149,173 @@ function extractVoiceLine(response) {
     return cleanForSpeech(completedMatch[1]);
   }
 
-  // Priority 4: Fallback to first sentence
-  const firstSentence = response.split(/[.!?]/)[0];
-  if (firstSentence && firstSentence.length < 500) {
-    return firstSentence.trim();
+  // Priority 4: First 120 words (do not split on ! or ? - natural speech)
+  const words = response.replace(/[*#`]/g, '').trim().split(/\s+/).slice(0, 120);
+  if (words.length > 0 && words[0]) {
+    return words.join(' ');
   }
 
   // Last resort: truncate
   return response.substring(0, 500).trim();
 }
 
+/**
+ * Play audio while listening for the caller to talk over it (barge-in)
+ * Falls back to a plain play() when barge-in is disabled for the session.
+ * On barge-in the playback is stopped with uuid_break and the caller's speech
+ * becomes the start of the next utterance.
+ *
+ * @param {Object} endpoint - FreeSWITCH endpoint
+ * @param {Object} session - AudioForkSession for the call
+ * @param {string} url - Audio URL to play
+ * @returns {Promise<{interrupted: boolean, utterance: Promise|null}>}
+ */
+async function playWithBargeIn(endpoint, session, url) {
+  if (!session || !session.beginPlayback()) {
+    await endpoint.play(url);
+    return { interrupted: false, utterance: null };
+  }
+
+  let onBargeIn = null;
+  const bargedIn = new Promise(function(resolve) {
+    onBargeIn = resolve;
+    session.once('bargein', onBargeIn);
+  });
+  let interrupted = false;
+
+  try {
+    const playback = endpoint.play(url);
+    const winner = await Promise.race([
+      playback.then(function() { return 'done'; }),
+      bargedIn.then(function() { return 'bargein'; })
+    ]);
+
+    if (winner !== 'bargein') {
+      return { interrupted: false, utterance: null };
+    }
+
+    interrupted = true;
+    // Listen before breaking playback so a short utterance can't slip past us
+    const utterance = session.waitForUtterance({ timeoutMs: 30000 });
+    utterance.catch(function() {});
+
+    try {
+      await endpoint.api('uuid_break', endpoint.uuid);
+    } catch (e) {
+      // Ignore - playback may have just finished
+    }
+    await playback.catch(function() {});
+
+    return { interrupted: true, utterance };
+  } finally {
+    session.off('bargein', onBargeIn);
+    if (!interrupted) session.endPlayback();
+  }
+}
+
+/**
+ * Query Claude and speak the voice line while the response streams in
+ * Sentences from the VOICE_RESPONSE line are synthesized and played as soon
+ * as they complete; hold music keeps going until the first clip is ready.
+ * When the full response arrives, whatever was already queued is checked
+ * against the final voice line - a matching prefix is completed, anything
+ * else is dropped and the final line is spoken instead.
+ * Falls back to a single query() when the bridge can't stream.
+ *
+ * @param {string} prompt - Caller's transcript
+ * @param {Object} options
+ * @param {Object} options.endpoint - FreeSWITCH endpoint
+ * @param {Object} options.session - AudioForkSession for the call
+ * @param {Object} options.claudeBridge - Claude API bridge
+ * @param {Object} options.ttsService - TTS service
+ * @param {string} options.voiceId - ElevenLabs voice ID
+ * @param {Object} [options.ttsOptions] - Device TTS engine settings
+ * @param {Object} options.queryOptions - Passed to the bridge ({ callId, devicePrompt, role })
+ * @param {Function} options.stopHoldMusic - Stops hold music; must be safe to call twice
+ * @param {Function} [options.onFirstAudio] - Called when the first clip of the reply is about to play
+ * @param {Function} [options.play] - Plays a URL with barge-in (defaults to playWithBargeIn)
+ * @param {Function} [options.isActive] - Returns false once the call has ended
+ * @param {Function} [options.extractVoiceLine] - Picks the spoken line from the full response
+ * @returns {Promise<{claudeResponse: string, voiceLine: string, interrupted: boolean, utterance: Promise|null, claudeMs: number}>}
+ *   claudeMs: how long Claude took to finish its response
+ */
+async function speakClaudeResponse(prompt, options) {
+  const { endpoint, session, claudeBridge, ttsService, voiceId, ttsOptions, queryOptions, stopHoldMusic } = options;
+  const isActive = options.isActive || function() { return true; };
+  const play = options.play || function(url) { return playWithBargeIn(endpoint, session, url); };
+
+  const onFirstClip = function() {
+    if (options.onFirstAudio) options.onFirstAudio();
+    return stopHoldMusic();
+  };
+  const queue = new SpeechQueue({ ttsService, voiceId, ttsOptions, play, onFirstClip, isActive });
+
+  let claudeResponse;
+  const queriedAt = Date.now();
+  try {
+    if (typeof claudeBridge.queryStream === 'function') {
+      const streamer = createVoiceLineStreamer(function(sentence) {
+        queue.push(cleanForSpeech(sentence));
+      });
+      claudeResponse = await claudeBridge.queryStream(prompt, Object.assign({}, queryOptions, {
+        onText: function(delta, textSoFar) { streamer.update(textSoFar); }
+      }));
+    } else {
+      claudeResponse = await claudeBridge.query(prompt, queryOptions);
+    }
+  } catch (error) {
+    // Let a clip that's already playing finish, then hand the error back
+    queue.cancel();
+    await queue.drain().catch(function() {});
+    await stopHoldMusic();
+    throw error;
+  }
+
+  const claudeMs = Date.now() - queriedAt;
+  const voiceLine = (options.extractVoiceLine || extractVoiceLine)(claudeResponse);
+
+  if (!isActive()) {
+    queue.cancel();
+  } else if (!queue.hasQueued()) {
+    queue.push(voiceLine);
+  } else {
+    const { matches, remainder } = remainingSpeech(queue.queuedText(), voiceLine);
+    if (matches) {
+      queue.push(remainder);
+    } else {
+      logger.info('Final voice line differs from streamed text, replacing', { voiceLine });
+      queue.dropPending();
+      queue.push(voiceLine);
+    }
+  }
+
+  const playback = await queue.drain();
+
+  // Nothing played (call ended or every clip failed) - make sure the music stops
+  if (!queue.hasStarted()) await stopHoldMusic();
+
+  return {
+    claudeResponse,
+    voiceLine,
+    interrupted: playback.interrupted,
+    utterance: playback.utterance,
+    claudeMs
+  };
+}
+
+/**
+ * Greeting played when a device answers
+ */
+function buildGreeting(deviceConfig) {
+  return deviceConfig && deviceConfig.name !== 'Morpheus'
+    ? "Hello! I'm " + deviceConfig.name + ". How can I help you today?"
+    : "Hello! I'm your server. How can I help you today?";
+}
+
 /**
  * Run the conversation loop
+ * The one turn pipeline for both inbound and outbound calls. Customise it
+ * with call hooks (see call-hooks) rather than by changing the loop.
  *
  * @param {Object} endpoint - FreeSWITCH endpoint
  * @param {Object} dialog - SIP dialog
@@ -119,10 +326,31 @@ function extractVoiceLine(response) {
  * @param {Object} options.claudeBridge - Claude API bridge
  * @param {Object} options.ttsService - TTS service
  * @param {number} options.wsPort - WebSocket port
+ * @param {Object} [options.deviceConfig] - Device (prompt, voiceId, tts, stt, vad, bargeIn, recording)
+ * @param {string} [options.defaultVoiceId] - ElevenLabs voice for devices without a voiceId
+ * @param {string} [options.direction='inbound'] - 'inbound' or 'outbound'
+ * @param {string} [options.callerId] - Caller ID (inbound) or dialed number (outbound)
+ * @param {string} [options.role] - Caller role from access control; sent with every Claude query
+ *   (an IVR hand-over to another device works it out again)
+ * @param {string} [options.claudeSessionId] - Claude session to use (default: callUuid; callbacks continue the original call's)
  * @param {string} [options.initialContext] - Context for outbound calls (why we're calling)
  * @param {boolean} [options.skipGreeting=false] - Skip greeting (for outbound, greeting already played)
+ * @param {string} [options.greeting] - Greeting text (default: buildGreeting for the device)
+ * @param {Object} [options.ivr] - IVR menu to run before the conversation (see ivr)
+ * @param {Object} [options.deviceRegistry] - Looks up devices an IVR hands the call to
+ * @param {Object} [options.srf] - drachtio SRF; with mediaServer, lets transfers dial the human (bridged transfers)
+ * @param {Object} [options.mediaServer] - FreeSWITCH media server for bridged transfers
+ * @param {boolean} [options.record] - Record the call (overrides the device "recording" setting)
+ * @param {Function} [options.onTurn] - Called after each answered turn with { caller, assistant, response }
  * @param {number} [options.maxTurns=20] - Maximum conversation turns
- * @returns {Promise<void>}
+ * @param {number} [options.maxSilence=2] - Consecutive timeouts before hanging up
+ * @param {Object} [options.hooks] - CallHooks for this call (default: the shared hooks)
+ * @returns {Promise<{endReason: string, startedAt: string, endedAt: string, turns: Array, recorded: boolean, callback?: Object}>}
+ *   endReason: completed, caller_hangup, caller_goodbye, silence_timeout,
+ *   assistant_ended, max_turns, transferred, voicemail, callback, ivr_hangup or error.
+ *   The caller hangs up the dialog, or takes a message on "voicemail" (inbound only).
+ *   callback ({ reply: Promise<string> }) is set when Claude is still working on a
+ *   request the caller wants to be called back about; the Claude session is left open.
  */
 async function runConversationLoop(endpoint, dialog, callUuid, options) {
   const {
@@ -131,29 +359,359 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
     claudeBridge,
     ttsService,
     wsPort,
+    direction = 'inbound',
+    callerId = null,
+    role: callerRole = null,
+    claudeSessionId = callUuid,
     initialContext = null,
     skipGreeting = false,
+    greeting = null,
     deviceConfig = null,
-    maxTurns = 20
+    defaultVoiceId = null,
+    ivr = null,
+    deviceRegistry = null,
+    srf = null,
+    mediaServer = null,
+    record,
+    onTurn = null,
+    maxTurns = 20,
+    maxSilence = 2,
+    hooks = sharedHooks
   } = options;
 
-  // Extract devicePrompt and voiceId from deviceConfig (for Cephanie etc)
-  const devicePrompt = deviceConfig?.prompt || null;
-  const voiceId = deviceConfig?.voiceId || null;  // null = use default Morpheus voice
   let session = null;
   let forkRunning = false;
-  let callActive = true;
   let dtmfHandler = null;
+  let recorder = null;
+  let endReason = 'completed';
+  let role = callerRole;  // worked out again when an IVR hands the call to another device
+  const recording = resolveRecordingConfig(deviceConfig, record);
+
+  // Passed to every hook; see call-hooks
+  const call = {
+    callUuid,
+    direction,
+    callerId,
+    role,
+    deviceConfig,
+    startedAt: new Date().toISOString(),
+    turns: [],
+    endpoint,
+    session: null
+  };
+
+  // Per-device settings (for Cephanie etc); an IVR can hand the call to another device
+  let device = null;
+  let devicePrompt = null;
+  let voiceId = null;  // null = use default Morpheus voice
+  let ttsOptions;  // per-device TTS engine/voice
+  let transfer = null;  // device "transfer" settings
+  let voicemail = null;  // device "voicemail" settings (inbound calls only)
+  let callback = null;  // device "callback" settings (inbound calls from a number only)
+  const useDevice = (config) => {
+    device = config;
+    call.deviceConfig = config;
+    transfer = transferSettings(config);
+    voicemail = direction === 'inbound' ? voicemailSettings(config) : null;
+    callback = direction === 'inbound' && /\d/.test(callerId || '') ? callbackSettings(config) : null;
+    devicePrompt = config?.prompt || null;
+    if (transfer) devicePrompt = (devicePrompt ? devicePrompt + '\n\n' : '') + transferInstructions();
+    voiceId = config?.voiceId || defaultVoiceId;
+    ttsOptions = config?.tts;
+    if (session) {
+      // Per-device VAD and barge-in settings (devices.json "vad", "bargeIn")
+      session.configureVad(config?.vad);
+      session.configureBargeIn(config?.bargeIn);
+    }
+  };
+  useDevice(deviceConfig);
+
+  // Counted against the device that answered, even if an IVR hands the call on
+  const activeLabels = { device: deviceConfig?.name || 'Morpheus', direction };
 
   // Track when call ends to prevent operations on dead endpoints
+  let callActive = true;
+  let resolveCallEnded;
+  const callEnded = new Promise((resolve) => { resolveCallEnded = resolve; });
   const onDialogDestroy = () => {
     callActive = false;
+    resolveCallEnded();
     logger.info('Call ended (dialog destroyed)', { callUuid });
   };
+  const whenCallEnds = () => callEnded.then(() => { throw new Error('Call ended by remote'); });
+
+  // Play audio but abort if the caller hangs up
+  const safePlay = async (url) => {
+    if (!callActive) return;
+    await Promise.race([endpoint.play(url), whenCallEnds()]);
+  };
+
+  // Like safePlay, but the caller can interrupt by speaking (barge-in)
+  const safePlayWithBargeIn = async (url) => {
+    if (!callActive) return { interrupted: false, utterance: null };
+    return Promise.race([playWithBargeIn(endpoint, session, url), whenCallEnds()]);
+  };
 
+  // Time spent in a pipeline stage (see metrics)
+  const observeStage = (stage, ms) => {
+    metrics.stageDuration.observe({ stage, device: device?.name || 'Morpheus' }, ms / 1000);
+  };
+  const synthesize = async (text, voice, engineOptions) => {
+    const startedAt = Date.now();
+    const url = await ttsService.generateSpeech(text, voice, engineOptions);
+    observeStage('tts', Date.now() - startedAt);
+    return url;
+  };
+
+  // Every spoken line goes through beforeSpeak, including streamed response sentences
+  const speech = {
+    generateSpeech: async (text, voice, engineOptions) => {
+      const line = await hooks.run('beforeSpeak', { text, kind: 'response' }, call);
+      return synthesize(line.text || text, voice, engineOptions);
+    }
+  };
+
+  // Speak a fixed line and note it in the recording's turn list
+  const say = async (text, kind) => {
+    const line = await hooks.run('beforeSpeak', { text, kind }, call);
+    if (!line.text || !callActive) return;
+    const url = await synthesize(line.text, voiceId, ttsOptions);
+    const startMs = recorder ? recorder.positionMs() : 0;
+    await safePlay(url);
+    if (recorder && kind !== 'thinking') recorder.addTurn('assistant', line.text, startMs);
+    return line.text;
+  };
+
+  // Claude's response while it is being spoken; kept for a callback if the caller hangs up
+  let answering = null;
+  let pendingCallback = null;
+
+  // Answer a prompt: thinking phrase, hold music, then Claude's reply as it streams in
+  // (speechEndedAt: when the caller stopped talking, for the first_audio metric)
+  const answer = async (transcript, speechEndedAt) => {
+    // 1. Play random thinking phrase
+    const thinkingPhrase = getRandomThinkingPhrase();
+    logger.info('Playing thinking phrase', { callUuid, phrase: thinkingPhrase });
+    await say(thinkingPhrase, 'thinking');
+
+    // 2. Start hold music in background
+    let musicPlaying = false;
+    if (callActive) {
+      endpoint.play(HOLD_MUSIC_URL).catch(e => {
+        logger.warn('Hold music failed', { callUuid, error: e.message });
+      });
+      musicPlaying = true;
+    }
+
+    // First clip ready = the response starts; used for the recording's turn list
+    let replyStartMs = null;
+    const stopHoldMusic = async () => {
+      if (recorder && replyStartMs === null) replyStartMs = recorder.positionMs();
+      if (!musicPlaying || !callActive) return;
+      musicPlaying = false;
+      try {
+        await endpoint.api('uuid_break', endpoint.uuid);
+      } catch (e) {
+        // Ignore - music may have already stopped
+      }
+    };
+
+    // 3. Query Claude and speak the voice line as it streams in
+    const query = await hooks.run('beforeClaude', {
+      prompt: transcript,
+      queryOptions: { callId: claudeSessionId, devicePrompt: devicePrompt, role: role || undefined }
+    }, call);
+
+    logger.info('Querying Claude', { callUuid });
+    const speaking = speakClaudeResponse(query.prompt, {
+        endpoint,
+        session,
+        claudeBridge,
+        ttsService: speech,
+        voiceId,
+        ttsOptions,
+        queryOptions: query.queryOptions,
+        stopHoldMusic,
+        onFirstAudio: () => observeStage('first_audio', Date.now() - speechEndedAt),
+        play: safePlayWithBargeIn,
+        isActive: () => callActive
+      });
+    answering = speaking.then(r => r.claudeResponse);
+    answering.catch(() => {});
+    const reply = await Promise.race([speaking, whenCallEnds()]);
+    answering = null;
+    observeStage('claude', reply.claudeMs);
+
+    const result = await hooks.run('afterClaude', {
+      transcript,
+      response: reply.claudeResponse,
+      voiceLine: reply.voiceLine,
+      endCall: /🔚\s*END_CALL/i.test(reply.claudeResponse),
+      transfer: !!transfer && TRANSFER_MARKER.test(reply.claudeResponse)
+    }, call);
+
+    logger.info('Claude responded', { callUuid, voiceLine: reply.voiceLine, endCall: result.endCall, transfer: result.transfer });
+    call.turns.push({
+      role: 'assistant',
+      text: reply.voiceLine,
+      response: reply.claudeResponse,
+      time: new Date().toISOString()
+    });
+    if (recorder) recorder.addTurn('assistant', reply.voiceLine, replyStartMs);
+    if (onTurn) onTurn({ caller: transcript, assistant: reply.voiceLine, response: reply.claudeResponse });
+
+    return { reply, endCall: !!result.endCall, transfer: !!result.transfer };
+  };
+
+  // Places the B-leg for bridged and attended transfers, on a line of its own
+  const dial = srf && mediaServer
+    ? async (target) => {
+      const { initiateOutboundCall } = require('./outbound-handler');
+      const slot = acquireCallSlot(device, { deviceLimit: false });
+      if (!slot) throw new Error('All lines are busy');
+      try {
+        const leg = await initiateOutboundCall(srf, mediaServer, { to: target, deviceConfig: device });
+        return Object.assign({}, leg, { release: slot.release });
+      } catch (error) {
+        slot.release();
+        throw error;
+      }
+    }
+    : null;
+
+  // Hand the caller to a human; resolves true once they are transferred
+  // (for bridged transfers, once that call has ended)
+  const connectTo = async (target, settings) => {
+    try {
+      const summary = settings.mode === 'attended'
+        ? (await hooks.run('beforeSpeak', {
+          text: buildTransferSummary(call, device?.name || 'Morpheus', settings.phrases),
+          kind: 'summary'
+        }, call)).text
+        : null;
+      session?.setCaptureEnabled(false);
+      const outcome = await transferCall({
+        dialog,
+        endpoint,
+        target,
+        mode: settings.mode,
+        method: settings.method,
+        domain: pbxProfile(device).domain,
+        summary,
+        dial,
+        speakTo: async (legEndpoint, text) => {
+          const url = await ttsService.generateSpeech(text, voiceId, ttsOptions);
+          await legEndpoint.play(url);
+        },
+        isActive: () => callActive
+      });
+      call.transfer = outcome;
+      return true;
+    } catch (err) {
+      logger.warn('Transfer failed', { callUuid, target, error: err.message });
+      return false;
+    }
+  };
+
+  // A transfer asked for by phrase, key or Claude; false = back to the conversation
+  let transferRequest = null;
+  let keysActive = false;  // transfer and voicemail keys; not during the IVR menu, which has its own keys
+  let voicemailRequested = false;
+  const takeTransfer = async () => {
+    const reason = transferRequest;
+    transferRequest = null;
+    logger.info('Transfer requested', { callUuid, reason, target: transfer.target });
+
+    const announced = await say(transfer.announce, 'transfer');
+    call.turns.push({
+      role: 'assistant',
+      text: announced || '',
+      transfer: { reason, target: transfer.target },
+      time: new Date().toISOString()
+    });
+    if (callActive && await connectTo(transfer.target, transfer)) {
+      endReason = 'transferred';
+      return true;
+    }
+    if (!callActive) throw new Error('Call ended during transfer');
+    await say(transfer.failMessage, 'transfer');
+    return false;
+  };
+
+  // An IVR hand-over is a new way in: the next device's access block applies (PIN included),
+  // and the caller's role is worked out for that device. Refused callers stay where they are.
+  const admitTo = async (next) => {
+    const access = await authorizeCaller({
+      endpoint,
+      deviceConfig: next,
+      callerId,
+      speak: (text) => say(text, 'access'),
+      rejectMessage: IVR_REFUSED
+    });
+    if (!access.allowed) {
+      logger.warn('IVR device refused the caller, staying on current device', { callUuid, device: next.name, reason: access.reason });
+      return false;
+    }
+    if (access.role !== role) {
+      // The API server keeps a call's first role; start a fresh Claude session for the new one
+      logger.info('Caller role changed with device', { callUuid, device: next.name, role: access.role });
+      await claudeBridge.endSession(claudeSessionId);
+      role = access.role;
+      call.role = role;
+    }
+    return true;
+  };
+
+  // Device IVR menu; resolves false when the call ends in the menu,
+  // otherwise the greeting to use (null = the device's default)
+  const runMenu = async () => {
+    // A key cuts the current prompt short
+    const digits = new DigitCollector(endpoint, () => {
+      endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+    });
+
+    let outcome;
+    try {
+      outcome = await runIvr(ivr, {
+        digits,
+        say,
+        answer: async (prompt) => {
+          const { reply, endCall } = await answer(prompt);
+          if (reply.interrupted) session.setCaptureEnabled(false);
+          return { endCall };
+        },
+        transfer: (target) => connectTo(target, Object.assign({}, transfer, { mode: 'blind' })),
+        isActive: () => callActive,
+        onSelect: (digit) => {
+          call.turns.push({ role: 'caller', text: 'Pressed ' + digit, dtmf: digit, time: new Date().toISOString() });
+        }
+      });
+    } finally {
+      digits.close();
+    }
+
+    logger.info('IVR finished', { callUuid, result: outcome.result, device: outcome.device });
+
+    if (outcome.result === 'conversation') {
+      if (outcome.device) {
+        const next = deviceRegistry ? deviceRegistry.get(outcome.device) : null;
+        if (!next) logger.warn('IVR device not found, staying on current device', { callUuid, device: outcome.device });
+        else if (await admitTo(next)) useDevice(next);
+        else return null;
+      }
+      return outcome.greeting || null;
+    }
+
+    endReason = { transferred: 'transferred', hangup: 'ivr_hangup' }[outcome.result] || 'caller_hangup';
+    return false;
+  };
+
+  metrics.activeCalls.inc(activeLabels);
   try {
     logger.info('Conversation loop starting', {
       callUuid,
+      direction,
+      device: deviceConfig?.name || null,
       skipGreeting,
       hasInitialContext: !!initialContext
     });
@@ -161,14 +719,7 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
     // Listen for call end
     dialog.on('destroy', onDialogDestroy);
 
-    // Play greeting (skip for outbound where initial message already played)
-    if (!skipGreeting && callActive) {
-      const greetingUrl = await ttsService.generateSpeech(
-        "Hello! I'm your server. How can I help you today?",
-        voiceId
-      );
-      await endpoint.play(greetingUrl);
-    }
+    await hooks.run('onCallStart', { startedAt: call.startedAt }, call);
 
     // Prime Claude with context if this is an outbound call (NON-BLOCKING)
     // Fire-and-forget: we don't use the response, just establishing session context
@@ -176,46 +727,46 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       logger.info('Priming Claude with outbound context (non-blocking)', { callUuid });
       claudeBridge.query(
         `[SYSTEM CONTEXT - DO NOT REPEAT]: You just called the user to tell them: "${initialContext}". They have answered. Now listen to their response and help them.`,
-        { callId: callUuid, devicePrompt: devicePrompt, isSystemPrime: true }
+        { callId: claudeSessionId, devicePrompt: devicePrompt, role: role || undefined, isSystemPrime: true }
       ).catch(err => logger.warn('Prime query failed', { callUuid, error: err.message }));
     }
 
     // Check if call is still active before starting audio fork
     if (!callActive) {
-      logger.info('Call ended before audio fork could start', { callUuid });
-      return;
+      throw new Error('Call ended before audio fork could start');
     }
 
-    // Start audio fork for entire call
+    // Start audio fork for entire call, before the greeting so a recording includes it.
+    // Recorded calls use a stereo fork: caller on the left, what they hear on the right.
     const wsUrl = `ws://127.0.0.1:${wsPort}/${encodeURIComponent(callUuid)}`;
-
-    // Use try-catch for expectSession to handle race conditions
-    let sessionPromise;
-    try {
-      sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
-    } catch (err) {
-      logger.warn('Failed to set up session expectation', { callUuid, error: err.message });
-      return;
-    }
+    const sessionPromise = audioForkServer.expectSession(callUuid, {
+      timeoutMs: 10000,
+      channels: recording.enabled ? 2 : 1
+    });
 
     await endpoint.forkAudioStart({
       wsUrl,
-      mixType: 'mono',
+      mixType: recording.enabled ? 'stereo' : 'mono',
       sampling: '16k'
     });
     forkRunning = true;
 
-    try {
-      session = await sessionPromise;
-      logger.info('Audio fork connected', { callUuid });
-    } catch (err) {
-      logger.warn('Audio fork session failed', { callUuid, error: err.message });
-      // Cancel the pending expectation if still there
-      audioForkServer.cancelExpectation && audioForkServer.cancelExpectation(callUuid);
-      return;
+    session = await sessionPromise;
+    call.session = session;
+    logger.info('Audio fork connected', { callUuid });
+
+    // Nothing to listen for until the first ready beep
+    session.setCaptureEnabled(false);
+
+    if (recording.enabled) {
+      recorder = new CallRecorder({
+        callId: callUuid,
+        metadata: { direction, device: deviceConfig?.name || null, callerId }
+      }).start();
+      recorder.attach(session);
     }
 
-    // Set up DTMF handler for # key
+    // Set up DTMF handler for # key, and the device's transfer and voicemail keys
     dtmfHandler = (evt) => {
       const digit = evt.dtmf || evt.digit;
       logger.info('DTMF received', { callUuid, digit });
@@ -223,6 +774,14 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       if (digit === '#' && session) {
         logger.info('DTMF # pressed - forcing utterance finalization', { callUuid });
         session.forceFinalize();
+      } else if (keysActive && transfer && String(transfer.dtmfKey) === digit && !transferRequest) {
+        transferRequest = 'dtmf';
+        session?.forceFinalize();
+        endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+      } else if (keysActive && voicemail && String(voicemail.dtmfKey) === digit && !voicemailRequested) {
+        voicemailRequested = true;
+        session?.forceFinalize();
+        endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
       }
     };
 
@@ -237,186 +796,255 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       // Continue without DTMF - not critical
     }
 
+    useDevice(device);
+
     // Emit session event for external monitoring
     if (audioForkServer.emit) {
       audioForkServer.emit('session', session);
     }
-    console.log('[AUDIO] New session for call ' + callUuid);
+
+    // Consent announcement comes before anything else the caller hears
+    if (recorder && recording.consentMessage) {
+      await say(recording.consentMessage, 'consent');
+    }
+
+    // The IVR menu stands in for the greeting; the device greets the caller after it
+    let conversing = true;
+    let greetingText = greeting;
+    if (ivr) {
+      const menuGreeting = await runMenu();
+      conversing = menuGreeting !== false;
+      if (menuGreeting) greetingText = menuGreeting;
+      else if (device !== deviceConfig) greetingText = null;
+    }
+
+    // Play greeting (skip for outbound where initial message already played)
+    if (conversing && !skipGreeting) {
+      await say(greetingText || buildGreeting(device), 'greeting');
+    }
 
     // Main conversation loop
     let turnCount = 0;
+    let silenceCount = 0;
+    let pendingUtterance = null;  // set when the caller barged in on the last response
 
-    while (turnCount < maxTurns && callActive) {
-      turnCount++;
-      logger.info('Conversation turn', { callUuid, turn: turnCount, maxTurns });
-
-      // Check if call is still active
+    keysActive = true;
+    while (conversing && turnCount < maxTurns) {
       if (!callActive) {
-        logger.info('Call ended during turn', { callUuid, turn: turnCount });
+        logger.info('Caller hung up, ending loop', { callUuid, turn: turnCount });
+        endReason = 'caller_hangup';
         break;
       }
 
+      turnCount++;
+      logger.info('Conversation turn', { callUuid, turn: turnCount, maxTurns });
+
       // ============================================
       // READY BEEP: Signal "your turn to speak"
+      // (skipped after barge-in - the caller is already talking)
       // ============================================
-      try {
-        if (callActive) await endpoint.play(READY_BEEP_URL);
-      } catch (e) {
-        if (!callActive) break;
-        logger.warn('Ready beep failed', { callUuid, error: e.message });
-      }
+      if (!pendingUtterance) {
+        try {
+          await safePlay(READY_BEEP_URL);
+        } catch (e) {
+          if (!callActive) continue;
+          logger.warn('Ready beep failed', { callUuid, error: e.message });
+        }
 
-      // Enable capture and wait for speech
-      session.setCaptureEnabled(true);
-      logger.info('Waiting for speech (press # to send immediately)', { callUuid });
+        // Enable capture and wait for speech
+        session.setCaptureEnabled(true);
+        logger.info('Waiting for speech (press # to send immediately)', { callUuid });
+      }
 
       let utterance = null;
+      let heardAtMs = 0;
+      let speechEndedAt = 0;
       try {
-        utterance = await session.waitForUtterance({ timeoutMs: 30000 });
+        utterance = await (pendingUtterance || session.waitForUtterance({ timeoutMs: 30000 }));
+        if (recorder) heardAtMs = recorder.positionMs();
+        speechEndedAt = Date.now() - (utterance.trailingSilenceMs || 0);
+        if (utterance.trailingSilenceMs !== undefined) observeStage('vad', utterance.trailingSilenceMs);
         logger.info('Got utterance', { callUuid, bytes: utterance.audio.length, reason: utterance.reason });
       } catch (err) {
-        if (!callActive) break;
-        logger.info('Utterance timeout', { callUuid, error: err.message });
+        if (callActive) logger.info('Utterance timeout', { callUuid, error: err.message });
       }
 
+      pendingUtterance = null;
       session.setCaptureEnabled(false);
 
-      // Check if call ended during speech detection
-      if (!callActive) {
-        logger.info('Call ended during speech detection', { callUuid });
+      // Checked at the top of the loop
+      if (!callActive) continue;
+
+      // Voicemail or transfer key pressed while listening
+      if (voicemailRequested) {
+        endReason = 'voicemail';
         break;
       }
+      if (transferRequest) {
+        if (await takeTransfer()) break;
+        continue;
+      }
 
       // Handle no speech
       if (!utterance) {
-        const promptUrl = await ttsService.generateSpeech(
-          "I didn't hear anything. Are you still there?",
-          voiceId
-        );
-        if (callActive) await endpoint.play(promptUrl);
+        silenceCount++;
+        if (silenceCount >= maxSilence) {
+          logger.info('Ending call after consecutive silence', { callUuid, timeouts: silenceCount });
+          endReason = 'silence_timeout';
+          await say("I'll let you go. Call again anytime. Goodbye!", 'goodbye');
+          break;
+        }
+        await say("I didn't hear anything. Are you still there?", 'prompt');
         continue;
       }
+      silenceCount = 0;
 
       // ============================================
       // GOT-IT BEEP: Signal "I heard you, processing"
       // ============================================
       try {
-        if (callActive) await endpoint.play(GOTIT_BEEP_URL);
+        await safePlay(GOTIT_BEEP_URL);
       } catch (e) {
-        if (!callActive) break;
+        if (!callActive) continue;
         logger.warn('Got-it beep failed', { callUuid, error: e.message });
       }
 
       // Transcribe
-      const transcript = await whisperClient.transcribe(utterance.audio, {
-        format: 'pcm',
-        sampleRate: 16000
-      });
+      const audio = await hooks.run('beforeTranscribe', {
+        audio: utterance.audio,
+        durationMs: utterance.durationMs
+      }, call);
 
+      let transcript;
+      const transcribingAt = Date.now();
+      try {
+        transcript = await whisperClient.transcribe(audio.audio, {
+          format: 'pcm',
+          sampleRate: 16000,
+          stt: device?.stt
+        });
+        observeStage('stt', Date.now() - transcribingAt);
+      } catch (e) {
+        // Every STT provider failed - tell the caller instead of dropping the call
+        logger.error('Transcription failed', { callUuid, error: e.message });
+        await say("Sorry, I'm having trouble hearing you right now. Could you say that again?", 'prompt');
+        continue;
+      }
+
+      transcript = (await hooks.run('afterTranscript', { transcript: transcript || '' }, call)).transcript || '';
       logger.info('Transcribed', { callUuid, transcript });
 
       // Handle empty transcription
-      if (!transcript || transcript.trim().length < 2) {
-        const clarifyUrl = await ttsService.generateSpeech(
-          "Sorry, I didn't catch that. Could you repeat?",
-          voiceId
-        );
-        if (callActive) await endpoint.play(clarifyUrl);
+      if (transcript.trim().length < 2) {
+        await say("Sorry, I didn't catch that. Could you repeat?", 'prompt');
         continue;
       }
 
+      call.turns.push({ role: 'caller', text: transcript, time: new Date().toISOString() });
+      if (recorder) recorder.addTurn('caller', transcript, heardAtMs - utterance.durationMs, heardAtMs);
+
       // Handle goodbye
       if (isGoodbye(transcript)) {
-        const byeUrl = await ttsService.generateSpeech("Goodbye! Call again anytime.", voiceId);
-        if (callActive) await endpoint.play(byeUrl);
+        endReason = 'caller_goodbye';
+        const goodbye = await say("Goodbye! Call again anytime.", 'goodbye');
+        if (goodbye) call.turns.push({ role: 'assistant', text: goodbye, time: new Date().toISOString() });
         break;
       }
 
-      // ============================================
-      // THINKING FEEDBACK
-      // ============================================
+      // "Talk to a human"
+      if (transfer && isTransferRequest(transcript, transfer.phrases)) {
+        transferRequest = 'caller';
+        if (await takeTransfer()) break;
+        continue;
+      }
 
-      // Check if call still active before thinking feedback
-      if (!callActive) break;
+      // "Work on it and call me back"
+      if (callback && isCallbackRequest(transcript, callback.phrases)) {
+        const query = await hooks.run('beforeClaude', {
+          prompt: transcript + callbackInstructions(),
+          queryOptions: {
+            callId: claudeSessionId,
+            devicePrompt: devicePrompt,
+            role: role || undefined,
+            timeout: callback.maxMinutes * 60
+          }
+        }, call);
+        logger.info('Callback requested, querying Claude', { callUuid });
+        pendingCallback = claudeBridge.query(query.prompt, query.queryOptions);
+        pendingCallback.catch(() => {});
+        endReason = 'callback';
+        const goodbye = await say(callback.goodbye, 'goodbye');
+        if (goodbye) call.turns.push({ role: 'assistant', text: goodbye, time: new Date().toISOString() });
+        break;
+      }
 
-      // 1. Play random thinking phrase
-      const thinkingPhrase = getRandomThinkingPhrase();
-      logger.info('Playing thinking phrase', { callUuid, phrase: thinkingPhrase });
-      const thinkingUrl = await ttsService.generateSpeech(thinkingPhrase, voiceId);
-      if (callActive) await endpoint.play(thinkingUrl);
+      // ============================================
+      // THINKING FEEDBACK, then Claude's answer
+      // ============================================
+      const { reply, endCall, transfer: transferAsked } = await answer(transcript, speechEndedAt);
 
-      // 2. Start hold music in background
-      let musicPlaying = false;
-      if (callActive) {
-        endpoint.play(HOLD_MUSIC_URL).catch(e => {
-          logger.warn('Hold music failed', { callUuid, error: e.message });
-        });
-        musicPlaying = true;
+      if (voicemailRequested) {
+        endReason = 'voicemail';
+        break;
       }
 
-      // 3. Query Claude
-      logger.info('Querying Claude', { callUuid });
-      const claudeResponse = await claudeBridge.query(
-        transcript,
-        { callId: callUuid, devicePrompt: devicePrompt }
-      );
-
-      // 4. Stop hold music
-      if (musicPlaying && callActive) {
-        try {
-          await endpoint.api('uuid_break', endpoint.uuid);
-        } catch (e) {
-          // Ignore - music may have already stopped
-        }
+      // Claude handed the call over, or the transfer key was pressed while it answered
+      if (transfer && (transferAsked || transferRequest)) {
+        transferRequest = transferRequest || 'assistant';
+        if (await takeTransfer()) break;
+        continue;
       }
 
-      // Check if call ended during Claude processing
-      if (!callActive) {
-        logger.info('Call ended during Claude processing', { callUuid });
+      if (endCall) {
+        logger.info('Claude ended the call', { callUuid });
+        endReason = 'assistant_ended';
         break;
       }
 
-      logger.info('Claude responded', { callUuid });
-
-      // 5. Extract and play voice line
-      const voiceLine = extractVoiceLine(claudeResponse);
-      logger.info('Voice line', { callUuid, voiceLine });
-
-      const responseUrl = await ttsService.generateSpeech(voiceLine, voiceId);
-      if (callActive) await endpoint.play(responseUrl);
+      if (reply.interrupted) {
+        logger.info('Caller barged in, listening', { callUuid });
+        pendingUtterance = reply.utterance;
+      }
 
       logger.info('Turn complete', { callUuid, turn: turnCount });
     }
 
     // Max turns reached
-    if (turnCount >= maxTurns && callActive) {
-      const maxUrl = await ttsService.generateSpeech(
-        "We've been talking for a while. Goodbye!",
-        voiceId
-      );
-      await endpoint.play(maxUrl);
+    if (endReason === 'completed' && turnCount >= maxTurns && callActive) {
+      endReason = 'max_turns';
+      await say("We've been talking for a while. Goodbye!", 'goodbye');
     }
 
-    logger.info('Conversation loop ended normally', { callUuid, turns: turnCount });
+    logger.info('Conversation loop ended normally', { callUuid, turns: turnCount, endReason });
 
   } catch (error) {
-    logger.error('Conversation loop error', {
-      callUuid,
-      error: error.message,
-      stack: error.stack
-    });
+    if (endReason === 'completed') endReason = callActive ? 'error' : 'caller_hangup';
+
+    if (callActive) {
+      logger.error('Conversation loop error', {
+        callUuid,
+        error: error.message,
+        stack: error.stack
+      });
+    } else {
+      logger.info('Call ended mid-turn', { callUuid, error: error.message });
+    }
 
     try {
       if (session) session.setCaptureEnabled(false);
-      if (callActive) {
-        const errUrl = await ttsService.generateSpeech("Sorry, something went wrong.", voiceId);
-        await endpoint.play(errUrl);
-      }
+      if (callActive) await say("Sorry, something went wrong.", 'error');
     } catch (e) {
       // Ignore cleanup errors
     }
   } finally {
-    logger.info('Conversation loop cleanup', { callUuid });
+    logger.info('Conversation loop cleanup', { callUuid, endReason });
+    metrics.activeCalls.dec(activeLabels);
+
+    // Hung up on hold music: let Claude finish and call them back with the answer
+    if (!pendingCallback && answering && callback && callback.onHangup && !callActive) {
+      logger.info('Caller hung up while Claude was answering, calling back when done', { callUuid });
+      pendingCallback = answering;
+    }
 
     // Remove dialog listener
     dialog.off('destroy', onDialogDestroy);
@@ -431,11 +1059,13 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       audioForkServer.cancelExpectation(callUuid);
     }
 
-    // End Claude session
-    try {
-      await claudeBridge.endSession(callUuid);
-    } catch (e) {
-      // Ignore
+    // End Claude session (the callback continues it)
+    if (!pendingCallback) {
+      try {
+        await claudeBridge.endSession(claudeSessionId);
+      } catch (e) {
+        // Ignore
+      }
     }
 
     // Stop audio fork
@@ -446,14 +1076,41 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
         // Ignore
       }
     }
+
+    // Finish the recording once the fork has flushed its last audio
+    if (recorder) {
+      try {
+        await recorder.stop();
+      } catch (e) {
+        logger.error('Failed to save recording', { callUuid, error: e.message });
+      }
+    }
   }
+
+  metrics.calls.inc({ device: device?.name || 'Morpheus', direction, outcome: endReason });
+
+  const result = {
+    endReason,
+    startedAt: call.startedAt,
+    endedAt: new Date().toISOString(),
+    turns: call.turns,
+    recorded: !!recorder
+  };
+  if (pendingCallback) result.callback = { reply: pendingCallback };
+
+  await hooks.run('onCallEnd', { endReason, endedAt: result.endedAt, recorded: result.recorded }, call);
+  return result;
 }
 
 module.exports = {
   runConversationLoop,
+  playWithBargeIn,
+  speakClaudeResponse,
   extractVoiceLine,
   isGoodbye,
   getRandomThinkingPhrase,
+  buildGreeting,
+  THINKING_PHRASES,
   READY_BEEP_URL,
   GOTIT_BEEP_URL,
   HOLD_MUSIC_URL
@@ -4,21 +4,50 @@
  * Manages device configurations for multi-device voice interface support.
  * Loads device configs from JSON and provides lookup by extension or name.
  *
+ * watch() reloads devices.json when it changes. At startup an invalid device
+ * is skipped and an invalid block dropped, so the rest still run; a reload is
+ * stricter and ignores the whole file if anything in it is invalid, keeping
+ * the current devices, so a typo cannot take a live extension offline. A good
+ * file replaces every device at once and emits 'change' with the extensions
+ * added, removed and changed. Calls keep the device object they started with,
+ * so a reload only affects new calls.
+ *
  * Each device has:
  * - name: Human-readable identifier (e.g., "Cephanie", "Morpheus")
  * - extension: SIP extension number (e.g., "9002")
- * - authId: 3CX authentication ID for SIP REGISTER
- * - password: 3CX authentication password
+ * - authId: PBX authentication ID for SIP REGISTER
+ * - password: PBX authentication password
  * - voiceId: ElevenLabs voice ID for TTS
  * - prompt: System prompt that defines device personality
+ * - ivr: Optional DTMF menu played before the conversation (see ivr)
+ * - access: Optional caller allowlist/blocklist and PIN (see access-control)
+ * - memory: Optional per-caller notes carried across calls (see caller-memory)
+ * - transfer: Optional human to transfer callers to (see call-transfer)
+ * - voicemail: Optional business hours, busy limit and key for taking messages (see voicemail)
+ * - callback: Optional "call me back" when Claude finishes after the caller hangs up (see callback)
+ * - limits: Optional cap on calls at once, with 486 Busy or a queue when full (see call-limits)
+ * - sip: Optional SIP transport (udp/tcp/tls), registrar port and SRTP for this extension (see sip-security)
+ * - pbx: Optional PBX type or named profile the extension lives on (see pbx-profiles)
  */
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { validateIvr } = require('./ivr');
+const { validateAccess } = require('./access-control');
+const { validateTransfer } = require('./call-transfer');
+const { validateVoicemail } = require('./voicemail');
+const { validateCallback } = require('./callback');
+const { validateLimits } = require('./call-limits');
+const { validateSip } = require('./sip-security');
+const { hasPbxProfile } = require('./pbx-profiles');
 
 const CONFIG_PATH = path.join(__dirname, '../config/devices.json');
 
+// devices.json is polled: inotify misses edits through some Docker bind mounts
+const WATCH_INTERVAL_MS = 2000;
+
 // Default device (Morpheus) - used when config file missing or no match found
 const MORPHEUS_DEFAULT = {
   name: 'Morpheus',
@@ -29,11 +58,17 @@ const MORPHEUS_DEFAULT = {
   prompt: 'You are Morpheus, Chuck\'s principal AI assistant. You are meticulous, systematic, and excellence-driven. Keep voice responses under 40 words.'
 };
 
-class DeviceRegistry {
-  constructor() {
+class DeviceRegistry extends EventEmitter {
+  /**
+   * @param {string} [configPath] - devices.json to load (default: voice-app/config/devices.json)
+   */
+  constructor(configPath = CONFIG_PATH) {
+    super();
+    this.configPath = configPath;
     this.devices = {};
     this.devicesByName = {};
     this.loaded = false;
+    this.watcher = null;
     this.load();
   }
 
@@ -42,47 +77,24 @@ class DeviceRegistry {
    */
   load() {
     try {
-      if (!fs.existsSync(CONFIG_PATH)) {
+      if (!fs.existsSync(this.configPath)) {
         logger.warn('Device config not found, using Morpheus default only', {
-          path: CONFIG_PATH
+          path: this.configPath
         });
-        this.devices = {
-          [MORPHEUS_DEFAULT.extension]: MORPHEUS_DEFAULT
-        };
-        this.devicesByName = {
-          [MORPHEUS_DEFAULT.name.toLowerCase()]: MORPHEUS_DEFAULT
-        };
+        this.swap({ [MORPHEUS_DEFAULT.extension]: MORPHEUS_DEFAULT });
         this.loaded = true;
         return;
       }
 
-      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-      const devicesJson = JSON.parse(configData);
-
-      if (typeof devicesJson !== 'object') {
-        throw new Error('Device config must be an object');
-      }
-
-      this.devices = {};
-      this.devicesByName = {};
-
-      for (const [extension, device] of Object.entries(devicesJson)) {
-        if (!device.name || !device.extension) {
-          logger.warn('Skipping invalid device config', { extension, device });
-          continue;
-        }
-
-        this.devices[extension] = device;
-        this.devicesByName[device.name.toLowerCase()] = device;
-      }
+      const devices = this.readDevices();
 
       // Only use Morpheus default if NO devices are configured
-      if (Object.keys(this.devices).length === 0) {
+      if (Object.keys(devices).length === 0) {
         logger.warn('No devices configured, using Morpheus default');
-        this.devices[MORPHEUS_DEFAULT.extension] = MORPHEUS_DEFAULT;
-        this.devicesByName[MORPHEUS_DEFAULT.name.toLowerCase()] = MORPHEUS_DEFAULT;
+        devices[MORPHEUS_DEFAULT.extension] = MORPHEUS_DEFAULT;
       }
 
+      this.swap(devices);
       this.loaded = true;
       logger.info('Device registry loaded', {
         deviceCount: Object.keys(this.devices).length,
@@ -91,15 +103,195 @@ class DeviceRegistry {
 
     } catch (error) {
       logger.error('Failed to load device config', { error: error.message });
-      this.devices = { [MORPHEUS_DEFAULT.extension]: MORPHEUS_DEFAULT };
-      this.devicesByName = { [MORPHEUS_DEFAULT.name.toLowerCase()]: MORPHEUS_DEFAULT };
+      this.swap({ [MORPHEUS_DEFAULT.extension]: MORPHEUS_DEFAULT });
       this.loaded = true;
     }
   }
 
+  /**
+   * Read and check devices.json; invalid devices are skipped and invalid blocks dropped
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Throw on any invalid device or block instead
+   * @returns {Object} Devices by extension
+   */
+  readDevices(options = {}) {
+    const configData = fs.readFileSync(this.configPath, 'utf8');
+    const devicesJson = JSON.parse(configData);
+
+    if (!devicesJson || typeof devicesJson !== 'object' || Array.isArray(devicesJson)) {
+      throw new Error('Device config must be an object');
+    }
+
+    // In strict mode problems are collected rather than worked around
+    const problems = [];
+    const refuse = (extension, errors) => {
+      if (options.strict) problems.push(...errors.map(error => `${extension}: ${error}`));
+      return Boolean(options.strict);
+    };
+
+    const devices = {};
+    for (const [extension, entry] of Object.entries(devicesJson)) {
+      let device = entry;
+      if (!device || !device.name || !device.extension) {
+        if (!refuse(extension, ['name and extension are required'])) {
+          logger.warn('Skipping invalid device config', { extension, device });
+        }
+        continue;
+      }
+
+      // Invalid access policies reject every caller (see access-control)
+      if (device.access) {
+        const errors = validateAccess(device.access);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.error('Invalid access policy, all calls to this device will be rejected', { extension, errors });
+        }
+      }
+
+      // A broken menu would strand callers - run the device without it
+      if (device.ivr) {
+        const errors = validateIvr(device.ivr);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid IVR config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.ivr;
+        }
+      }
+
+      // Without a usable target there is nobody to transfer to
+      if (device.transfer) {
+        const errors = validateTransfer(device.transfer);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid transfer config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.transfer;
+        }
+      }
+
+      // A bad schedule could send every call to voicemail - answer them instead
+      if (device.voicemail !== undefined) {
+        const errors = validateVoicemail(device.voicemail);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid voicemail config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.voicemail;
+        }
+      }
+
+      // Unusable callback settings - callers are told to wait on the line instead
+      if (device.callback !== undefined) {
+        const errors = validateCallback(device.callback);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid callback config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.callback;
+        }
+      }
+
+      // Without usable limits the device takes calls like it would without any
+      if (device.limits !== undefined) {
+        const errors = validateLimits(device.limits);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid limits config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.limits;
+        }
+      }
+
+      // A bad transport would keep the extension offline - use the registrar-wide settings
+      if (device.sip !== undefined) {
+        const errors = validateSip(device.sip);
+        if (errors.length > 0 && !refuse(extension, errors)) {
+          logger.warn('Ignoring invalid sip config', { extension, errors });
+          device = Object.assign({}, device);
+          delete device.sip;
+        }
+      }
+
+      // An unknown PBX would send the device's calls nowhere - use the default PBX
+      if (device.pbx !== undefined && !hasPbxProfile(device.pbx) &&
+          !refuse(extension, [`pbx "${device.pbx}" is not a known PBX profile`])) {
+        logger.warn('Ignoring unknown pbx profile', { extension, pbx: device.pbx });
+        device = Object.assign({}, device);
+        delete device.pbx;
+      }
+
+      devices[extension] = device;
+    }
+
+    if (problems.length > 0) throw new Error('Invalid device config: ' + problems.join('; '));
+    return devices;
+  }
+
+  /**
+   * Replace every device at once
+   * @param {Object} devices - Devices by extension
+   * @returns {Object} { added, removed, changed } - extensions
+   */
+  swap(devices) {
+    const previous = this.devices;
+    const devicesByName = {};
+    for (const device of Object.values(devices)) {
+      devicesByName[device.name.toLowerCase()] = device;
+    }
+
+    this.devices = devices;
+    this.devicesByName = devicesByName;
+
+    return {
+      added: Object.keys(devices).filter(ext => !previous[ext]),
+      removed: Object.keys(previous).filter(ext => !devices[ext]),
+      changed: Object.keys(devices).filter(ext => previous[ext] &&
+        JSON.stringify(previous[ext]) !== JSON.stringify(devices[ext]))
+    };
+  }
+
+  /**
+   * Load devices.json again, keeping the current devices if anything in it is invalid
+   * @returns {Object|null} { added, removed, changed }, or null if nothing was loaded
+   */
   reload() {
     logger.info('Reloading device registry...');
-    this.load();
+
+    let devices;
+    try {
+      devices = this.readDevices({ strict: true });
+    } catch (error) {
+      logger.error('Device config not reloaded, keeping current devices', { path: this.configPath, error: error.message });
+      return null;
+    }
+    if (Object.keys(devices).length === 0) {
+      logger.error('Device config has no valid devices, keeping current devices', { path: this.configPath });
+      return null;
+    }
+
+    const diff = this.swap(devices);
+    logger.info('Device registry reloaded', Object.assign({ deviceCount: Object.keys(devices).length }, diff));
+    if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+      this.emit('change', diff);
+    }
+    return diff;
+  }
+
+  /**
+   * Reload whenever devices.json changes
+   * @param {number} [intervalMs] - How often to check the file
+   */
+  watch(intervalMs = WATCH_INTERVAL_MS) {
+    if (this.watcher) return;
+    this.watcher = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      // Deleting the file keeps the current devices
+      if (current.mtimeMs === 0) return;
+      this.reload();
+    };
+    fs.watchFile(this.configPath, { interval: intervalMs, persistent: false }, this.watcher);
+    logger.info('Watching device config', { path: this.configPath });
+  }
+
+  unwatch() {
+    if (!this.watcher) return;
+    fs.unwatchFile(this.configPath, this.watcher);
+    this.watcher = null;
   }
 
   getByExtension(extension) {
@@ -169,3 +361,4 @@ class DeviceRegistry {
 const registry = new DeviceRegistry();
 
 module.exports = registry;
+module.exports.DeviceRegistry = DeviceRegistry;
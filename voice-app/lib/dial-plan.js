@@ -0,0 +1,309 @@
+/**
+ * Dial Plan
+ * Decides whether and how an outbound number is dialled: normalizes what
+ * users type into E.164, refuses denied destinations, and picks the dial
+ * string and PBX (see pbx-profiles) for it. Used for every outbound call,
+ * including callbacks and transfers.
+ *
+ * Rules in config/dial-plan.json (DIAL_PLAN_FILE):
+ *   {
+ *     "country": "GB",                              // home country for numbers typed without + (default: DIAL_COUNTRY, then US)
+ *     "deny": ["^\\+44(9|87)", "^\\+882", "^118"],  // premium, satellite and directory numbers
+ *     "allow": ["^\\+44", "^\\+353"],               // when set, only these external numbers
+ *     "rules": [
+ *       { "name": "Ireland", "match": "^\\+353", "trunk": "carrier" },
+ *       { "name": "UK mobiles", "match": "^\\+447(\\d+)$", "rewrite": "07$1", "prefix": "9" }
+ *     ]
+ *   }
+ *
+ * The first rule whose "match" regex matches the normalized number applies:
+ *   rewrite  replacement for the match ($1 for groups); default: the PBX's number format
+ *   prefix   digits dialled first; default: the PBX's dialPrefix (none for extensions)
+ *   trunk    PBX type or profile to send the call through; default: the device's PBX
+ * Numbers no rule matches are dialled the device PBX's way. deny applies to
+ * every number, extensions (up to 6 digits) included; allow applies to
+ * external numbers only. Emergency numbers (the home country's, plus 112 and
+ * 911) are refused unless the plan sets "allowEmergency": true. Short numbers
+ * are also checked without the PBX's dialPrefix, since "9911" reaches 911 on
+ * a 3CX; such numbers count as external for allow too. A dial plan that fails
+ * validation refuses every external number until it is fixed, so a typo
+ * cannot lift a deny.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { pbxProfile, hasPbxProfile } = require('./pbx-profiles');
+const { sipSettings, requestUri } = require('./sip-security');
+
+const DIAL_PLAN_FILE = process.env.DIAL_PLAN_FILE || path.join(__dirname, '..', 'config', 'dial-plan.json');
+
+const MAX_EXTENSION_DIGITS = 6;
+
+// Calling code, national trunk prefix, international access prefix and
+// emergency numbers. NANP numbers have a fixed 10-digit national length and
+// are written with or without a leading 1.
+const COUNTRIES = {
+  US: { code: '1', trunk: '', intl: '011', length: 10, emergency: ['911', '933'] },
+  CA: { code: '1', trunk: '', intl: '011', length: 10, emergency: ['911'] },
+  MX: { code: '52', trunk: '', intl: '00', emergency: ['911', '066'] },
+  GB: { code: '44', trunk: '0', intl: '00', emergency: ['999', '112'] },
+  IE: { code: '353', trunk: '0', intl: '00', emergency: ['999', '112'] },
+  DE: { code: '49', trunk: '0', intl: '00', emergency: ['110', '112'] },
+  FR: { code: '33', trunk: '0', intl: '00', emergency: ['15', '17', '18', '112', '114'] },
+  NL: { code: '31', trunk: '0', intl: '00', emergency: ['112'] },
+  ES: { code: '34', trunk: '', intl: '00', emergency: ['112', '061', '091', '092'] },
+  IT: { code: '39', trunk: '', intl: '00', emergency: ['112', '113', '115', '118'] },
+  AU: { code: '61', trunk: '0', intl: '0011', emergency: ['000', '112', '106'] },
+  NZ: { code: '64', trunk: '0', intl: '00', emergency: ['111', '112'] },
+  IN: { code: '91', trunk: '0', intl: '00', emergency: ['100', '101', '102', '108', '112'] },
+  JP: { code: '81', trunk: '0', intl: '010', emergency: ['110', '118', '119'] }
+};
+
+// Reach emergency services from most networks, whatever the home country
+const GLOBAL_EMERGENCY_NUMBERS = ['112', '911'];
+
+let plan = null;
+
+/**
+ * @param {string} number
+ * @returns {boolean} True for a + number of 7 to 15 digits
+ */
+function isE164(number) {
+  return typeof number === 'string' && /^\+[1-9]\d{6,14}$/.test(number);
+}
+
+function isPattern(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check a dial plan
+ * @param {Object} dialPlan
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateDialPlan(dialPlan) {
+  if (!dialPlan || typeof dialPlan !== 'object' || Array.isArray(dialPlan)) return ['dial plan must be an object'];
+
+  const errors = [];
+  if (dialPlan.country !== undefined && !COUNTRIES[dialPlan.country]) {
+    errors.push(`country must be one of ${Object.keys(COUNTRIES).join(', ')}`);
+  }
+  if (dialPlan.allowEmergency !== undefined && typeof dialPlan.allowEmergency !== 'boolean') {
+    errors.push('allowEmergency must be true or false');
+  }
+  for (const key of ['allow', 'deny']) {
+    if (dialPlan[key] === undefined) continue;
+    if (!Array.isArray(dialPlan[key])) {
+      errors.push(`${key} must be a list of patterns`);
+      continue;
+    }
+    dialPlan[key].forEach((pattern, i) => {
+      if (typeof pattern !== 'string' || !isPattern(pattern)) errors.push(`${key}[${i}] is not a valid regex`);
+    });
+  }
+  if (dialPlan.rules !== undefined && !Array.isArray(dialPlan.rules)) {
+    errors.push('rules must be a list');
+  } else {
+    (dialPlan.rules || []).forEach((rule, i) => {
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`rules[${i}] must be an object`);
+        return;
+      }
+      if (typeof rule.match !== 'string' || !isPattern(rule.match)) errors.push(`rules[${i}].match is not a valid regex`);
+      if (rule.rewrite !== undefined && typeof rule.rewrite !== 'string') errors.push(`rules[${i}].rewrite must be a string`);
+      if (rule.prefix !== undefined && !(typeof rule.prefix === 'string' && /^[0-9*#]*$/.test(rule.prefix))) {
+        errors.push(`rules[${i}].prefix must be digits`);
+      }
+      if (rule.trunk !== undefined && !hasPbxProfile(rule.trunk)) errors.push(`rules[${i}].trunk is not a known PBX profile`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Load the dial plan; without a file every number is allowed and dialled the PBX's way
+ * @param {string} [file] - Default: DIAL_PLAN_FILE
+ * @returns {Object} The plan in use
+ */
+function loadDialPlan(file = DIAL_PLAN_FILE) {
+  plan = { rules: [] };
+  if (!fs.existsSync(file)) return plan;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load dial plan, refusing external numbers', { file, error: error.message });
+    plan = { rules: [], invalid: true };
+    return plan;
+  }
+
+  const errors = validateDialPlan(data);
+  if (errors.length > 0) {
+    logger.error('Invalid dial plan, refusing external numbers', { file, errors });
+    plan = { rules: [], invalid: true };
+    return plan;
+  }
+
+  plan = Object.assign({ rules: [] }, data);
+  logger.info('Dial plan loaded', { country: homeCountry(), rules: plan.rules.length });
+  return plan;
+}
+
+function currentPlan() {
+  if (!plan) loadDialPlan();
+  return plan;
+}
+
+function homeCountry() {
+  const code = currentPlan().country || String(process.env.DIAL_COUNTRY || '').toUpperCase();
+  return COUNTRIES[code] ? code : 'US';
+}
+
+/**
+ * Turn a number as a user typed it into E.164, or an internal extension
+ * @param {string} input - e.g. "+44 20 7123 4567", "(555) 123-4567", "020 7123 4567", "9002"
+ * @param {string} [country] - Home country (default: the dial plan's)
+ * @returns {string|null} E.164 number, extension digits, or null if it is not a dialable number
+ */
+function normalizeNumber(input, country) {
+  if (typeof input !== 'string' || !/^\+?[\d\s().\-/]+$/.test(input.trim())) return null;
+
+  const home = COUNTRIES[country || homeCountry()];
+  const digits = input.replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return isE164(digits) ? digits : null;
+  if (digits.length <= MAX_EXTENSION_DIGITS) return digits;
+
+  let number;
+  if (digits.startsWith(home.intl)) {
+    number = '+' + digits.slice(home.intl.length);
+  } else if (home.length) {
+    if (digits.length === home.length) number = '+' + home.code + digits;
+    else if (digits.length === home.length + home.code.length && digits.startsWith(home.code)) number = '+' + digits;
+  } else if (home.trunk) {
+    if (digits.startsWith(home.trunk)) number = '+' + home.code + digits.slice(home.trunk.length);
+  } else {
+    number = '+' + home.code + digits;
+  }
+  return isE164(number) ? number : null;
+}
+
+/**
+ * An E.164 number in a PBX's number format (without its dial prefix)
+ * @param {string} number - E.164
+ * @param {Object} pbx - From pbxProfile()
+ * @param {string} [country] - Home country (default: the dial plan's)
+ * @returns {string}
+ */
+function formatDialNumber(number, pbx, country) {
+  if (pbx.numberFormat === 'e164') return number;
+  if (pbx.numberFormat === 'digits') return number.slice(1);
+
+  // national: home numbers as dialled in the country, others with the international prefix
+  const home = COUNTRIES[country || homeCountry()];
+  if (number.startsWith('+' + home.code)) return home.trunk + number.slice(home.code.length + 1);
+  return home.intl + number.slice(1);
+}
+
+function matchesAny(number, patterns) {
+  return (patterns || []).some(pattern => new RegExp(pattern).test(number));
+}
+
+/**
+ * @param {string} number - Extension digits
+ * @param {string} [country] - Home country (default: the dial plan's)
+ * @returns {boolean} True for the home country's emergency numbers, 112 and 911
+ */
+function isEmergencyNumber(number, country) {
+  return GLOBAL_EMERGENCY_NUMBERS.includes(number) || COUNTRIES[country || homeCountry()].emergency.includes(number);
+}
+
+/**
+ * Work out how a number would be dialled
+ * @param {string} to - Number or extension as given
+ * @param {Object} [options]
+ * @param {Object} [options.deviceConfig] - Device placing the call
+ * @returns {Object} {
+ *   input, number (normalized), internal, allowed, reason ('invalid_number' | 'emergency' | 'denied' |
+ *   'not_allowed' | 'dial_plan_invalid' when refused), rule (name or index of the rule used), pbx (profile), sip (transport
+ *   settings), dial (request URI user), uri
+ * }
+ */
+function planDial(to, options = {}) {
+  const deviceConfig = options.deviceConfig || null;
+  const dialPlan = currentPlan();
+  const number = normalizeNumber(to);
+  const result = {
+    input: to,
+    number,
+    internal: Boolean(number && !number.startsWith('+')),
+    allowed: false,
+    reason: null,
+    rule: null,
+    pbx: null,
+    sip: null,
+    dial: null,
+    uri: null
+  };
+
+  if (!number) {
+    result.reason = 'invalid_number';
+    return result;
+  }
+
+  const index = dialPlan.rules.findIndex(rule => new RegExp(rule.match).test(number));
+  const rule = index >= 0 ? dialPlan.rules[index] : null;
+  // A trunk rule sends the call through that PBX as if the device lived there
+  const device = rule && rule.trunk ? Object.assign({}, deviceConfig, { pbx: rule.trunk }) : deviceConfig;
+  const pbx = pbxProfile(device);
+
+  // A short number starting with the outside-line prefix may really be external
+  const numbers = [number];
+  if (result.internal && pbx.dialPrefix && number.startsWith(pbx.dialPrefix) && number.length > pbx.dialPrefix.length) {
+    numbers.push(number.slice(pbx.dialPrefix.length));
+  }
+  // Such a number is held to the external checks; allowing it as dialled also lets it through
+  const external = !result.internal || numbers.length > 1;
+  const allowed = numbers.some(candidate => matchesAny(candidate, dialPlan.allow));
+
+  if (result.internal && !dialPlan.allowEmergency && numbers.some(candidate => isEmergencyNumber(candidate))) result.reason = 'emergency';
+  else if (numbers.some(candidate => matchesAny(candidate, dialPlan.deny))) result.reason = 'denied';
+  else if (external) {
+    if (dialPlan.invalid) result.reason = 'dial_plan_invalid';
+    else if (dialPlan.allow && dialPlan.allow.length > 0 && !allowed) result.reason = 'not_allowed';
+  }
+  if (result.reason) return result;
+
+  let dial;
+  if (rule && rule.rewrite !== undefined) dial = number.replace(new RegExp(rule.match), rule.rewrite);
+  else dial = result.internal ? number : formatDialNumber(number, pbx);
+  if (rule && rule.prefix !== undefined) dial = rule.prefix + dial;
+  else if (!result.internal) dial = (pbx.dialPrefix || '') + dial;
+
+  const sip = sipSettings(device);
+  return Object.assign(result, {
+    allowed: true,
+    rule: rule ? rule.name || index : null,
+    pbx,
+    sip,
+    dial,
+    uri: pbx.host ? requestUri(dial, pbx.host, sip) : null
+  });
+}
+
+module.exports = {
+  COUNTRIES,
+  isE164,
+  isEmergencyNumber,
+  validateDialPlan,
+  loadDialPlan,
+  normalizeNumber,
+  formatDialNumber,
+  planDial
+};
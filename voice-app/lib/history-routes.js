@@ -0,0 +1,132 @@
+/**
+ * Call History API Routes
+ * Express routes for browsing and searching past calls (see call-history)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { getCallHistory } = require('./call-history');
+const { findRecording } = require('./call-recorder');
+
+// Dependencies injected via setupRoutes()
+let callHistory = null;
+
+function store() {
+  return callHistory || getCallHistory();
+}
+
+/**
+ * Validate history query parameters
+ */
+function validateQuery(query) {
+  if (query.direction && !['inbound', 'outbound'].includes(query.direction)) {
+    return { valid: false, error: 'Parameter "direction" must be "inbound" or "outbound"' };
+  }
+
+  for (const field of ['since', 'until']) {
+    if (query[field] && isNaN(Date.parse(query[field]))) {
+      return { valid: false, error: `Parameter "${field}" must be an ISO 8601 date` };
+    }
+  }
+
+  for (const field of ['limit', 'offset']) {
+    if (query[field] !== undefined && !/^\d+$/.test(query[field])) {
+      return { valid: false, error: `Parameter "${field}" must be a non-negative integer` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * GET /api/calls/history
+ * List past calls, newest first
+ *
+ * Query parameters (all optional):
+ *   - q: Full-text search over transcripts and Claude responses (all words must match)
+ *   - direction: 'inbound' or 'outbound'
+ *   - device: Device name
+ *   - caller: Part of the caller ID or dialed number
+ *   - endReason: Why the call ended (e.g. caller_hangup, remote_hangup, max_turns)
+ *   - since, until: ISO dates bounding the call start time
+ *   - limit: Page size (default: 50, max: 500)
+ *   - offset: Calls to skip (default: 0)
+ */
+router.get('/calls/history', (req, res) => {
+  const validation = validateQuery(req.query);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: validation.error
+    });
+  }
+
+  try {
+    const result = store().search({
+      q: req.query.q,
+      direction: req.query.direction,
+      device: req.query.device,
+      caller: req.query.caller,
+      endReason: req.query.endReason,
+      since: req.query.since,
+      until: req.query.until,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      success: true,
+      total: result.total,
+      count: result.calls.length,
+      calls: result.calls
+    });
+  } catch (error) {
+    logger.error('Call history search failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'internal_error',
+      message: 'An internal error occurred'
+    });
+  }
+});
+
+/**
+ * GET /api/calls/history/:id
+ * Full record of one call, including every turn
+ */
+router.get('/calls/history/:id', (req, res) => {
+  const call = store().get(req.params.id);
+
+  if (!call) {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: 'Call not found in history'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: Object.assign({}, call, {
+      recordingUrl: findRecording(call.id) ? `/api/call/${encodeURIComponent(call.id)}/recording` : null
+    })
+  });
+});
+
+/**
+ * Setup routes with dependencies
+ */
+function setupRoutes(deps) {
+  callHistory = deps.callHistory || null;
+
+  logger.info('History routes initialized', {
+    calls: store().calls.length
+  });
+}
+
+module.exports = {
+  router,
+  setupRoutes
+};
@@ -3,7 +3,7 @@
  *
  * Express server that:
  * 1. Serves generated TTS audio files to FreeSWITCH
- * 2. Provides health check endpoint
+ * 2. Provides health check and Prometheus metrics endpoints
  * 3. Accepts audio uploads and returns playback URLs
  * 4. Automatically cleans up old temporary files
  */
@@ -13,6 +13,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const debug = require('debug')('voice-app:http-server');
 const crypto = require('crypto');
+const circuitBreaker = require('./circuit-breaker');
+const metrics = require('./metrics');
 
 // Cleanup interval: every 2 minutes
 const CLEANUP_INTERVAL = 120000;
@@ -59,15 +61,25 @@ function createHttpServer(audioDir, port = 3000) {
   }));
 
   // Health check endpoint
+  // Reports "degraded" while any speech provider's circuit breaker is open
   app.get('/health', (req, res) => {
+    const breakers = circuitBreaker.getStates();
+    const degraded = Object.values(breakers).some(b => b.state !== 'closed');
     res.json({
-      status: 'healthy',
+      status: degraded ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       audioDir,
-      port
+      port,
+      breakers
     });
   });
 
+  // Prometheus scrape endpoint (see metrics)
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', metrics.CONTENT_TYPE);
+    res.send(metrics.registry.render());
+  });
+
   // Audio upload endpoint
   app.post("/audio", async (req, res) => {
     try {
@@ -214,6 +226,8 @@ async function cleanupOldFiles(directory, maxAge) {
 
       try {
         const stats = await fs.stat(filepath);
+        // Subdirectories (e.g. the TTS cache) manage their own cleanup
+        if (!stats.isFile()) continue;
         const age = now - stats.mtimeMs;
 
         if (age > maxAge) {
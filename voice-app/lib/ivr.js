@@ -0,0 +1,271 @@
+/**
+ * IVR Menus
+ * DTMF menus configured per device ("ivr" block in devices.json) that run
+ * before, or instead of, the free-form conversation. They give callers on
+ * noisy lines a way into common tasks without speech recognition.
+ *
+ * Menu shape:
+ *   {
+ *     "mode": "before",              // "before" the conversation, or "instead" of it
+ *     "prompt": "Press 1 for ...",
+ *     "timeoutSeconds": 8,           // wait for a key after the prompt
+ *     "maxRetries": 2,               // reprompts after no input / an invalid key
+ *     "invalidMessage": "Sorry, that's not an option.",
+ *     "fallback": { "action": "conversation" },  // after maxRetries
+ *     "options": { "1": { "action": "prompt", "prompt": "..." }, ... }
+ *   }
+ *
+ * Actions:
+ * - conversation                   leave the menu and talk to the device
+ * - device { device, greeting }    talk to another device persona (name or extension)
+ * - prompt { prompt, then }        ask Claude a canned question and speak the answer
+ * - message { text, then }         speak a fixed message
+ * - transfer { target }            blind transfer to an extension, number or SIP URI
+ * - hangup { text }                say text (optional) and hang up
+ * - menu { prompt, options, ... }  nested submenu
+ * - back                           previous menu
+ * - repeat                         replay the current menu
+ *
+ * "then" (prompt, message) is "menu" (default), "conversation" or "hangup".
+ * Submenus inherit timeoutSeconds, maxRetries and invalidMessage from their parent.
+ */
+
+const logger = require('./logger');
+
+const IVR_DEFAULTS = {
+  mode: 'before',
+  timeoutSeconds: 8,
+  maxRetries: 2,
+  invalidMessage: "Sorry, that's not a valid option."
+};
+
+const ACTIONS = ['conversation', 'device', 'prompt', 'message', 'transfer', 'hangup', 'menu', 'back', 'repeat'];
+const THEN_VALUES = ['menu', 'conversation', 'hangup'];
+const DIGIT_PATTERN = /^[0-9*#]$/;
+
+/**
+ * Check an IVR config
+ * @param {Object} ivr - Device "ivr" block
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateIvr(ivr) {
+  const errors = [];
+  if (!ivr || typeof ivr !== 'object') return ['ivr must be an object'];
+  if (ivr.mode !== undefined && !['before', 'instead'].includes(ivr.mode)) {
+    errors.push('ivr.mode must be "before" or "instead"');
+  }
+  validateMenu(ivr, 'ivr', errors, ivr.mode === 'instead');
+  return errors;
+}
+
+function validateMenu(menu, where, errors, instead) {
+  if (typeof menu.prompt !== 'string' || !menu.prompt.trim()) {
+    errors.push(`${where}.prompt is required`);
+  }
+  for (const field of ['timeoutSeconds', 'maxRetries']) {
+    if (menu[field] !== undefined && !(typeof menu[field] === 'number' && menu[field] >= 0)) {
+      errors.push(`${where}.${field} must be a non-negative number`);
+    }
+  }
+  if (!menu.options || typeof menu.options !== 'object' || Object.keys(menu.options).length === 0) {
+    errors.push(`${where}.options must map keys to actions`);
+    return;
+  }
+  if (menu.fallback !== undefined) validateAction(menu.fallback, `${where}.fallback`, errors, instead);
+
+  for (const [digit, option] of Object.entries(menu.options)) {
+    const path = `${where}.options["${digit}"]`;
+    if (!DIGIT_PATTERN.test(digit)) errors.push(`${path}: key must be 0-9, * or #`);
+    validateAction(option, path, errors, instead);
+  }
+}
+
+function validateAction(option, path, errors, instead) {
+  if (!option || !ACTIONS.includes(option.action)) {
+    errors.push(`${path}.action must be one of: ${ACTIONS.join(', ')}`);
+    return;
+  }
+  const required = { device: 'device', prompt: 'prompt', message: 'text', transfer: 'target' }[option.action];
+  if (required && (typeof option[required] !== 'string' || !option[required].trim())) {
+    errors.push(`${path}.${required} is required for "${option.action}"`);
+  }
+  if (option.then !== undefined && !THEN_VALUES.includes(option.then)) {
+    errors.push(`${path}.then must be one of: ${THEN_VALUES.join(', ')}`);
+  }
+  if (instead && (option.action === 'conversation' || option.action === 'device' || option.then === 'conversation')) {
+    errors.push(`${path}: "${option.action}" needs mode "before"`);
+  }
+  if (option.action === 'menu') validateMenu(option, path, errors, instead);
+}
+
+/**
+ * Buffers DTMF digits from the endpoint so keys pressed during a prompt
+ * count (type-ahead) and cut the prompt short
+ */
+class DigitCollector {
+  /**
+   * @param {Object} endpoint - FreeSWITCH endpoint (emits 'dtmf')
+   * @param {Function} [onDigit] - Called for every digit (e.g. to stop playback)
+   */
+  constructor(endpoint, onDigit) {
+    this.endpoint = endpoint;
+    this.onDigit = onDigit || null;
+    this._digits = [];
+    this._waiter = null;
+    this._onDtmf = (evt) => this._push(String(evt.dtmf || evt.digit));
+    endpoint.on('dtmf', this._onDtmf);
+  }
+
+  _push(digit) {
+    if (this._waiter) {
+      const resolve = this._waiter;
+      this._waiter = null;
+      resolve(digit);
+    } else {
+      this._digits.push(digit);
+    }
+    if (this.onDigit) this.onDigit(digit);
+  }
+
+  /** True when a key was pressed that hasn't been read yet */
+  hasDigit() {
+    return this._digits.length > 0;
+  }
+
+  /** Forget keys pressed so far */
+  clear() {
+    this._digits = [];
+  }
+
+  /**
+   * Next key pressed
+   * @param {number} timeoutMs
+   * @returns {Promise<string|null>} The digit, or null on timeout
+   */
+  next(timeoutMs) {
+    if (this._digits.length > 0) return Promise.resolve(this._digits.shift());
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._waiter = null;
+        resolve(null);
+      }, timeoutMs);
+      this._waiter = (digit) => {
+        clearTimeout(timer);
+        resolve(digit);
+      };
+    });
+  }
+
+  close() {
+    this.endpoint.off('dtmf', this._onDtmf);
+    if (this._waiter) this._waiter(null);
+  }
+}
+
+/**
+ * Run a device's IVR menu until the caller picks a way out
+ *
+ * @param {Object} ivr - Device "ivr" block
+ * @param {Object} io - What the menu can do on the call
+ * @param {DigitCollector} io.digits - Keypresses
+ * @param {Function} io.say - (text, kind) speaks a line; kind is 'ivr'
+ * @param {Function} io.answer - (prompt) asks Claude and speaks the answer; resolves { endCall }
+ * @param {Function} io.transfer - (target) resolves true once the caller is transferred
+ * @param {Function} io.isActive - Returns false once the call has ended
+ * @param {Function} [io.onSelect] - (digit, option) called for every valid key
+ * @returns {Promise<Object>} { result: 'conversation', device?, greeting? } | { result: 'hangup' } |
+ *   { result: 'transferred', target } | { result: 'ended' } (caller hung up)
+ */
+async function runIvr(ivr, io) {
+  const instead = ivr.mode === 'instead';
+  const leave = instead ? { result: 'hangup' } : { result: 'conversation' };
+  const stack = [];
+  let menu = Object.assign({}, IVR_DEFAULTS, ivr);
+  let retries = 0;
+
+  // Follow up a prompt or message: back to the menu, into the conversation, or hang up
+  const after = (option) => {
+    const then = option.then || 'menu';
+    if (then === 'menu') return null;
+    return then === 'hangup' || instead ? { result: 'hangup' } : { result: 'conversation' };
+  };
+
+  const perform = async (option) => {
+    switch (option.action) {
+      case 'conversation':
+        return leave;
+      case 'device':
+        return instead ? leave : { result: 'conversation', device: option.device, greeting: option.greeting };
+      case 'prompt': {
+        const reply = await io.answer(option.prompt);
+        if (reply && reply.endCall) return { result: 'hangup' };
+        return after(option);
+      }
+      case 'message':
+        await io.say(option.text, 'ivr');
+        return after(option);
+      case 'transfer':
+        if (await io.transfer(option.target)) return { result: 'transferred', target: option.target };
+        if (io.isActive()) await io.say("Sorry, I couldn't transfer your call.", 'ivr');
+        return null;
+      case 'hangup':
+        if (option.text) await io.say(option.text, 'ivr');
+        return { result: 'hangup' };
+      case 'menu':
+        stack.push(menu);
+        menu = Object.assign({
+          timeoutSeconds: menu.timeoutSeconds,
+          maxRetries: menu.maxRetries,
+          invalidMessage: menu.invalidMessage
+        }, option);
+        retries = 0;
+        return null;
+      case 'back':
+        if (stack.length > 0) menu = stack.pop();
+        retries = 0;
+        return null;
+      default:
+        return null;
+    }
+  };
+
+  while (io.isActive()) {
+    // A key pressed during the last message answers this menu straight away
+    if (!io.digits.hasDigit()) await io.say(menu.prompt, 'ivr');
+    if (!io.isActive()) break;
+
+    const digit = await io.digits.next(menu.timeoutSeconds * 1000);
+    if (!io.isActive()) break;
+
+    const option = digit !== null ? menu.options[digit] : null;
+    if (!option) {
+      logger.info('IVR no valid key', { digit, retries });
+      if (retries >= menu.maxRetries) {
+        const fallback = menu.fallback ? await perform(menu.fallback) : leave;
+        if (fallback) return fallback;
+        retries = 0;
+        continue;
+      }
+      retries++;
+      if (digit !== null) await io.say(menu.invalidMessage, 'ivr');
+      continue;
+    }
+
+    logger.info('IVR selection', { digit, action: option.action });
+    retries = 0;
+    io.digits.clear();
+    if (io.onSelect) io.onSelect(digit, option);
+
+    const outcome = await perform(option);
+    if (outcome) return outcome;
+  }
+
+  return { result: 'ended' };
+}
+
+module.exports = {
+  runIvr,
+  validateIvr,
+  DigitCollector,
+  IVR_DEFAULTS
+};
@@ -0,0 +1,88 @@
+/**
+ * Caller Memory API Routes
+ * Express routes to view and delete what is remembered about callers (see caller-memory)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { getCallerMemory } = require('./caller-memory');
+
+// Dependencies injected via setupRoutes()
+let callerMemory = null;
+
+function store() {
+  return callerMemory || getCallerMemory();
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'not_found',
+    message: 'Nothing is remembered about this caller on this device'
+  });
+}
+
+/**
+ * GET /api/memory
+ * Remembered callers, most recently updated first
+ *
+ * Query parameters (all optional):
+ *   - device: Device name
+ *   - caller: Part of the caller ID
+ */
+router.get('/memory', (req, res) => {
+  const entries = store().list({ device: req.query.device, caller: req.query.caller });
+  res.json({
+    success: true,
+    count: entries.length,
+    callers: entries
+  });
+});
+
+/**
+ * GET /api/memory/:device/:callerId
+ * Everything remembered about one caller on one device
+ */
+router.get('/memory/:device/:callerId', (req, res) => {
+  const entry = store().get(req.params.device, req.params.callerId);
+  if (!entry) return notFound(res);
+  res.json({ success: true, data: entry });
+});
+
+/**
+ * DELETE /api/memory/:device/:callerId
+ * Forget a caller on one device
+ */
+router.delete('/memory/:device/:callerId', async (req, res) => {
+  try {
+    const deleted = await store().forget(req.params.device, req.params.callerId);
+    if (!deleted) return notFound(res);
+
+    logger.info('Caller memory deleted via API', { device: req.params.device, callerId: req.params.callerId });
+    res.json({ success: true, deleted: true });
+  } catch (error) {
+    logger.error('Caller memory delete failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'internal_error',
+      message: 'An internal error occurred'
+    });
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ */
+function setupRoutes(deps) {
+  callerMemory = deps.callerMemory || null;
+
+  logger.info('Memory routes initialized', {
+    callers: store().entries.size
+  });
+}
+
+module.exports = {
+  router,
+  setupRoutes
+};
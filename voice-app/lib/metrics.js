@@ -0,0 +1,272 @@
+/**
+ * Prometheus Metrics
+ * Counters, gauges and histograms for GET /metrics, in the Prometheus text
+ * format (version 0.0.4). Small on purpose: no client library, no default
+ * process metrics.
+ *
+ * Voice-app metrics:
+ * - voice_stage_duration_seconds{stage,device}: time spent in each pipeline stage
+ *     vad          trailing silence before end-of-speech was detected
+ *     stt          transcription
+ *     claude       Claude's full response
+ *     tts          one spoken line (cache hits included)
+ *     first_audio  end of the caller's speech to the first audio of the reply
+ * - voice_calls_total{device,direction,outcome}: finished calls by end reason
+ * - voice_active_calls{device,direction}: conversations in progress
+ * - voice_queued_calls{device}: callers waiting for a free line (see call-limits)
+ * - voice_sip_registered{extension,device}: 1 while the extension is registered
+ * - voice_speech_errors_total{service,provider}: failed STT/TTS provider calls
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; a voice turn is slow past a couple of seconds, Claude can take minutes
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 21, 34, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Only known labels, in a fixed order; missing ones are empty
+  _labels(labels = {}) {
+    const picked = {};
+    for (const name of this.labelNames) picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    return picked;
+  }
+
+  _series(labels, create) {
+    const picked = this._labels(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, create(picked));
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  _header(type) {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${type}\n`;
+  }
+
+  _renderValues(type) {
+    let text = this._header(type);
+    for (const series of this.series.values()) {
+      text += `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}\n`;
+    }
+    return text;
+  }
+}
+
+class Counter extends Metric {
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value=1]
+   */
+  inc(labels, value = 1) {
+    this._series(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @returns {number}
+   */
+  get(labels) {
+    const series = this.series.get(JSON.stringify(this._labels(labels)));
+    return series ? series.value : 0;
+  }
+
+  render() {
+    return this._renderValues('counter');
+  }
+}
+
+class Gauge extends Counter {
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {Function} [options.collect] - Called before each render to set current values
+   */
+  constructor(options) {
+    super(options);
+    this.collect = options.collect || null;
+  }
+
+  set(labels, value) {
+    this._series(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    return this._renderValues('gauge');
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {number[]} [options.buckets] - Upper bounds in seconds
+   */
+  constructor(options) {
+    super(options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) return;
+    const series = this._series(labels, picked => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time an async function
+   * @param {Object} labels
+   * @param {Function} fn - Returns a Promise
+   * @returns {Promise<*>} fn's result (observed whether it resolves or rejects)
+   */
+  async time(labels, fn) {
+    const startedAt = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, (Date.now() - startedAt) / 1000);
+    }
+  }
+
+  render() {
+    let text = this._header('histogram');
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        text += `${this.name}_bucket${formatLabels(Object.assign({}, series.labels, { le: formatValue(bound) }))} ${series.counts[i]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}\n`;
+      text += `${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}\n`;
+      text += `${this.name}_count${formatLabels(series.labels)} ${series.count}\n`;
+    }
+    return text;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Metric} metric
+   * @returns {Metric} The same metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('');
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+const registry = new Registry();
+
+const stageDuration = registry.register(new Histogram({
+  name: 'voice_stage_duration_seconds',
+  help: 'Time spent in each stage of a conversation turn',
+  labelNames: ['stage', 'device']
+}));
+
+const calls = registry.register(new Counter({
+  name: 'voice_calls_total',
+  help: 'Finished calls by end reason',
+  labelNames: ['device', 'direction', 'outcome']
+}));
+
+const activeCalls = registry.register(new Gauge({
+  name: 'voice_active_calls',
+  help: 'Conversations in progress',
+  labelNames: ['device', 'direction']
+}));
+
+const queuedCalls = registry.register(new Gauge({
+  name: 'voice_queued_calls',
+  help: 'Callers waiting for a free line',
+  labelNames: ['device']
+}));
+
+const sipRegistered = registry.register(new Gauge({
+  name: 'voice_sip_registered',
+  help: '1 while the extension is registered with the PBX',
+  labelNames: ['extension', 'device']
+}));
+
+const speechErrors = registry.register(new Counter({
+  name: 'voice_speech_errors_total',
+  help: 'Failed speech-to-text and text-to-speech provider calls',
+  labelNames: ['service', 'provider']
+}));
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  stageDuration,
+  calls,
+  activeCalls,
+  queuedCalls,
+  sipRegistered,
+  speechErrors
+};
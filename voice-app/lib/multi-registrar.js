@@ -1,13 +1,49 @@
 /**
  * Multi-Extension SIP Registrar
- * Registers multiple extensions with 3CX independently
+ * Registers multiple extensions independently, each with its own PBX
+ *
+ * Keeps a state record per extension (see getStatus()), refreshes each
+ * registration before it expires, and retries failures with exponential
+ * backoff (SIP_RETRY_MIN_SECONDS doubling up to SIP_RETRY_MAX_SECONDS).
+ * Each device registers over its own transport (see sip-security) with
+ * the registrar, credentials and headers of its PBX profile (see
+ * pbx-profiles); devices on PBXs that do not take REGISTER are skipped.
+ * sync() brings registrations in line with a new device list: new
+ * extensions register, removed ones unregister (REGISTER with Expires: 0),
+ * and ones whose credentials, PBX or transport changed do both, registering
+ * again only once the PBX has answered the unregister, so it can never
+ * remove the new binding.
+ *
+ * Events (each with the extension's state record):
+ *   'registered'   - REGISTER answered 200 OK
+ *   'failed'       - REGISTER failed or got no answer; a retry is scheduled
+ *   'unregistered' - The extension was removed; its last state
+ *   'change'       - Any change of state, including the three above
  */
 
-class MultiRegistrar {
+const EventEmitter = require('events');
+const { sipSettings, requestUri, contactUri } = require('./sip-security');
+const { pbxProfile, authCredentials } = require('./pbx-profiles');
+
+const RETRY_MIN_SECONDS = 15;
+const RETRY_MAX_SECONDS = 600;
+
+// What the PBX sees of a device; a change means registering again
+function registrationKey(device) {
+  return JSON.stringify([device.extension, device.authId, device.password, device.pbx, device.sip]);
+}
+
+class MultiRegistrar extends EventEmitter {
   constructor(srf, baseConfig) {
+    super();
     this.srf = srf;
     this.baseConfig = baseConfig;
+    this.retryMin = baseConfig.retry_min || RETRY_MIN_SECONDS;
+    this.retryMax = baseConfig.retry_max || RETRY_MAX_SECONDS;
+    this.states = new Map();
+    this.timers = new Map();
     this.registrations = new Map();
+    this.unregistering = new Map();
   }
 
   /**
@@ -17,7 +53,7 @@ class MultiRegistrar {
   registerAll(devices) {
     const extensions = Object.keys(devices);
     console.log('[MULTI-REGISTRAR] Starting registration for ' + extensions.length + ' devices');
-    
+
     for (const [extension, device] of Object.entries(devices)) {
       this.registerDevice(device);
     }
@@ -25,22 +61,64 @@ class MultiRegistrar {
 
   /**
    * Register a single device
+   * Waits for an unregister of the same extension still in flight, so the
+   * PBX handles the two in order.
    */
   registerDevice(device) {
+    const pbx = pbxProfile(device, {
+      domain: this.baseConfig.domain,
+      registrar: this.baseConfig.registrar
+    });
+    if (!pbx.register) {
+      this.registrations.set(device.extension, { device: device, config: null });
+      console.log('[MULTI-REGISTRAR] ' + device.name + ' (ext ' + device.extension + ') on ' + pbx.name + ' - no REGISTER needed');
+      return;
+    }
+
+    const sip = sipSettings(device, {
+      transport: this.baseConfig.transport,
+      port: this.baseConfig.registrar_port
+    });
     const config = {
       extension: device.extension,
-      auth_id: device.authId,
-      password: device.password,
-      domain: this.baseConfig.domain,
-      registrar: this.baseConfig.registrar,
-      registrar_port: this.baseConfig.registrar_port,
+      auth: authCredentials(device, pbx),
+      domain: pbx.domain,
+      registrar: pbx.registrar,
+      registrar_port: sip.port,
+      transport: sip.transport,
+      proxy: pbx.outboundProxy,
+      user_agent: pbx.userAgent,
+      headers: pbx.headers,
       expiry: this.baseConfig.expiry,
       local_address: this.baseConfig.local_address,
       local_port: this.baseConfig.local_port
     };
 
+    this.registrations.set(config.extension, { device: device, config: config });
+    this.states.set(config.extension, {
+      extension: config.extension,
+      device: device.name,
+      pbx: pbx.name,
+      transport: config.transport,
+      status: 'pending',
+      lastCode: null,
+      lastReason: null,
+      registeredAt: null,
+      expiresAt: null,
+      nextRefreshAt: null,
+      failures: 0
+    });
+
     console.log('[MULTI-REGISTRAR] Registering ' + device.name + ' (ext ' + device.extension + ')');
-    this.sendRegister(device, config);
+    const unregistering = this.unregistering.get(config.extension);
+    if (!unregistering) {
+      this.sendRegister(device, config);
+      return;
+    }
+    unregistering.then(() => {
+      // Removed or changed again while the old binding was going away
+      if (this.isCurrent(config)) this.sendRegister(device, config);
+    });
   }
 
   /**
@@ -48,84 +126,269 @@ class MultiRegistrar {
    */
   sendRegister(device, config) {
     const self = this;
-    const uri = 'sip:' + config.registrar + ':' + config.registrar_port + ';transport=udp';
-    // Include local_port in Contact so INVITEs come to the right port (5070 when SBC is on 5060)
-    const localPort = config.local_port || 5060;
-    const contact = 'sip:' + config.extension + '@' + config.local_address + ':' + localPort;
+    const { uri, contact } = this.registerTarget(config);
 
     console.log('[MULTI-REGISTRAR] REGISTER ' + device.name + ' to ' + uri);
     console.log('[MULTI-REGISTRAR]   Contact: ' + contact);
 
-    this.srf.request(uri, {
-      method: 'REGISTER',
-      headers: {
-        'From': '<sip:' + config.extension + '@' + config.domain + '>',
-        'To': '<sip:' + config.extension + '@' + config.domain + '>',
-        'Contact': '<' + contact + '>;expires=' + config.expiry,
-        'Expires': config.expiry,
-        'User-Agent': 'NetworkChuck-VoiceServer/1.0'
-      },
-      auth: {
-        username: config.auth_id,
-        password: config.password
-      }
-    }, function(err, req) {
+    this.srf.request(uri, this.registerOptions(config, contact, config.expiry), function(err, req) {
+      // The device was removed or changed while this REGISTER was out
+      if (!self.isCurrent(config)) return;
+
       if (err) {
         console.error('[MULTI-REGISTRAR] ' + device.name + ' request error: ' + err.message);
-        self.scheduleRetry(device, config, 60);
+        self.registrationFailed(device, config, null, err.message);
         return;
       }
 
       req.on('response', function(res) {
+        if (!self.isCurrent(config)) return;
+
         if (res.status === 200) {
           console.log('[MULTI-REGISTRAR] ' + device.name + ' SUCCESS - Registered as ext ' + config.extension);
-          
+
           var expiry = config.expiry;
           var contactHeader = res.get('Contact');
           if (contactHeader) {
             var match = contactHeader.match(/expires=(\d+)/i);
             if (match) expiry = parseInt(match[1], 10);
           }
-          
-          self.registrations.set(config.extension, {
-            device: device,
-            config: config,
-            expiry: expiry,
-            registeredAt: Date.now()
-          });
-          
+
           var refreshTime = Math.floor(expiry * 0.9);
+          var now = Date.now();
+          self.updateState(config.extension, {
+            status: 'registered',
+            lastCode: 200,
+            lastReason: res.reason || 'OK',
+            registeredAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + expiry * 1000).toISOString(),
+            nextRefreshAt: new Date(now + refreshTime * 1000).toISOString(),
+            failures: 0
+          }, 'registered');
+
           console.log('[MULTI-REGISTRAR] ' + device.name + ' refresh in ' + refreshTime + 's');
           self.scheduleRefresh(device, config, refreshTime);
-          
+
         } else if (res.status === 401 || res.status === 407) {
           console.log('[MULTI-REGISTRAR] ' + device.name + ' auth challenge - handled by drachtio');
+          self.updateState(config.extension, { lastCode: res.status, lastReason: res.reason });
         } else {
           console.error('[MULTI-REGISTRAR] ' + device.name + ' FAILED: ' + res.status + ' ' + res.reason);
-          self.scheduleRetry(device, config, 60);
+          self.registrationFailed(device, config, res.status, res.reason);
         }
       });
     });
   }
 
+  /**
+   * Registrar URI and Contact for an extension
+   * @param {Object} config - From registerDevice()
+   * @returns {{uri: string, contact: string}}
+   */
+  registerTarget(config) {
+    const transport = { transport: config.transport, port: config.registrar_port };
+    // Include local_port in Contact so INVITEs come to the right port (5070 when SBC is on 5060)
+    const localPort = config.local_port || 5060;
+    return {
+      uri: requestUri(null, config.registrar, transport, true),
+      contact: contactUri(config.extension, config.local_address, localPort, transport)
+    };
+  }
+
+  /**
+   * REGISTER request options for an extension
+   * @param {Object} config - From registerDevice()
+   * @param {string} contact - Contact URI
+   * @param {number} expiry - Seconds (0 to unregister)
+   */
+  registerOptions(config, contact, expiry) {
+    const options = {
+      method: 'REGISTER',
+      headers: Object.assign({}, config.headers, {
+        'From': '<sip:' + config.extension + '@' + config.domain + '>',
+        'To': '<sip:' + config.extension + '@' + config.domain + '>',
+        'Contact': '<' + contact + '>;expires=' + expiry,
+        'Expires': expiry,
+        'User-Agent': config.user_agent
+      })
+    };
+    if (config.auth) options.auth = config.auth;
+    if (config.proxy) options.proxy = config.proxy;
+    return options;
+  }
+
+  isCurrent(config) {
+    const registration = this.registrations.get(config.extension);
+    return Boolean(registration && registration.config === config);
+  }
+
+  /**
+   * Stop registering an extension, removing its binding from the PBX if it has one
+   * @param {string} extension
+   */
+  unregisterDevice(extension) {
+    const registration = this.registrations.get(extension);
+    if (!registration) return;
+
+    const state = this.states.get(extension);
+    this.cancel(extension);
+    this.registrations.delete(extension);
+    this.states.delete(extension);
+
+    const device = registration.device;
+    const config = registration.config;
+    if (config && state && state.status === 'registered') {
+      const { uri, contact } = this.registerTarget(config);
+
+      console.log('[MULTI-REGISTRAR] Unregistering ' + device.name + ' (ext ' + extension + ')');
+      const done = new Promise((resolve) => {
+        this.srf.request(uri, this.registerOptions(config, contact, 0), function(err, req) {
+          if (err) {
+            console.error('[MULTI-REGISTRAR] ' + device.name + ' unregister error: ' + err.message);
+            resolve();
+            return;
+          }
+          req.on('response', function(res) {
+            // Auth challenges are answered by drachtio; wait for the final response
+            if (res.status === 401 || res.status === 407) return;
+            if (res.status === 200) {
+              console.log('[MULTI-REGISTRAR] ' + device.name + ' unregistered');
+            } else {
+              console.error('[MULTI-REGISTRAR] ' + device.name + ' unregister FAILED: ' + res.status + ' ' + res.reason);
+            }
+            resolve();
+          });
+        });
+      });
+      this.unregistering.set(extension, done);
+      done.then(() => {
+        if (this.unregistering.get(extension) === done) this.unregistering.delete(extension);
+      });
+    } else {
+      console.log('[MULTI-REGISTRAR] Stopped registering ' + device.name + ' (ext ' + extension + ')');
+    }
+
+    if (state) {
+      const last = Object.assign({}, state, { status: 'unregistered', nextRefreshAt: null });
+      this.emit('unregistered', last);
+      this.emit('change', Object.assign({}, last));
+    }
+  }
+
+  /**
+   * Bring registrations in line with a new device list
+   * @param {Object} devices - Object keyed by extension with device configs
+   */
+  sync(devices) {
+    for (const [extension, registration] of Array.from(this.registrations.entries())) {
+      const device = devices[extension];
+      if (!device) {
+        this.unregisterDevice(extension);
+      } else if (registrationKey(device) !== registrationKey(registration.device)) {
+        this.unregisterDevice(extension);
+        this.registerDevice(device);
+      } else {
+        // Nothing the PBX sees changed; keep the new name for logs and status
+        registration.device = device;
+        this.updateState(extension, { device: device.name });
+      }
+    }
+
+    for (const [extension, device] of Object.entries(devices)) {
+      if (!this.registrations.has(extension)) this.registerDevice(device);
+    }
+  }
+
+  /**
+   * Record a failed REGISTER and retry with backoff
+   * @param {number|null} code - SIP response code (null when the request itself failed)
+   * @param {string} reason
+   */
+  registrationFailed(device, config, code, reason) {
+    const state = this.states.get(config.extension);
+    const failures = (state ? state.failures : 0) + 1;
+    const seconds = this.retryDelay(failures);
+    this.updateState(config.extension, {
+      status: 'failed',
+      lastCode: code,
+      lastReason: reason,
+      nextRefreshAt: new Date(Date.now() + seconds * 1000).toISOString(),
+      failures: failures
+    }, 'failed');
+    this.scheduleRetry(device, config, seconds);
+  }
+
+  /**
+   * @param {number} failures - Failures in a row, including this one
+   * @returns {number} Seconds to wait before the next attempt
+   */
+  retryDelay(failures) {
+    return Math.min(this.retryMax, this.retryMin * Math.pow(2, failures - 1));
+  }
+
+  updateState(extension, changes, event) {
+    const state = this.states.get(extension);
+    if (!state) return;
+    Object.assign(state, changes);
+    if (event) this.emit(event, Object.assign({}, state));
+    this.emit('change', Object.assign({}, state));
+  }
+
   scheduleRefresh(device, config, seconds) {
     const self = this;
-    setTimeout(function() {
+    this.schedule(config.extension, function() {
       console.log('[MULTI-REGISTRAR] Refreshing ' + device.name);
       self.sendRegister(device, config);
-    }, seconds * 1000);
+    }, seconds);
   }
 
   scheduleRetry(device, config, seconds) {
     const self = this;
     console.log('[MULTI-REGISTRAR] ' + device.name + ' retry in ' + seconds + 's');
-    setTimeout(function() {
+    this.schedule(config.extension, function() {
       self.sendRegister(device, config);
-    }, seconds * 1000);
+    }, seconds);
+  }
+
+  // One pending refresh or retry per extension
+  schedule(extension, fn, seconds) {
+    const self = this;
+    this.cancel(extension);
+    this.timers.set(extension, setTimeout(function() {
+      self.timers.delete(extension);
+      fn();
+    }, seconds * 1000));
+  }
+
+  cancel(extension) {
+    clearTimeout(this.timers.get(extension));
+    this.timers.delete(extension);
+  }
+
+  /**
+   * @param {string} extension
+   * @returns {boolean} True while the extension's last REGISTER succeeded and has not expired
+   */
+  isRegistered(extension) {
+    const state = this.states.get(extension);
+    return Boolean(state && state.status === 'registered' && Date.parse(state.expiresAt) > Date.now());
+  }
+
+  /**
+   * @returns {Object[]} A copy of every extension's state record, by extension
+   */
+  getStatus() {
+    return Array.from(this.states.values())
+      .map(function(state) { return Object.assign({}, state); })
+      .sort(function(a, b) { return String(a.extension).localeCompare(String(b.extension)); });
   }
 
   stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    this.states.clear();
     this.registrations.clear();
+    this.unregistering.clear();
     console.log('[MULTI-REGISTRAR] Stopped all registrations');
   }
 }
@@ -7,11 +7,19 @@
  * 1. Create FreeSWITCH endpoint first to get local SDP
  * 2. Send INVITE with our SDP
  * 3. On answer, connect the endpoint with remote SDP
+ *
+ * Calls go out over the device's SIP transport, with SRTP if it asks for
+ * it (see sip-security), to the host and with the headers of its PBX
+ * profile (see pbx-profiles). The dial plan decides whether a number may
+ * be called and how it is dialled (see dial-plan).
  */
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
 const ttsService = require('./tts-service');
+const { sipSettings } = require('./sip-security');
+const { pbxProfile, authCredentials } = require('./pbx-profiles');
+const { planDial } = require('./dial-plan');
 
 /**
  * Initiate an outbound call
@@ -19,10 +27,11 @@ const ttsService = require('./tts-service');
  * @param {Object} srf - drachtio SRF instance
  * @param {Object} mediaServer - FreeSWITCH media server
  * @param {Object} options - Call options
- * @param {string} options.to - Phone number in E.164 format (+15551234567)
+ * @param {string} options.to - Phone number (+15551234567, or as typed - see dial-plan) or extension
  * @param {string} options.message - Message to play when answered
  * @param {string} [options.callerId] - Caller ID (defaults to DEFAULT_CALLER_ID env var)
  * @param {number} [options.timeoutSeconds=30] - Ring timeout in seconds
+ * @param {string} [options.srtp] - "off", "optional" or "required" (default: the device's setting)
  * @returns {Promise<Object>} { callId, dialog, endpoint }
  */
 async function initiateOutboundCall(srf, mediaServer, options) {
@@ -36,47 +45,64 @@ async function initiateOutboundCall(srf, mediaServer, options) {
 
   const callId = uuidv4();
   const startTime = Date.now();
+  const route = planDial(to, { deviceConfig });
+  const sip = route.sip || sipSettings(deviceConfig);
+  const srtp = options.srtp || sip.srtp;
+  const pbx = route.pbx || pbxProfile(deviceConfig);
+  let endpoint = null;
 
   try {
+    // 'invalid_number', 'emergency', 'denied', 'not_allowed' or 'dial_plan_invalid'
+    if (!route.allowed) {
+      throw new Error(route.reason);
+    }
+    if (!pbx.host) {
+      throw new Error('No SIP host for outbound calls (set SIP_TRUNK_HOST or SIP_REGISTRAR)');
+    }
+
     logger.info('Initiating outbound call', {
       callId,
       to,
       callerId,
-      timeout: timeoutSeconds
+      pbx: pbx.name,
+      timeout: timeoutSeconds,
+      transport: sip.transport,
+      srtp
     });
 
     // STEP 1: Create FreeSWITCH endpoint first (Early Offer pattern)
     logger.info('Creating FreeSWITCH endpoint', { callId });
-    const endpoint = await mediaServer.createEndpoint();
+    endpoint = await mediaServer.createEndpoint(srtp === 'off' ? {} : { srtp: true });
 
     // Get local SDP from FreeSWITCH
     const localSdp = endpoint.local.sdp;
 
-    // Format SIP URI for 3CX
-    // Remove '+' from E.164 format for SIP URI
-    // Internal extensions: dial as-is. External (E.164 with +): add 9 prefix for PSTN
-    const isExternal = to.startsWith('+');
-    const phoneNumber = isExternal ? '9' + to.replace(/^\+1?/, '') : to;
-    const sipTrunkHost = process.env.SIP_TRUNK_HOST || '10.70.7.50';
+    const sipTrunkHost = pbx.host;
     const externalIp = process.env.EXTERNAL_IP || '10.70.7.81';
     const defaultCallerId = callerId || process.env.DEFAULT_CALLER_ID || '+15551234567';
 
-    // SIP Authentication for 3CX extension registration
-    const sipAuthUsername = process.env.SIP_AUTH_USERNAME;
-    const sipAuthPassword = process.env.SIP_AUTH_PASSWORD;
+    // SIP authentication - the device's credentials for its PBX, otherwise the env vars
+    let auth = authCredentials(deviceConfig, pbx);
+    if (!deviceConfig && process.env.SIP_AUTH_USERNAME && process.env.SIP_AUTH_PASSWORD) {
+      auth = { username: process.env.SIP_AUTH_USERNAME, password: process.env.SIP_AUTH_PASSWORD };
+    }
 
-    const sipUri = 'sip:' + phoneNumber + '@' + sipTrunkHost;
+    const sipUri = route.uri;
 
     logger.info('Dialing SIP URI', {
       callId,
       sipUri,
+      rule: route.rule,
       from: defaultCallerId,
-      hasAuth: !!(sipAuthUsername && sipAuthPassword)
+      proxy: pbx.outboundProxy,
+      hasAuth: !!auth
     });
 
     // STEP 2: Create UAC (outbound call) with Early Offer
     // Use device extension and display name if available, otherwise fall back to callerId
-    const fromExtension = deviceConfig ? deviceConfig.extension : defaultCallerId.replace('+', '');
+    const fromExtension = deviceConfig && pbx.fromUser === 'extension'
+      ? deviceConfig.extension
+      : defaultCallerId.replace('+', '');
     const displayName = deviceConfig ? deviceConfig.name : null;
     const fromHeader = displayName
       ? '"' + displayName + '" <sip:' + fromExtension + '@' + sipTrunkHost + '>'
@@ -84,25 +110,25 @@ async function initiateOutboundCall(srf, mediaServer, options) {
 
     const uacOptions = {
       localSdp: localSdp,
-      headers: {
+      headers: Object.assign({}, pbx.headers, {
         'From': fromHeader,
-        'User-Agent': 'NetworkChuck-VoiceServer/1.0',
+        'User-Agent': pbx.userAgent,
         'X-Call-ID': callId
-      }
+      })
     };
 
-    // Add SIP authentication - prefer device credentials, fall back to env vars
-    const authUsername = deviceConfig ? deviceConfig.authId : sipAuthUsername;
-    const authPassword = deviceConfig ? deviceConfig.password : sipAuthPassword;
+    if (pbx.assertIdentity) {
+      uacOptions.headers['P-Asserted-Identity'] = '<sip:' + defaultCallerId + '@' + sipTrunkHost + '>';
+    }
+    if (pbx.outboundProxy) {
+      uacOptions.proxy = pbx.outboundProxy;
+    }
 
-    if (authUsername && authPassword) {
-      uacOptions.auth = {
-        username: authUsername,
-        password: authPassword
-      };
+    if (auth) {
+      uacOptions.auth = auth;
       logger.info('SIP authentication enabled', {
         callId,
-        username: authUsername,
+        username: auth.username,
         device: deviceConfig ? deviceConfig.name : 'default'
       });
     }
@@ -182,6 +208,13 @@ async function initiateOutboundCall(srf, mediaServer, options) {
       latency
     });
 
+    // The far end would not take SRTP - try again with plain RTP
+    if (error.status === 488 && srtp === 'optional') {
+      logger.info('SRTP refused, redialing with RTP', { callId, to });
+      if (endpoint) endpoint.destroy().catch(function() {});
+      return initiateOutboundCall(srf, mediaServer, Object.assign({}, options, { srtp: 'off' }));
+    }
+
     // Handle specific SIP error codes
     if (error.status) {
       const status = error.status;
@@ -209,6 +242,7 @@ async function initiateOutboundCall(srf, mediaServer, options) {
  * @param {string} message - Text to convert to speech and play
  * @param {Object} [options] - Playback options
  * @param {string} [options.voiceId] - ElevenLabs voice ID for device-specific voice
+ * @param {Object} [options.tts] - Device TTS engine settings (engine, voice, model)
  * @returns {Promise<void>}
  */
 async function playMessage(endpoint, message, options) {
@@ -223,7 +257,7 @@ async function playMessage(endpoint, message, options) {
     });
 
     // Generate TTS audio file with optional device voice
-    var audioUrl = await ttsService.generateSpeech(message, voiceId);
+    var audioUrl = await ttsService.generateSpeech(message, voiceId, options.tts);
 
     logger.info('Playing TTS to caller', { audioUrl: audioUrl });
 
@@ -3,6 +3,8 @@
  * Express routes for initiating and managing outbound calls
  * v3: Added context parameter for structured data to Claude
  * Supports both announce (one-way) and conversation (two-way) modes
+ * Numbers go through the dial plan (see dial-plan); GET /api/dial-plan/dry-run
+ * shows how one would be dialled
  */
 
 const express = require('express');
@@ -11,6 +13,11 @@ const logger = require('./logger');
 const { OutboundSession, getSession, getAllSessions } = require('./outbound-session');
 const { initiateOutboundCall, playMessage, hangupCall } = require('./outbound-handler');
 const { runConversationLoop } = require('./conversation-loop');
+const { resolveRecordingConfig, findRecording } = require('./call-recorder');
+const { getCallHistory } = require('./call-history');
+const { evaluateAccess, authorizeCaller, resolveRole } = require('./access-control');
+const { isE164, normalizeNumber, planDial } = require('./dial-plan');
+const { acquireCallSlot } = require('./call-limits');
 
 // Dependencies injected via setupRoutes()
 var srf = null;
@@ -22,16 +29,6 @@ var claudeBridge = null;
 var ttsService = null;
 var wsPort = 3001;
 
-/**
- * Validate phone number format
- */
-function isValidPhoneNumber(phoneNumber) {
-  if (typeof phoneNumber !== 'string') return false;
-  var e164Regex = /^\+[1-9]\d{1,14}$/;
-  var dialStringRegex = /^\d{1,15}$/;
-  return e164Regex.test(phoneNumber) || dialStringRegex.test(phoneNumber);
-}
-
 /**
  * Validate outbound call request
  */
@@ -44,8 +41,8 @@ function validateRequest(body) {
     return { valid: false, error: 'Field "to" is required' };
   }
 
-  if (!isValidPhoneNumber(body.to)) {
-    return { valid: false, error: 'Field "to" must be a valid phone number (e.g. +15551234567 or extension 5755)' };
+  if (!normalizeNumber(body.to)) {
+    return { valid: false, error: 'Field "to" must be a valid phone number (e.g. +15551234567, (555) 123-4567 or extension 5755)' };
   }
 
   if (!body.message) {
@@ -60,7 +57,7 @@ function validateRequest(body) {
     return { valid: false, error: 'Field "message" must be 1000 characters or less' };
   }
 
-  if (body.callerId && !isValidPhoneNumber(body.callerId)) {
+  if (body.callerId && !isE164(body.callerId)) {
     return { valid: false, error: 'Field "callerId" must be a valid E.164 phone number if provided' };
   }
 
@@ -79,6 +76,15 @@ function validateRequest(body) {
     }
   }
 
+  if (body.record !== undefined) {
+    if (typeof body.record !== 'boolean') {
+      return { valid: false, error: 'Field "record" must be a boolean' };
+    }
+    if (body.record && body.mode !== 'conversation') {
+      return { valid: false, error: 'Field "record" requires mode "conversation"' };
+    }
+  }
+
   if (body.timeoutSeconds !== undefined) {
     var timeout = Number(body.timeoutSeconds);
     if (!Number.isInteger(timeout) || timeout < 5 || timeout > 120) {
@@ -101,6 +107,7 @@ function validateRequest(body) {
  *   - device: Device extension or name for voice/personality (optional)
  *   - callerId: Caller ID (optional)
  *   - timeoutSeconds: Ring timeout (optional, default: 30)
+ *   - record: Record the call (optional, conversation mode only; default: device setting)
  */
 router.post('/outbound-call', async function(req, res) {
   var startTime = Date.now();
@@ -130,6 +137,7 @@ router.post('/outbound-call', async function(req, res) {
     var callerId = req.body.callerId;
     var timeoutSeconds = req.body.timeoutSeconds || 30;
     var webhookUrl = req.body.webhookUrl;
+    var record = req.body.record;
 
     // Look up device configuration
     var deviceConfig = null;
@@ -148,6 +156,18 @@ router.post('/outbound-call', async function(req, res) {
       }
     }
 
+    // The dial plan may refuse the number (emergency, premium or international destinations)
+    var route = planDial(to, { deviceConfig: deviceConfig });
+    if (!route.allowed) {
+      logger.warn('Outbound call refused by dial plan', { to: to, reason: route.reason });
+      return res.status(403).json({
+        success: false,
+        error: 'number_not_allowed',
+        message: 'Number is not allowed by the dial plan (' + route.reason + ')'
+      });
+    }
+    to = route.number;
+
     // Check if infrastructure is available
     if (!srf || !mediaServer) {
       logger.error('Infrastructure not ready', {
@@ -180,6 +200,28 @@ router.post('/outbound-call', async function(req, res) {
       }
     }
 
+    // Conversation calls give the callee Claude access, so the device's access policy applies
+    var access = mode === 'conversation' ? evaluateAccess(deviceConfig, to) : { decision: 'allow' };
+    if (access.decision === 'reject') {
+      logger.warn('Outbound call refused by access policy', { to: to, reason: access.reason });
+      return res.status(403).json({
+        success: false,
+        error: 'access_denied',
+        message: 'Number is not allowed to talk to this device (' + access.reason + ')'
+      });
+    }
+
+    // Conversation calls run Claude like inbound calls, so they need a free line (see call-limits)
+    var slot = mode === 'conversation' ? acquireCallSlot(deviceConfig) : null;
+    if (mode === 'conversation' && !slot) {
+      logger.warn('Outbound call refused, all lines busy', { to: to, device: deviceConfig ? deviceConfig.name : 'default' });
+      return res.status(503).json({
+        success: false,
+        error: 'lines_busy',
+        message: 'All lines are busy, try again later'
+      });
+    }
+
     // Create session
     var session = new OutboundSession(null, {
       to: to,
@@ -192,13 +234,18 @@ router.post('/outbound-call', async function(req, res) {
 
     var callId = session.callId;
 
+    // Recorded calls play the message inside the conversation loop, after the
+    // consent announcement and once the recording is running
+    var recordCall = mode === 'conversation' && resolveRecordingConfig(deviceConfig, record).enabled;
+
     logger.info('Processing outbound call request', {
       callId: callId,
       to: to,
       mode: mode,
       device: deviceConfig ? deviceConfig.name : 'default',
       messageLength: message.length,
-      hasContext: !!context
+      hasContext: !!context,
+      record: recordCall
     });
 
     // Return immediately with callId
@@ -228,11 +275,37 @@ router.post('/outbound-call', async function(req, res) {
 
         session.setDialog(dialog);
         session.setEndpoint(endpoint);
+
+        // PIN challenge before the callee hears anything; the PIN may also pick the role
+        var role = resolveRole(deviceConfig && deviceConfig.access, to);
+        if (access.decision === 'pin') {
+          var authorized = await authorizeCaller({
+            endpoint: endpoint,
+            deviceConfig: deviceConfig,
+            callerId: to,
+            speak: function(text) {
+              return playMessage(endpoint, text, {
+                voiceId: deviceConfig && deviceConfig.voiceId ? deviceConfig.voiceId : null,
+                tts: deviceConfig ? deviceConfig.tts : undefined
+              });
+            }
+          });
+
+          if (!authorized.allowed) {
+            await hangupCall(dialog, endpoint, callId);
+            session.transition('COMPLETED', 'access_denied');
+            return;
+          }
+          role = authorized.role;
+        }
+
         session.transition('PLAYING');
 
         // Play the initial message with device voice
-        var voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : null;
-        await playMessage(endpoint, message, { voiceId: voiceId });
+        if (!recordCall) {
+          var voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : null;
+          await playMessage(endpoint, message, { voiceId: voiceId, tts: deviceConfig ? deviceConfig.tts : undefined });
+        }
 
         if (mode === 'announce') {
           await hangupCall(dialog, endpoint, callId);
@@ -254,9 +327,19 @@ router.post('/outbound-call', async function(req, res) {
               ttsService: ttsService,
               wsPort: wsPort,
               deviceConfig: deviceConfig,
+              direction: 'outbound',
+              callerId: to,
+              role: role,
+              srf: srf,
+              mediaServer: mediaServer,
               initialContext: message,
               context: context,           // NEW: pass structured context
-              skipGreeting: true,
+              skipGreeting: !recordCall,
+              greeting: message,
+              record: recordCall,
+              onTurn: function(turn) {
+                session.recordTurn(turn.caller, turn.assistant, turn.response);
+              },
               maxTurns: 20
             });
 
@@ -287,10 +370,22 @@ router.post('/outbound-call', async function(req, res) {
         else if (error.message === 'service_unavailable') reason = 'service_unavailable';
 
         session.transition('FAILED', reason);
+      } finally {
+        if (slot) slot.release();
+
+        // Persist the call for /api/calls/history
+        try {
+          var record = session.toHistoryRecord();
+          record.recorded = recordCall;
+          getCallHistory().add(record);
+        } catch (historyError) {
+          logger.error('Failed to save call history', { callId: callId, error: historyError.message });
+        }
       }
     })();
 
   } catch (error) {
+    if (slot) slot.release();
     logger.error('Outbound call endpoint error', {
       error: error.message,
       stack: error.stack
@@ -304,6 +399,53 @@ router.post('/outbound-call', async function(req, res) {
   }
 });
 
+/**
+ * GET /api/dial-plan/dry-run
+ * How a number would be dialled, without calling it
+ *
+ * Query parameters:
+ *   - to: Number or extension, as it would be given to /api/outbound-call (required)
+ *   - device: Device extension or name placing the call (optional)
+ */
+router.get('/dial-plan/dry-run', function(req, res) {
+  if (!req.query.to) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: 'Query parameter "to" is required'
+    });
+  }
+
+  var deviceConfig = null;
+  if (req.query.device) {
+    deviceConfig = deviceRegistry ? deviceRegistry.get(req.query.device) : null;
+    if (!deviceConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Device not found: ' + req.query.device
+      });
+    }
+  }
+
+  var route = planDial(String(req.query.to), { deviceConfig: deviceConfig });
+
+  res.json({
+    success: true,
+    device: deviceConfig ? deviceConfig.name : null,
+    input: route.input,
+    number: route.number,
+    internal: route.internal,
+    allowed: route.allowed,
+    reason: route.reason,
+    rule: route.rule,
+    pbx: route.pbx ? route.pbx.name : null,
+    transport: route.sip ? route.sip.transport : null,
+    dial: route.dial,
+    uri: route.uri
+  });
+});
+
 /**
  * GET /api/call/:callId
  */
@@ -325,6 +467,34 @@ router.get('/call/:callId', function(req, res) {
   });
 });
 
+/**
+ * GET /api/call/:callId/recording
+ * Download the stereo WAV of a recorded call (caller left, assistant right)
+ * Add ?format=json for the sidecar with turn timestamps
+ */
+router.get('/call/:callId/recording', function(req, res) {
+  var callId = req.params.callId;
+  var recording = findRecording(callId);
+
+  if (!recording) {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: 'No recording for this call (not recorded, still in progress, or expired)'
+    });
+  }
+
+  if (req.query.format === 'json') {
+    return res.sendFile(recording.sidecarPath, function(err) {
+      if (err && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'not_found', message: 'Recording sidecar not found' });
+      }
+    });
+  }
+
+  res.download(recording.wavPath, callId + '.wav');
+});
+
 /**
  * GET /api/calls
  */
@@ -27,9 +27,11 @@ class OutboundSession extends EventEmitter {
     this.mode = options.mode || 'announce'; // 'announce' or 'conversation'
     this.callerId = options.callerId;
     this.webhookUrl = options.webhookUrl;
+    this.device = options.device || null;
 
     // State tracking
     this.state = 'QUEUED';
+    this.endReason = null;
     this.createdAt = Date.now();
     this.answeredAt = null;
     this.endedAt = null;
@@ -43,7 +45,7 @@ class OutboundSession extends EventEmitter {
     this.turnCount = 0;
 
     // Register in active sessions
-    activeSessions.set(callId, this);
+    activeSessions.set(this.callId, this);
 
     logger.info('Outbound session created', {
       callId,
@@ -97,6 +99,7 @@ class OutboundSession extends EventEmitter {
     // Cleanup on terminal states
     if (newState === 'COMPLETED' || newState === 'FAILED') {
       this.endedAt = Date.now();
+      this.endReason = reason || newState.toLowerCase();
 
       // Keep session for 1 minute for status queries, then remove
       setTimeout(() => {
@@ -231,14 +234,16 @@ class OutboundSession extends EventEmitter {
    *
    * @param {string} userText - What the user said
    * @param {string} assistantText - What Claude responded
+   * @param {string} [response] - Claude's full response (voice line is extracted from it)
    */
-  recordTurn(userText, assistantText) {
+  recordTurn(userText, assistantText, response) {
     this.turnCount++;
     this.conversationHistory.push({
       turn: this.turnCount,
       timestamp: Date.now(),
       user: userText,
-      assistant: assistantText
+      assistant: assistantText,
+      response: response
     });
 
     logger.info('Conversation turn recorded', {
@@ -261,6 +266,37 @@ class OutboundSession extends EventEmitter {
     return Math.round((endTime - this.answeredAt) / 1000);
   }
 
+  /**
+   * Build the call history record (see call-history)
+   *
+   * @returns {Object} History record
+   */
+  toHistoryRecord() {
+    const startedAt = new Date(this.answeredAt || this.createdAt).toISOString();
+    // The message is only spoken once someone answers
+    const turns = this.answeredAt ? [{ role: 'assistant', text: this.message, time: startedAt }] : [];
+    for (const entry of this.conversationHistory) {
+      const time = new Date(entry.timestamp).toISOString();
+      turns.push({ role: 'caller', text: entry.user, time });
+      turns.push({ role: 'assistant', text: entry.assistant, response: entry.response, time });
+    }
+
+    return {
+      id: this.callId,
+      direction: 'outbound',
+      to: this.to,
+      callerId: this.callerId || null,
+      device: this.device,
+      mode: this.mode,
+      createdAt: new Date(this.createdAt).toISOString(),
+      startedAt,
+      answeredAt: this.answeredAt ? new Date(this.answeredAt).toISOString() : null,
+      endedAt: new Date(this.endedAt || Date.now()).toISOString(),
+      endReason: this.endReason || this.state.toLowerCase(),
+      turns
+    };
+  }
+
   /**
    * Get session info for status queries
    *
@@ -0,0 +1,244 @@
+/**
+ * PBX Profiles
+ * What differs between phone systems: whether extensions REGISTER, which
+ * credentials answer a challenge, how numbers are dialled, where INVITEs
+ * go, and header quirks. Each device points at a profile, so one voice-app
+ * can serve extensions on several PBXs.
+ *
+ * Built-in types (SIP_PBX picks the one for SIP_DOMAIN / SIP_REGISTRAR, with
+ * SIP_OUTBOUND_PROXY as its outbound proxy; default "3cx"):
+ *   3cx         REGISTER with the auth ID; 9 + number as dialled locally for the PSTN
+ *   freepbx     REGISTER with the extension as username; numbers as digits (alias "asterisk")
+ *   freeswitch  REGISTER with the auth ID; numbers as digits
+ *   trunk       direct SIP trunk: no REGISTER (IP auth), E.164 numbers, caller ID in From
+ *
+ * Named profiles in config/pbx-profiles.json (PBX_PROFILES_FILE) describe
+ * more PBXs, each starting from a type:
+ *   {
+ *     "office": { "type": "3cx", "domain": "office.3cx.us", "registrar": "10.0.0.50" },
+ *     "carrier": {
+ *       "type": "trunk",
+ *       "host": "sip.carrier.example",          // where INVITEs go (default: registrar)
+ *       "outboundProxy": "sip:sbc.example.com",
+ *       "headers": { "X-Account": "1234" }
+ *     }
+ *   }
+ *
+ * A device uses one with "pbx": "office" in devices.json (a type name works too).
+ *
+ * Profile fields:
+ *   domain, registrar    SIP domain (From/To) and registrar host
+ *   host                 host outbound calls are sent to (default: SIP_TRUNK_HOST, then registrar)
+ *   register             send REGISTER for the device's extension
+ *   auth                 "authId" (device authId), "extension" (extension as username) or "none"
+ *   dialPrefix           digits dialled before external numbers
+ *   numberFormat         external numbers as "national" (as dialled in the dial plan's country),
+ *                        "digits" (no +) or "e164" (see dial-plan)
+ *   fromUser             outbound From user: "extension" or "callerId"
+ *   assertIdentity       add P-Asserted-Identity with the caller ID to outbound calls
+ *   outboundProxy        send REGISTER and INVITE through this proxy
+ *   userAgent            User-Agent header
+ *   headers              extra headers on REGISTER and INVITE
+ *   transport, port, srtp  transport for this PBX (see sip-security)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const PBX_PROFILES_FILE = process.env.PBX_PROFILES_FILE || path.join(__dirname, '..', 'config', 'pbx-profiles.json');
+
+const DEFAULT_USER_AGENT = 'claude-phone/1.0';
+
+const PBX_TYPES = {
+  '3cx': {
+    register: true,
+    auth: 'authId',
+    dialPrefix: '9',
+    numberFormat: 'national',
+    fromUser: 'extension',
+    assertIdentity: false,
+    userAgent: 'NetworkChuck-VoiceServer/1.0'
+  },
+  freepbx: {
+    register: true,
+    auth: 'extension',
+    dialPrefix: '',
+    numberFormat: 'digits',
+    fromUser: 'extension',
+    assertIdentity: false
+  },
+  freeswitch: {
+    register: true,
+    auth: 'authId',
+    dialPrefix: '',
+    numberFormat: 'digits',
+    fromUser: 'extension',
+    assertIdentity: false
+  },
+  trunk: {
+    register: false,
+    auth: 'none',
+    dialPrefix: '',
+    numberFormat: 'e164',
+    fromUser: 'callerId',
+    assertIdentity: true
+  }
+};
+
+const TYPE_ALIASES = { asterisk: 'freepbx' };
+
+const PROFILE_KEYS = [
+  'type', 'domain', 'registrar', 'host', 'register', 'auth', 'dialPrefix', 'numberFormat',
+  'fromUser', 'assertIdentity', 'outboundProxy', 'userAgent', 'headers', 'transport', 'port', 'srtp'
+];
+
+let profiles = null;
+const warned = new Set();
+
+function typeName(name) {
+  const key = String(name || '').toLowerCase();
+  return TYPE_ALIASES[key] || key;
+}
+
+/**
+ * Check a named profile
+ * @param {Object} profile
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validatePbxProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be an object'];
+
+  const errors = [];
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.includes(key)) errors.push(`unknown setting "${key}"`);
+  }
+  if (profile.type !== undefined && !PBX_TYPES[typeName(profile.type)]) {
+    errors.push(`type must be one of ${Object.keys(PBX_TYPES).concat(Object.keys(TYPE_ALIASES)).join(', ')}`);
+  }
+  for (const key of ['domain', 'registrar', 'host', 'outboundProxy', 'userAgent', 'dialPrefix']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'string') errors.push(`${key} must be a string`);
+  }
+  if (profile.dialPrefix && !/^[0-9*#]+$/.test(profile.dialPrefix)) errors.push('dialPrefix must be digits');
+  for (const key of ['register', 'assertIdentity']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'boolean') errors.push(`${key} must be true or false`);
+  }
+  if (profile.auth !== undefined && !['authId', 'extension', 'none'].includes(profile.auth)) {
+    errors.push('auth must be "authId", "extension" or "none"');
+  }
+  if (profile.numberFormat !== undefined && !['national', 'digits', 'e164'].includes(profile.numberFormat)) {
+    errors.push('numberFormat must be "national", "digits" or "e164"');
+  }
+  if (profile.fromUser !== undefined && !['extension', 'callerId'].includes(profile.fromUser)) {
+    errors.push('fromUser must be "extension" or "callerId"');
+  }
+  if (profile.headers !== undefined &&
+      !(profile.headers && typeof profile.headers === 'object' && Object.values(profile.headers).every(v => typeof v === 'string'))) {
+    errors.push('headers must map header names to strings');
+  }
+  if (profile.transport !== undefined || profile.port !== undefined || profile.srtp !== undefined) {
+    // Loaded here to keep the two modules free of a require cycle
+    const { validateSip } = require('./sip-security');
+    errors.push(...validateSip({ transport: profile.transport, port: profile.port, srtp: profile.srtp }));
+  }
+  return errors;
+}
+
+/**
+ * Load named profiles; invalid ones are logged and skipped
+ * @param {string} [file] - Default: PBX_PROFILES_FILE
+ * @returns {Object} Profiles by name
+ */
+function loadPbxProfiles(file = PBX_PROFILES_FILE) {
+  profiles = {};
+  if (!fs.existsSync(file)) return profiles;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load PBX profiles', { file, error: error.message });
+    return profiles;
+  }
+
+  for (const [name, profile] of Object.entries(data || {})) {
+    const errors = PBX_TYPES[typeName(name)] ? [`"${name}" is a built-in type`] : validatePbxProfile(profile);
+    if (errors.length > 0) {
+      logger.warn('Ignoring invalid PBX profile', { name, errors });
+      continue;
+    }
+    profiles[name] = profile;
+  }
+  logger.info('PBX profiles loaded', { profiles: Object.keys(profiles) });
+  return profiles;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} True for a built-in type or a loaded profile
+ */
+function hasPbxProfile(name) {
+  if (!profiles) loadPbxProfiles();
+  return Boolean(PBX_TYPES[typeName(name)] || profiles[name]);
+}
+
+/**
+ * The PBX a device is on
+ * @param {Object} [deviceConfig]
+ * @param {Object} [defaults] - domain, registrar and host of the default PBX (default: SIP_DOMAIN,
+ *   SIP_REGISTRAR and SIP_TRUNK_HOST)
+ * @returns {Object} Profile with every field set (see the module header)
+ */
+function pbxProfile(deviceConfig, defaults = {}) {
+  if (!profiles) loadPbxProfiles();
+
+  const name = (deviceConfig && deviceConfig.pbx) || process.env.SIP_PBX || '3cx';
+  const named = PBX_TYPES[typeName(name)] ? null : profiles[name];
+  let type = typeName(named ? named.type || '3cx' : name);
+  if (!PBX_TYPES[type]) {
+    if (!warned.has(name)) {
+      warned.add(name);
+      logger.warn('Unknown PBX profile, using 3CX', { device: deviceConfig && deviceConfig.name, pbx: name });
+    }
+    type = '3cx';
+  }
+  const base = PBX_TYPES[type];
+
+  // SIP_* settings describe the default PBX; named profiles bring their own
+  const location = named
+    ? { domain: named.domain || named.registrar, registrar: named.registrar, host: named.host || named.registrar }
+    : {
+      domain: defaults.domain || process.env.SIP_DOMAIN,
+      registrar: defaults.registrar || process.env.SIP_REGISTRAR,
+      host: defaults.host || process.env.SIP_TRUNK_HOST || defaults.registrar || process.env.SIP_REGISTRAR,
+      outboundProxy: process.env.SIP_OUTBOUND_PROXY || null
+    };
+
+  return Object.assign({
+    outboundProxy: null,
+    userAgent: base.userAgent || DEFAULT_USER_AGENT,
+    headers: {}
+  }, base, named, location, { name: named ? name : type, type });
+}
+
+/**
+ * Credentials a device answers a digest challenge with
+ * @param {Object} deviceConfig
+ * @param {Object} profile - From pbxProfile()
+ * @returns {{username: string, password: string}|null} null for IP-authenticated PBXs
+ */
+function authCredentials(deviceConfig, profile) {
+  if (!deviceConfig || profile.auth === 'none') return null;
+  const username = profile.auth === 'extension' ? deviceConfig.extension : deviceConfig.authId;
+  if (!username || !deviceConfig.password) return null;
+  return { username, password: deviceConfig.password };
+}
+
+module.exports = {
+  PBX_TYPES,
+  validatePbxProfile,
+  loadPbxProfiles,
+  hasPbxProfile,
+  pbxProfile,
+  authCredentials
+};
@@ -0,0 +1,58 @@
+/**
+ * SIP Registration API Routes
+ * Express route showing which extensions are registered with the PBX (see multi-registrar)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+
+// Dependencies injected via setupRoutes()
+let getRegistrar = () => null;
+
+/**
+ * GET /api/registrations
+ * State of every extension's SIP registration
+ *
+ * Response:
+ *   {
+ *     "success": true,
+ *     "registered": 1,
+ *     "count": 2,
+ *     "registrations": [
+ *       { "extension": "9000", "device": "Morpheus", "status": "registered", "lastCode": 200, ... },
+ *       { "extension": "9002", "device": "Trinity", "status": "failed", "lastCode": 403, "failures": 3, ... }
+ *     ]
+ *   }
+ *
+ * The list is empty before drachtio connects and in direct SIP mode (no credentials).
+ */
+router.get('/registrations', (req, res) => {
+  const registrar = getRegistrar();
+  const registrations = registrar
+    ? registrar.getStatus().map(state => Object.assign(state, { online: registrar.isRegistered(state.extension) }))
+    : [];
+
+  res.json({
+    success: true,
+    registered: registrations.filter(state => state.online).length,
+    count: registrations.length,
+    registrations
+  });
+});
+
+/**
+ * Setup routes with dependencies
+ * @param {Object} deps
+ * @param {Function} deps.getRegistrar - Returns the MultiRegistrar, or null before it starts
+ */
+function setupRoutes(deps) {
+  getRegistrar = deps.getRegistrar || (() => null);
+
+  logger.info('Registration routes initialized');
+}
+
+module.exports = {
+  router,
+  setupRoutes
+};
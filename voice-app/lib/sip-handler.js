@@ -3,39 +3,18 @@
  * v12: Device registry integration with proper method names
  */
 
-const { setTimeout: sleep } = require('node:timers/promises');
-
-// Audio cue URLs
-const READY_BEEP_URL = 'http://127.0.0.1:3000/static/ready-beep.wav';
-const GOTIT_BEEP_URL = 'http://127.0.0.1:3000/static/gotit-beep.wav';
-const HOLD_MUSIC_URL = 'http://127.0.0.1:3000/static/hold-music.mp3';
+const { runConversationLoop, buildGreeting, THINKING_PHRASES } = require('./conversation-loop');
+const { getCallHistory } = require('./call-history');
+const { authorizeCaller } = require('./access-control');
+const { runVoicemail, voicemailReason, voicemailSettings } = require('./voicemail');
+const { getCallbackScheduler } = require('./callback');
+const { getCallLimiter, limitSettings, waitInQueue } = require('./call-limits');
+const metrics = require('./metrics');
+const { sipSettings, offersSrtp } = require('./sip-security');
 
 // Default voice ID (Morpheus)
 const DEFAULT_VOICE_ID = 'JBFqnCBsd6RMkjVDRZzb';
 
-// Claude Code-style thinking phrases
-const THINKING_PHRASES = [
-  "Pondering...",
-  "Elucidating...",
-  "Cogitating...",
-  "Ruminating...",
-  "Contemplating...",
-  "Consulting the oracle...",
-  "Summoning knowledge...",
-  "Engaging neural pathways...",
-  "Accessing the mainframe...",
-  "Querying the void...",
-  "Let me think about that...",
-  "Processing...",
-  "Hmm, interesting question...",
-  "One moment...",
-  "Searching my brain...",
-];
-
-function getRandomThinkingPhrase() {
-  return THINKING_PHRASES[Math.floor(Math.random() * THINKING_PHRASES.length)];
-}
-
 function extractCallerId(req) {
   var from = req.get("From") || "";
   var match = from.match(/sip:([+\d]+)@/);
@@ -57,337 +36,161 @@ function extractDialedExtension(req) {
   return null;
 }
 
-function isGoodbye(transcript) {
-  const lower = transcript.toLowerCase().trim();
-
-  // Explicit farewells
-  const exactPhrases = [
-    'goodbye', 'good bye', 'bye', 'bye bye', 'hang up', 'end call',
-    "that's all", 'thats all', 'no thanks', 'no thank you',
-    'nothing else', 'nothing else thank you', 'nothing else thanks',
-    "i'm done", 'im done', "i'm good", 'im good', "i'm all set", 'im all set',
-    'have a good one', 'have a nice day', 'have a good day',
-    'talk later', 'talk to you later', 'ttyl', 'take care',
-    'see ya', 'see you', 'later', 'peace',
-    'just a test', 'this was a test', 'just testing', 'only a test'
-  ];
-
-  // Check exact match or phrase appears in transcript
-  if (exactPhrases.some(function(phrase) {
-    return lower === phrase || lower.includes(phrase);
-  })) return true;
-
-  // Patterns that imply ending
-  const endPatterns = [
-    /^(that('?s| is) (all|it|everything))/,
-    /^(no(thing)? (else|more|further))/,
-    /(thanks?|thank you).{0,20}$/,   // ends with thanks
-    /^(i('m| am) (done|finished|good|all set|okay now|set))/,
-    /(good (night|evening|morning|afternoon))\s*$/,
-    /^(just (testing|checking|a test))/,
-  ];
-
-  return endPatterns.some(function(pattern) { return pattern.test(lower); });
+/**
+ * ElevenLabs voice for a device (falls back to the default voice)
+ */
+function getVoiceId(deviceConfig) {
+  return (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : DEFAULT_VOICE_ID;
 }
 
 /**
- * Extract voice-friendly line from Claude's response
- * Priority: VOICE_RESPONSE > CUSTOM COMPLETED > COMPLETED > first sentence
+ * Phrases every inbound call on this device is likely to hear, in the
+ * device's voice - used to prewarm the TTS cache at startup
+ * @returns {Array<{text: string, voiceId: string, tts: Object}>}
  */
-function extractVoiceLine(response) {
-  // Priority 1: VOICE_RESPONSE (new format)
-  var voiceMatch = response.match(/🗣️\s*VOICE_RESPONSE:\s*([^\n]+)/im);
-  if (voiceMatch) {
-    var text = voiceMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-    if (text && text.split(/\s+/).length <= 60) {
-      return text;
-    }
-  }
-
-  // Priority 2: CUSTOM COMPLETED
-  var customMatch = response.match(/🗣️\s*CUSTOM\s+COMPLETED:\s*(.+?)(?:\n|$)/im);
-  if (customMatch) {
-    text = customMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-    if (text && text.split(/\s+/).length <= 50) {
-      return text;
-    }
-  }
-
-  // Priority 3: COMPLETED
-  var completedMatch = response.match(/🎯\s*COMPLETED:\s*(.+?)(?:\n|$)/im);
-  if (completedMatch) {
-    return completedMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-  }
-
-  // Priority 4: First ~60 words (do not split on ! or ? - natural speech)
-  var words = response.replace(/[*#`]/g, "").trim().split(/\s+/).slice(0, 120);
-  if (words.length > 0) {
-    return words.join(" ");
-  }
-
-  return response.substring(0, 500).trim();
+function getPrewarmPhrases(deviceConfig) {
+  const voiceId = getVoiceId(deviceConfig);
+  const ttsOptions = deviceConfig ? deviceConfig.tts : undefined;
+  const menu = deviceConfig && deviceConfig.ivr ? [deviceConfig.ivr.prompt] : [];
+  return menu.concat(buildGreeting(deviceConfig), THINKING_PHRASES).map(function(text) {
+    return { text: text, voiceId: voiceId, tts: ttsOptions };
+  });
 }
 
 /**
- * Main conversation loop
+ * Main conversation loop for an inbound call (the shared turn pipeline in conversation-loop)
  * @param {Object} deviceConfig - Device configuration (name, prompt, voiceId, etc.) or null for default
+ * @param {string} [role] - Caller role from access control (null = API server default)
+ * @param {Object} [slot] - The call's line from the call limiter; given up before taking a message
  */
-async function conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId) {
-  const { ttsService, whisperClient, claudeBridge, wsPort, audioForkServer } = options;
-
-  let session = null;
-  let forkRunning = false;
-  const callTranscript = [];
-  const callStart = new Date().toISOString();
-  let callEnded = false;
-  let resolveCallEnded;
-  const callEndedPromise = new Promise(function(resolve) { resolveCallEnded = resolve; });
-
-  // Detect hang-up and signal the conversation loop
-  dialog.on('destroy', function() {
-    callEnded = true;
-    if (resolveCallEnded) resolveCallEnded();
-  });
-
-
-  // Get device-specific settings
+async function conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId, role, slot) {
   const deviceName = deviceConfig ? deviceConfig.name : 'Morpheus';
-  const devicePrompt = deviceConfig ? deviceConfig.prompt : null;
-
-  // Notify n8n that a call started
-  try {
-    const http = require("http");
-    const startPayload = JSON.stringify({ callId: callUuid, device: deviceName, callerId: callerId || "unknown", message: "call started", time: callStart });
-    const startReq = http.request({
-      hostname: "10.3.16.46", port: 5678, path: "/webhook/claude-phone", method: "POST",
-      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(startPayload) },
-      timeout: 5000
-    });
-    startReq.on("error", function(e) { console.log("[WEBHOOK] Start error: " + e.message); });
-    startReq.write(startPayload);
-    startReq.end();
-    console.log("[WEBHOOK] Call started notification sent");
-  } catch (e) {
-    console.log("[WEBHOOK] Start failed: " + e.message);
-  }
-  const voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : DEFAULT_VOICE_ID;
-  const greeting = deviceConfig && deviceConfig.name !== 'Morpheus'
-    ? "Hello! I'm " + deviceConfig.name + ". How can I help you today?"
-    : "Hello! I'm your server. How can I help you today?";
-
-  // Helper: play audio but abort if caller hangs up
-  async function safePlay(url) {
-    if (callEnded) return;
-    await Promise.race([
-      endpoint.play(url),
-      callEndedPromise.then(function() { throw new Error('Call ended by remote'); })
-    ]);
-  }
+  const voiceId = getVoiceId(deviceConfig);
 
   try {
     console.log('[' + new Date().toISOString() + '] CONVERSATION Starting (session: ' + callUuid + ', device: ' + deviceName + ', voice: ' + voiceId + ')...');
 
-    // Play device-specific greeting with device voice
-    const greetingUrl = await ttsService.generateSpeech(greeting, voiceId);
-    await safePlay(greetingUrl);
-
-    // Start fork for entire call
-    const wsUrl = 'ws://127.0.0.1:' + wsPort + '/' + encodeURIComponent(callUuid);
-    const sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
-
-    await endpoint.forkAudioStart({
-      wsUrl: wsUrl,
-      mixType: 'mono',
-      sampling: '16k'
+    const result = await runConversationLoop(endpoint, dialog, callUuid, {
+      audioForkServer: options.audioForkServer,
+      whisperClient: options.whisperClient,
+      claudeBridge: options.claudeBridge,
+      ttsService: options.ttsService,
+      wsPort: options.wsPort,
+      deviceConfig: deviceConfig,
+      direction: 'inbound',
+      callerId: callerId || 'unknown',
+      role: role || null,
+      defaultVoiceId: DEFAULT_VOICE_ID,
+      ivr: deviceConfig ? deviceConfig.ivr : null,
+      deviceRegistry: options.deviceRegistry,
+      srf: options.srf,
+      mediaServer: options.mediaServer
     });
-    forkRunning = true;
 
-    session = await sessionPromise;
-    console.log('[' + new Date().toISOString() + '] AUDIO Fork connected');
-
-    // Main conversation loop
-    let turnCount = 0;
-    const MAX_TURNS = 20;
-    let silenceCount = 0;
-    const MAX_SILENCE = 2;
-
-    while (turnCount < MAX_TURNS) {
-      if (callEnded) {
-        console.log('[' + new Date().toISOString() + '] CONVERSATION Caller hung up, ending loop');
-        break;
-      }
-      turnCount++;
-      console.log('[' + new Date().toISOString() + '] CONVERSATION Turn ' + turnCount + '/' + MAX_TURNS);
+    console.log('[' + new Date().toISOString() + '] CONVERSATION Ended (' + result.endReason + ', ' + result.turns.length + ' turns)');
 
-      // READY BEEP
-      try {
-        await safePlay(READY_BEEP_URL);
-      } catch (e) {
-        console.log('[' + new Date().toISOString() + '] BEEP: Ready beep failed, continuing');
-      }
-
-      session.setCaptureEnabled(true);
-      console.log('[' + new Date().toISOString() + '] LISTEN Waiting for speech...');
-
-      let utterance = null;
-      try {
-        utterance = await session.waitForUtterance({ timeoutMs: 30000 });
-        console.log('[' + new Date().toISOString() + '] LISTEN Got: ' + utterance.audio.length + ' bytes');
-      } catch (err) {
-        console.log('[' + new Date().toISOString() + '] LISTEN Timeout: ' + err.message);
-      }
-
-      session.setCaptureEnabled(false);
-
-      if (!utterance) {
-        silenceCount++;
-        if (silenceCount >= MAX_SILENCE) {
-          console.log('[' + new Date().toISOString() + '] SILENCE Ending call after ' + MAX_SILENCE + ' consecutive timeouts');
-          const byeUrl = await ttsService.generateSpeech("I'll let you go. Call again anytime. Goodbye!", voiceId);
-          await endpoint.play(byeUrl);
-          break;
-        }
-        const promptUrl = await ttsService.generateSpeech("I didn't hear anything. Are you still there?", voiceId);
-        await safePlay(promptUrl);
-        continue;
-      }
-      silenceCount = 0; // Reset on successful utterance
-
-      // GOT-IT BEEP
-      try {
-        await safePlay(GOTIT_BEEP_URL);
-      } catch (e) {
-        console.log('[' + new Date().toISOString() + '] BEEP: Got-it beep failed, continuing');
-      }
-
-      // Transcribe
-      const transcript = await whisperClient.transcribe(utterance.audio, {
-        format: 'pcm',
-        sampleRate: 16000
+    // Persist the call for /api/calls/history
+    try {
+      getCallHistory().add({
+        id: callUuid,
+        direction: 'inbound',
+        callerId: callerId || 'unknown',
+        device: deviceName,
+        startedAt: result.startedAt,
+        endedAt: result.endedAt,
+        endReason: result.endReason,
+        recorded: result.recorded,
+        turns: result.turns
       });
+    } catch (e) {
+      console.log('[' + new Date().toISOString() + '] HISTORY Failed: ' + e.message);
+    }
 
-      console.log('[' + new Date().toISOString() + '] WHISPER: "' + transcript + '"');
-
-      callTranscript.push({ role: "user", text: transcript, time: new Date().toISOString() });
-
-      if (!transcript || transcript.trim().length < 2) {
-        const clarifyUrl = await ttsService.generateSpeech("Sorry, I didn't catch that. Could you repeat?", voiceId);
-        await safePlay(clarifyUrl);
-        continue;
-      }
-
-      if (isGoodbye(transcript)) {
-        callTranscript.push({ role: "assistant", text: "Goodbye! Call again anytime.", time: new Date().toISOString() });
-        const byeUrl = await ttsService.generateSpeech("Goodbye! Call again anytime.", voiceId);
-        await safePlay(byeUrl);
-        break;
-      }
-
-      // THINKING FEEDBACK
-      const thinkingPhrase = getRandomThinkingPhrase();
-      console.log('[' + new Date().toISOString() + '] THINKING: "' + thinkingPhrase + '"');
-      const thinkingUrl = await ttsService.generateSpeech(thinkingPhrase, voiceId);
-      await safePlay(thinkingUrl);
-
-      // Hold music in background
-      let musicPlaying = false;
-      endpoint.play(HOLD_MUSIC_URL).catch(function(e) {
-        console.log('[' + new Date().toISOString() + '] MUSIC: Hold music failed, continuing');
+    // Claude is still working; call the caller back with the answer
+    if (result.callback) {
+      getCallbackScheduler().schedule({
+        callId: callUuid,
+        to: callerId,
+        deviceConfig: deviceConfig,
+        role: role || null,
+        reply: result.callback.reply
       });
-      musicPlaying = true;
-
-      // Query Claude with device-specific prompt
-      console.log('[' + new Date().toISOString() + '] CLAUDE Querying (device: ' + deviceName + ')...');
-      const claudeResponse = await Promise.race([
-        claudeBridge.query(transcript, { callId: callUuid, devicePrompt: devicePrompt }),
-        callEndedPromise.then(function() { throw new Error('Call ended by remote'); })
-      ]);
-
-      // Stop hold music
-      if (musicPlaying) {
-        try {
-          await endpoint.api('uuid_break', endpoint.uuid);
-        } catch (e) {}
-      }
-
-      console.log('[' + new Date().toISOString() + '] CLAUDE Response received');
-
-      // Extract and play voice line with device voice
-      const voiceLine = extractVoiceLine(claudeResponse);
-      const wantsToEnd = /🔚\s*END_CALL/i.test(claudeResponse);
-      console.log('[' + new Date().toISOString() + '] VOICE: "' + voiceLine + '"' + (wantsToEnd ? ' [END_CALL]' : ''));
-
-      callTranscript.push({ role: "assistant", text: voiceLine, time: new Date().toISOString() });
-      const responseUrl = await ttsService.generateSpeech(voiceLine, voiceId);
-      await safePlay(responseUrl);
-
-      if (wantsToEnd) {
-        console.log('[' + new Date().toISOString() + '] CONVERSATION Claude signaled END_CALL, hanging up');
-        try { dialog.destroy(); } catch(e) {}
-        break;
-      }
-
-      console.log('[' + new Date().toISOString() + '] CONVERSATION Turn ' + turnCount + ' complete');
     }
 
-    if (turnCount >= MAX_TURNS) {
-      const maxUrl = await ttsService.generateSpeech("We've been talking for a while. Goodbye!", voiceId);
-      await safePlay(maxUrl);
+    // The caller pressed the voicemail key
+    if (result.endReason === 'voicemail') {
+      if (slot) slot.release();
+      await takeVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, 'caller');
     }
-
   } catch (error) {
     console.error('[' + new Date().toISOString() + '] CONVERSATION Error:', error.message);
-    try {
-      if (session) session.setCaptureEnabled(false);
-      const errUrl = await ttsService.generateSpeech("Sorry, something went wrong.", voiceId);
-      await safePlay(errUrl);
-    } catch (e) {}
   } finally {
-    console.log('[' + new Date().toISOString() + '] CONVERSATION Cleanup...');
+    try { dialog.destroy(); } catch (e) {}
+  }
+}
 
-    // Send transcript FIRST so it appears in feed immediately
-    try {
-      const http = require("http");
-      const transcriptText = callTranscript.map(function(t) {
-        return (t.role === "user" ? "Caller" : "Claude") + ": " + t.text.trim();
-      }).join("\n");
-      const payload = JSON.stringify({
-        callId: callUuid,
-        device: deviceName,
-        callerId: callerId || "unknown",
-        startTime: callStart,
-        endTime: new Date().toISOString(),
-        turns: callTranscript.length,
-        transcript: transcriptText
-      });
-      const webhookReq = http.request({
-        hostname: "10.3.16.46",
-        port: 5678,
-        path: "/webhook/claude-phone",
-        method: "POST",
-        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) },
-        timeout: 5000
-      });
-      webhookReq.on("error", function(e) { console.log("[WEBHOOK] Error: " + e.message); });
-      webhookReq.write(payload);
-      webhookReq.end();
-      console.log("[WEBHOOK] Transcript sent (" + callTranscript.length + " turns)");
-    } catch (e) {
-      console.log("[WEBHOOK] Failed: " + e.message);
-    }
+/**
+ * Keep calls that never reached a conversation in the call history and metrics
+ * (conversation-loop counts the rest)
+ * @param {Object} fields - endReason and anything else to record
+ */
+function recordShortCall(callUuid, callerId, deviceConfig, startedAt, fields) {
+  const now = new Date().toISOString();
+  metrics.calls.inc({ device: deviceConfig ? deviceConfig.name : 'Morpheus', direction: 'inbound', outcome: fields.endReason });
+  try {
+    getCallHistory().add(Object.assign({
+      id: callUuid,
+      direction: 'inbound',
+      callerId: callerId || 'unknown',
+      device: deviceConfig ? deviceConfig.name : 'Morpheus',
+      startedAt: startedAt || now,
+      endedAt: now,
+      recorded: false,
+      turns: []
+    }, fields));
+  } catch (e) {
+    console.log('[' + new Date().toISOString() + '] HISTORY Failed: ' + e.message);
+  }
+}
 
-    try {
-      await claudeBridge.endSession(callUuid);
-    } catch (e) {}
+/**
+ * Keep rejected callers in the call history so access attempts can be audited
+ */
+function recordRejectedCall(callUuid, callerId, deviceConfig, reason, startedAt) {
+  recordShortCall(callUuid, callerId, deviceConfig, startedAt, { endReason: 'access_denied', accessReason: reason });
+}
 
-    if (forkRunning) {
-      try {
-        await endpoint.forkAudioStop();
-      } catch (e) {}
-    }
+/**
+ * Take a message instead of (or after) a conversation
+ * @param {string} reason - "after_hours", "busy" or "caller"
+ * @returns {Promise<{message: Object|null, startedAt: string, endedAt: string}>}
+ */
+async function takeVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, reason) {
+  console.log('[' + new Date().toISOString() + '] VOICEMAIL Taking a message (' + reason + ')');
+  return runVoicemail(endpoint, dialog, callUuid, {
+    audioForkServer: options.audioForkServer,
+    whisperClient: options.whisperClient,
+    claudeBridge: options.claudeBridge,
+    ttsService: options.ttsService,
+    wsPort: options.wsPort,
+    deviceConfig: deviceConfig,
+    callerId: callerId || 'unknown',
+    reason: reason,
+    defaultVoiceId: DEFAULT_VOICE_ID
+  });
+}
 
-    try { dialog.destroy(); } catch (e) {}
-  }
+/**
+ * Take a message and keep the call in the call history
+ */
+async function leaveVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, reason) {
+  const voicemail = await takeVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, reason);
+  recordShortCall(callUuid, callerId, deviceConfig, voicemail.startedAt, {
+    endedAt: voicemail.endedAt,
+    endReason: 'voicemail',
+    voicemailReason: reason,
+    voicemail: voicemail.message ? voicemail.message.id : null
+  });
 }
 
 /**
@@ -460,6 +263,30 @@ async function handleInvite(req, res, options) {
 
   console.log('[' + new Date().toISOString() + '] CALL Incoming from: ' + callerId + ' to ext: ' + (dialedExt || 'unknown'));
 
+  // Devices that require SRTP never answer with plain RTP (see sip-security)
+  if (sipSettings(deviceConfig).srtp === 'required' && !offersSrtp(req.body)) {
+    console.log('[' + new Date().toISOString() + '] CALL No SRTP offered, rejecting ' + callerId + ' (488)');
+    try { res.send(488); } catch (e) {}
+    recordShortCall(req.get('Call-ID'), callerId, deviceConfig, null, { endReason: 'srtp_required' });
+    return null;
+  }
+
+  // Concurrent call limits (MAX_CONCURRENT_CALLS, devices.json "limits"):
+  // take a line now, or a place in the queue, or turn the call away before answering
+  const deviceName = deviceConfig ? deviceConfig.name : 'Morpheus';
+  const limits = limitSettings(deviceConfig);
+  const limiter = getCallLimiter();
+  let slot = limiter.tryAcquire(deviceName, limits.maxCalls);
+  const queue = !slot && limits.whenFull === 'queue'
+    ? limiter.enqueue(deviceName, limits.maxCalls, limits.maxQueue)
+    : null;
+  if (!slot && !queue) {
+    console.log('[' + new Date().toISOString() + '] CALL All lines busy, rejecting ' + callerId + ' (486)');
+    try { res.send(486); } catch (e) {}
+    recordShortCall(req.get('Call-ID'), callerId, deviceConfig, null, { endReason: 'busy' });
+    return null;
+  }
+
   try {
     // Strip video from SDP to avoid FreeSWITCH 488 error with unsupported video codecs
     const originalSdp = req.body;
@@ -492,18 +319,80 @@ async function handleInvite(req, res, options) {
       await new Promise(function(r) { setTimeout(r, 6000); });
     }
 
-    await conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId);
+    const speak = async function(text) {
+      const url = await options.ttsService.generateSpeech(text, getVoiceId(deviceConfig), deviceConfig ? deviceConfig.tts : undefined);
+      await endpoint.play(url);
+    };
+
+    // Caller access policy (devices.json "access") - nothing reaches Claude until it passes
+    const connectedAt = new Date().toISOString();
+    const access = await authorizeCaller({
+      endpoint: endpoint,
+      deviceConfig: deviceConfig,
+      callerId: callerId,
+      speak: speak
+    });
+
+    if (!access.allowed) {
+      console.log('[' + new Date().toISOString() + '] ACCESS Rejected ' + callerId + ' (' + access.reason + ')');
+      recordRejectedCall(callUuid, callerId, deviceConfig, access.reason, connectedAt);
+      try { dialog.destroy(); } catch (e) {}
+      return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
+    }
+
+    if (access.role) console.log('[' + new Date().toISOString() + '] ACCESS Role ' + access.role + ' for ' + callerId);
+
+    // Closed, or already on too many calls (devices.json "voicemail"); this call's own line doesn't count
+    const otherCalls = limiter.activeCalls(deviceName) - (slot ? 1 : 0);
+    const mailboxReason = voicemailReason(deviceConfig, { activeCalls: otherCalls });
+    if (mailboxReason) {
+      if (slot) slot.release();
+      if (queue) queue.cancel();
+      await leaveVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, mailboxReason);
+      return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
+    }
+
+    // Every line was busy: hold until one frees up
+    if (!slot) {
+      console.log('[' + new Date().toISOString() + '] QUEUE ' + callerId + ' waiting for ' + deviceName + ' (position ' + queue.position() + ')');
+      const waited = await waitInQueue({ endpoint: endpoint, dialog: dialog, queue: queue, settings: limits, say: speak });
+      console.log('[' + new Date().toISOString() + '] QUEUE ' + callerId + ' ' + waited.outcome + ' after ' + Math.round(waited.waitedMs / 1000) + 's');
+      slot = waited.slot;
+
+      if (waited.outcome === 'timeout' && limits.onTimeout === 'voicemail' && voicemailSettings(deviceConfig)) {
+        await leaveVoicemail(endpoint, dialog, callUuid, options, deviceConfig, callerId, 'busy');
+        return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
+      }
+      if (!slot) {
+        if (waited.outcome === 'timeout') {
+          try { await speak("Sorry, nobody is free to take your call right now. Please try again later. Goodbye."); } catch (e) {}
+        }
+        recordShortCall(callUuid, callerId, deviceConfig, connectedAt, {
+          endReason: waited.outcome === 'timeout' ? 'queue_timeout' : 'caller_hangup',
+          queuedMs: waited.waitedMs
+        });
+        try { dialog.destroy(); } catch (e) {}
+        return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
+      }
+    }
+
+    await conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId, access.role, slot);
     return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
 
   } catch (error) {
     console.error('[' + new Date().toISOString() + '] CALL Error:', error.message);
     try { res.send(500); } catch (e) {}
     throw error;
+  } finally {
+    if (slot) slot.release();
+    if (queue) queue.cancel();
   }
 }
 
 module.exports = {
   handleInvite: handleInvite,
   extractCallerId: extractCallerId,
-  extractDialedExtension: extractDialedExtension
+  extractDialedExtension: extractDialedExtension,
+  buildGreeting: buildGreeting,
+  getPrewarmPhrases: getPrewarmPhrases
 };
@@ -0,0 +1,156 @@
+/**
+ * SIP Transport Security
+ * TLS signalling and SRTP media for registration and calls. drachtio
+ * terminates TLS, so certificates are configured on drachtio (see the
+ * "SIP over TLS" section of the README); this module only picks the
+ * transport and media each REGISTER and call uses.
+ *
+ * Registrar-wide settings (environment):
+ *   SIP_TRANSPORT=tls          // "udp" (default), "tcp" or "tls"
+ *   SIP_REGISTRAR_PORT=5061    // default 5061 for TLS, 5060 otherwise
+ *   SIP_SRTP=required          // "off" (default), "optional" or "required"
+ *   DRACHTIO_TLS_PORT=5061     // drachtio's TLS listener, sent in Contact
+ *
+ * An unknown SIP_TRANSPORT or SIP_SRTP stops startup instead of falling back
+ * to plain UDP and RTP, so a typo never sends the plaintext it was meant to avoid.
+ *
+ * A PBX profile's transport, port and srtp (see pbx-profiles) override them
+ * for the devices on that PBX, and a device "sip" block in devices.json
+ * overrides both for one extension:
+ *   {
+ *     "transport": "tls",
+ *     "port": 5061,              // registrar port for this device
+ *     "srtp": "optional"
+ *   }
+ *
+ * SRTP:
+ *   off       outbound calls offer plain RTP
+ *   optional  outbound calls offer SRTP and redial with RTP if refused (488)
+ *   required  outbound calls offer SRTP only; inbound calls without it get 488
+ */
+
+const { pbxProfile } = require('./pbx-profiles');
+
+const TRANSPORTS = ['udp', 'tcp', 'tls'];
+const SRTP_MODES = ['off', 'optional', 'required'];
+
+/**
+ * Check a device "sip" block
+ * @param {Object} sip
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSip(sip) {
+  if (!sip || typeof sip !== 'object') return ['sip must be an object'];
+
+  const errors = [];
+  if (sip.transport !== undefined && !TRANSPORTS.includes(sip.transport)) {
+    errors.push('sip.transport must be "udp", "tcp" or "tls"');
+  }
+  if (sip.port !== undefined && !(Number.isInteger(sip.port) && sip.port > 0 && sip.port < 65536)) {
+    errors.push('sip.port must be a port number');
+  }
+  if (sip.srtp !== undefined && !SRTP_MODES.includes(sip.srtp)) {
+    errors.push('sip.srtp must be "off", "optional" or "required"');
+  }
+  return errors;
+}
+
+// Unset means the first choice; anything else has to be one of them
+function envChoice(name, choices) {
+  const value = String(process.env[name] || '').trim().toLowerCase();
+  if (!value) return choices[0];
+  if (!choices.includes(value)) {
+    const quoted = choices.map(choice => '"' + choice + '"');
+    throw new Error(`${name} must be ${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}, not "${process.env[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * Check SIP_TRANSPORT and SIP_SRTP
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSipEnvironment() {
+  const errors = [];
+  for (const [name, choices] of [['SIP_TRANSPORT', TRANSPORTS], ['SIP_SRTP', SRTP_MODES]]) {
+    try {
+      envChoice(name, choices);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Transport and media settings of a device
+ * @param {Object} [deviceConfig]
+ * @param {Object} [base] - Registrar-wide settings ({ transport, port, srtp }); default: environment
+ * @returns {{transport: string, port: number, srtp: string}}
+ */
+function sipSettings(deviceConfig, base = {}) {
+  const device = (deviceConfig && deviceConfig.sip) || {};
+  const pbx = pbxProfile(deviceConfig);
+  const registrarPort = base.port || parseInt(process.env.SIP_REGISTRAR_PORT, 10);
+  const baseTransport = pbx.transport || base.transport || envChoice('SIP_TRANSPORT', TRANSPORTS);
+  const transport = device.transport || baseTransport;
+  // The registrar port belongs to its transport; a device on another transport uses that one's default
+  const basePort = transport === baseTransport ? pbx.port || (pbx.transport ? null : registrarPort) : null;
+
+  return {
+    transport,
+    port: device.port || basePort || (transport === 'tls' ? 5061 : 5060),
+    srtp: device.srtp || pbx.srtp || base.srtp || envChoice('SIP_SRTP', SRTP_MODES)
+  };
+}
+
+/**
+ * URI to send a request to
+ * @param {string|null} user - Number or extension (null for REGISTER)
+ * @param {string} host
+ * @param {Object} settings - From sipSettings()
+ * @param {boolean} [alwaysPort] - Include port and transport even for plain UDP
+ * @returns {string}
+ */
+function requestUri(user, host, settings, alwaysPort) {
+  const target = 'sip:' + (user ? user + '@' : '') + host;
+  if (settings.transport === 'udp' && !alwaysPort) return target;
+  return target + ':' + settings.port + ';transport=' + settings.transport;
+}
+
+/**
+ * Contact URI where the PBX reaches this extension
+ * @param {string} extension
+ * @param {string} address - Local SIP address
+ * @param {number} port - drachtio's UDP/TCP port
+ * @param {Object} settings - From sipSettings()
+ * @returns {string}
+ */
+function contactUri(extension, address, port, settings) {
+  if (settings.transport === 'tls') {
+    const tlsPort = parseInt(process.env.DRACHTIO_TLS_PORT, 10) || 5061;
+    return 'sip:' + extension + '@' + address + ':' + tlsPort + ';transport=tls';
+  }
+  const contact = 'sip:' + extension + '@' + address + ':' + port;
+  return settings.transport === 'tcp' ? contact + ';transport=tcp' : contact;
+}
+
+/**
+ * @param {string} sdp
+ * @returns {boolean} True if the offer's audio is SRTP (RTP/SAVP or SDES crypto keys)
+ */
+function offersSrtp(sdp) {
+  const text = String(sdp || '');
+  return /^m=audio \d+ [A-Z/]*SAVPF?\b/m.test(text) || /^a=crypto:/m.test(text);
+}
+
+module.exports = {
+  TRANSPORTS,
+  SRTP_MODES,
+  validateSip,
+  validateSipEnvironment,
+  sipSettings,
+  requestUri,
+  contactUri,
+  offersSrtp
+};
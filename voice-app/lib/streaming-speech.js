@@ -0,0 +1,259 @@
+/**
+ * Streaming Speech
+ * Speaks Claude's VOICE_RESPONSE sentence by sentence while the answer is
+ * still streaming in, so the caller hears the first sentence early.
+ *
+ * - createVoiceLineStreamer: watches streamed text, emits complete sentences
+ *   from the VOICE_RESPONSE line as soon as they appear
+ * - SpeechQueue: generates TTS for each sentence right away and plays the
+ *   clips strictly in order
+ */
+
+const logger = require('./logger');
+
+// Matches the (possibly still incomplete) VOICE_RESPONSE line
+const VOICE_LINE_PATTERN = /🗣️\s*VOICE_RESPONSE:\s*([^\n]*)(\n)?/i;
+
+// Sentence end: . ! or ? (optionally followed by quotes/brackets) and then whitespace
+const SENTENCE_END_PATTERN = /[.!?]+["')\]]*\s+/g;
+
+/**
+ * Split text into complete sentences
+ *
+ * @param {string} text - Text to split
+ * @param {boolean} [final=false] - Treat trailing text as a complete sentence
+ * @returns {{sentences: string[], consumed: number}} Sentences and number of characters used
+ */
+function splitSentences(text, final = false) {
+  const sentences = [];
+  let consumed = 0;
+  let match;
+
+  SENTENCE_END_PATTERN.lastIndex = 0;
+  while ((match = SENTENCE_END_PATTERN.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(consumed, end).trim();
+    if (sentence) sentences.push(sentence);
+    consumed = end;
+  }
+
+  if (final && consumed < text.length) {
+    const rest = text.slice(consumed).trim();
+    if (rest) sentences.push(rest);
+    consumed = text.length;
+  }
+
+  return { sentences, consumed };
+}
+
+/**
+ * Watch streamed Claude text and emit VOICE_RESPONSE sentences as they complete.
+ * Nothing is emitted until the VOICE_RESPONSE marker shows up.
+ *
+ * @param {Function} onSentence - Called with each complete sentence
+ * @returns {{update: Function}} Call update(fullTextSoFar) on every text delta
+ */
+function createVoiceLineStreamer(onSentence) {
+  let emitted = 0;
+  let lineDone = false;
+
+  return {
+    update(fullText) {
+      if (lineDone) return;
+      const match = String(fullText || '').match(VOICE_LINE_PATTERN);
+      if (!match) return;
+
+      lineDone = Boolean(match[2]);
+      const pending = match[1].slice(emitted);
+      const { sentences, consumed } = splitSentences(pending, lineDone);
+      emitted += consumed;
+      sentences.forEach(onSentence);
+    }
+  };
+}
+
+/**
+ * Normalize text into comparable words (case and punctuation insensitive)
+ */
+function toWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Work out what is left to say once the final voice line is known
+ *
+ * @param {string} queuedText - Text already queued for playback
+ * @param {string} finalLine - Final voice line from the complete response
+ * @returns {{matches: boolean, remainder: string}} matches=false when the final
+ *   line no longer starts with what was queued
+ */
+function remainingSpeech(queuedText, finalLine) {
+  const queuedWords = toWords(queuedText);
+  const finalWords = toWords(finalLine);
+
+  const matches = queuedWords.every(function(word, i) { return word === finalWords[i]; });
+  if (!matches) return { matches: false, remainder: finalLine };
+
+  // Skip the already-queued words but keep the final line's own punctuation
+  const tokens = String(finalLine || '').trim().split(/\s+/).filter(Boolean);
+  let seen = 0;
+  let i = 0;
+  while (i < tokens.length && seen < queuedWords.length) {
+    seen += toWords(tokens[i]).length;
+    i++;
+  }
+  return { matches: true, remainder: tokens.slice(i).join(' ') };
+}
+
+/**
+ * Ordered TTS playback queue
+ * Each sentence starts generating as soon as it's pushed; playback happens
+ * one clip at a time, in push order.
+ */
+class SpeechQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ttsService - TTS service (generateSpeech)
+   * @param {string} options.voiceId - Voice for all clips
+   * @param {Object} [options.ttsOptions] - Device TTS engine settings (see tts-service)
+   * @param {Function} options.play - Plays a URL, resolves to { interrupted, utterance }
+   * @param {Function} [options.onFirstClip] - Awaited right before the first clip plays (stop hold music)
+   * @param {Function} [options.isActive] - Returns false once the call has ended
+   */
+  constructor({ ttsService, voiceId, ttsOptions, play, onFirstClip = null, isActive = () => true }) {
+    this.ttsService = ttsService;
+    this.voiceId = voiceId;
+    this.ttsOptions = ttsOptions;
+    this.play = play;
+    this.onFirstClip = onFirstClip;
+    this.isActive = isActive;
+
+    this._items = [];
+    this._queued = [];
+    this._started = false;
+    this._cancelled = false;
+    this._running = null;
+    this._error = null;
+    this._interrupted = false;
+    this._utterance = null;
+  }
+
+  /**
+   * Queue a sentence for playback
+   */
+  push(text) {
+    if (this._cancelled || !text || !text.trim()) return;
+
+    const urlPromise = this.ttsService.generateSpeech(text, this.voiceId, this.ttsOptions);
+    urlPromise.catch(function() {}); // reported when its turn comes
+    this._items.push({ text, urlPromise });
+    this._queued.push(text);
+    this._kick();
+  }
+
+  _kick() {
+    if (this._running) return;
+    this._running = this._run()
+      .catch((err) => {
+        this._error = err;
+        this.cancel();
+      })
+      .finally(() => {
+        this._running = null;
+        // A sentence may have been pushed while the player was winding down
+        if (this._items.length > 0 && !this._cancelled) this._kick();
+      });
+  }
+
+  async _run() {
+    while (this._items.length > 0 && !this._cancelled) {
+      const item = this._items.shift();
+
+      let url;
+      try {
+        url = await item.urlPromise;
+      } catch (err) {
+        logger.warn('Sentence TTS failed, skipping', { text: item.text, error: err.message });
+        continue;
+      }
+
+      if (this._cancelled) return;
+      if (!this.isActive()) {
+        this.cancel();
+        return;
+      }
+
+      if (!this._started) {
+        this._started = true;
+        if (this.onFirstClip) await this.onFirstClip();
+      }
+
+      const playback = await this.play(url);
+      if (playback && playback.interrupted) {
+        this._interrupted = true;
+        this._utterance = playback.utterance;
+        this.cancel();
+      }
+    }
+  }
+
+  /**
+   * Drop clips that haven't started playing; the queue stays usable
+   */
+  dropPending() {
+    if (this._items.length > 0) {
+      logger.info('Dropping queued sentences', { dropped: this._items.length });
+    }
+    this._items = [];
+  }
+
+  /**
+   * Stop for good (caller barged in or call ended)
+   */
+  cancel() {
+    this._cancelled = true;
+    this._items = [];
+  }
+
+  /**
+   * @returns {boolean} True once any sentence has been queued
+   */
+  hasQueued() {
+    return this._queued.length > 0;
+  }
+
+  /**
+   * @returns {string} Everything queued so far, in order
+   */
+  queuedText() {
+    return this._queued.join(' ');
+  }
+
+  /**
+   * @returns {boolean} True once the first clip has started (hold music stopped)
+   */
+  hasStarted() {
+    return this._started;
+  }
+
+  /**
+   * Wait until every queued clip has played
+   * @returns {Promise<{interrupted: boolean, utterance: Promise|null}>}
+   */
+  async drain() {
+    while (this._running) await this._running;
+    if (this._error) throw this._error;
+    return { interrupted: this._interrupted, utterance: this._utterance };
+  }
+}
+
+module.exports = {
+  splitSentences,
+  createVoiceLineStreamer,
+  remainingSpeech,
+  SpeechQueue
+};
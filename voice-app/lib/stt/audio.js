@@ -0,0 +1,41 @@
+/**
+ * Audio helpers shared by STT providers
+ */
+
+const WaveFile = require("wavefile").WaveFile;
+
+/**
+ * Convert L16 PCM buffer to WAV format
+ * @param {Buffer} pcmBuffer - Raw L16 PCM audio data
+ * @param {number} sampleRate - Sample rate (default: 8000 Hz for telephony)
+ * @returns {Buffer} WAV file buffer
+ */
+function pcmToWav(pcmBuffer, sampleRate = 8000) {
+  const wav = new WaveFile();
+
+  // Convert Buffer to Int16Array for wavefile library
+  const samples = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, pcmBuffer.length / 2);
+
+  // Create WAV from raw PCM data
+  wav.fromScratch(1, sampleRate, "16", samples);
+
+  return Buffer.from(wav.toBuffer());
+}
+
+/**
+ * Get a WAV buffer regardless of input format
+ * @param {Buffer} audioBuffer - Audio data (either WAV or raw PCM)
+ * @param {Object} options
+ * @param {string} options.format - "wav" or "pcm" (default: "pcm")
+ * @param {number} options.sampleRate - Sample rate for PCM (default: 8000)
+ * @returns {Buffer} WAV file buffer
+ */
+function toWav(audioBuffer, options = {}) {
+  const { format = "pcm", sampleRate = 8000 } = options;
+  return format === "pcm" ? pcmToWav(audioBuffer, sampleRate) : audioBuffer;
+}
+
+module.exports = {
+  pcmToWav,
+  toWav
+};
@@ -0,0 +1,93 @@
+/**
+ * Speech-to-Text Providers
+ *
+ * Every provider implements:
+ *   transcribe(audioBuffer, { format, sampleRate, language }) -> Promise<string>
+ *   isAvailable() -> boolean
+ *
+ * Providers:
+ * - openai:            OpenAI Whisper API (default)
+ * - openai-compatible: any server with an OpenAI-style /v1/audio/transcriptions
+ *                      endpoint (faster-whisper-server, LocalAI, ...)
+ * - whisper-cpp:       whisper.cpp server (POST /inference)
+ *
+ * Selection comes from env (STT_PROVIDER, STT_BASE_URL, STT_API_KEY,
+ * STT_MODEL, STT_LANGUAGE, STT_TIMEOUT_MS), overridable per device with an
+ * "stt" block in devices.json using the same keys in camelCase.
+ */
+
+const { createOpenAIProvider } = require("./openai");
+const { createWhisperCppProvider } = require("./whisper-cpp");
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const PROVIDERS = {
+  "openai": function(config) {
+    return createOpenAIProvider({
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      model: config.model,
+      timeoutMs: config.timeoutMs,
+      requireApiKey: true
+    });
+  },
+  "openai-compatible": function(config) {
+    return createOpenAIProvider({
+      apiKey: config.apiKey,
+      baseUrl: config.baseUrl,
+      model: config.model,
+      timeoutMs: config.timeoutMs
+    });
+  },
+  "whisper-cpp": createWhisperCppProvider
+};
+
+// Providers are reused across calls, keyed by their resolved config
+const providerCache = new Map();
+
+/**
+ * Build the effective STT config from env, then per-device overrides
+ * @param {Object} [overrides] - Device "stt" block from devices.json
+ * @returns {Object} { provider, baseUrl, apiKey, model, language, timeoutMs }
+ */
+function resolveConfig(overrides) {
+  const config = {
+    provider: process.env.STT_PROVIDER || "openai",
+    baseUrl: process.env.STT_BASE_URL || undefined,
+    apiKey: process.env.STT_API_KEY || undefined,
+    model: process.env.STT_MODEL || undefined,
+    language: process.env.STT_LANGUAGE || "en",
+    timeoutMs: parseInt(process.env.STT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null && value !== "") config[key] = value;
+  }
+
+  config.provider = String(config.provider).toLowerCase();
+  return config;
+}
+
+/**
+ * Get the provider for a config (see resolveConfig)
+ * @param {Object} config - Resolved STT config
+ * @returns {Object} Provider instance
+ */
+function getProvider(config) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error("Unknown STT provider: " + config.provider +
+      " (expected one of: " + Object.keys(PROVIDERS).join(", ") + ")");
+  }
+
+  const key = JSON.stringify([config.provider, config.baseUrl, config.apiKey, config.model, config.timeoutMs]);
+  if (!providerCache.has(key)) {
+    providerCache.set(key, factory(config));
+  }
+  return providerCache.get(key);
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveConfig,
+  getProvider
+};
@@ -0,0 +1,76 @@
+/**
+ * OpenAI STT Provider
+ * Whisper via the OpenAI API, or any server that implements the OpenAI
+ * /v1/audio/transcriptions endpoint (faster-whisper-server, LocalAI, ...)
+ * when a baseUrl is set.
+ */
+
+const OpenAI = require("openai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { toWav } = require("./audio");
+
+/**
+ * @param {Object} config
+ * @param {string} [config.apiKey] - API key (optional for most self-hosted servers)
+ * @param {string} [config.baseUrl] - Server base URL, e.g. http://10.0.0.5:8000/v1
+ * @param {string} [config.model] - Model name (default: "whisper-1")
+ * @param {number} [config.timeoutMs] - Request timeout
+ * @param {boolean} [config.requireApiKey] - Refuse to run without an API key
+ */
+function createOpenAIProvider(config) {
+  const model = config.model || "whisper-1";
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        // The SDK insists on a key; self-hosted servers just ignore it
+        apiKey: config.apiKey || "not-needed",
+        baseURL: config.baseUrl || undefined,
+        timeout: config.timeoutMs,
+        maxRetries: 0 // retries are handled by the circuit breaker
+      });
+    }
+    return client;
+  }
+
+  return {
+    name: config.baseUrl ? "openai-compatible" : "openai",
+
+    isAvailable() {
+      return config.requireApiKey ? !!config.apiKey : !!config.baseUrl;
+    },
+
+    async transcribe(audioBuffer, options = {}) {
+      if (!this.isAvailable()) {
+        throw new Error(config.requireApiKey ? "OpenAI API key not configured" : "STT base URL not configured");
+      }
+
+      // Write to temp file (the SDK uploads from a file stream)
+      const tempFile = path.join(os.tmpdir(), "whisper-" + Date.now() + ".wav");
+      fs.writeFileSync(tempFile, toWav(audioBuffer, options));
+
+      try {
+        const transcription = await getClient().audio.transcriptions.create({
+          file: fs.createReadStream(tempFile),
+          model: model,
+          language: options.language,
+          response_format: "text"
+        });
+
+        // Some compatible servers ignore response_format and return JSON
+        return typeof transcription === "string" ? transcription : (transcription.text || "");
+      } finally {
+        try {
+          fs.unlinkSync(tempFile);
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
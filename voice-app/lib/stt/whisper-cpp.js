@@ -0,0 +1,49 @@
+/**
+ * whisper.cpp STT Provider
+ * Talks to the whisper.cpp example server (`whisper-server`), which accepts a
+ * multipart upload on POST /inference and answers with { text }.
+ * Runs fully offline - no API key needed.
+ */
+
+const axios = require("axios");
+const { toWav } = require("./audio");
+
+/**
+ * @param {Object} config
+ * @param {string} config.baseUrl - Server URL, e.g. http://10.0.0.5:8080
+ * @param {number} [config.timeoutMs] - Request timeout
+ */
+function createWhisperCppProvider(config) {
+  const baseUrl = (config.baseUrl || "").replace(/\/+$/, "");
+
+  return {
+    name: "whisper-cpp",
+
+    isAvailable() {
+      return !!baseUrl;
+    },
+
+    async transcribe(audioBuffer, options = {}) {
+      if (!baseUrl) {
+        throw new Error("STT base URL not configured for whisper-cpp");
+      }
+
+      const form = new FormData();
+      form.append("file", new Blob([toWav(audioBuffer, options)], { type: "audio/wav" }), "audio.wav");
+      form.append("response_format", "json");
+      form.append("temperature", "0.0");
+      if (options.language) form.append("language", options.language);
+
+      const response = await axios.post(baseUrl + "/inference", form, {
+        timeout: config.timeoutMs
+      });
+
+      if (response.data && response.data.error) {
+        throw new Error("whisper-cpp: " + response.data.error);
+      }
+      return ((response.data && response.data.text) || "").trim();
+    }
+  };
+}
+
+module.exports = { createWhisperCppProvider };
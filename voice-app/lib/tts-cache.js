@@ -0,0 +1,177 @@
+/**
+ * TTS Audio Cache
+ * Content-addressed disk cache for generated speech, so repeated phrases
+ * (greetings, thinking phrases, prompts) are synthesized once instead of on
+ * every call.
+ *
+ * - Key: hash of text + engine + voice + model + speed
+ * - Files: <audioDir>/tts-cache/<key>.<ext>, served under /audio-files/tts-cache/
+ * - Eviction: least recently used first, once the cache exceeds its size budget
+ *
+ * Recency survives restarts: a hit bumps the file's mtime, and the index is
+ * rebuilt from mtimes at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+class TtsCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory
+   * @param {number} [options.maxBytes] - Size budget (default: 200 MB)
+   */
+  constructor({ dir, maxBytes = DEFAULT_MAX_BYTES }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+
+    // key -> { filename, size }; Map order is LRU order (oldest first)
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Build a cache key from everything that changes the audio
+   * @param {Object} parts - { text, engine, voice, model, speed }
+   * @returns {string} Hex key
+   */
+  static keyFor(parts) {
+    const material = JSON.stringify([parts.engine, parts.voice || '', parts.model || '', parts.speed || '', parts.text]);
+    return crypto.createHash('sha256').update(material).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Create the directory and index existing files (oldest first)
+   */
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.entries.clear();
+    this.totalBytes = 0;
+
+    const files = [];
+    for (const filename of fs.readdirSync(this.dir)) {
+      const filepath = path.join(this.dir, filename);
+      try {
+        // Leftovers from an interrupted write
+        if (filename.includes('.part')) {
+          fs.unlinkSync(filepath);
+          continue;
+        }
+        const stats = fs.statSync(filepath);
+        if (stats.isFile()) files.push({ filename, size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch (error) {
+        // Skip files that can't be accessed
+      }
+    }
+
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of files) {
+      const key = path.parse(file.filename).name;
+      this.entries.set(key, { filename: file.filename, size: file.size });
+      this.totalBytes += file.size;
+    }
+
+    this._evict();
+    logger.info('TTS cache loaded', { dir: this.dir, entries: this.entries.size, bytes: this.totalBytes });
+    return this;
+  }
+
+  /**
+   * Look up a cached file and mark it as recently used
+   * @param {string} key
+   * @returns {string|null} Filename inside the cache dir
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const filepath = path.join(this.dir, entry.filename);
+    const now = new Date();
+    try {
+      fs.utimesSync(filepath, now, now);
+    } catch (error) {
+      // Deleted behind our back
+      this._remove(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.filename;
+  }
+
+  /**
+   * Temp path for writing a new entry; pass it to add() once complete
+   * @param {string} key
+   * @param {string} extension - "mp3" or "wav"
+   * @returns {string} Absolute path
+   */
+  tempPathFor(key, extension) {
+    const suffix = crypto.randomBytes(4).toString('hex');
+    return path.join(this.dir, `${key}.${extension}.part-${suffix}`);
+  }
+
+  /**
+   * Move a finished temp file into the cache
+   * @param {string} key
+   * @param {string} extension - "mp3" or "wav"
+   * @param {string} tempPath - From tempPathFor()
+   * @returns {string} Filename inside the cache dir
+   */
+  add(key, extension, tempPath) {
+    const filename = `${key}.${extension}`;
+    fs.renameSync(tempPath, path.join(this.dir, filename));
+
+    this._remove(key, false);
+    const size = fs.statSync(path.join(this.dir, filename)).size;
+    this.entries.set(key, { filename, size });
+    this.totalBytes += size;
+
+    this._evict(key);
+    return filename;
+  }
+
+  _remove(key, unlink = true) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    if (unlink) {
+      try {
+        fs.unlinkSync(path.join(this.dir, entry.filename));
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Drop least recently used entries until under budget
+   * @param {string} [keep] - Never evict this key (the one just added)
+   */
+  _evict(keep) {
+    let evicted = 0;
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      if (key === keep) continue;
+      this._remove(key);
+      evicted++;
+    }
+    if (evicted > 0) {
+      logger.info('TTS cache evicted entries', { evicted, bytes: this.totalBytes, maxBytes: this.maxBytes });
+    }
+  }
+
+  /**
+   * @returns {Object} { entries, bytes, maxBytes }
+   */
+  stats() {
+    return { entries: this.entries.size, bytes: this.totalBytes, maxBytes: this.maxBytes };
+  }
+}
+
+module.exports = { TtsCache };
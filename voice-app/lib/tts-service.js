@@ -1,6 +1,9 @@
 /**
- * ElevenLabs Text-to-Speech Service
- * Generates speech audio files and returns URLs for FreeSWITCH playback
+ * Text-to-Speech Service
+ * Generates speech audio files and returns URLs for FreeSWITCH playback.
+ * The engine (ElevenLabs, OpenAI, Piper, eSpeak NG) is chosen per device; see lib/tts.
+ * Failing engines are skipped via circuit breakers and TTS_FALLBACK_CHAIN.
+ * Generated audio is cached on disk, keyed by text/engine/voice/model (see tts-cache).
  */
 
 const axios = require('axios');
@@ -8,16 +11,26 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('./logger');
+const tts = require('./tts');
+const circuitBreaker = require('./circuit-breaker');
+const { TtsCache } = require('./tts-cache');
 
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
 
+// Extra attempts per engine for timeouts / 5xx before falling back
+const TTS_RETRIES = process.env.TTS_RETRIES !== undefined ? parseInt(process.env.TTS_RETRIES) : 1;
+
 // Default voice IDs (can be customized)
 const DEFAULT_VOICE_ID = 'JAgnJveGGUh4qy4kh6dF'; // Morpheus voice
-const MODEL_ID = 'eleven_turbo_v2'; // Fast, low-latency model
+
+// Cache size budget in MB (0 disables the cache)
+const TTS_CACHE_MAX_MB = process.env.TTS_CACHE_MAX_MB !== undefined ? parseFloat(process.env.TTS_CACHE_MAX_MB) : 200;
+const CACHE_SUBDIR = 'tts-cache';
 
 // Audio output directory (set via setAudioDir)
 let audioDir = path.join(__dirname, '../audio-temp');
+let cache = null;
 
 /**
  * Set the audio output directory
@@ -31,89 +44,124 @@ function setAudioDir(dir) {
     fs.mkdirSync(audioDir, { recursive: true });
     logger.info('Created audio directory', { path: audioDir });
   }
+
+  cache = TTS_CACHE_MAX_MB > 0
+    ? new TtsCache({ dir: path.join(audioDir, CACHE_SUBDIR), maxBytes: TTS_CACHE_MAX_MB * 1024 * 1024 }).load()
+    : null;
 }
 
 /**
  * Generate unique filename for audio file
  * @param {string} text - Text being converted
+ * @param {string} extension - File extension from the engine ("mp3" or "wav")
  * @returns {string} Filename (without path)
  */
-function generateFilename(text) {
+function generateFilename(text, extension = 'mp3') {
   // Hash text to create unique identifier
   const hash = crypto.createHash('md5').update(text).digest('hex').substring(0, 8);
   const timestamp = Date.now();
-  return `tts-${timestamp}-${hash}.mp3`;
+  return `tts-${timestamp}-${hash}.${extension}`;
+}
+
+/**
+ * Voice to use for an engine
+ * voiceId is an ElevenLabs voice; other engines fall back to their own default
+ */
+function resolveVoice(engine, config, voiceId) {
+  return config.voice || (engine.name === 'elevenlabs' ? (voiceId || DEFAULT_VOICE_ID) : undefined);
+}
+
+function getCacheKey(text, engine, voice, config) {
+  return TtsCache.keyFor({ text, engine: engine.name, voice, model: config.model, speed: config.speed });
+}
+
+// Return HTTP URL (assumes audioDir is served via HTTP at /audio-files)
+function getAudioUrl(relativePath) {
+  return `http://127.0.0.1:3000/audio-files/${relativePath}`;
+}
+
+/**
+ * Find cached audio without touching the engine
+ * @returns {string|null} HTTP URL, or null on a miss
+ */
+function lookupCache(text, voiceId, config) {
+  if (!cache) return null;
+
+  let engine;
+  try {
+    engine = tts.getEngine(config.engine);
+  } catch (error) {
+    return null;
+  }
+
+  const filename = cache.get(getCacheKey(text, engine, resolveVoice(engine, config, voiceId), config));
+  return filename ? getAudioUrl(`${CACHE_SUBDIR}/${filename}`) : null;
 }
 
 /**
- * Convert text to speech using ElevenLabs API
+ * Generate speech with a single engine
  * @param {string} text - Text to convert to speech
  * @param {string} voiceId - ElevenLabs voice ID (optional)
+ * @param {Object} config - Resolved TTS config (see tts.resolveConfig)
  * @returns {Promise<string>} HTTP URL to audio file
  */
-async function generateSpeech(text, voiceId = DEFAULT_VOICE_ID) {
+async function synthesize(text, voiceId, config) {
   const startTime = Date.now();
+  let engine = null;
+  let filepath = null;
 
   try {
-    if (!ELEVENLABS_API_KEY) {
-      throw new Error('ELEVENLABS_API_KEY environment variable not set');
+    engine = tts.getEngine(config.engine);
+    if (!engine.isAvailable()) {
+      const notConfigured = new Error(`${engine.label} is not configured (missing API key)`);
+      notConfigured.retryable = false;
+      throw notConfigured;
     }
 
-    logger.info('Generating speech with ElevenLabs', {
-      textLength: text.length,
-      voiceId,
-      model: MODEL_ID
-    });
+    const voice = resolveVoice(engine, config, voiceId);
 
-    // Call ElevenLabs API
-    const response = await axios({
-      method: 'POST',
-      url: `${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`,
-      headers: {
-        'Accept': 'audio/mpeg',
-        'Content-Type': 'application/json',
-        'xi-api-key': ELEVENLABS_API_KEY
-      },
-      data: {
-        text,
-        model_id: MODEL_ID,
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75,
-          style: 0.0,
-          use_speaker_boost: true
-        }
-      },
-      responseType: 'arraybuffer'
+    logger.info('Generating speech', {
+      engine: engine.name,
+      textLength: text.length,
+      voice,
+      model: config.model
     });
 
-    // Generate filename and save audio
-    const filename = generateFilename(text);
-    const filepath = path.join(audioDir, filename);
+    // Write into the cache (via a temp file), or a one-off file when caching is off
+    const key = getCacheKey(text, engine, voice, config);
+    let filename = null;
+    if (cache) {
+      filepath = cache.tempPathFor(key, engine.extension);
+    } else {
+      filename = generateFilename(text, engine.extension);
+      filepath = path.join(audioDir, filename);
+    }
 
-    fs.writeFileSync(filepath, response.data);
+    await engine.synthesize(text, filepath, Object.assign({}, config, { voice }));
 
     const latency = Date.now() - startTime;
-    const fileSize = response.data.length;
+    const fileSize = fs.statSync(filepath).size;
+
+    if (cache) {
+      filename = `${CACHE_SUBDIR}/${cache.add(key, engine.extension, filepath)}`;
+      filepath = null;
+    }
 
     logger.info('Speech generation successful', {
+      engine: engine.name,
       filename,
       fileSize,
       latency,
       textLength: text.length
     });
 
-    // Return HTTP URL (assumes audio-temp is served via HTTP)
-    // Format: http://localhost:PORT/audio/filename.mp3
-    // The HTTP server setup is handled elsewhere
-    const audioUrl = `http://127.0.0.1:3000/audio-files/${filename}`;
-
-    return audioUrl;
+    return getAudioUrl(filename);
 
   } catch (error) {
     const latency = Date.now() - startTime;
 
     logger.error('Speech generation failed', {
+      engine: config.engine,
       error: error.message,
       latency,
       textLength: text?.length,
@@ -121,21 +169,125 @@ async function generateSpeech(text, voiceId = DEFAULT_VOICE_ID) {
       responseData: error.response?.data?.toString()
     });
 
-    // Handle specific errors
-    if (error.response?.status === 401) {
-      throw new Error('ElevenLabs API authentication failed - check API key');
-    } else if (error.response?.status === 429) {
-      throw new Error('ElevenLabs API rate limit exceeded');
-    } else if (error.response?.status === 400) {
-      throw new Error('Invalid request to ElevenLabs API');
+    // Don't leave half-written files behind
+    if (filepath) {
+      try {
+        fs.unlinkSync(filepath);
+      } catch (e) {
+        // Never created
+      }
+    }
+
+    // Handle specific errors (status is kept so the breaker knows not to retry)
+    const label = engine ? engine.label : 'TTS';
+    const status = error.response?.status;
+    let failure;
+    if (status === 401) {
+      failure = new Error(`${label} API authentication failed - check API key`);
+    } else if (status === 429) {
+      failure = new Error(`${label} API rate limit exceeded`);
+    } else if (status === 400) {
+      failure = new Error(`Invalid request to ${label} API`);
+    } else {
+      failure = new Error(`TTS generation failed: ${error.message}`);
     }
+    failure.status = status;
+    failure.retryable = error.retryable;
+    throw failure;
+  }
+}
+
+/**
+ * Engines to try, in order: the requested engine, then TTS_FALLBACK_CHAIN
+ * @param {string} primary - Engine from device config / TTS_ENGINE
+ * @returns {string[]} Engine names without duplicates
+ */
+function getEngineChain(primary) {
+  const fallbacks = (process.env.TTS_FALLBACK_CHAIN || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [primary].concat(fallbacks).filter((name, i, all) => all.indexOf(name) === i);
+}
+
+/**
+ * Convert text to speech
+ * Cached audio is returned straight away. Otherwise each engine sits behind a circuit breaker; if it fails (after bounded
+ * retries) or its breaker is open, the next engine in TTS_FALLBACK_CHAIN is used.
+ *
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - ElevenLabs voice ID (optional; only used by the ElevenLabs engine)
+ * @param {Object} [options] - Device "tts" block from devices.json
+ * @param {string} [options.engine] - elevenlabs, openai, piper or espeak-ng (default: TTS_ENGINE)
+ * @param {string} [options.voice] - Engine-specific voice (overrides voiceId)
+ * @param {string} [options.model] - Engine-specific model
+ * @param {number} [options.speed] - Speaking rate multiplier
+ * @returns {Promise<string>} HTTP URL to audio file
+ */
+async function generateSpeech(text, voiceId, options) {
+  const config = tts.resolveConfig(options);
+
+  // Cached audio is served even while the engine is down
+  const cachedUrl = lookupCache(text, voiceId, config);
+  if (cachedUrl) {
+    logger.info('TTS cache hit', { engine: config.engine, textLength: text.length });
+    return cachedUrl;
+  }
 
-    throw new Error(`TTS generation failed: ${error.message}`);
+  const chain = getEngineChain(config.engine).map(name => ({
+    name,
+    breaker: circuitBreaker.getBreaker('tts:' + name, { retries: TTS_RETRIES }),
+    timeoutMs: config.timeoutMs
+  }));
+
+  return circuitBreaker.runWithFallback(chain, (entry) => {
+    // Device voice/model settings only apply to the engine they were written for
+    const engineConfig = entry.name === config.engine
+      ? config
+      : { engine: entry.name, timeoutMs: config.timeoutMs };
+    return synthesize(text, voiceId, engineConfig);
+  }, 'tts');
+}
+
+/**
+ * Pregenerate phrases so callers never wait for (or pay for) them live
+ * Runs one phrase at a time to stay clear of engine rate limits.
+ *
+ * @param {Array<{text: string, voiceId: string, tts: Object}>} items - Phrases and the voice they're spoken in
+ * @returns {Promise<{generated: number, cached: number, failed: number}>}
+ */
+async function prewarm(items) {
+  const result = { generated: 0, cached: 0, failed: 0 };
+  if (!cache) return result;
+
+  for (const item of items) {
+    if (lookupCache(item.text, item.voiceId, tts.resolveConfig(item.tts))) {
+      result.cached++;
+      continue;
+    }
+    try {
+      await generateSpeech(item.text, item.voiceId, item.tts);
+      result.generated++;
+    } catch (error) {
+      result.failed++;
+    }
   }
+
+  logger.info('TTS cache prewarmed', Object.assign({}, result, cache.stats()));
+  return result;
+}
+
+/**
+ * @returns {Object|null} Cache stats ({ entries, bytes, maxBytes }), null when disabled
+ */
+function getCacheStats() {
+  return cache ? cache.stats() : null;
 }
 
 /**
  * Clean up old audio files (older than specified age)
+ * Only touches one-off tts-* files; the cache directory manages its own size.
  * @param {number} maxAgeMs - Maximum age in milliseconds (default: 1 hour)
  */
 function cleanupOldFiles(maxAgeMs = 60 * 60 * 1000) {
@@ -145,7 +297,7 @@ function cleanupOldFiles(maxAgeMs = 60 * 60 * 1000) {
 
     let deletedCount = 0;
     files.forEach(file => {
-      if (!file.startsWith('tts-') || !file.endsWith('.mp3')) {
+      if (!file.startsWith('tts-') || !/\.(mp3|wav)$/.test(file)) {
         return;
       }
 
@@ -204,6 +356,8 @@ setInterval(() => {
 
 module.exports = {
   generateSpeech,
+  prewarm,
+  getCacheStats,
   setAudioDir,
   cleanupOldFiles,
   getAvailableVoices
@@ -0,0 +1,55 @@
+/**
+ * Run a local TTS binary
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * @param {string} bin - Executable name or path
+ * @param {string[]} args - Arguments
+ * @param {Object} [options]
+ * @param {string} [options.input] - Written to stdin
+ * @param {number} [options.timeoutMs] - Kill the process after this long
+ * @returns {Promise<Buffer>} stdout
+ */
+function runCommand(bin, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+    let timer = null;
+
+    if (options.timeoutMs) {
+      timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${bin} timed out after ${options.timeoutMs}ms`));
+      }, options.timeoutMs);
+    }
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      if (error.code === 'ENOENT') {
+        reject(new Error(`${bin} not found - is it installed and on PATH?`));
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`${bin} exited with code ${code}: ${stderr.trim().slice(-200)}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    child.stdin.on('error', () => {}); // reported via 'error'/'close'
+    child.stdin.end(options.input || '');
+  });
+}
+
+module.exports = { runCommand };
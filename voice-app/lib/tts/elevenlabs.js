@@ -0,0 +1,59 @@
+/**
+ * ElevenLabs TTS Engine
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const DEFAULT_MODEL_ID = 'eleven_turbo_v2'; // Fast, low-latency model
+
+const elevenlabs = {
+  name: 'elevenlabs',
+  label: 'ElevenLabs',
+  extension: 'mp3',
+
+  isAvailable() {
+    return !!process.env.ELEVENLABS_API_KEY;
+  },
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} filepath - Where to write the audio
+   * @param {Object} options
+   * @param {string} options.voice - ElevenLabs voice ID
+   * @param {string} [options.model] - Model ID (default: eleven_turbo_v2)
+   * @returns {Promise<void>}
+   */
+  async synthesize(text, filepath, options) {
+    if (!process.env.ELEVENLABS_API_KEY) {
+      throw new Error('ELEVENLABS_API_KEY environment variable not set');
+    }
+
+    const response = await axios({
+      method: 'POST',
+      url: `${ELEVENLABS_API_URL}/text-to-speech/${options.voice}`,
+      headers: {
+        'Accept': 'audio/mpeg',
+        'Content-Type': 'application/json',
+        'xi-api-key': process.env.ELEVENLABS_API_KEY
+      },
+      data: {
+        text,
+        model_id: options.model || process.env.ELEVENLABS_MODEL_ID || DEFAULT_MODEL_ID,
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.75,
+          style: 0.0,
+          use_speaker_boost: true
+        }
+      },
+      responseType: 'arraybuffer',
+      timeout: options.timeoutMs
+    });
+
+    fs.writeFileSync(filepath, Buffer.from(response.data));
+  }
+};
+
+module.exports = elevenlabs;
@@ -0,0 +1,44 @@
+/**
+ * eSpeak NG TTS Engine (local, offline)
+ * Robotic but tiny and available in every distro's package manager.
+ */
+
+const { runCommand } = require('./command');
+
+const DEFAULT_VOICE = 'en-us';
+const DEFAULT_WORDS_PER_MINUTE = 165;
+
+const espeak = {
+  name: 'espeak-ng',
+  label: 'eSpeak NG',
+  extension: 'wav',
+
+  isAvailable() {
+    return true; // Checked when the binary runs
+  },
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} filepath - Where to write the WAV file
+   * @param {Object} options
+   * @param {string} [options.voice] - eSpeak voice (default: en-us)
+   * @param {number} [options.speed] - Speaking rate multiplier (1.0 = normal)
+   * @returns {Promise<void>}
+   */
+  async synthesize(text, filepath, options) {
+    const wordsPerMinute = Math.round(DEFAULT_WORDS_PER_MINUTE * (options.speed || 1));
+    const args = [
+      '-v', options.voice || process.env.ESPEAK_VOICE || DEFAULT_VOICE,
+      '-s', String(wordsPerMinute),
+      '-w', filepath,
+      '--stdin'
+    ];
+
+    await runCommand(process.env.ESPEAK_BIN || 'espeak-ng', args, {
+      input: text,
+      timeoutMs: options.timeoutMs
+    });
+  }
+};
+
+module.exports = espeak;
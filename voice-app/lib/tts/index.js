@@ -0,0 +1,71 @@
+/**
+ * Text-to-Speech Engines
+ *
+ * Every engine implements:
+ *   synthesize(text, filepath, { voice, model, speed, timeoutMs }) -> Promise<void>
+ *   extension - file extension it writes ("mp3" or "wav")
+ *   isAvailable() -> boolean
+ *
+ * Engines:
+ * - elevenlabs: ElevenLabs API (default)
+ * - openai:     OpenAI TTS, or an OpenAI-compatible speech server
+ * - piper:      Piper, local neural TTS
+ * - espeak-ng:  eSpeak NG, local formant TTS
+ *
+ * The default engine comes from TTS_ENGINE. Devices pick their own engine and
+ * voice with a "tts" block in devices.json: { "engine", "voice", "model", "speed" }.
+ */
+
+const elevenlabs = require('./elevenlabs');
+const openai = require('./openai');
+const piper = require('./piper');
+const espeak = require('./espeak');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const ENGINES = {
+  [elevenlabs.name]: elevenlabs,
+  [openai.name]: openai,
+  [piper.name]: piper,
+  [espeak.name]: espeak,
+  espeak: espeak
+};
+
+/**
+ * Build the effective TTS config from env, then per-device overrides
+ * @param {Object} [overrides] - Device "tts" block from devices.json
+ * @returns {Object} { engine, voice, model, speed, baseUrl, timeoutMs }
+ */
+function resolveConfig(overrides) {
+  const config = {
+    engine: process.env.TTS_ENGINE || 'elevenlabs',
+    timeoutMs: parseInt(process.env.TTS_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null && value !== '') config[key] = value;
+  }
+
+  config.engine = String(config.engine).toLowerCase();
+  return config;
+}
+
+/**
+ * Look up an engine by name
+ * @param {string} name - Engine name
+ * @returns {Object} Engine
+ */
+function getEngine(name) {
+  const engine = ENGINES[name];
+  if (!engine) {
+    throw new Error('Unknown TTS engine: ' + name +
+      ' (expected one of: elevenlabs, openai, piper, espeak-ng)');
+  }
+  return engine;
+}
+
+module.exports = {
+  ENGINES,
+  resolveConfig,
+  getEngine
+};
@@ -0,0 +1,64 @@
+/**
+ * OpenAI TTS Engine
+ * Also works with OpenAI-compatible speech servers via baseUrl
+ * (e.g. a self-hosted Kokoro or openedai-speech instance).
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'tts-1';
+const DEFAULT_VOICE = 'alloy';
+
+const openai = {
+  name: 'openai',
+  label: 'OpenAI',
+  extension: 'mp3',
+
+  isAvailable() {
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_TTS_BASE_URL);
+  },
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} filepath - Where to write the audio
+   * @param {Object} options
+   * @param {string} [options.voice] - Voice name (default: alloy)
+   * @param {string} [options.model] - Model (default: tts-1)
+   * @param {string} [options.baseUrl] - OpenAI-compatible server URL
+   * @param {number} [options.speed] - 0.25 - 4.0
+   * @returns {Promise<void>}
+   */
+  async synthesize(text, filepath, options) {
+    const baseUrl = (options.baseUrl || process.env.OPENAI_TTS_BASE_URL || OPENAI_API_URL).replace(/\/+$/, '');
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!apiKey && baseUrl === OPENAI_API_URL) {
+      throw new Error('OPENAI_API_KEY environment variable not set');
+    }
+
+    const data = {
+      model: options.model || process.env.OPENAI_TTS_MODEL || DEFAULT_MODEL,
+      voice: options.voice || process.env.OPENAI_TTS_VOICE || DEFAULT_VOICE,
+      input: text,
+      response_format: 'mp3'
+    };
+    if (options.speed) data.speed = options.speed;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await axios({
+      method: 'POST',
+      url: `${baseUrl}/audio/speech`,
+      headers,
+      data,
+      responseType: 'arraybuffer',
+      timeout: options.timeoutMs
+    });
+
+    fs.writeFileSync(filepath, Buffer.from(response.data));
+  }
+};
+
+module.exports = openai;
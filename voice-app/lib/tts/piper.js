@@ -0,0 +1,54 @@
+/**
+ * Piper TTS Engine (local, offline)
+ * https://github.com/rhasspy/piper
+ *
+ * The voice is a Piper model: either a path to an .onnx file or a model name
+ * looked up in PIPER_VOICES_DIR (e.g. "en_US-amy-medium").
+ */
+
+const path = require('path');
+const { runCommand } = require('./command');
+
+const DEFAULT_VOICE = 'en_US-amy-medium';
+
+function resolveModel(voice) {
+  const model = voice || process.env.PIPER_VOICE || DEFAULT_VOICE;
+  if (path.isAbsolute(model) || model.endsWith('.onnx')) {
+    return model;
+  }
+  const voicesDir = process.env.PIPER_VOICES_DIR || '/app/voices';
+  return path.join(voicesDir, model + '.onnx');
+}
+
+const piper = {
+  name: 'piper',
+  label: 'Piper',
+  extension: 'wav',
+
+  isAvailable() {
+    return true; // Checked when the binary runs
+  },
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} filepath - Where to write the WAV file
+   * @param {Object} options
+   * @param {string} [options.voice] - Model name or .onnx path
+   * @param {number} [options.speed] - Speaking rate multiplier (1.0 = normal)
+   * @returns {Promise<void>}
+   */
+  async synthesize(text, filepath, options) {
+    const args = ['--model', resolveModel(options.voice), '--output_file', filepath];
+    if (options.speed) {
+      // Piper's length scale is the inverse of speed
+      args.push('--length_scale', String(1 / options.speed));
+    }
+
+    await runCommand(process.env.PIPER_BIN || 'piper', args, {
+      input: text,
+      timeoutMs: options.timeoutMs
+    });
+  }
+};
+
+module.exports = piper;
@@ -0,0 +1,184 @@
+/**
+ * Adaptive Voice Activity Detection
+ * Decides per audio chunk whether the caller is speaking, relative to the
+ * call's own background noise instead of fixed levels. Quiet headsets and
+ * noisy car/speakerphone calls both work without per-device tuning.
+ *
+ * - Calibration: the first few hundred ms set the noise floor (quietest chunk)
+ * - Tracking: the floor falls quickly and rises slowly, so it follows the line
+ *   without creeping up on sustained speech. AudioForkSession stops tracking
+ *   while a response plays, so echo doesn't raise it
+ * - Sensitivity: 0..1, how far above the floor a chunk must be to count as speech
+ *
+ * All functions are pure; AudioForkSession keeps the state per call.
+ */
+
+// Per-device defaults (overridable via devices.json "vad")
+const VAD_DEFAULTS = {
+  endSilenceMs: 1500,   // silence that ends an utterance
+  minSpeechMs: 350,     // utterances with less speech than this are dropped
+  sensitivity: 0.5      // 0 = only clearly louder than the noise, 1 = barely above it
+};
+
+// Audio used to measure the noise floor at the start of a call
+const CALIBRATION_MS = 300;
+
+// Fixed thresholds, used until the first chunk has been measured and as a
+// lower bound while calibrating
+const LEGACY_RMS_THRESHOLD = 650;
+const LEGACY_MAX_THRESHOLD = 2200;
+
+// Never treat anything this quiet as speech, even on a digitally silent line
+const MIN_RMS_THRESHOLD = 200;
+
+// Peak threshold relative to the RMS threshold (same ratio as the legacy pair)
+const PEAK_RATIO = LEGACY_MAX_THRESHOLD / LEGACY_RMS_THRESHOLD;
+
+// Noise floor time constants
+const FLOOR_FALL_MS = 500;            // line got quieter
+const FLOOR_RISE_MS = 2000;           // louder, but not speech
+const FLOOR_RISE_SPEECH_MS = 30000;   // louder and counted as speech (e.g. car speeding up)
+
+function pcmStats(buf, endian = 'LE') {
+  const sampleCount = Math.floor(buf.length / 2);
+  if (sampleCount <= 0) {
+    return { sampleCount: 0, rms: 0, maxAbs: 0, nearZeroRatio: 1 };
+  }
+
+  let sumSquares = 0;
+  let maxAbs = 0;
+  let nearZero = 0;
+  const read = endian === 'BE' ? Buffer.prototype.readInt16BE : Buffer.prototype.readInt16LE;
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = read.call(buf, i * 2);
+    const abs = Math.abs(sample);
+    sumSquares += abs * abs;
+    if (abs > maxAbs) maxAbs = abs;
+    if (abs < 200) nearZero++;
+  }
+
+  const rms = Math.sqrt(sumSquares / sampleCount);
+  return { sampleCount, rms, maxAbs, nearZeroRatio: nearZero / sampleCount };
+}
+
+/**
+ * Normalize a devices.json "vad" block, falling back to defaults
+ * @param {Object} [options] - { endSilenceMs, minSpeechMs, sensitivity }
+ * @returns {Object} { endSilenceMs, minSpeechMs, sensitivity }
+ */
+function resolveVadConfig(options) {
+  const opts = options || {};
+  const sensitivity = Number(opts.sensitivity);
+  return {
+    endSilenceMs: Number(opts.endSilenceMs) > 0 ? Number(opts.endSilenceMs) : VAD_DEFAULTS.endSilenceMs,
+    minSpeechMs: Number(opts.minSpeechMs) > 0 ? Number(opts.minSpeechMs) : VAD_DEFAULTS.minSpeechMs,
+    sensitivity: opts.sensitivity !== undefined && opts.sensitivity !== null && Number.isFinite(sensitivity)
+      ? Math.min(1, Math.max(0, sensitivity))
+      : VAD_DEFAULTS.sensitivity
+  };
+}
+
+/**
+ * @returns {Object} Fresh per-call state: { noiseFloor, calibrationMs }
+ */
+function createVadState() {
+  return { noiseFloor: null, calibrationMs: 0 };
+}
+
+function isCalibrated(state) {
+  return state.calibrationMs >= CALIBRATION_MS;
+}
+
+/**
+ * How many times louder than the noise floor speech must be
+ * @param {number} sensitivity - 0..1
+ * @returns {number} 4.5 at sensitivity 0, 3 at 0.5, 1.5 at 1
+ */
+function floorRatio(sensitivity) {
+  return 1.5 + (1 - sensitivity) * 3;
+}
+
+/**
+ * Speech thresholds for the current noise floor
+ * @param {Object} state - From createVadState()/processFrame()
+ * @param {Object} [options]
+ * @param {number} [options.sensitivity] - 0..1 (default: 0.5)
+ * @param {number} [options.multiplier] - Scales both thresholds (barge-in uses > 1)
+ * @returns {Object} { rms, max }
+ */
+function getThresholds(state, { sensitivity = VAD_DEFAULTS.sensitivity, multiplier = 1 } = {}) {
+  let rms;
+  if (state.noiseFloor === null) {
+    rms = LEGACY_RMS_THRESHOLD;
+  } else {
+    rms = Math.max(MIN_RMS_THRESHOLD, state.noiseFloor * floorRatio(sensitivity));
+    if (!isCalibrated(state)) rms = Math.max(rms, LEGACY_RMS_THRESHOLD);
+  }
+  rms *= multiplier;
+  return { rms, max: rms * PEAK_RATIO };
+}
+
+/**
+ * @param {Object} stats - From pcmStats()
+ * @param {Object} thresholds - From getThresholds()
+ * @returns {boolean}
+ */
+function isSpeechFrame(stats, thresholds) {
+  const looksSilent = stats.nearZeroRatio > 0.94 && stats.rms < thresholds.rms;
+  if (looksSilent) return false;
+  return stats.maxAbs >= thresholds.max || stats.rms >= thresholds.rms;
+}
+
+/**
+ * Update the noise floor with one chunk
+ * @param {Object} state
+ * @param {number} rms - Chunk RMS
+ * @param {number} chunkMs - Chunk duration
+ * @param {boolean} isSpeech - Whether the chunk was classified as speech
+ * @returns {Object} New state
+ */
+function trackNoiseFloor(state, rms, chunkMs, isSpeech) {
+  if (state.noiseFloor === null) {
+    return { noiseFloor: rms, calibrationMs: Math.min(CALIBRATION_MS, chunkMs) };
+  }
+
+  let noiseFloor;
+  if (!isCalibrated(state)) {
+    // Quietest chunk so far: speech during calibration can't inflate the floor
+    noiseFloor = Math.min(state.noiseFloor, rms);
+  } else {
+    let timeConstantMs = FLOOR_RISE_MS;
+    if (rms < state.noiseFloor) timeConstantMs = FLOOR_FALL_MS;
+    else if (isSpeech) timeConstantMs = FLOOR_RISE_SPEECH_MS;
+    noiseFloor = state.noiseFloor + (rms - state.noiseFloor) * Math.min(1, chunkMs / timeConstantMs);
+  }
+
+  return { noiseFloor, calibrationMs: Math.min(CALIBRATION_MS, state.calibrationMs + chunkMs) };
+}
+
+/**
+ * Classify one chunk and update the noise floor
+ * @param {Object} state - From createVadState() or a previous call
+ * @param {Object} stats - From pcmStats()
+ * @param {number} chunkMs - Chunk duration
+ * @param {Object} [options] - { sensitivity, multiplier }, see getThresholds()
+ * @returns {Object} { isSpeech, thresholds, state }
+ */
+function processFrame(state, stats, chunkMs, options) {
+  const thresholds = getThresholds(state, options);
+  const isSpeech = isSpeechFrame(stats, thresholds);
+  return { isSpeech, thresholds, state: trackNoiseFloor(state, stats.rms, chunkMs, isSpeech) };
+}
+
+module.exports = {
+  VAD_DEFAULTS,
+  CALIBRATION_MS,
+  pcmStats,
+  resolveVadConfig,
+  createVadState,
+  getThresholds,
+  isSpeechFrame,
+  trackNoiseFloor,
+  processFrame
+};
@@ -0,0 +1,107 @@
+/**
+ * Voicemail API Routes
+ * Express routes to list, play and delete voicemail (see voicemail)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { getMailbox } = require('./voicemail');
+
+// Dependencies injected via setupRoutes()
+let mailbox = null;
+
+function store() {
+  return mailbox || getMailbox();
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'not_found',
+    message: 'Voicemail not found'
+  });
+}
+
+function withAudioUrl(message) {
+  return Object.assign({}, message, {
+    audioUrl: `/api/voicemail/${encodeURIComponent(message.id)}/audio`
+  });
+}
+
+/**
+ * GET /api/voicemail
+ * Voicemail, newest first
+ *
+ * Query parameters (all optional):
+ *   - device: Device name
+ *   - caller: Part of the caller ID
+ */
+router.get('/voicemail', (req, res) => {
+  const messages = store().list({ device: req.query.device, caller: req.query.caller });
+  res.json({
+    success: true,
+    count: messages.length,
+    messages: messages.map(withAudioUrl)
+  });
+});
+
+/**
+ * GET /api/voicemail/:id
+ * One message, with its transcript, summary and action items
+ */
+router.get('/voicemail/:id', (req, res) => {
+  const message = store().get(req.params.id);
+  if (!message) return notFound(res);
+  res.json({ success: true, data: withAudioUrl(message) });
+});
+
+/**
+ * GET /api/voicemail/:id/audio
+ * The message as a WAV
+ */
+router.get('/voicemail/:id/audio', (req, res) => {
+  const audioPath = store().audioPath(req.params.id);
+  if (!audioPath) return notFound(res);
+
+  res.sendFile(audioPath, (err) => {
+    if (err && !res.headersSent) notFound(res);
+  });
+});
+
+/**
+ * DELETE /api/voicemail/:id
+ * Delete a message and its audio
+ */
+router.delete('/voicemail/:id', async (req, res) => {
+  try {
+    const deleted = await store().delete(req.params.id);
+    if (!deleted) return notFound(res);
+
+    logger.info('Voicemail deleted via API', { id: req.params.id });
+    res.json({ success: true, deleted: true });
+  } catch (error) {
+    logger.error('Voicemail delete failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'internal_error',
+      message: 'An internal error occurred'
+    });
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ */
+function setupRoutes(deps) {
+  mailbox = deps.mailbox || null;
+
+  logger.info('Voicemail routes initialized', {
+    messages: store().messages.size
+  });
+}
+
+module.exports = {
+  router,
+  setupRoutes
+};
@@ -1,112 +1,126 @@
 /**
- * OpenAI Whisper API Client for Speech-to-Text
- * Converts audio buffers (L16 PCM from FreeSWITCH) to text
+ * Speech-to-Text Client
+ * Converts audio buffers (L16 PCM from FreeSWITCH) to text using the
+ * configured STT provider (OpenAI Whisper by default; see lib/stt),
+ * with circuit breakers and an optional fallback chain
  */
 
-const OpenAI = require("openai");
-const WaveFile = require("wavefile").WaveFile;
-const fs = require("fs");
-const path = require("path");
+const stt = require("./stt");
+const { pcmToWav } = require("./stt/audio");
+const circuitBreaker = require("./circuit-breaker");
 
-// Lazy-initialized OpenAI client
-let openai = null;
-
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn("[WHISPER] OPENAI_API_KEY not set - STT will not work");
-      return null;
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
+// Extra attempts per provider for timeouts / 5xx before falling back
+const STT_RETRIES = process.env.STT_RETRIES !== undefined ? parseInt(process.env.STT_RETRIES) : 1;
 
 /**
- * Convert L16 PCM buffer to WAV format for Whisper API
- * @param {Buffer} pcmBuffer - Raw L16 PCM audio data
- * @param {number} sampleRate - Sample rate (default: 8000 Hz for telephony)
- * @returns {Buffer} WAV file buffer
+ * Providers to try, in order: the configured one, then STT_FALLBACK_CHAIN
+ * Chain entries are "provider" or "provider@baseUrl",
+ * e.g. "whisper-cpp@http://10.0.0.5:8080,openai".
+ *
+ * @param {Object} config - Resolved STT config for the primary provider
+ * @returns {Array<{name: string, config: Object}>}
  */
-function pcmToWav(pcmBuffer, sampleRate = 8000) {
-  const wav = new WaveFile();
-
-  // Convert Buffer to Int16Array for wavefile library
-  const samples = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, pcmBuffer.length / 2);
+function getProviderChain(config) {
+  // Named by server too, so two servers of the same kind get their own breakers
+  const chain = [{ name: config.provider + (config.baseUrl ? "@" + config.baseUrl : ""), config: config }];
+
+  (process.env.STT_FALLBACK_CHAIN || "").split(",").forEach(function(entry) {
+    entry = entry.trim();
+    if (!entry) return;
+
+    const at = entry.indexOf("@");
+    const provider = (at === -1 ? entry : entry.slice(0, at)).toLowerCase();
+    const baseUrl = at === -1 ? undefined : entry.slice(at + 1);
+    const fallback = Object.assign({}, config, { provider: provider, baseUrl: baseUrl });
+    // The primary provider's key/model rarely suit a different provider
+    if (provider !== config.provider) {
+      delete fallback.apiKey;
+      delete fallback.model;
+    }
 
-  // Create WAV from raw PCM data
-  wav.fromScratch(1, sampleRate, "16", samples);
+    const name = provider + (baseUrl ? "@" + baseUrl : "");
+    if (!chain.some(function(c) { return c.name === name; })) {
+      chain.push({ name: name, config: fallback });
+    }
+  });
 
-  return Buffer.from(wav.toBuffer());
+  return chain;
 }
 
 /**
- * Transcribe audio using OpenAI Whisper API
+ * Transcribe audio with the configured STT provider
+ * Each provider sits behind a circuit breaker; if it fails (after bounded
+ * retries) or its breaker is open, the next provider in STT_FALLBACK_CHAIN is used.
+ *
  * @param {Buffer} audioBuffer - Audio data (either WAV or raw PCM)
  * @param {Object} options - Transcription options
  * @param {string} options.format - Input format: "wav" or "pcm" (default: "pcm")
  * @param {number} options.sampleRate - Sample rate for PCM (default: 8000)
- * @param {string} options.language - Language code (default: "en")
+ * @param {string} options.language - Language code (default: STT_LANGUAGE or "en")
+ * @param {Object} options.stt - Per-device STT overrides from devices.json
  * @returns {Promise<string>} Transcribed text
  */
 async function transcribe(audioBuffer, options = {}) {
   const {
     format = "pcm",
     sampleRate = 8000,
-    language = "en"
+    stt: overrides
   } = options;
 
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error("OpenAI API key not configured");
-  }
-
-  // Convert PCM to WAV if needed
-  let wavBuffer;
-  if (format === "pcm") {
-    wavBuffer = pcmToWav(audioBuffer, sampleRate);
-  } else {
-    wavBuffer = audioBuffer;
-  }
-
-  // Write to temp file (Whisper API requires a file)
-  const tempFile = path.join("/tmp", "whisper-" + Date.now() + ".wav");
-  fs.writeFileSync(tempFile, wavBuffer);
+  const config = stt.resolveConfig(overrides);
+  const chain = getProviderChain(config).map(function(entry) {
+    return Object.assign(entry, {
+      breaker: circuitBreaker.getBreaker("stt:" + entry.name, { retries: STT_RETRIES }),
+      timeoutMs: entry.config.timeoutMs
+    });
+  });
+
+  return circuitBreaker.runWithFallback(chain, async function(entry) {
+    const provider = stt.getProvider(entry.config);
+    if (!provider.isAvailable()) {
+      const notConfigured = new Error(provider.name + " is not configured (missing API key or base URL)");
+      notConfigured.retryable = false;
+      throw notConfigured;
+    }
 
-  try {
-    const transcription = await client.audio.transcriptions.create({
-      file: fs.createReadStream(tempFile),
-      model: "whisper-1",
-      language: language,
-      response_format: "text"
+    const transcription = await provider.transcribe(audioBuffer, {
+      format: format,
+      sampleRate: sampleRate,
+      language: options.language || entry.config.language
     });
 
     const timestamp = new Date().toISOString();
-    console.log("[" + timestamp + "] WHISPER Transcribed: " + transcription.substring(0, 100) + (transcription.length > 100 ? "..." : ""));
+    console.log("[" + timestamp + "] WHISPER Transcribed (" + provider.name + "): " + transcription.substring(0, 100) + (transcription.length > 100 ? "..." : ""));
 
     return transcription;
-  } finally {
-    // Clean up temp file
-    try {
-      fs.unlinkSync(tempFile);
-    } catch (e) {
-      // Ignore cleanup errors
-    }
+  }, "stt");
+}
+
+/**
+ * Check if the STT provider is configured and available
+ * @param {Object} [overrides] - Per-device STT overrides
+ * @returns {boolean} True if the provider has what it needs (API key or server URL)
+ */
+function isAvailable(overrides) {
+  try {
+    return stt.getProvider(stt.resolveConfig(overrides)).isAvailable();
+  } catch (e) {
+    return false;
   }
 }
 
 /**
- * Check if Whisper API is configured and available
- * @returns {boolean} True if API key is set
+ * Name of the default provider (for startup logs)
+ * @returns {string}
  */
-function isAvailable() {
-  return !!process.env.OPENAI_API_KEY;
+function getProviderName() {
+  const config = stt.resolveConfig();
+  return config.provider + (config.baseUrl && config.provider !== "openai" ? " (" + config.baseUrl + ")" : "");
 }
 
 module.exports = {
   transcribe,
   pcmToWav,
-  isAvailable
+  isAvailable,
+  getProviderName
 };
@@ -0,0 +1,224 @@
+/**
+ * Access Control Tests
+ *
+ * Checks caller allow/block lists, PIN challenges and lockouts against
+ * a fake endpoint that answers PIN prompts with scripted keypresses.
+ * Run with: node --test test/access-control.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const {
+  authorizeCaller,
+  evaluateAccess,
+  resolveRole,
+  validateAccess,
+  matchesNumber,
+  LockoutTracker
+} = require('../lib/access-control');
+
+// Every PIN prompt is answered with the next entry (a string of keys, or null for silence)
+function fakeCall(entries) {
+  const endpoint = new EventEmitter();
+  endpoint.uuid = 'call-1';
+  endpoint.api = async () => {};
+  const script = entries.slice();
+  const spoken = [];
+  const speak = async (text) => {
+    spoken.push(text);
+    if (/PIN/.test(text) && script.length > 0) {
+      const keys = script.shift();
+      if (keys !== null) {
+        for (const key of keys) endpoint.emit('dtmf', { dtmf: key });
+      }
+    }
+  };
+  return { endpoint, speak, spoken };
+}
+
+function device(access) {
+  return { name: 'Morpheus', access };
+}
+
+test('access control', async (t) => {
+  await t.test('numbers match digits-only, with trailing * as a prefix', () => {
+    assert.strictEqual(matchesNumber('+1 (555) 123-4567', ['15551234567']), true);
+    assert.strictEqual(matchesNumber('+15551234567', ['+1555*']), true);
+    assert.strictEqual(matchesNumber('+15561234567', ['+1555*']), false);
+    assert.strictEqual(matchesNumber('anonymous', ['*']), false);
+    assert.strictEqual(matchesNumber('1001', undefined), false);
+  });
+
+  await t.test('decisions follow the allow and block lists', () => {
+    const tracker = new LockoutTracker();
+    const lists = device({ allow: ['1001', '+1555*'], block: ['+1555999*'] });
+
+    assert.deepStrictEqual(evaluateAccess({ name: 'Morpheus' }, '1001', tracker), { decision: 'allow', reason: 'no_policy' });
+    assert.deepStrictEqual(evaluateAccess(device({ block: ['1002'] }), '1001', tracker), { decision: 'allow', reason: 'open' });
+    assert.deepStrictEqual(evaluateAccess(lists, '1001', tracker), { decision: 'allow', reason: 'allowlisted' });
+    assert.deepStrictEqual(evaluateAccess(lists, '+15559990000', tracker), { decision: 'reject', reason: 'blocked' });
+    assert.deepStrictEqual(evaluateAccess(lists, '1002', tracker), { decision: 'reject', reason: 'not_allowed' });
+  });
+
+  await t.test('a PIN is asked of unlisted callers, or of everyone with "always"', () => {
+    const tracker = new LockoutTracker();
+    const unlisted = device({ allow: ['1001'], pin: '4321' });
+    const always = device({ allow: ['1001'], pin: '4321', pinPolicy: 'always' });
+
+    assert.strictEqual(evaluateAccess(unlisted, '1001', tracker).decision, 'allow');
+    assert.strictEqual(evaluateAccess(unlisted, '1002', tracker).decision, 'pin');
+    assert.strictEqual(evaluateAccess(always, '1001', tracker).decision, 'pin');
+  });
+
+  await t.test('an invalid policy rejects every caller', () => {
+    const access = { allow: '1001', pin: '12', pinPolicy: 'sometimes', maxAttempts: 0 };
+    assert.deepStrictEqual(validateAccess(access), [
+      'access.allow must be a list of numbers',
+      'access.pin must be 4-12 digits',
+      'access.pinPolicy must be "unlisted", "always" or "optional"',
+      'access.maxAttempts must be a positive number'
+    ]);
+    assert.deepStrictEqual(evaluateAccess(device(access), '1001', new LockoutTracker()), {
+      decision: 'reject',
+      reason: 'invalid_policy'
+    });
+  });
+
+  await t.test('lockouts start after maxAttempts and expire', () => {
+    const tracker = new LockoutTracker();
+    assert.strictEqual(tracker.recordFailure('k', 2, 1000, 0), false);
+    assert.strictEqual(tracker.recordFailure('k', 2, 1000, 10), true);
+    assert.strictEqual(tracker.isLocked('k', 500), true);
+    assert.strictEqual(tracker.isLocked('k', 1010), false);
+    assert.strictEqual(tracker.recordFailure('k', 2, 1000, 1020), false);
+  });
+
+  await t.test('wrong PINs short of a lockout are forgotten after lockoutMinutes', () => {
+    const tracker = new LockoutTracker();
+    tracker.recordFailure('k', 3, 1000, 0);
+    tracker.recordFailure('k', 3, 1000, 500);
+    tracker.recordFailure('other', 3, 1000, 600);
+
+    // A quiet spell as long as a lockout starts the count over
+    assert.strictEqual(tracker.recordFailure('k', 3, 1000, 1600), false);
+    assert.strictEqual(tracker.recordFailure('k', 3, 1000, 1700), false);
+    assert.strictEqual(tracker.recordFailure('k', 3, 1000, 1800), true);
+    // Stale entries for other callers are dropped too
+    assert.deepStrictEqual(Array.from(tracker._entries.keys()), ['k']);
+  });
+
+  await t.test('withheld numbers are not asked for a PIN', async () => {
+    const tracker = new LockoutTracker();
+    const pin = device({ pin: '4321' });
+    const optional = device({ pin: '4321', pinPolicy: 'optional', defaultRole: 'guest' });
+
+    assert.deepStrictEqual(evaluateAccess(pin, 'anonymous', tracker), { decision: 'reject', reason: 'anonymous' });
+    assert.deepStrictEqual(evaluateAccess(optional, '', tracker), { decision: 'allow', reason: 'no_pin' });
+    assert.deepStrictEqual(evaluateAccess(device({ allow: ['1001'] }), 'anonymous', tracker), { decision: 'reject', reason: 'not_allowed' });
+
+    const { endpoint, speak, spoken } = fakeCall(['4321#']);
+    const result = await authorizeCaller({ endpoint, speak, tracker, deviceConfig: optional, callerId: 'anonymous' });
+    assert.deepStrictEqual(result, { allowed: true, reason: 'no_pin', role: 'guest' });
+    assert.strictEqual(spoken.length, 0);
+  });
+
+  await t.test('the right PIN lets the caller through', async () => {
+    const tracker = new LockoutTracker();
+    const { endpoint, speak, spoken } = fakeCall(['9*4321#']);
+    const result = await authorizeCaller({
+      endpoint, speak, tracker, deviceConfig: device({ pin: '4321' }), callerId: '1002'
+    });
+
+    assert.deepStrictEqual(result, { allowed: true, reason: 'pin', role: null });
+    assert.strictEqual(spoken.length, 1);
+    assert.strictEqual(endpoint.listenerCount('dtmf'), 0);
+  });
+
+  await t.test('wrong PINs lock the caller out', async () => {
+    const tracker = new LockoutTracker();
+    const config = device({ pin: '4321', maxAttempts: 2, rejectMessage: 'Go away.' });
+    const { endpoint, speak, spoken } = fakeCall(['1111#', '2222#']);
+    const result = await authorizeCaller({ endpoint, speak, tracker, deviceConfig: config, callerId: '1002' });
+
+    assert.deepStrictEqual(result, { allowed: false, reason: 'locked_out', role: null });
+    assert.strictEqual(spoken[spoken.length - 1], 'Go away.');
+    assert.deepStrictEqual(evaluateAccess(config, '1002', tracker), { decision: 'reject', reason: 'locked_out' });
+    assert.strictEqual(evaluateAccess(config, '1003', tracker).decision, 'pin');
+  });
+
+  await t.test('a call that ends mid-challenge is never let through', async () => {
+    const { endpoint } = fakeCall([]);
+    const result = await authorizeCaller({
+      endpoint,
+      deviceConfig: device({ pin: '4321' }),
+      callerId: '1002',
+      tracker: new LockoutTracker(),
+      speak: async () => { throw new Error('Call ended'); }
+    });
+    assert.deepStrictEqual(result, { allowed: false, reason: 'pin_aborted', role: null });
+  });
+
+  await t.test('roles come from the caller number, then defaultRole', () => {
+    const access = {
+      roles: { admin: { allow: ['1001'] }, family: { allow: ['+1555*'] } },
+      defaultRole: 'guest'
+    };
+    assert.strictEqual(resolveRole(access, '1001'), 'admin');
+    assert.strictEqual(resolveRole(access, '+15550001111'), 'family');
+    assert.strictEqual(resolveRole(access, '1002'), 'guest');
+    assert.strictEqual(resolveRole({ allow: ['1001'] }, '1001'), null);
+    assert.strictEqual(resolveRole(undefined, '1001'), null);
+  });
+
+  await t.test('numbers on a role count as allowlisted', () => {
+    const config = device({ roles: { admin: { allow: ['1001'] } } });
+    assert.strictEqual(evaluateAccess(config, '1001', new LockoutTracker()).decision, 'allow');
+    assert.deepStrictEqual(evaluateAccess(config, '1002', new LockoutTracker()), { decision: 'reject', reason: 'not_allowed' });
+  });
+
+  await t.test('a role PIN picks the role', async () => {
+    const config = device({
+      roles: { admin: { allow: ['1001'], pin: '9999' }, family: { pin: '1234' } },
+      pinPolicy: 'always',
+      defaultRole: 'guest'
+    });
+    const admin = fakeCall(['9999#']);
+    const family = fakeCall(['1234#']);
+
+    assert.deepStrictEqual(
+      await authorizeCaller(Object.assign(admin, { deviceConfig: config, callerId: '1002', tracker: new LockoutTracker() })),
+      { allowed: true, reason: 'pin', role: 'admin' }
+    );
+    assert.deepStrictEqual(
+      await authorizeCaller(Object.assign(family, { deviceConfig: config, callerId: '1001', tracker: new LockoutTracker() })),
+      { allowed: true, reason: 'pin', role: 'family' }
+    );
+  });
+
+  await t.test('"optional" PINs let unlisted callers in with the default role', async () => {
+    const config = device({
+      roles: { admin: { allow: ['1001'] }, family: { pin: '1234' } },
+      pinPolicy: 'optional',
+      defaultRole: 'guest'
+    });
+    const { endpoint, speak, spoken } = fakeCall(['#']);
+    const result = await authorizeCaller({ endpoint, speak, deviceConfig: config, callerId: '1002', tracker: new LockoutTracker() });
+
+    assert.deepStrictEqual(result, { allowed: true, reason: 'no_pin', role: 'guest' });
+    assert.match(spoken[0], /If you have a PIN/);
+  });
+
+  await t.test('role config is validated', () => {
+    assert.deepStrictEqual(validateAccess({
+      pin: '1234',
+      pinPolicy: 'optional',
+      roles: { admin: { pin: '1234' }, '9lives': { allow: '1001' } }
+    }), [
+      'access.pinPolicy "optional" needs a defaultRole',
+      'access.roles["admin"].pin is already used',
+      'access.roles["9lives"]: role names start with a letter',
+      'access.roles["9lives"].allow must be a list of numbers'
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Barge-in Tests
+ *
+ * Feeds synthetic PCM through AudioForkSession to check that playback can be
+ * interrupted by sustained caller speech, but not by quiet echo or blips.
+ * Run with: node --test test/barge-in.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { AudioForkSession } = require('../lib/audio-fork');
+
+const SAMPLE_RATE = 16000;
+const CHUNK_MS = 20;
+
+// 20ms of 16-bit LE PCM: a 300Hz tone at the given amplitude (0 = silence)
+function chunk(amplitude) {
+  const samples = (SAMPLE_RATE * CHUNK_MS) / 1000;
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * 300 * i) / SAMPLE_RATE)), i * 2);
+  }
+  return buf;
+}
+
+function feed(ws, amplitude, ms) {
+  for (let t = 0; t < ms; t += CHUNK_MS) ws.emit('message', chunk(amplitude));
+}
+
+function createSession(bargeIn) {
+  const ws = new EventEmitter();
+  const session = new AudioForkSession({ ws, callUuid: 'test-call', sampleRate: SAMPLE_RATE });
+  session.configureBargeIn(bargeIn);
+  // Skip endian auto-detection (it would lock onto the first silent chunk)
+  session._pcmEndian = 'LE';
+  return { ws, session };
+}
+
+test('barge-in', async (t) => {
+  await t.test('beginPlayback is a no-op when barge-in is disabled', () => {
+    const { session } = createSession({ enabled: false });
+    assert.strictEqual(session.beginPlayback(), false);
+    assert.strictEqual(session.isPlaybackActive(), false);
+  });
+
+  await t.test('sustained loud speech interrupts playback', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 300, echoGuardMs: 100 });
+    let bargeIns = 0;
+    session.on('bargein', () => bargeIns++);
+
+    session.setCaptureEnabled(false);
+    session.beginPlayback();
+    feed(ws, 0, 200);
+    feed(ws, 12000, 400);
+
+    assert.strictEqual(bargeIns, 1);
+    assert.strictEqual(session.isPlaybackActive(), false);
+    assert.strictEqual(session.captureEnabled, true);
+  });
+
+  await t.test('speech after barge-in finalizes as the next utterance', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 300, echoGuardMs: 100 });
+    let utterance = null;
+    session.on('utterance', (u) => { utterance = u; });
+
+    session.beginPlayback();
+    feed(ws, 0, 200);
+    feed(ws, 12000, 800);
+    feed(ws, 0, 1600);
+
+    assert.ok(utterance, 'utterance should be emitted after end silence');
+    assert.ok(utterance.speechMs >= 700, 'barge-in audio should be part of the utterance');
+  });
+
+  await t.test('echo-level audio does not interrupt playback', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 300, echoGuardMs: 100 });
+    let bargeIns = 0;
+    session.on('bargein', () => bargeIns++);
+
+    session.beginPlayback();
+    // Loud enough for normal VAD, but under the doubled playback threshold
+    feed(ws, 1500, 1000);
+
+    assert.strictEqual(bargeIns, 0);
+    assert.strictEqual(session.isPlaybackActive(), true);
+  });
+
+  await t.test('playback audio does not move the noise floor', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 300, echoGuardMs: 100 });
+    session.setCaptureEnabled(true);
+    feed(ws, 100, 1000);
+    const calibrated = session._vadState;
+
+    // Echo above the floor, but under the barge-in threshold
+    session.beginPlayback();
+    feed(ws, 400, 3000);
+    assert.strictEqual(session.isPlaybackActive(), true);
+    session.endPlayback();
+
+    assert.deepStrictEqual(session._vadState, calibrated);
+  });
+
+  await t.test('audio inside the echo guard window is ignored', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 200, echoGuardMs: 500 });
+    let bargeIns = 0;
+    session.on('bargein', () => bargeIns++);
+
+    session.beginPlayback();
+    feed(ws, 12000, 400);
+
+    assert.strictEqual(bargeIns, 0);
+  });
+
+  await t.test('short blips separated by gaps do not add up', () => {
+    const { ws, session } = createSession({ enabled: true, minSpeechMs: 300, echoGuardMs: 0 });
+    let bargeIns = 0;
+    session.on('bargein', () => bargeIns++);
+
+    session.beginPlayback();
+    for (let i = 0; i < 5; i++) {
+      feed(ws, 12000, 100);
+      feed(ws, 0, 300);
+    }
+
+    assert.strictEqual(bargeIns, 0);
+  });
+
+  await t.test('endPlayback disables capture when nobody interrupted', () => {
+    const { ws, session } = createSession({ enabled: true });
+    session.beginPlayback();
+    feed(ws, 0, 100);
+    session.endPlayback();
+
+    assert.strictEqual(session.isPlaybackActive(), false);
+    assert.strictEqual(session.captureEnabled, false);
+  });
+});
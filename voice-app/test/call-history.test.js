@@ -0,0 +1,166 @@
+/**
+ * Call History Tests
+ *
+ * Checks that calls survive a reload from the JSONL file, and the filters and
+ * full-text search behind /api/calls/history.
+ * Run with: node --test test/call-history.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CallHistory } = require('../lib/call-history');
+const { OutboundSession } = require('../lib/outbound-session');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-history-test-'));
+  return path.join(dir, 'history', 'calls.jsonl');
+}
+
+function cleanup(file) {
+  fs.rmSync(path.dirname(path.dirname(file)), { recursive: true, force: true });
+}
+
+const CALLS = [
+  {
+    id: 'in-1',
+    direction: 'inbound',
+    callerId: '+15551230001',
+    device: 'Morpheus',
+    startedAt: '2025-01-01T10:00:00.000Z',
+    endedAt: '2025-01-01T10:02:00.000Z',
+    endReason: 'caller_goodbye',
+    turns: [
+      { role: 'caller', text: 'Is the backup job done?' },
+      { role: 'assistant', text: 'Yes, it finished.', response: 'Checked the NAS logs. VOICE_RESPONSE: Yes, it finished.' }
+    ]
+  },
+  {
+    id: 'out-1',
+    direction: 'outbound',
+    to: '+15559990000',
+    device: 'Cephanie',
+    startedAt: '2025-01-02T10:00:00.000Z',
+    endedAt: '2025-01-02T10:00:30.000Z',
+    endReason: 'remote_hangup',
+    turns: [
+      { role: 'assistant', text: 'Disk on storage01 is 95% full.' },
+      { role: 'caller', text: 'Which disk?' }
+    ]
+  },
+  {
+    id: 'in-2',
+    direction: 'inbound',
+    callerId: '+15551230002',
+    device: 'Morpheus',
+    startedAt: '2025-01-03T10:00:00.000Z',
+    endedAt: '2025-01-03T10:00:10.000Z',
+    endReason: 'caller_hangup',
+    turns: []
+  }
+];
+
+async function seeded(file) {
+  const history = new CallHistory({ file }).load();
+  for (const call of CALLS) await history.add(call);
+  return history;
+}
+
+test('call history', async (t) => {
+  await t.test('persists calls and reloads them', async () => {
+    const file = tempFile();
+    try {
+      await seeded(file);
+      const reloaded = new CallHistory({ file }).load();
+
+      assert.strictEqual(reloaded.calls.length, 3);
+      assert.strictEqual(reloaded.get('in-1').turns[1].response.includes('NAS logs'), true);
+      assert.strictEqual(reloaded.get('in-1').durationSeconds, 120);
+      assert.strictEqual(reloaded.get('missing'), null);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('skips a truncated last line', async () => {
+    const file = tempFile();
+    try {
+      await seeded(file);
+      fs.appendFileSync(file, '{"id":"partial","turns":[');
+
+      const reloaded = new CallHistory({ file }).load();
+      assert.strictEqual(reloaded.calls.length, 3);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('lists newest first, without turns', async () => {
+    const file = tempFile();
+    try {
+      const { total, calls } = (await seeded(file)).search();
+      assert.strictEqual(total, 3);
+      assert.deepStrictEqual(calls.map(c => c.id), ['in-2', 'out-1', 'in-1']);
+      assert.strictEqual(calls[2].turns, undefined);
+      assert.strictEqual(calls[2].turnCount, 2);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('filters by direction, device, caller, reason and date', async () => {
+    const file = tempFile();
+    try {
+      const history = await seeded(file);
+      const ids = (filters) => history.search(filters).calls.map(c => c.id);
+
+      assert.deepStrictEqual(ids({ direction: 'outbound' }), ['out-1']);
+      assert.deepStrictEqual(ids({ device: 'morpheus' }), ['in-2', 'in-1']);
+      assert.deepStrictEqual(ids({ caller: '9990' }), ['out-1'], 'matches the dialed number too');
+      assert.deepStrictEqual(ids({ endReason: 'caller_hangup' }), ['in-2']);
+      assert.deepStrictEqual(ids({ since: '2025-01-02', until: '2025-01-03' }), ['out-1']);
+      assert.deepStrictEqual(ids({ limit: 1, offset: 1 }), ['out-1']);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('full-text search needs every word and covers Claude responses', async () => {
+    const file = tempFile();
+    try {
+      const history = await seeded(file);
+
+      const disk = history.search({ q: 'DISK full' });
+      assert.deepStrictEqual(disk.calls.map(c => c.id), ['out-1']);
+      assert.deepStrictEqual(disk.calls[0].matches, [
+        { role: 'assistant', text: 'Disk on storage01 is 95% full.' },
+        { role: 'caller', text: 'Which disk?' }
+      ]);
+
+      assert.deepStrictEqual(history.search({ q: 'nas backup' }).calls.map(c => c.id), ['in-1']);
+      assert.strictEqual(history.search({ q: 'disk backup' }).total, 0);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('outbound sessions map to history records', () => {
+    const session = new OutboundSession(null, { to: '+15551234567', message: 'Disk is full', mode: 'conversation', device: 'Morpheus' });
+    session.answeredAt = Date.parse('2025-01-01T12:00:00.000Z');
+    session.recordTurn('Which one?', 'storage01', 'Full answer. VOICE_RESPONSE: storage01');
+    session.state = 'COMPLETED';
+    session.endReason = 'remote_hangup';
+    session.endedAt = Date.parse('2025-01-01T12:01:00.000Z');
+
+    const record = session.toHistoryRecord();
+    assert.strictEqual(record.id, session.callId);
+    assert.strictEqual(record.direction, 'outbound');
+    assert.strictEqual(record.device, 'Morpheus');
+    assert.strictEqual(record.endReason, 'remote_hangup');
+    assert.deepStrictEqual(record.turns.map(turn => turn.role), ['assistant', 'caller', 'assistant']);
+    assert.strictEqual(record.turns[0].text, 'Disk is full');
+    assert.strictEqual(record.turns[2].response, 'Full answer. VOICE_RESPONSE: storage01');
+  });
+});
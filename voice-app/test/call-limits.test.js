@@ -0,0 +1,137 @@
+/**
+ * Call Limits Tests
+ *
+ * Checks global and per-device limits, the order freed lines are handed
+ * out in, and a caller waiting in the queue on fake FreeSWITCH objects,
+ * plus config validation.
+ * Run with: node --test test/call-limits.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const {
+  CallLimiter,
+  limitSettings,
+  validateLimits,
+  waitInQueue,
+  acquireCallSlot
+} = require('../lib/call-limits');
+
+// An answered caller on hold; records what they hear
+function fakeCaller() {
+  const heard = [];
+  const dialog = new EventEmitter();
+  const endpoint = new EventEmitter();
+  endpoint.uuid = 'queue-test';
+  endpoint.play = (url) => new Promise((resolve) => {
+    heard.push(url);
+    endpoint.once('break', resolve);
+  });
+  endpoint.api = async () => { endpoint.emit('break'); };
+  return { dialog, endpoint, heard, say: async (text) => { heard.push(text); } };
+}
+
+const SETTINGS = limitSettings({ limits: { whenFull: 'queue', maxWaitSeconds: 0.2, announceSeconds: 0.05 } });
+
+test('call limits', async (t) => {
+  await t.test('global and per-device limits', () => {
+    const limiter = new CallLimiter({ maxCalls: 3 });
+    const a1 = limiter.tryAcquire('Morpheus', 2);
+    const a2 = limiter.tryAcquire('Morpheus', 2);
+    assert.strictEqual(limiter.tryAcquire('Morpheus', 2), null);
+    const b1 = limiter.tryAcquire('Cephanie');
+    assert.strictEqual(limiter.tryAcquire('Cephanie'), null);
+    assert.deepStrictEqual([limiter.activeCalls(), limiter.activeCalls('Morpheus')], [3, 2]);
+
+    a1.release();
+    a1.release();
+    assert.strictEqual(limiter.activeCalls(), 2);
+    assert.ok(limiter.tryAcquire('Cephanie'));
+    [a2, b1].forEach(slot => slot.release());
+    assert.strictEqual(new CallLimiter({ maxCalls: 0 }).tryAcquire('Morpheus', 0) !== null, true);
+  });
+
+  await t.test('calls the app places take a line without queueing', () => {
+    const limiter = new CallLimiter({ maxCalls: 2 });
+    const device = { name: 'Cephanie', limits: { maxCalls: 1, whenFull: 'queue' } };
+
+    const outbound = acquireCallSlot(device, { limiter });
+    assert.strictEqual(acquireCallSlot(device, { limiter }), null);
+    assert.strictEqual(limiter.queuedCalls(), 0);
+
+    // A transfer leg only needs a line under the global limit
+    const leg = acquireCallSlot(device, { limiter, deviceLimit: false });
+    assert.ok(leg);
+    assert.strictEqual(acquireCallSlot(device, { limiter, deviceLimit: false }), null);
+
+    [outbound, leg].forEach(slot => slot.release());
+    assert.strictEqual(limiter.activeCalls(), 0);
+  });
+
+  await t.test('freed lines go to waiting callers in order', async () => {
+    const limiter = new CallLimiter({ maxCalls: 0 });
+    const busy = limiter.tryAcquire('Morpheus', 1);
+    const first = limiter.enqueue('Morpheus', 1, 2);
+    const second = limiter.enqueue('Morpheus', 1, 2);
+    const other = limiter.enqueue('Cephanie', 1, 2);  // another device's line is free: position 0
+    assert.strictEqual(limiter.enqueue('Morpheus', 1, 2), null);
+    assert.deepStrictEqual([first.position(), second.position(), other.position()], [1, 2, 0]);
+    assert.deepStrictEqual(limiter.stats().devices.Morpheus, { active: 1, queued: 2 });
+
+    busy.release();
+    const slot = await first.slot;
+    assert.strictEqual(second.position(), 1);
+    assert.strictEqual(limiter.tryAcquire('Morpheus', 1), null);
+
+    // A caller who hangs up gives their line back to the next one
+    slot.release();
+    second.cancel();
+    assert.strictEqual(limiter.activeCalls('Morpheus'), 0);
+    assert.strictEqual(limiter.queuedCalls(), 0);
+  });
+
+  await t.test('a waiting caller hears their place in line until a line frees up', async () => {
+    const limiter = new CallLimiter({ maxCalls: 1 });
+    const busy = limiter.tryAcquire('Morpheus');
+    const caller = fakeCaller();
+    const queue = limiter.enqueue('Cephanie');
+    setTimeout(() => busy.release(), 80);
+
+    const waited = await waitInQueue(Object.assign({ queue, settings: SETTINGS }, caller));
+
+    assert.strictEqual(waited.outcome, 'answered');
+    assert.strictEqual(waited.slot.device, 'Cephanie');
+    assert.strictEqual(caller.heard[0], "All of our lines are busy right now. You're next in line. Please hold and we'll be with you shortly.");
+    assert.ok(caller.heard.includes("Thanks for holding. You're next in line."));
+    assert.ok(caller.heard.includes('http://127.0.0.1:3000/static/hold-music.mp3'));
+    waited.slot.release();
+  });
+
+  await t.test('waiting too long or hanging up leaves the queue', async () => {
+    const limiter = new CallLimiter({ maxCalls: 1 });
+    limiter.tryAcquire('Morpheus');
+
+    const timedOut = await waitInQueue(Object.assign({ queue: limiter.enqueue('Morpheus'), settings: SETTINGS }, fakeCaller()));
+    assert.strictEqual(timedOut.outcome, 'timeout');
+    assert.strictEqual(timedOut.slot, null);
+    assert.strictEqual(limiter.queuedCalls(), 0);
+
+    const caller = fakeCaller();
+    setTimeout(() => caller.dialog.emit('destroy'), 20);
+    const hungUp = await waitInQueue(Object.assign({ queue: limiter.enqueue('Morpheus'), settings: SETTINGS }, caller));
+    assert.strictEqual(hungUp.outcome, 'hangup');
+    assert.strictEqual(limiter.queuedCalls(), 0);
+  });
+
+  await t.test('invalid limits config is reported', () => {
+    assert.deepStrictEqual(validateLimits({ maxCalls: 2, whenFull: 'queue' }), []);
+    assert.deepStrictEqual(validateLimits({ maxCalls: -1, whenFull: 'wait', maxWaitSeconds: 0, onTimeout: 'retry' }), [
+      'limits.maxCalls must be a whole number (0 = no limit)',
+      'limits.maxWaitSeconds must be a positive number',
+      'limits.whenFull must be "busy" or "queue"',
+      'limits.onTimeout must be "voicemail" or "hangup"'
+    ]);
+    assert.strictEqual(limitSettings(null).whenFull, 'busy');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Call Recorder Tests
+ *
+ * Checks the stereo WAV and JSON sidecar written for a recorded call, the
+ * stereo audio fork split (caller channel for VAD, both for the recording),
+ * recording settings precedence and retention cleanup.
+ * Run with: node --test test/call-recorder.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const { CallRecorder, resolveRecordingConfig, findRecording, cleanupOldRecordings } = require('../lib/call-recorder');
+const { AudioForkSession } = require('../lib/audio-fork');
+
+const SAMPLE_RATE = 16000;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'call-recorder-test-'));
+}
+
+// Interleaved stereo chunk: every left sample = left, every right sample = right
+function stereoChunk(ms, left, right) {
+  const frames = (SAMPLE_RATE * ms) / 1000;
+  const buf = Buffer.alloc(frames * 4);
+  for (let i = 0; i < frames; i++) {
+    buf.writeInt16LE(left, i * 4);
+    buf.writeInt16LE(right, i * 4 + 2);
+  }
+  return buf;
+}
+
+function withEnv(vars, fn) {
+  const saved = {};
+  for (const key of Object.keys(vars)) {
+    saved[key] = process.env[key];
+    if (vars[key] === undefined) delete process.env[key];
+    else process.env[key] = vars[key];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(saved)) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+}
+
+test('call recorder', async (t) => {
+  await t.test('writes a stereo WAV and a sidecar with turns', async () => {
+    const dir = tempDir();
+    try {
+      const recorder = new CallRecorder({ callId: 'call-1', dir, metadata: { direction: 'inbound', device: 'Morpheus' } }).start();
+      recorder.write(stereoChunk(500, 1000, -2000));
+      recorder.addTurn('assistant', 'Hello!', 0);
+      const startMs = recorder.positionMs();
+      recorder.write(stereoChunk(250, 3000, 0));
+      recorder.addTurn('caller', 'Hi there', startMs);
+
+      const result = await recorder.stop();
+      assert.strictEqual(result.durationMs, 750);
+
+      const wav = fs.readFileSync(path.join(dir, 'call-1.wav'));
+      assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+      assert.strictEqual(wav.readUInt16LE(22), 2, 'channels');
+      assert.strictEqual(wav.readUInt32LE(24), SAMPLE_RATE);
+      assert.strictEqual(wav.readUInt32LE(40), wav.length - 44, 'data size is patched on stop');
+      assert.strictEqual(wav.readInt16LE(44), 1000, 'first sample is the caller (left)');
+      assert.strictEqual(wav.readInt16LE(46), -2000, 'second sample is the assistant (right)');
+
+      const sidecar = JSON.parse(fs.readFileSync(path.join(dir, 'call-1.json'), 'utf8'));
+      assert.strictEqual(sidecar.callId, 'call-1');
+      assert.strictEqual(sidecar.device, 'Morpheus');
+      assert.deepStrictEqual(sidecar.channels, { left: 'caller', right: 'assistant' });
+      assert.deepStrictEqual(sidecar.turns, [
+        { role: 'assistant', text: 'Hello!', startMs: 0, endMs: 500 },
+        { role: 'caller', text: 'Hi there', startMs: 500, endMs: 750 }
+      ]);
+
+      assert.ok(!fs.existsSync(path.join(dir, 'call-1.wav.part')));
+      assert.strictEqual(recorder.stop(), recorder.stop(), 'stop is idempotent');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('stereo sessions record both channels but only listen to the caller', async () => {
+    const dir = tempDir();
+    try {
+      const ws = new EventEmitter();
+      const session = new AudioForkSession({ ws, callUuid: 'stereo-call', sampleRate: SAMPLE_RATE, channels: 2 });
+      session._pcmEndian = 'LE';
+      const recorder = new CallRecorder({ callId: 'stereo-call', dir }).start();
+      recorder.attach(session);
+
+      let utterances = 0;
+      session.on('utterance', () => utterances++);
+
+      // Loud playback on the right channel only: recorded, but not speech
+      for (let i = 0; i < 100; i++) ws.emit('message', stereoChunk(20, 0, 12000));
+      assert.strictEqual(utterances, 0);
+      assert.strictEqual(recorder.positionMs(), 2000);
+
+      await recorder.stop();
+      ws.emit('message', stereoChunk(20, 0, 0));
+      assert.strictEqual(recorder.positionMs(), 2000, 'nothing is written after stop');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('request overrides device, device overrides env', () => {
+    withEnv({ RECORDING_ENABLED: 'true', RECORDING_CONSENT_MESSAGE: undefined }, () => {
+      assert.deepStrictEqual(resolveRecordingConfig(null), { enabled: true, consentMessage: 'This call is being recorded.' });
+      assert.strictEqual(resolveRecordingConfig({ recording: { enabled: false } }).enabled, false);
+      assert.strictEqual(resolveRecordingConfig({ recording: { enabled: false } }, true).enabled, true);
+    });
+    withEnv({ RECORDING_ENABLED: undefined, RECORDING_CONSENT_MESSAGE: 'Env notice.' }, () => {
+      assert.deepStrictEqual(resolveRecordingConfig({}), { enabled: false, consentMessage: 'Env notice.' });
+      assert.strictEqual(resolveRecordingConfig({ recording: { consentMessage: '' } }).consentMessage, '');
+    });
+  });
+
+  await t.test('rejects call IDs that could escape the recordings directory', () => {
+    assert.throws(() => new CallRecorder({ callId: '../etc/passwd' }), /Invalid call ID/);
+    assert.strictEqual(findRecording('../secret', os.tmpdir()), null);
+    assert.strictEqual(findRecording('missing-call', os.tmpdir()), null);
+  });
+
+  await t.test('cleanup deletes recordings past retention', async () => {
+    const dir = tempDir();
+    try {
+      fs.writeFileSync(path.join(dir, 'old.wav'), 'x');
+      fs.writeFileSync(path.join(dir, 'old.json'), '{}');
+      fs.writeFileSync(path.join(dir, 'new.wav'), 'x');
+      const monthAgo = new Date(Date.now() - 31 * 24 * 3600 * 1000);
+      fs.utimesSync(path.join(dir, 'old.wav'), monthAgo, monthAgo);
+      fs.utimesSync(path.join(dir, 'old.json'), monthAgo, monthAgo);
+
+      assert.strictEqual(await cleanupOldRecordings(dir, 0), 0, '0 keeps everything');
+      assert.strictEqual(await cleanupOldRecordings(dir, 30), 2);
+      assert.deepStrictEqual(fs.readdirSync(dir), ['new.wav']);
+      assert.ok(findRecording('new', dir));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
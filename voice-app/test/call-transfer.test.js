@@ -0,0 +1,157 @@
+/**
+ * Call Transfer Tests
+ *
+ * Checks REFER, bridged and attended transfers against fake dialogs and
+ * endpoints, plus transfer phrases, summaries and config validation.
+ * Run with: node --test test/call-transfer.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const {
+  transferCall,
+  isTransferRequest,
+  buildTransferSummary,
+  validateTransfer,
+  transferSettings
+} = require('../lib/call-transfer');
+
+// A dialog that answers REFER with `status`
+function fakeDialog(status) {
+  const dialog = new EventEmitter();
+  dialog.requests = [];
+  dialog.request = async (req) => {
+    dialog.requests.push(req);
+    if (status === 202) setTimeout(() => dialog.emit('destroy'), 0);
+    return { status };
+  };
+  dialog.destroy = () => dialog.emit('destroy');
+  return dialog;
+}
+
+// Dials a B-leg that hangs up `hangupAfterMs` after answering
+function fakeDialer(events, hangupAfterMs = 5) {
+  return async (target) => {
+    events.push('dial ' + target);
+    const leg = { dialog: new EventEmitter(), endpoint: { uuid: 'b-leg' } };
+    leg.dialog.destroy = () => {
+      events.push('hangup b-leg');
+      leg.dialog.emit('destroy');
+    };
+    setTimeout(() => leg.dialog.emit('destroy'), hangupAfterMs);
+    return leg;
+  };
+}
+
+function callerEndpoint(events) {
+  return { uuid: 'a-leg', bridge: async (other) => events.push('bridge ' + other.uuid) };
+}
+
+test('call transfer', async (t) => {
+  await t.test('blind transfers use REFER', async () => {
+    const dialog = fakeDialog(202);
+    const outcome = await transferCall({ dialog, endpoint: {}, target: '1000', domain: 'pbx.local' });
+
+    assert.deepStrictEqual(outcome, { method: 'refer', target: 'sip:1000@pbx.local' });
+    assert.strictEqual(dialog.requests[0].headers['Refer-To'], '<sip:1000@pbx.local>');
+  });
+
+  await t.test('a refused REFER falls back to a bridged B-leg', async () => {
+    const events = [];
+    const outcome = await transferCall({
+      dialog: fakeDialog(405),
+      endpoint: callerEndpoint(events),
+      target: '1000',
+      domain: 'pbx.local',
+      dial: fakeDialer(events)
+    });
+
+    assert.deepStrictEqual(outcome, { method: 'bridge', target: '1000' });
+    assert.deepStrictEqual(events, ['dial 1000', 'bridge b-leg', 'hangup b-leg']);
+  });
+
+  await t.test('the B-leg gives back its line once it is hung up', async () => {
+    const events = [];
+    const dial = fakeDialer(events);
+    await transferCall({
+      dialog: fakeDialog(405),
+      endpoint: callerEndpoint(events),
+      target: '1000',
+      method: 'bridge',
+      dial: async (target) => Object.assign(await dial(target), { release: () => events.push('release') })
+    });
+
+    assert.deepStrictEqual(events, ['dial 1000', 'bridge b-leg', 'hangup b-leg', 'release']);
+  });
+
+  await t.test('"refer" only, or no way to dial, reports the failure', async () => {
+    await assert.rejects(
+      transferCall({ dialog: fakeDialog(405), endpoint: {}, target: '1000', domain: 'pbx.local', method: 'refer', dial: fakeDialer([]) }),
+      /REFER rejected with 405/
+    );
+    await assert.rejects(
+      transferCall({ dialog: fakeDialog(202), endpoint: {}, target: '1000', method: 'bridge' }),
+      /media server/
+    );
+  });
+
+  await t.test('attended transfers tell the human about the call before bridging', async () => {
+    const events = [];
+    await transferCall({
+      dialog: fakeDialog(202),
+      endpoint: callerEndpoint(events),
+      target: '1000',
+      mode: 'attended',
+      summary: 'Caller wants a refund.',
+      dial: fakeDialer(events),
+      speakTo: async (endpoint, text) => events.push('say to ' + endpoint.uuid + ': ' + text)
+    });
+
+    assert.deepStrictEqual(events, ['dial 1000', 'say to b-leg: Caller wants a refund.', 'bridge b-leg', 'hangup b-leg']);
+  });
+
+  await t.test('the B-leg is hung up if the caller leaves during the summary', async () => {
+    const events = [];
+    let active = true;
+    await assert.rejects(transferCall({
+      dialog: fakeDialog(202),
+      endpoint: callerEndpoint(events),
+      target: '1000',
+      mode: 'attended',
+      summary: 'Hi',
+      dial: fakeDialer(events, 50),
+      speakTo: async () => { active = false; },
+      isActive: () => active
+    }), /Caller hung up/);
+
+    assert.deepStrictEqual(events, ['dial 1000', 'hangup b-leg']);
+  });
+
+  await t.test('phrases, summaries and settings', () => {
+    assert.strictEqual(isTransferRequest('Can I talk to a human, please?'), true);
+    assert.strictEqual(isTransferRequest('Can I speak to an OPERATOR?'), true);
+    assert.strictEqual(isTransferRequest('Which operator runs the night trains?'), false);
+    assert.strictEqual(isTransferRequest('I need to talk to someone at the bank about this'), false);
+    assert.strictEqual(isTransferRequest('what does the cooperator do'), false);
+    assert.strictEqual(isTransferRequest('I need billing', ['billing']), true);
+
+    const summary = buildTransferSummary({
+      callerId: '+1 555 0100',
+      turns: [
+        { role: 'caller', text: 'My invoice is wrong' },
+        { role: 'assistant', text: 'Let me check.' },
+        { role: 'caller', text: 'Let me talk to a human' }
+      ]
+    }, 'Morpheus');
+    assert.strictEqual(summary, 'Hi, this is Morpheus, transferring a caller from 1 5 5 5 0 1 0 0. They said: My invoice is wrong. Connecting you now.');
+
+    assert.strictEqual(transferSettings({ name: 'Morpheus' }), null);
+    assert.strictEqual(transferSettings({ transfer: { target: '1000', dtmfKey: '0' } }).method, 'auto');
+    assert.deepStrictEqual(validateTransfer({ mode: 'attended', method: 'refer', dtmfKey: '#' }), [
+      'transfer.target is required',
+      'transfer.mode "attended" needs method "bridge" or "auto"',
+      'transfer.dtmfKey must be 0-9 or * (# sends speech)'
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Callback Tests
+ *
+ * Schedules callbacks with a fake dialer and conversation to check that the
+ * caller is called back with Claude's answer in the same session, with
+ * retries and call limits, plus callback phrases and config validation.
+ * Run with: node --test test/callback.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const {
+  CallbackScheduler,
+  isCallbackRequest,
+  validateCallback,
+  callbackSettings
+} = require('../lib/callback');
+const { CallLimiter } = require('../lib/call-limits');
+
+const DEVICE = { name: 'Cephanie', callback: { attempts: 2, retryMinutes: 1 } };
+
+// A scheduler whose dial attempts fail with each entry of `failures` in turn, then answer
+function fakeScheduler(failures = [], limiter = new CallLimiter({ maxCalls: 0 })) {
+  const dialed = [];
+  const conversations = [];
+  const hungUp = [];
+  const waits = [];
+  const history = [];
+  const ended = [];
+
+  const scheduler = new CallbackScheduler({
+    claudeBridge: { endSession: async (callId) => { ended.push(callId); } },
+    dial: async (to) => {
+      dialed.push(to);
+      const failure = failures.shift();
+      if (failure) throw new Error(failure);
+      const endpoint = new EventEmitter();
+      endpoint.uuid = 'callback-' + dialed.length;
+      return { dialog: new EventEmitter(), endpoint };
+    },
+    converse: async (endpoint, dialog, callUuid, options) => {
+      conversations.push({ callUuid, options });
+      return { endReason: 'caller_goodbye', startedAt: 'start', endedAt: 'end', turns: [], recorded: false };
+    },
+    hangup: async (dialog, endpoint, callId) => { hungUp.push(callId); },
+    wait: async (ms) => { waits.push(ms); },
+    callHistory: { add: (record) => history.push(record) },
+    limiter
+  });
+
+  return { scheduler, dialed, conversations, hungUp, waits, history, ended };
+}
+
+test('callback', async (t) => {
+  await t.test('calls back with the answer in the same Claude session', async () => {
+    const fake = fakeScheduler();
+    const job = fake.scheduler.schedule({
+      callId: 'call-1',
+      to: '+15550100',
+      deviceConfig: DEVICE,
+      role: 'family',
+      reply: Promise.resolve('🗣️ VOICE_RESPONSE: The backup finished without errors.\n🎯 COMPLETED: Checked backup.')
+    });
+    assert.strictEqual(job.status, 'working');
+    await job.done;
+
+    assert.strictEqual(job.status, 'done');
+    assert.deepStrictEqual(fake.dialed, ['+15550100']);
+    const { callUuid, options } = fake.conversations[0];
+    assert.strictEqual(callUuid, 'callback-1');
+    assert.strictEqual(options.claudeSessionId, 'call-1');
+    assert.strictEqual(options.direction, 'outbound');
+    assert.strictEqual(options.role, 'family');
+    assert.strictEqual(options.greeting, "Hi, it's Cephanie calling you back. The backup finished without errors. Is there anything else?");
+    assert.deepStrictEqual(fake.hungUp, ['callback-1']);
+    assert.strictEqual(fake.history[0].mode, 'callback');
+    assert.strictEqual(fake.history[0].callbackFor, 'call-1');
+    assert.deepStrictEqual(fake.ended, []);
+  });
+
+  await t.test('retries a busy line, then gives up and ends the session', async () => {
+    const retried = fakeScheduler(['busy']);
+    const job = retried.scheduler.schedule({ callId: 'call-2', to: '+15550100', deviceConfig: DEVICE, reply: Promise.resolve('Done.') });
+    await job.done;
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.attempts, 2);
+    assert.deepStrictEqual(retried.waits, [60000]);
+
+    const failed = fakeScheduler(['no_answer', 'no_answer']);
+    const failedJob = failed.scheduler.schedule({ callId: 'call-3', to: '+15550100', deviceConfig: DEVICE, reply: Promise.resolve('Done.') });
+    await failedJob.done;
+    assert.strictEqual(failedJob.status, 'failed');
+    assert.strictEqual(failedJob.error, 'no_answer');
+    assert.strictEqual(failed.conversations.length, 0);
+    assert.deepStrictEqual(failed.ended, ['call-3']);
+
+    const rejected = fakeScheduler(['rejected']);
+    const rejectedJob = rejected.scheduler.schedule({ callId: 'call-4', to: '+15550100', deviceConfig: DEVICE, reply: Promise.resolve('Done.') });
+    await rejectedJob.done;
+    assert.strictEqual(rejectedJob.attempts, 1);
+    assert.strictEqual(rejectedJob.status, 'failed');
+  });
+
+  await t.test('a callback waits for a free line like a busy one', async () => {
+    const limiter = new CallLimiter({ maxCalls: 1 });
+    const inbound = limiter.tryAcquire('Morpheus');
+    const fake = fakeScheduler([], limiter);
+    fake.scheduler.configure({
+      wait: async (ms) => {
+        fake.waits.push(ms);
+        inbound.release();
+      }
+    });
+
+    const job = fake.scheduler.schedule({ callId: 'call-5', to: '+15550100', deviceConfig: DEVICE, reply: Promise.resolve('Done.') });
+    await job.done;
+
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.attempts, 2);
+    assert.deepStrictEqual(fake.dialed, ['+15550100']);
+    assert.strictEqual(limiter.activeCalls(), 0);
+  });
+
+  await t.test('callback phrases', () => {
+    assert.strictEqual(isCallbackRequest('Check the build logs and call me back.'), true);
+    assert.strictEqual(isCallbackRequest("Let me know when you're done"), true);
+    assert.strictEqual(isCallbackRequest('Call me back when the deploy has finished'), true);
+    assert.strictEqual(isCallbackRequest('Who called me back then?'), false);
+
+    // Ordinary questions that only contain part of a request
+    assert.strictEqual(isCallbackRequest('Can you let me know when you last ran the backup?'), false);
+    assert.strictEqual(isCallbackRequest('Call me when I should leave for the airport'), false);
+
+    // Negated requests
+    assert.strictEqual(isCallbackRequest('No need to call me back'), false);
+    assert.strictEqual(isCallbackRequest("Don't call me back when it's done, I'll wait"), false);
+    assert.strictEqual(isCallbackRequest('Please do not call me back once you have it'), false);
+    assert.strictEqual(isCallbackRequest('Never mind the logs and call me back'), true);
+    assert.strictEqual(isCallbackRequest('page me later', ['page me']), true);
+  });
+
+  await t.test('invalid callback config is reported', () => {
+    assert.deepStrictEqual(validateCallback(true), []);
+    assert.deepStrictEqual(validateCallback({ phrases: 'call me', onHangup: 'yes', maxMinutes: 0, attempts: 1.5 }), [
+      'callback.phrases must be a list of phrases',
+      'callback.onHangup must be true or false',
+      'callback.maxMinutes must be a positive number',
+      'callback.attempts must be a positive whole number'
+    ]);
+    assert.strictEqual(callbackSettings({ callback: { enabled: false } }), null);
+    assert.strictEqual(callbackSettings({ callback: true }).attempts, 3);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Caller Memory Tests
+ *
+ * Runs calls through the memory hooks to check notes are saved, reloaded
+ * and added to the next call's first prompt, that "forget" works, that
+ * Claude's summary becomes the note, and that old notes roll off.
+ * Run with: node --test test/caller-memory.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CallHooks } = require('../lib/call-hooks');
+const { CallerMemory, registerCallerMemory, buildNote, summarizeCall, memorySettings } = require('../lib/caller-memory');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caller-memory-test-'));
+  return path.join(dir, 'data', 'memory.json');
+}
+
+function cleanup(file) {
+  fs.rmSync(path.dirname(path.dirname(file)), { recursive: true, force: true });
+}
+
+const DEVICE = { name: 'Morpheus', memory: true };
+
+// Plays one call through the hooks the way the conversation loop does; returns the prompts sent
+async function runCall(hooks, lines, { callerId = '+15551230001', deviceConfig = DEVICE, id = 'call-1' } = {}) {
+  const call = { callUuid: id, direction: 'inbound', callerId, deviceConfig, turns: [] };
+  const prompts = [];
+  await hooks.run('onCallStart', {}, call);
+  for (const line of lines) {
+    const { transcript } = await hooks.run('afterTranscript', { transcript: line }, call);
+    call.turns.push({ role: 'caller', text: transcript });
+    const { prompt } = await hooks.run('beforeClaude', { prompt: transcript, queryOptions: {} }, call);
+    prompts.push(prompt);
+    call.turns.push({ role: 'assistant', text: 'Answer to ' + line });
+  }
+  await hooks.run('onCallEnd', { endReason: 'caller_hangup', endedAt: '2025-01-01T10:00:00.000Z' }, call);
+  return prompts;
+}
+
+test('caller memory', async (t) => {
+  await t.test('notes from one call reach the first prompt of the next', async () => {
+    const file = tempFile();
+    try {
+      const hooks = new CallHooks();
+      const memory = new CallerMemory({ file });
+      registerCallerMemory(memory, { hooks });
+
+      await runCall(hooks, ['Is the backup job done?']);
+      await memory.flush();
+
+      const reloaded = new CallerMemory({ file }).load();
+      const entry = reloaded.get('morpheus', '+1 555 123 0001');
+      assert.strictEqual(entry.calls, 1);
+      assert.strictEqual(entry.notes[0].text, 'Caller: "Is the backup job done?" You: "Answer to Is the backup job done?"');
+
+      const prompts = await runCall(hooks, ['Did it finish?', 'Thanks'], { id: 'call-2' });
+      await memory.flush();
+      assert.match(prompts[0], /^\[CALLER MEMORY[^\n]*\n- 2025-01-01: Caller: "Is the backup job done\?"/);
+      assert.match(prompts[0], /\[END CALLER MEMORY\]\n\nDid it finish\?$/);
+      assert.strictEqual(prompts[1], 'Thanks');
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('only devices with memory on, and callers with a number, are remembered', async () => {
+    const file = tempFile();
+    try {
+      const hooks = new CallHooks();
+      const memory = new CallerMemory({ file });
+      registerCallerMemory(memory, { hooks });
+
+      await runCall(hooks, ['Hello'], { deviceConfig: { name: 'Cephanie' } });
+      await runCall(hooks, ['Hello'], { callerId: 'anonymous' });
+      assert.strictEqual(memory.list().length, 0);
+      assert.strictEqual(memorySettings({ memory: { enabled: false } }), null);
+      assert.deepStrictEqual(memorySettings({ memory: { maxChars: 200 } }), { maxChars: 200 });
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('"forget that" skips this call; "forget everything" deletes stored notes', async () => {
+    const file = tempFile();
+    try {
+      const hooks = new CallHooks();
+      const memory = new CallerMemory({ file });
+      registerCallerMemory(memory, { hooks });
+
+      await runCall(hooks, ['My locker code is 1234']);
+      await memory.flush();
+      const prompts = await runCall(hooks, ['Forget that, please'], { id: 'call-2' });
+      await memory.flush();
+      assert.match(prompts[0], /This call will not be remembered/);
+      assert.strictEqual(memory.get('Morpheus', '+15551230001').calls, 1);
+
+      const forgetAll = await runCall(hooks, ['Please forget everything'], { id: 'call-3' });
+      assert.doesNotMatch(forgetAll[0], /CALLER MEMORY/);
+      assert.match(forgetAll[0], /has been deleted/);
+      assert.strictEqual(memory.get('Morpheus', '+15551230001'), null);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('"don\'t forget that" is not a request to forget', async () => {
+    const file = tempFile();
+    try {
+      const hooks = new CallHooks();
+      const memory = new CallerMemory({ file });
+      registerCallerMemory(memory, { hooks });
+
+      await runCall(hooks, ['My locker code is 1234']);
+      await memory.flush();
+      const prompts = await runCall(hooks, [
+        "Don't forget that I'm away next week",
+        'Please do not forget this',
+        'Never forget this',
+        "I don't remember that",
+        "Don't forget everything we said"
+      ], { id: 'call-2' });
+      await memory.flush();
+
+      for (const prompt of prompts) assert.doesNotMatch(prompt, /will not be remembered|has been deleted/);
+      assert.strictEqual(memory.get('Morpheus', '+15551230001').calls, 2);
+
+      // Asked for, in the middle of a sentence, it still counts
+      const asked = await runCall(hooks, ['Okay, forget that'], { id: 'call-3' });
+      await memory.flush();
+      assert.match(asked[0], /This call will not be remembered/);
+      assert.strictEqual(memory.get('Morpheus', '+15551230001').calls, 2);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('with a claudeBridge, the note is Claude\'s summary of the call', async () => {
+    const file = tempFile();
+    try {
+      const queries = [];
+      let answer;
+      const answered = new Promise((resolve) => { answer = resolve; });
+      const claudeBridge = {
+        queryStructured: async (prompt, options) => {
+          queries.push({ prompt, options });
+          await answered;
+          return { summary: '  Asked about the backup job;\nit was still running. ' };
+        }
+      };
+      const hooks = new CallHooks();
+      const memory = new CallerMemory({ file });
+      registerCallerMemory(memory, { hooks, claudeBridge });
+
+      // The hook returns before the summary is written, so the call isn't held open
+      await runCall(hooks, ['Is the backup job done?']);
+      assert.strictEqual(memory.get('Morpheus', '+15551230001'), null);
+      answer();
+      await memory.flush();
+
+      assert.strictEqual(memory.get('Morpheus', '+15551230001').notes[0].text, 'Asked about the backup job; it was still running.');
+      assert.strictEqual(queries.length, 1);
+      assert.strictEqual(queries[0].options.schema.queryType, 'caller_memory_note');
+      assert.match(queries[0].prompt, /Caller: Is the backup job done\?\nYou: Answer to Is the backup job done\?/);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('a failed or empty summary falls back to quoting the call', async () => {
+    const turns = [{ role: 'caller', text: 'Hello' }, { role: 'assistant', text: 'Hi there' }];
+    const failing = { queryStructured: async () => { throw new Error('Structured query failed: timeout'); } };
+    const empty = { queryStructured: async () => ({ summary: ' ' }) };
+
+    assert.strictEqual(await summarizeCall(turns, { claudeBridge: failing, device: 'Morpheus' }), 'Caller: "Hello" You: "Hi there"');
+    assert.strictEqual(await summarizeCall(turns, { claudeBridge: empty, device: 'Morpheus' }), 'Caller: "Hello" You: "Hi there"');
+
+    // Nothing said: nothing to summarize, and Claude isn't asked
+    assert.strictEqual(await summarizeCall([], { claudeBridge: failing, device: 'Morpheus' }), '');
+  });
+
+  await t.test('the oldest notes roll off past maxChars', async () => {
+    const file = tempFile();
+    try {
+      const memory = new CallerMemory({ file });
+      for (let i = 1; i <= 5; i++) {
+        await memory.addNote('Morpheus', '1001', { at: `2025-01-0${i}T10:00:00.000Z`, callId: 'c' + i, text: 'x'.repeat(40) }, 120);
+      }
+      const entry = memory.get('Morpheus', '1001');
+      assert.strictEqual(entry.calls, 5);
+      assert.deepStrictEqual(entry.notes.map(note => note.callId), ['c4', 'c5']);
+    } finally {
+      cleanup(file);
+    }
+  });
+
+  await t.test('notes keep the last few spoken exchanges and skip keypresses', () => {
+    const turns = [{ role: 'caller', text: 'Pressed 1', dtmf: '1' }];
+    for (let i = 1; i <= 6; i++) {
+      turns.push({ role: 'caller', text: 'Question ' + i }, { role: 'assistant', text: 'Answer ' + i });
+    }
+    const note = buildNote(turns);
+    assert.doesNotMatch(note, /Pressed|Question 2"/);
+    assert.strictEqual(note.split(' / ').length, 4);
+    assert.strictEqual(buildNote([]), '');
+  });
+});
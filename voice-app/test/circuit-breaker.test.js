@@ -0,0 +1,127 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Checks breaker state transitions, bounded retries, timeouts and the
+ * ordered fallback chain used for TTS/STT failover.
+ * Run with: node --test test/circuit-breaker.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, runWithFallback } = require('../lib/circuit-breaker');
+
+function httpError(status) {
+  const error = new Error('HTTP ' + status);
+  error.response = { status };
+  return error;
+}
+
+const fail = (error) => () => Promise.reject(error);
+
+test('circuit breaker', async (t) => {
+  await t.test('opens after consecutive failures and then fails fast', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 60000 });
+    let calls = 0;
+    const fn = () => { calls++; return Promise.reject(httpError(503)); };
+
+    await assert.rejects(breaker.execute(fn), /HTTP 503/);
+    await assert.rejects(breaker.execute(fn), /HTTP 503/);
+    assert.strictEqual(breaker.state, 'open');
+
+    await assert.rejects(breaker.execute(fn), { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(calls, 2, 'open breaker must not call through');
+  });
+
+  await t.test('half-open trial success closes the breaker', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 20 });
+    await assert.rejects(breaker.execute(fail(httpError(500))));
+    assert.strictEqual(breaker.state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await breaker.execute(() => Promise.resolve('ok')), 'ok');
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.failures, 0);
+  });
+
+  await t.test('half-open trial failure re-opens immediately', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 20, retries: 2, retryDelayMs: 0 });
+    breaker.state = 'open';
+    breaker.openedAt = Date.now() - 50;
+
+    let calls = 0;
+    await assert.rejects(breaker.execute(() => { calls++; return Promise.reject(httpError(500)); }));
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(calls, 1, 'trial gets a single attempt');
+  });
+
+  await t.test('retries server errors but not client errors', async () => {
+    const breaker = new CircuitBreaker('test', { retries: 2, retryDelayMs: 0 });
+
+    let calls = 0;
+    const flaky = () => (++calls < 3 ? Promise.reject(httpError(502)) : Promise.resolve('ok'));
+    assert.strictEqual(await breaker.execute(flaky), 'ok');
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    await assert.rejects(breaker.execute(() => { calls++; return Promise.reject(httpError(401)); }));
+    assert.strictEqual(calls, 1);
+  });
+
+  await t.test('times out slow calls', async () => {
+    const breaker = new CircuitBreaker('slow', { timeoutMs: 20 });
+    await assert.rejects(
+      breaker.execute(() => new Promise(resolve => setTimeout(resolve, 200))),
+      /slow timed out after 20ms/
+    );
+  });
+
+  await t.test('each call can bring its own timeout', async () => {
+    const breaker = new CircuitBreaker('shared', { timeoutMs: 20 });
+    const slow = () => new Promise(resolve => setTimeout(() => resolve('done'), 60));
+
+    assert.strictEqual(await breaker.execute(slow, { timeoutMs: 500 }), 'done');
+    await assert.rejects(breaker.execute(slow), /shared timed out after 20ms/);
+    await assert.rejects(breaker.execute(slow, { timeoutMs: 10 }), /shared timed out after 10ms/);
+
+    // Devices sharing a provider each get their own timeout through the chain
+    const chain = [{ name: 'tts', breaker: new CircuitBreaker('tts:openai'), timeoutMs: 10 }];
+    await assert.rejects(runWithFallback(chain, slow, 'tts'), /tts:openai timed out after 10ms/);
+    chain[0].timeoutMs = 500;
+    assert.strictEqual(await runWithFallback(chain, slow, 'tts'), 'done');
+  });
+
+  await t.test('fallback chain uses the first provider that works', async () => {
+    const chain = ['a', 'b', 'c'].map(name => ({ name, breaker: new CircuitBreaker(name) }));
+    const tried = [];
+
+    const result = await runWithFallback(chain, (entry) => {
+      tried.push(entry.name);
+      return entry.name === 'a' ? Promise.reject(httpError(503)) : Promise.resolve('from ' + entry.name);
+    }, 'tts');
+
+    assert.strictEqual(result, 'from b');
+    assert.deepStrictEqual(tried, ['a', 'b']);
+  });
+
+  await t.test('fallback chain skips open breakers and reports every failure', async () => {
+    const open = new CircuitBreaker('a', { resetTimeoutMs: 60000 });
+    open.state = 'open';
+    open.openedAt = Date.now();
+    const chain = [{ name: 'a', breaker: open }, { name: 'b', breaker: new CircuitBreaker('b') }];
+
+    await assert.rejects(
+      runWithFallback(chain, fail(httpError(500)), 'stt'),
+      (error) => {
+        assert.strictEqual(error.code, 'ALL_PROVIDERS_FAILED');
+        assert.match(error.message, /a: Circuit open/);
+        assert.match(error.message, /b: HTTP 500/);
+        return true;
+      }
+    );
+  });
+
+  await t.test('single provider keeps its own error', async () => {
+    const chain = [{ name: 'only', breaker: new CircuitBreaker('only') }];
+    await assert.rejects(runWithFallback(chain, fail(httpError(401)), 'tts'), /HTTP 401/);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Claude Bridge Tests
+ *
+ * Runs queryStream against a local stand-in for claude-api-server to check
+ * SSE parsing across chunks, error events, the fallback to /ask on API
+ * servers without /ask-stream, and that API_SERVER_TOKEN is sent along.
+ * Run with: node --test test/claude-bridge.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+// One SSE event, as claude-api-server writes it
+function sse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function pause(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('claude bridge', async (t) => {
+  // What /ask-stream does for the current test: (req, body, res) => Promise
+  let onStream = null;
+  const asked = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const parsed = JSON.parse(body);
+      if (req.url === '/ask-stream') return onStream(parsed, res);
+      asked.push({ url: req.url, token: req.headers['x-api-token'], body: parsed });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ success: true, response: 'Buffered answer', duration_ms: 5 }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const savedUrl = process.env.CLAUDE_API_URL;
+  const savedToken = process.env.API_SERVER_TOKEN;
+  process.env.CLAUDE_API_URL = 'http://127.0.0.1:' + server.address().port;
+  process.env.API_SERVER_TOKEN = 'bridge-token';
+  const { queryStream, parseSseBlock } = require('../lib/claude-bridge');
+
+  t.after(() => {
+    server.close();
+    if (savedUrl === undefined) delete process.env.CLAUDE_API_URL;
+    else process.env.CLAUDE_API_URL = savedUrl;
+    if (savedToken === undefined) delete process.env.API_SERVER_TOKEN;
+    else process.env.API_SERVER_TOKEN = savedToken;
+  });
+
+  await t.test('SSE blocks', () => {
+    assert.deepStrictEqual(parseSseBlock('event: text\ndata: {"text":"Hi"}'), { event: 'text', data: { text: 'Hi' } });
+    assert.deepStrictEqual(parseSseBlock('data: {"a":\ndata: 1}'), { event: 'message', data: { a: 1 } });
+    assert.strictEqual(parseSseBlock(': keep-alive'), null);
+    assert.strictEqual(parseSseBlock('event: text\ndata: {not json'), null);
+  });
+
+  await t.test('text arrives as it streams, split events included', async () => {
+    onStream = async (body, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      const events = sse('text', { text: 'The disk ' }) +
+        sse('tool_use', { id: 'tool-1', name: 'Bash', input: { command: 'df -h' } }) +
+        sse('text', { text: 'is fine.' }).replace(/\n/g, '\r\n') +
+        sse('result', { success: true, response: 'The disk is fine.', duration_ms: 9 });
+      // Cut mid-event, so blocks have to be put back together
+      for (const chunk of [events.slice(0, 12), events.slice(12, 90), events.slice(90)]) {
+        res.write(chunk);
+        await pause(10);
+      }
+      res.end();
+    };
+
+    const texts = [];
+    const tools = [];
+    const answer = await queryStream('How is the disk?', {
+      callId: 'call-1',
+      onText: (delta, soFar) => texts.push([delta, soFar]),
+      onToolUse: (tool) => tools.push(tool.name)
+    });
+
+    assert.strictEqual(answer, 'The disk is fine.');
+    assert.deepStrictEqual(texts, [['The disk ', 'The disk '], ['is fine.', 'The disk is fine.']]);
+    assert.deepStrictEqual(tools, ['Bash']);
+  });
+
+  await t.test('an error event becomes a spoken error, not a crash', async () => {
+    onStream = async (body, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.write(sse('text', { text: 'Let me' }));
+      await pause(10);
+      res.end(sse('error', { success: false, error: 'Claude run failed: max turns' }));
+    };
+
+    const answer = await queryStream('Do a lot of things');
+    assert.match(answer, /unexpected error/);
+  });
+
+  await t.test('a stream that ends without a result is an error', async () => {
+    onStream = async (body, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.end(sse('text', { text: 'Half an ans' }));
+    };
+
+    assert.match(await queryStream('Hello'), /unexpected error/);
+  });
+
+  await t.test('API servers without /ask-stream are asked on /ask', async () => {
+    onStream = async (body, res) => {
+      res.statusCode = 404;
+      res.end('Cannot POST /ask-stream');
+    };
+
+    const answer = await queryStream('Status?', { callId: 'call-2', devicePrompt: 'You are Cephanie.', role: 'family' });
+
+    assert.strictEqual(answer, 'Buffered answer');
+    assert.deepStrictEqual(asked, [{
+      url: '/ask',
+      token: 'bridge-token',
+      body: { prompt: 'Status?', callId: 'call-2', devicePrompt: 'You are Cephanie.', role: 'family' }
+    }]);
+  });
+});
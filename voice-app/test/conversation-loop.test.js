@@ -0,0 +1,329 @@
+/**
+ * Conversation Loop Tests
+ *
+ * Runs the shared turn pipeline against fake FreeSWITCH, audio fork, STT,
+ * Claude and TTS objects to check turn handling, end reasons and the order
+ * and effect of call hooks.
+ * Run with: node --test test/conversation-loop.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { runConversationLoop, isGoodbye } = require('../lib/conversation-loop');
+const { CallHooks } = require('../lib/call-hooks');
+const metrics = require('../lib/metrics');
+
+// A call where the caller says each entry of `said` in turn (null = silence)
+// and presses keys[url] when that URL plays
+function fakeCall({ said, reply, keys = {} }) {
+  const utterances = said.slice();
+  const played = [];
+
+  const dialog = new EventEmitter();
+  const endpoint = new EventEmitter();
+  endpoint.uuid = 'loop-test';
+  endpoint.play = async (url) => {
+    played.push(url);
+    if (keys[url]) endpoint.emit('dtmf', { dtmf: keys[url] });
+  };
+  endpoint.api = async () => {};
+  endpoint.forkAudioStart = async () => {};
+  endpoint.forkAudioStop = async () => {};
+
+  const session = new EventEmitter();
+  session.setCaptureEnabled = () => {};
+  session.configureVad = () => {};
+  session.configureBargeIn = () => {};
+  session.beginPlayback = () => false;
+  session.forceFinalize = () => {};
+  session.waitForUtterance = async () => {
+    const text = utterances.shift();
+    if (!text) throw new Error('Utterance timeout');
+    return { audio: Buffer.from(text), durationMs: 1000, reason: 'vad' };
+  };
+
+  const options = {
+    audioForkServer: { expectSession: async () => session, cancelExpectation: () => {} },
+    whisperClient: { transcribe: async (audio) => audio.toString() },
+    claudeBridge: {
+      query: async (prompt) => (reply ? reply(prompt) : '🗣️ VOICE_RESPONSE: You said ' + prompt),
+      endSession: async () => {}
+    },
+    ttsService: { generateSpeech: async (text) => 'tts:' + text },
+    wsPort: 3001,
+    direction: 'inbound',
+    callerId: '+15551234567',
+    hooks: new CallHooks()
+  };
+
+  return { dialog, endpoint, options, played, spoken: () => played.filter(url => url.startsWith('tts:')).map(url => url.slice(4)) };
+}
+
+test('conversation loop', async (t) => {
+  const prev = process.env.RECORDING_ENABLED;
+  delete process.env.RECORDING_ENABLED;
+  t.after(() => {
+    if (prev !== undefined) process.env.RECORDING_ENABLED = prev;
+  });
+
+  await t.test('answers turns and ends on goodbye', async () => {
+    const call = fakeCall({ said: ['how is the disk', 'goodbye'] });
+    let answered = null;
+    call.options.onTurn = (turn) => { answered = turn; };
+
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    assert.strictEqual(result.endReason, 'caller_goodbye');
+    assert.deepStrictEqual(result.turns.map(turn => [turn.role, turn.text]), [
+      ['caller', 'how is the disk'],
+      ['assistant', 'You said how is the disk'],
+      ['caller', 'goodbye'],
+      ['assistant', 'Goodbye! Call again anytime.']
+    ]);
+    assert.strictEqual(result.turns[1].response, '🗣️ VOICE_RESPONSE: You said how is the disk');
+    assert.strictEqual(answered.assistant, 'You said how is the disk');
+    assert.strictEqual(call.spoken()[0], "Hello! I'm your server. How can I help you today?");
+  });
+
+  await t.test('each turn is timed by stage and the call counted by outcome', async () => {
+    metrics.registry.reset();
+    const call = fakeCall({ said: ['how is the disk', 'goodbye'] });
+    call.options.deviceConfig = { name: 'Trinity' };
+
+    await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    const text = metrics.registry.render();
+    for (const stage of ['stt', 'claude', 'tts', 'first_audio']) {
+      assert.match(text, new RegExp(`voice_stage_duration_seconds_count\\{stage="${stage}",device="Trinity"\\} [1-9]`));
+    }
+    assert.strictEqual(metrics.calls.get({ device: 'Trinity', direction: 'inbound', outcome: 'caller_goodbye' }), 1);
+    assert.strictEqual(metrics.activeCalls.get({ device: 'Trinity', direction: 'inbound' }), 0);
+  });
+
+  await t.test('hooks run in pipeline order and can rewrite each step', async () => {
+    const call = fakeCall({ said: ['how is the dusk', 'bye'] });
+    const hooks = call.options.hooks;
+    const order = [];
+
+    hooks.register('onCallStart', (payload, c) => order.push('onCallStart:' + c.direction));
+    hooks.register('beforeTranscribe', () => order.push('beforeTranscribe'));
+    hooks.register('afterTranscript', (payload) => {
+      order.push('afterTranscript');
+      payload.transcript = payload.transcript.replace('dusk', 'disk');
+    });
+    hooks.register('beforeClaude', (payload) => {
+      order.push('beforeClaude');
+      payload.prompt = 'Ops: ' + payload.prompt;
+    });
+    hooks.register('afterClaude', (payload) => order.push('afterClaude:' + payload.voiceLine));
+    hooks.register('beforeSpeak', (payload) => {
+      if (payload.kind === 'response') payload.text = payload.text.toUpperCase();
+      if (payload.kind === 'thinking') payload.text = '';
+    });
+    hooks.register('onCallEnd', (payload, c) => order.push('onCallEnd:' + payload.endReason + ':' + c.turns.length));
+
+    await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    assert.deepStrictEqual(order, [
+      'onCallStart:inbound',
+      'beforeTranscribe',
+      'afterTranscript',
+      'beforeClaude',
+      'afterClaude:You said Ops: how is the disk',
+      'beforeTranscribe',
+      'afterTranscript',
+      'onCallEnd:caller_goodbye:4'
+    ]);
+    assert.ok(call.spoken().includes('YOU SAID OPS: HOW IS THE DISK'));
+    assert.strictEqual(call.spoken().length, 3, 'greeting, response, goodbye - thinking phrase skipped');
+  });
+
+  await t.test('END_CALL from Claude or an afterClaude hook ends the call', async () => {
+    const marked = fakeCall({ said: ['that will do it'], reply: () => '🗣️ VOICE_RESPONSE: Done.\n🔚 END_CALL' });
+    assert.strictEqual((await runConversationLoop(marked.endpoint, marked.dialog, 'loop-test', marked.options)).endReason, 'assistant_ended');
+
+    const hooked = fakeCall({ said: ['restart the server', 'and then?'] });
+    hooked.options.hooks.register('afterClaude', (payload) => { payload.endCall = true; });
+    const result = await runConversationLoop(hooked.endpoint, hooked.dialog, 'loop-test', hooked.options);
+    assert.strictEqual(result.endReason, 'assistant_ended');
+    assert.strictEqual(result.turns.length, 2);
+  });
+
+  await t.test('hangs up after repeated silence', async () => {
+    const call = fakeCall({ said: [null, null] });
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    assert.strictEqual(result.endReason, 'silence_timeout');
+    assert.deepStrictEqual(call.spoken().slice(1), [
+      "I didn't hear anything. Are you still there?",
+      "I'll let you go. Call again anytime. Goodbye!"
+    ]);
+  });
+
+  await t.test('a hang-up while Claude is thinking ends the loop', async () => {
+    const call = fakeCall({ said: ['long question'] });
+    call.options.claudeBridge.query = () => {
+      setTimeout(() => call.dialog.emit('destroy'), 0);
+      return new Promise(() => {});
+    };
+    let ended = null;
+    call.options.hooks.register('onCallEnd', (payload) => { ended = payload.endReason; });
+
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+    assert.strictEqual(result.endReason, 'caller_hangup');
+    assert.strictEqual(ended, 'caller_hangup');
+    assert.ok(!call.spoken().includes('Sorry, something went wrong.'));
+  });
+
+  await t.test('a failing hook is skipped, not fatal', async () => {
+    const call = fakeCall({ said: ['status', 'bye'] });
+    call.options.hooks.register('beforeClaude', () => { throw new Error('hook bug'); });
+
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+    assert.strictEqual(result.endReason, 'caller_goodbye');
+    assert.strictEqual(result.turns[1].text, 'You said status');
+  });
+
+  await t.test('an IVR menu can hand the call to another device', async () => {
+    const cephanie = { name: 'Cephanie', voiceId: 'cephanie-voice', prompt: 'You are Cephanie.' };
+    const call = fakeCall({ said: ['bye'], keys: { 'tts:Press 2 for Cephanie.': '2' } });
+    call.options.ivr = {
+      prompt: 'Press 2 for Cephanie.',
+      options: { '2': { action: 'device', device: 'Cephanie' } }
+    };
+    call.options.deviceRegistry = { get: (name) => (name === 'Cephanie' ? cephanie : null) };
+
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    assert.strictEqual(result.endReason, 'caller_goodbye');
+    assert.deepStrictEqual(call.spoken().slice(0, 2), ['Press 2 for Cephanie.', "Hello! I'm Cephanie. How can I help you today?"]);
+    assert.strictEqual(result.turns[0].text, 'Pressed 2');
+    assert.strictEqual(result.turns.length, 3);
+  });
+
+  await t.test('an IVR hand-over applies the next device\'s access block and role', async () => {
+    const menu = {
+      prompt: 'Press 2 for Cephanie.',
+      options: { '2': { action: 'device', device: 'Cephanie' } }
+    };
+    const handOver = (cephanie) => {
+      const call = fakeCall({ said: ['status', 'bye'], keys: { 'tts:Press 2 for Cephanie.': '2' } });
+      call.options.ivr = menu;
+      call.options.role = 'admin';
+      call.options.deviceRegistry = { get: (name) => (name === 'Cephanie' ? cephanie : null) };
+      call.roles = [];
+      call.ended = [];
+      call.options.claudeBridge.query = async (prompt, options) => {
+        call.roles.push(options.role);
+        return '🗣️ VOICE_RESPONSE: OK.';
+      };
+      call.options.claudeBridge.endSession = async (callId) => { call.ended.push(callId); };
+      return call;
+    };
+
+    // Not on Cephanie's allowlist: refused, and the call stays on the first device with its role
+    const refused = handOver({ name: 'Cephanie', access: { allow: ['+15559999999'] } });
+    await runConversationLoop(refused.endpoint, refused.dialog, 'loop-test', refused.options);
+    assert.deepStrictEqual(refused.spoken().slice(0, 3), [
+      'Press 2 for Cephanie.',
+      "Sorry, that option isn't available to you.",
+      "Hello! I'm your server. How can I help you today?"
+    ]);
+    assert.deepStrictEqual(refused.roles, ['admin']);
+    assert.deepStrictEqual(refused.ended, ['loop-test']);
+
+    // Allowed: the role comes from Cephanie's access block, in a new Claude session
+    const admitted = handOver({ name: 'Cephanie', access: { roles: { family: { allow: ['+1555*'] } } } });
+    await runConversationLoop(admitted.endpoint, admitted.dialog, 'loop-test', admitted.options);
+    assert.strictEqual(admitted.spoken()[1], "Hello! I'm Cephanie. How can I help you today?");
+    assert.deepStrictEqual(admitted.roles, ['family']);
+    assert.deepStrictEqual(admitted.ended, ['loop-test', 'loop-test']);
+  });
+
+  await t.test('a caller phrase or Claude can transfer the call', async () => {
+    const referred = (call) => {
+      call.dialog.request = async (req) => {
+        call.referTo = req.headers['Refer-To'];
+        setTimeout(() => call.dialog.emit('destroy'), 0);
+        return { status: 202 };
+      };
+      call.options.deviceConfig = { name: 'Morpheus', transfer: { target: 'sip:1000@pbx.local', announce: 'Hold on.' } };
+      return call;
+    };
+
+    const byPhrase = referred(fakeCall({ said: ['let me talk to a human'] }));
+    const result = await runConversationLoop(byPhrase.endpoint, byPhrase.dialog, 'loop-test', byPhrase.options);
+    assert.strictEqual(result.endReason, 'transferred');
+    assert.strictEqual(byPhrase.referTo, '<sip:1000@pbx.local>');
+    assert.deepStrictEqual(result.turns[1].transfer, { reason: 'caller', target: 'sip:1000@pbx.local' });
+    assert.strictEqual(byPhrase.spoken().pop(), 'Hold on.');
+
+    let prompted = null;
+    const byClaude = referred(fakeCall({ said: ['my invoice is wrong'], reply: () => '🗣️ VOICE_RESPONSE: Let me get billing.\n🔀 TRANSFER_CALL' }));
+    byClaude.options.claudeBridge.query = async (prompt, options) => {
+      prompted = options.devicePrompt;
+      return '🗣️ VOICE_RESPONSE: Let me get billing.\n🔀 TRANSFER_CALL';
+    };
+    const claudeResult = await runConversationLoop(byClaude.endpoint, byClaude.dialog, 'loop-test', byClaude.options);
+    assert.strictEqual(claudeResult.endReason, 'transferred');
+    assert.strictEqual(claudeResult.turns[2].transfer.reason, 'assistant');
+    assert.match(prompted, /TRANSFER_CALL/);
+  });
+
+  await t.test('the voicemail key ends the conversation for a message', async () => {
+    const call = fakeCall({ said: ['I want to leave a message'], keys: { 'http://127.0.0.1:3000/static/ready-beep.wav': '9' } });
+    call.options.deviceConfig = { name: 'Cephanie', voicemail: { dtmfKey: '9' } };
+
+    const result = await runConversationLoop(call.endpoint, call.dialog, 'loop-test', call.options);
+
+    assert.strictEqual(result.endReason, 'voicemail');
+    assert.strictEqual(result.turns.length, 0);
+  });
+
+  await t.test('a callback request or a hang-up on hold music leaves Claude working', async () => {
+    const asked = fakeCall({ said: ['check the build logs and call me back'] });
+    asked.options.deviceConfig = { name: 'Cephanie', callback: true };
+    let queried = null;
+    let ended = false;
+    asked.options.claudeBridge.query = async (prompt, options) => {
+      queried = { prompt, options };
+      return '🗣️ VOICE_RESPONSE: The build is green.';
+    };
+    asked.options.claudeBridge.endSession = async () => { ended = true; };
+
+    const result = await runConversationLoop(asked.endpoint, asked.dialog, 'loop-test', asked.options);
+    assert.strictEqual(result.endReason, 'callback');
+    assert.strictEqual(await result.callback.reply, '🗣️ VOICE_RESPONSE: The build is green.');
+    assert.match(queried.prompt, /^check the build logs and call me back\n\[CALLBACK/);
+    assert.strictEqual(queried.options.timeout, 30 * 60);
+    assert.match(asked.spoken().pop(), /call you back/);
+    assert.strictEqual(ended, false);
+
+    const hungUp = fakeCall({ said: ['long question'] });
+    hungUp.options.deviceConfig = { name: 'Cephanie', callback: { onHangup: true } };
+    hungUp.options.claudeBridge.query = () => {
+      setTimeout(() => hungUp.dialog.emit('destroy'), 0);
+      return new Promise(resolve => setTimeout(() => resolve('🗣️ VOICE_RESPONSE: Done.'), 20));
+    };
+    const hangupResult = await runConversationLoop(hungUp.endpoint, hungUp.dialog, 'loop-test', hungUp.options);
+    assert.strictEqual(hangupResult.endReason, 'caller_hangup');
+    assert.strictEqual(await hangupResult.callback.reply, '🗣️ VOICE_RESPONSE: Done.');
+
+    const anonymous = fakeCall({ said: ['check the logs and call me back'] });
+    anonymous.options.deviceConfig = { name: 'Cephanie', callback: true };
+    anonymous.options.callerId = 'anonymous';
+    const anonymousResult = await runConversationLoop(anonymous.endpoint, anonymous.dialog, 'loop-test', anonymous.options);
+    assert.strictEqual(anonymousResult.callback, undefined);
+  });
+
+  await t.test('unknown hook names are rejected', () => {
+    assert.throws(() => new CallHooks().register('afterSpeak', () => {}), /Unknown call hook/);
+  });
+
+  await t.test('goodbye detection', () => {
+    assert.ok(isGoodbye("No, that's all, thanks"));
+    assert.ok(isGoodbye('Bye'));
+    assert.ok(!isGoodbye('Is the backup done?'));
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Device Registry Tests
+ *
+ * Checks reloading devices.json: a good file replaces every device at
+ * once and reports what changed, a file with anything invalid keeps the
+ * current devices, device objects held by calls in progress stay as they
+ * were, and the watcher reloads on edits.
+ * Run with: node --test test/device-registry.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeviceRegistry } = require('../lib/device-registry');
+
+const morpheus = { name: 'Morpheus', extension: '9000', authId: 'a1', password: 'p1', prompt: 'You are Morpheus.' };
+const trinity = { name: 'Trinity', extension: '9002', authId: 'a2', password: 'p2', prompt: 'You are Trinity.' };
+
+test('device registry', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-registry-'));
+  const file = path.join(dir, 'devices.json');
+  const write = (devices) => fs.writeFileSync(file, typeof devices === 'string' ? devices : JSON.stringify(devices));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('reload swaps in the new devices and reports the difference', () => {
+    write({ 9000: morpheus, 9002: trinity });
+    const registry = new DeviceRegistry(file);
+    const changes = [];
+    registry.on('change', diff => changes.push(diff));
+
+    write({
+      9000: Object.assign({}, morpheus, { prompt: 'You are Morpheus, briefly.' }),
+      9004: { name: 'Oracle', extension: '9004', authId: 'a4', password: 'p4' }
+    });
+    const diff = registry.reload();
+
+    assert.deepStrictEqual(diff, { added: ['9004'], removed: ['9002'], changed: ['9000'] });
+    assert.deepStrictEqual(changes, [diff]);
+    assert.strictEqual(registry.get('Trinity'), null);
+    assert.strictEqual(registry.get('oracle').extension, '9004');
+    assert.strictEqual(registry.getByExtension('9000').prompt, 'You are Morpheus, briefly.');
+
+    // Reloading the same file changes nothing and emits nothing
+    assert.deepStrictEqual(registry.reload(), { added: [], removed: [], changed: [] });
+    assert.strictEqual(changes.length, 1);
+  });
+
+  await t.test('calls in progress keep the device they started with', () => {
+    write({ 9000: morpheus });
+    const registry = new DeviceRegistry(file);
+    const inCall = registry.get('9000');
+
+    write({ 9000: Object.assign({}, morpheus, { voiceId: 'new-voice' }) });
+    registry.reload();
+
+    assert.strictEqual(inCall.voiceId, undefined);
+    assert.strictEqual(registry.get('9000').voiceId, 'new-voice');
+  });
+
+  await t.test('an unusable file keeps the current devices', () => {
+    write({ 9000: morpheus, 9002: trinity });
+    const registry = new DeviceRegistry(file);
+    let emitted = false;
+    registry.on('change', () => { emitted = true; });
+
+    write('{ "9000": { "name": "Morph');
+    assert.strictEqual(registry.reload(), null);
+    write({ 9000: { extension: '9000' } });
+    assert.strictEqual(registry.reload(), null);
+    write([morpheus]);
+    assert.strictEqual(registry.reload(), null);
+
+    assert.deepStrictEqual(Object.keys(registry.getAll()), ['9000', '9002']);
+    assert.strictEqual(emitted, false);
+  });
+
+  await t.test('at startup an invalid device or block is dropped and the rest load', () => {
+    write({
+      9000: Object.assign({}, morpheus, { sip: { transport: 'wss' }, pbx: 'nowhere' }),
+      9002: { extension: '9002' }
+    });
+    const registry = new DeviceRegistry(file);
+
+    assert.deepStrictEqual(Object.keys(registry.getAll()), ['9000']);
+    assert.strictEqual(registry.get('9000').sip, undefined);
+    assert.strictEqual(registry.get('9000').pbx, undefined);
+  });
+
+  await t.test('a reload with anything invalid keeps every current device', () => {
+    write({ 9000: morpheus, 9002: trinity });
+    const registry = new DeviceRegistry(file);
+    let emitted = false;
+    registry.on('change', () => { emitted = true; });
+
+    // Dropping a name would otherwise take 9002 offline
+    write({ 9000: morpheus, 9002: Object.assign({}, trinity, { name: undefined }) });
+    assert.strictEqual(registry.reload(), null);
+    write({ 9000: Object.assign({}, morpheus, { sip: { transport: 'wss' } }), 9002: trinity });
+    assert.strictEqual(registry.reload(), null);
+    write({ 9000: morpheus, 9002: Object.assign({}, trinity, { pbx: 'nowhere' }) });
+    assert.strictEqual(registry.reload(), null);
+
+    assert.strictEqual(registry.get('Trinity').extension, '9002');
+    assert.strictEqual(registry.get('9000').sip, undefined);
+    assert.strictEqual(emitted, false);
+
+    assert.throws(() => registry.readDevices({ strict: true }), {
+      message: 'Invalid device config: 9002: pbx "nowhere" is not a known PBX profile'
+    });
+  });
+
+  await t.test('watch() reloads when the file is edited', async () => {
+    write({ 9000: morpheus });
+    const registry = new DeviceRegistry(file);
+    const changed = new Promise(resolve => registry.once('change', resolve));
+    registry.watch(20);
+    t.after(() => registry.unwatch());
+
+    // Let the watcher take its first look before the edit
+    await new Promise(resolve => setTimeout(resolve, 50));
+    write({ 9000: morpheus, 9002: trinity });
+
+    const diff = await Promise.race([
+      changed,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('no reload')), 2000))
+    ]);
+    assert.deepStrictEqual(diff.added, ['9002']);
+    registry.unwatch();
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Dial Plan Tests
+ *
+ * Checks number normalization by country, how each PBX formats numbers,
+ * rules with rewrites, prefixes and trunks, allow/deny lists, emergency
+ * numbers, and refusing external numbers when the plan is broken.
+ * Run with: node --test test/dial-plan.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateDialPlan,
+  loadDialPlan,
+  normalizeNumber,
+  formatDialNumber,
+  planDial
+} = require('../lib/dial-plan');
+const { pbxProfile } = require('../lib/pbx-profiles');
+
+const ENV_KEYS = ['DIAL_COUNTRY', 'SIP_PBX', 'SIP_REGISTRAR', 'SIP_TRUNK_HOST', 'SIP_TRANSPORT'];
+
+test('dial plan', async (t) => {
+  const saved = {};
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  process.env.SIP_REGISTRAR = '10.0.0.50';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dial-plan-'));
+  const writePlan = (plan) => {
+    const file = path.join(dir, 'dial-plan.json');
+    fs.writeFileSync(file, typeof plan === 'string' ? plan : JSON.stringify(plan));
+    return loadDialPlan(file);
+  };
+  t.after(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    loadDialPlan(path.join(dir, 'missing.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  loadDialPlan(path.join(dir, 'missing.json'));
+
+  await t.test('numbers as users type them become E.164', () => {
+    assert.strictEqual(normalizeNumber('+1 (555) 123-4567'), '+15551234567');
+    assert.strictEqual(normalizeNumber('(555) 123-4567'), '+15551234567');
+    assert.strictEqual(normalizeNumber('1-555-123-4567'), '+15551234567');
+    assert.strictEqual(normalizeNumber('011 44 20 7123 4567'), '+442071234567');
+    assert.strictEqual(normalizeNumber('020 7123 4567', 'GB'), '+442071234567');
+    assert.strictEqual(normalizeNumber('00353 1 234 5678', 'GB'), '+35312345678');
+    assert.strictEqual(normalizeNumber('06 1234 5678', 'IT'), '+390612345678');
+    assert.strictEqual(normalizeNumber('5755'), '5755');
+    assert.strictEqual(normalizeNumber('555-1234'), null);
+    assert.strictEqual(normalizeNumber('+0123456789'), null);
+    assert.strictEqual(normalizeNumber('call me'), null);
+    assert.strictEqual(normalizeNumber(15551234567), null);
+
+    process.env.DIAL_COUNTRY = 'au';
+    assert.strictEqual(normalizeNumber('02 9876 5432'), '+61298765432');
+    delete process.env.DIAL_COUNTRY;
+  });
+
+  await t.test('each PBX number format', () => {
+    assert.strictEqual(formatDialNumber('+15551234567', pbxProfile({ pbx: '3cx' })), '5551234567');
+    assert.strictEqual(formatDialNumber('+442071234567', pbxProfile({ pbx: '3cx' })), '011442071234567');
+    assert.strictEqual(formatDialNumber('+442071234567', pbxProfile({ pbx: '3cx' }), 'GB'), '02071234567');
+    assert.strictEqual(formatDialNumber('+15551234567', pbxProfile({ pbx: 'freepbx' })), '15551234567');
+    assert.strictEqual(formatDialNumber('+15551234567', pbxProfile({ pbx: 'trunk' })), '+15551234567');
+  });
+
+  await t.test('without a plan, numbers are dialled the device PBX\'s way', () => {
+    const us = planDial('(555) 123-4567');
+    assert.strictEqual(us.allowed, true);
+    assert.strictEqual(us.number, '+15551234567');
+    assert.strictEqual(us.dial, '95551234567');
+    assert.strictEqual(us.uri, 'sip:95551234567@10.0.0.50');
+    assert.strictEqual(us.rule, null);
+
+    assert.strictEqual(planDial('+442071234567').dial, '9011442071234567');
+    assert.strictEqual(planDial('9002').dial, '9002');
+    assert.strictEqual(planDial('9002').internal, true);
+    assert.strictEqual(planDial('+15551234567', { deviceConfig: { pbx: 'freeswitch' } }).dial, '15551234567');
+
+    const bad = planDial('555-1234');
+    assert.strictEqual(bad.allowed, false);
+    assert.strictEqual(bad.reason, 'invalid_number');
+  });
+
+  await t.test('the first matching rule rewrites, prefixes and picks the trunk', () => {
+    writePlan({
+      country: 'GB',
+      rules: [
+        { name: 'UK mobiles', match: '^\\+447(\\d+)$', rewrite: '07$1', prefix: '8' },
+        { name: 'Ireland', match: '^\\+353', trunk: 'trunk' },
+        { match: '^\\+44' }
+      ]
+    });
+
+    const mobile = planDial('07700 900123');
+    assert.strictEqual(mobile.number, '+447700900123');
+    assert.strictEqual(mobile.dial, '807700900123');
+    assert.strictEqual(mobile.rule, 'UK mobiles');
+
+    const ireland = planDial('00353 1 234 5678', { deviceConfig: { name: 'Morpheus', extension: '9000' } });
+    assert.strictEqual(ireland.pbx.name, 'trunk');
+    assert.strictEqual(ireland.dial, '+35312345678');
+    assert.strictEqual(ireland.rule, 'Ireland');
+
+    // Unnamed rules are reported by position; no rewrite keeps the PBX format
+    const london = planDial('020 7123 4567');
+    assert.strictEqual(london.rule, 2);
+    assert.strictEqual(london.dial, '902071234567');
+  });
+
+  await t.test('deny applies to every number, allow to external numbers only', () => {
+    writePlan({ deny: ['^\\+1900', '^\\+1976', '^118'], allow: ['^\\+1'] });
+
+    assert.strictEqual(planDial('+19005551234').reason, 'denied');
+    assert.strictEqual(planDial('+442071234567').reason, 'not_allowed');
+    assert.strictEqual(planDial('+15551234567').allowed, true);
+    assert.strictEqual(planDial('5755').allowed, true);
+    assert.strictEqual(planDial('118118').reason, 'denied');
+    // 9 is the 3CX outside-line prefix
+    assert.strictEqual(planDial('91180').reason, 'denied');
+  });
+
+  await t.test('a short number behind the outside-line prefix is held to allow', () => {
+    writePlan({ allow: ['^\\+44'] });
+    // 9 + 87000 on 3CX: an outside call, not extension 987000
+    assert.strictEqual(planDial('987000').reason, 'not_allowed');
+    assert.strictEqual(planDial('987000', { deviceConfig: { pbx: 'freepbx' } }).allowed, true);
+    assert.strictEqual(planDial('5755').allowed, true);
+
+    // Listed as dialled, it goes through
+    writePlan({ allow: ['^\\+44', '^9\\d{3}$'] });
+    assert.strictEqual(planDial('9001').allowed, true);
+
+    writePlan({ deny: ['^\\+1(900'] });
+    assert.strictEqual(planDial('987000').reason, 'dial_plan_invalid');
+    assert.strictEqual(planDial('5755').allowed, true);
+  });
+
+  await t.test('emergency numbers are refused unless the plan allows them', () => {
+    writePlan({});
+    assert.strictEqual(planDial('911').reason, 'emergency');
+    assert.strictEqual(planDial('112').reason, 'emergency');
+    assert.strictEqual(planDial('9911').reason, 'emergency');
+    assert.strictEqual(planDial('999').allowed, true);
+    assert.strictEqual(planDial('9000').allowed, true);
+    assert.strictEqual(planDial('9911', { deviceConfig: { pbx: 'freepbx' } }).allowed, true);
+
+    writePlan({ country: 'GB' });
+    assert.strictEqual(planDial('999').reason, 'emergency');
+
+    writePlan({ allowEmergency: true });
+    assert.strictEqual(planDial('911').allowed, true);
+    assert.strictEqual(planDial('911').dial, '911');
+  });
+
+  await t.test('a broken plan refuses external numbers', () => {
+    writePlan({ deny: ['^\\+1(900'] });
+    assert.strictEqual(planDial('+15551234567').reason, 'dial_plan_invalid');
+    assert.strictEqual(planDial('5755').allowed, true);
+
+    writePlan('{ not json');
+    assert.strictEqual(planDial('+15551234567').reason, 'dial_plan_invalid');
+
+    writePlan({});
+    assert.strictEqual(planDial('+15551234567').allowed, true);
+  });
+
+  await t.test('config validation', () => {
+    assert.deepStrictEqual(validateDialPlan({ country: 'US', deny: ['^\\+1900'], rules: [{ match: '^\\+1', prefix: '9' }] }), []);
+    assert.deepStrictEqual(validateDialPlan({
+      country: 'XX',
+      allowEmergency: 'no',
+      allow: '^\\+1',
+      deny: ['('],
+      rules: [{ match: '[', rewrite: 5, prefix: 'x', trunk: 'nowhere' }, null]
+    }), [
+      'country must be one of US, CA, MX, GB, IE, DE, FR, NL, ES, IT, AU, NZ, IN, JP',
+      'allowEmergency must be true or false',
+      'allow must be a list of patterns',
+      'deny[0] is not a valid regex',
+      'rules[0].match is not a valid regex',
+      'rules[0].rewrite must be a string',
+      'rules[0].prefix must be digits',
+      'rules[0].trunk is not a known PBX profile',
+      'rules[1] must be an object'
+    ]);
+    assert.deepStrictEqual(validateDialPlan([]), ['dial plan must be an object']);
+  });
+});
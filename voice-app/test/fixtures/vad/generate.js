@@ -0,0 +1,114 @@
+/**
+ * Generates the VAD test fixtures in this directory.
+ *
+ * Each fixture is 8kHz 16-bit LE mono PCM, laid out as:
+ *   0.6s line noise | 1.2s speech over noise | 2.0s line noise
+ *
+ * "Speech" is a voiced harmonic signal (varying pitch) shaped into syllables,
+ * so the level statistics VAD looks at match a phone call. The noise is seeded,
+ * so the output is identical on every run.
+ *
+ * Run with: node test/fixtures/vad/generate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 8000;
+const LEAD_S = 0.6;
+const SPEECH_S = 1.2;
+const TRAIL_S = 2.0;
+
+// mulberry32: small seeded PRNG
+function prng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Roughly gaussian noise with the given RMS; lowpass > 0 makes it rumble (car)
+function noise(seconds, rms, seed, lowpass) {
+  const rand = prng(seed);
+  const out = new Float64Array(Math.round(seconds * SAMPLE_RATE));
+  let prev = 0;
+  for (let i = 0; i < out.length; i++) {
+    const white = (rand() + rand() + rand() + rand() - 2) * Math.sqrt(3);
+    prev = lowpass ? prev * lowpass + white * (1 - lowpass) : white;
+    out[i] = prev;
+  }
+  return normalize(out, rms);
+}
+
+// Three short words of syllables with gaps, pitch wandering around 130Hz
+function speech(seconds, rms, seed) {
+  const rand = prng(seed);
+  const out = new Float64Array(Math.round(seconds * SAMPLE_RATE));
+  const syllables = [[0.00, 0.18], [0.20, 0.36], [0.48, 0.70], [0.80, 0.95], [0.97, 1.15]];
+  let phase = 0;
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const f0 = 130 + 20 * Math.sin(2 * Math.PI * 1.3 * t);
+    phase += (2 * Math.PI * f0) / SAMPLE_RATE;
+
+    let env = 0;
+    for (const [start, end] of syllables) {
+      if (t >= start && t < end) env = Math.sin((Math.PI * (t - start)) / (end - start));
+    }
+
+    let voiced = 0;
+    for (let h = 1; h <= 20; h++) voiced += Math.sin(h * phase) / h;
+    out[i] = env * (voiced + (rand() - 0.5) * 0.2);
+  }
+  return normalize(out, rms);
+}
+
+function normalize(samples, rms) {
+  let sum = 0;
+  for (const s of samples) sum += s * s;
+  const scale = rms / Math.sqrt(sum / samples.length || 1);
+  return samples.map(s => s * scale);
+}
+
+// Adds a quieter copy delayed by delayMs (room reflection on a speakerphone)
+function reverb(samples, delayMs, gain) {
+  const delay = Math.round((delayMs / 1000) * SAMPLE_RATE);
+  const out = Float64Array.from(samples);
+  for (let i = delay; i < out.length; i++) out[i] += samples[i - delay] * gain;
+  return out;
+}
+
+function build({ noiseRms, speechRms, lowpass, reverbGain, seed }) {
+  const total = LEAD_S + SPEECH_S + TRAIL_S;
+  const out = noise(total, noiseRms, seed, lowpass);
+
+  let voice = speech(SPEECH_S, speechRms, seed + 1);
+  if (reverbGain) voice = reverb(voice, 40, reverbGain);
+
+  const offset = Math.round(LEAD_S * SAMPLE_RATE);
+  for (let i = 0; i < voice.length; i++) out[offset + i] += voice[i];
+
+  const buf = Buffer.alloc(out.length * 2);
+  for (let i = 0; i < out.length; i++) {
+    buf.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(out[i]))), i * 2);
+  }
+  return buf;
+}
+
+const FIXTURES = {
+  // Close-talking headset, very quiet line, soft voice
+  'quiet-headset': { noiseRms: 25, speechRms: 380, seed: 11 },
+  // Engine and road rumble, raised voice
+  'car': { noiseRms: 900, speechRms: 3500, lowpass: 0.9, seed: 23 },
+  // Room noise, distant voice with a reflection
+  'speakerphone': { noiseRms: 300, speechRms: 1400, reverbGain: 0.5, seed: 37 }
+};
+
+for (const [name, params] of Object.entries(FIXTURES)) {
+  const file = path.join(__dirname, name + '.raw');
+  fs.writeFileSync(file, build(params));
+  console.log('Wrote ' + file);
+}
@@ -0,0 +1,144 @@
+/**
+ * IVR Tests
+ *
+ * Walks DTMF menus with scripted keypresses to check actions, nested menus,
+ * reprompts and fallbacks, plus config validation and REFER targets.
+ * Run with: node --test test/ivr.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { runIvr, validateIvr, DigitCollector } = require('../lib/ivr');
+const { buildReferTarget } = require('../lib/call-transfer');
+
+// Menu prompts start with "Menu"; each one is answered with the next key (null = no key)
+function fakeIo(keys, overrides = {}) {
+  const endpoint = new EventEmitter();
+  const script = keys.slice();
+  const spoken = [];
+  const io = Object.assign({
+    digits: new DigitCollector(endpoint),
+    say: async (text) => {
+      spoken.push(text);
+      if (text.startsWith('Menu') && script.length > 0) {
+        const key = script.shift();
+        if (key !== null) endpoint.emit('dtmf', { dtmf: key });
+      }
+    },
+    answer: async (prompt) => {
+      spoken.push('Claude: ' + prompt);
+      return { endCall: false };
+    },
+    transfer: async () => true,
+    isActive: () => true
+  }, overrides);
+  return { io, spoken };
+}
+
+const MENU = {
+  prompt: 'Menu: 1 status, 2 Cephanie, 3 more, 9 goodbye',
+  timeoutSeconds: 0.02,
+  maxRetries: 1,
+  invalidMessage: 'Not an option.',
+  options: {
+    '1': { action: 'prompt', prompt: 'Summarise server status' },
+    '2': { action: 'device', device: 'Cephanie' },
+    '3': {
+      action: 'menu',
+      prompt: 'Menu 2: 1 hours, 4 front desk, * back',
+      options: {
+        '1': { action: 'message', text: 'We are open nine to five.', then: 'hangup' },
+        '4': { action: 'transfer', target: '1000' },
+        '*': { action: 'back' }
+      }
+    },
+    '9': { action: 'hangup', text: 'Goodbye!' }
+  }
+};
+
+test('ivr', async (t) => {
+  await t.test('a canned prompt returns to the menu, then a device is picked', async () => {
+    const { io, spoken } = fakeIo(['1', '2']);
+    const selected = [];
+    io.onSelect = (digit) => selected.push(digit);
+
+    const outcome = await runIvr(MENU, io);
+
+    assert.deepStrictEqual(outcome, { result: 'conversation', device: 'Cephanie', greeting: undefined });
+    assert.deepStrictEqual(spoken, [MENU.prompt, 'Claude: Summarise server status', MENU.prompt]);
+    assert.deepStrictEqual(selected, ['1', '2']);
+  });
+
+  await t.test('submenus, back and transfer', async () => {
+    const { io, spoken } = fakeIo(['3', '*', '3', '4']);
+    const outcome = await runIvr(MENU, io);
+
+    assert.deepStrictEqual(outcome, { result: 'transferred', target: '1000' });
+    assert.strictEqual(spoken.filter(text => text.startsWith('Menu 2')).length, 2);
+  });
+
+  await t.test('a message can end the call', async () => {
+    const { io, spoken } = fakeIo(['3', '1']);
+    assert.deepStrictEqual(await runIvr(MENU, io), { result: 'hangup' });
+    assert.strictEqual(spoken[spoken.length - 1], 'We are open nine to five.');
+  });
+
+  await t.test('invalid keys and silence reprompt, then fall back to the conversation', async () => {
+    const { io, spoken } = fakeIo(['7', null]);
+    assert.deepStrictEqual(await runIvr(MENU, io), { result: 'conversation' });
+    assert.deepStrictEqual(spoken, [MENU.prompt, 'Not an option.', MENU.prompt]);
+  });
+
+  await t.test('"instead" menus hang up rather than fall back to the conversation', async () => {
+    const menu = Object.assign({}, MENU, { mode: 'instead', options: { '9': MENU.options['9'] } });
+    const { io } = fakeIo([null, null]);
+    assert.deepStrictEqual(await runIvr(menu, io), { result: 'hangup' });
+  });
+
+  await t.test('a failed transfer apologises and replays the menu', async () => {
+    const { io, spoken } = fakeIo(['3', '4', '*', '9'], { transfer: async () => false });
+    assert.deepStrictEqual(await runIvr(MENU, io), { result: 'hangup' });
+    assert.ok(spoken.includes("Sorry, I couldn't transfer your call."));
+  });
+
+  await t.test('keys pressed during a prompt are kept', async () => {
+    const endpoint = new EventEmitter();
+    let breaks = 0;
+    const digits = new DigitCollector(endpoint, () => breaks++);
+    endpoint.emit('dtmf', { dtmf: '5' });
+
+    assert.strictEqual(digits.hasDigit(), true);
+    assert.strictEqual(await digits.next(10), '5');
+    assert.strictEqual(await digits.next(10), null);
+    assert.strictEqual(breaks, 1);
+    digits.close();
+    assert.strictEqual(endpoint.listenerCount('dtmf'), 0);
+  });
+
+  await t.test('validation reports every problem with its path', () => {
+    assert.deepStrictEqual(validateIvr(MENU), []);
+    assert.deepStrictEqual(validateIvr({
+      mode: 'instead',
+      prompt: 'Menu',
+      options: {
+        '1': { action: 'transfer' },
+        '2': { action: 'device', device: 'Cephanie' },
+        'x': { action: 'dance' },
+        '3': { action: 'menu', options: { '1': { action: 'back' } } }
+      }
+    }), [
+      'ivr.options["1"].target is required for "transfer"',
+      'ivr.options["2"]: "device" needs mode "before"',
+      'ivr.options["3"].prompt is required',
+      'ivr.options["x"]: key must be 0-9, * or #',
+      'ivr.options["x"].action must be one of: conversation, device, prompt, message, transfer, hangup, menu, back, repeat'
+    ]);
+  });
+
+  await t.test('transfer targets become SIP URIs', () => {
+    assert.strictEqual(buildReferTarget('1000', 'pbx.local'), 'sip:1000@pbx.local');
+    assert.strictEqual(buildReferTarget('sip:ops@other.example', 'pbx.local'), 'sip:ops@other.example');
+    assert.throws(() => buildReferTarget('1000', ''), /SIP_DOMAIN/);
+  });
+});
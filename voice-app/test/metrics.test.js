@@ -0,0 +1,100 @@
+/**
+ * Metrics Tests
+ *
+ * Checks the Prometheus text output of counters, gauges and histograms,
+ * label handling, and gauges filled in by a collect function at render time.
+ * Run with: node --test test/metrics.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Counter, Gauge, Histogram, Registry } = require('../lib/metrics');
+
+test('metrics', async (t) => {
+  await t.test('counters sum per label set and render HELP and TYPE', () => {
+    const calls = new Counter({ name: 'calls_total', help: 'Calls', labelNames: ['device', 'outcome'] });
+    calls.inc({ device: 'Morpheus', outcome: 'hangup' });
+    calls.inc({ device: 'Morpheus', outcome: 'hangup' });
+    calls.inc({ outcome: 'busy', device: 'Morpheus', extra: 'ignored' });
+
+    assert.strictEqual(calls.get({ device: 'Morpheus', outcome: 'hangup' }), 2);
+    assert.strictEqual(calls.get({ device: 'Trinity', outcome: 'hangup' }), 0);
+    assert.strictEqual(calls.render(), [
+      '# HELP calls_total Calls',
+      '# TYPE calls_total counter',
+      'calls_total{device="Morpheus",outcome="hangup"} 2',
+      'calls_total{device="Morpheus",outcome="busy"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  await t.test('label values are escaped and missing labels are empty', () => {
+    const errors = new Counter({ name: 'errors_total', help: 'Errors', labelNames: ['provider', 'service'] });
+    errors.inc({ provider: 'say "hi"\\\n' });
+
+    assert.match(errors.render(), /errors_total\{provider="say \\"hi\\"\\\\\\n",service=""\} 1/);
+  });
+
+  await t.test('histograms count observations into cumulative buckets', () => {
+    const stage = new Histogram({ name: 'stage_seconds', help: 'Stages', labelNames: ['stage'], buckets: [1, 0.5, 2] });
+    stage.observe({ stage: 'stt' }, 0.3);
+    stage.observe({ stage: 'stt' }, 1.5);
+    stage.observe({ stage: 'stt' }, 4);
+    stage.observe({ stage: 'stt' }, -1);
+    stage.observe({ stage: 'stt' }, NaN);
+
+    assert.strictEqual(stage.render(), [
+      '# HELP stage_seconds Stages',
+      '# TYPE stage_seconds histogram',
+      'stage_seconds_bucket{stage="stt",le="0.5"} 1',
+      'stage_seconds_bucket{stage="stt",le="1"} 1',
+      'stage_seconds_bucket{stage="stt",le="2"} 2',
+      'stage_seconds_bucket{stage="stt",le="+Inf"} 3',
+      'stage_seconds_sum{stage="stt"} 5.8',
+      'stage_seconds_count{stage="stt"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  await t.test('time() observes a function whether it resolves or rejects', async () => {
+    const stage = new Histogram({ name: 'tts_seconds', help: 'TTS', labelNames: ['stage'] });
+
+    assert.strictEqual(await stage.time({ stage: 'tts' }, async () => 'audio.mp3'), 'audio.mp3');
+    await assert.rejects(stage.time({ stage: 'tts' }, async () => { throw new Error('quota'); }), /quota/);
+    assert.match(stage.render(), /tts_seconds_count\{stage="tts"\} 2/);
+  });
+
+  await t.test('gauges go up and down, or are collected at render time', () => {
+    const active = new Gauge({ name: 'active_calls', help: 'Active', labelNames: ['device'] });
+    active.inc({ device: 'Morpheus' });
+    active.inc({ device: 'Morpheus' });
+    active.dec({ device: 'Morpheus' });
+    assert.match(active.render(), /# TYPE active_calls gauge\nactive_calls\{device="Morpheus"\} 1\n/);
+
+    let registered = ['9000'];
+    const sip = new Gauge({
+      name: 'sip_registered',
+      help: 'Registered',
+      labelNames: ['extension'],
+      collect: (gauge) => registered.forEach(extension => gauge.set({ extension }, 1))
+    });
+    assert.match(sip.render(), /sip_registered\{extension="9000"\} 1/);
+
+    // Extensions no longer returned are dropped rather than left at their last value
+    registered = ['9001'];
+    const text = sip.render();
+    assert.doesNotMatch(text, /9000/);
+    assert.match(text, /sip_registered\{extension="9001"\} 1/);
+  });
+
+  await t.test('a registry renders and resets every metric', () => {
+    const registry = new Registry();
+    const calls = registry.register(new Counter({ name: 'a_total', help: 'A' }));
+    registry.register(new Gauge({ name: 'b', help: 'B' })).set({}, 3);
+    calls.inc();
+
+    assert.strictEqual(registry.render(), '# HELP a_total A\n# TYPE a_total counter\na_total 1\n# HELP b B\n# TYPE b gauge\nb 3\n');
+    registry.reset();
+    assert.strictEqual(calls.get(), 0);
+  });
+});
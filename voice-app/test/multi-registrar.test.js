@@ -0,0 +1,285 @@
+/**
+ * Multi-Registrar Tests
+ *
+ * Drives REGISTER outcomes through a fake drachtio SRF to check each
+ * extension's state record, refresh and backoff scheduling, events, and
+ * syncing with a changed device list.
+ * Run with: node --test test/multi-registrar.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const MultiRegistrar = require('../lib/multi-registrar');
+
+// SRF whose REGISTERs wait for the test to answer them
+function fakeSrf() {
+  const sent = [];
+  return {
+    sent,
+    request(uri, options, callback) {
+      const req = new EventEmitter();
+      sent.push({
+        uri,
+        options,
+        answer: (status, reason, contact) => req.emit('response', { status, reason, get: () => contact })
+      });
+      callback(null, req);
+    },
+    // Requests that never reached the PBX call back with only an error
+    requestError(message) {
+      this.request = (uri, options, callback) => callback(new Error(message));
+    }
+  };
+}
+
+function createRegistrar(srf) {
+  const registrar = new MultiRegistrar(srf, {
+    domain: 'pbx.example.com',
+    registrar: '10.0.0.50',
+    registrar_port: 5060,
+    local_address: '10.0.0.10',
+    local_port: 5070,
+    expiry: 3600,
+    retry_min: 10,
+    retry_max: 60
+  });
+  const scheduled = [];
+  registrar.schedule = (extension, fn, seconds) => scheduled.push({ extension, fn, seconds });
+  return { registrar, scheduled };
+}
+
+const devices = {
+  9000: { name: 'Morpheus', extension: '9000', authId: 'a1', password: 'p1' },
+  9002: { name: 'Trinity', extension: '9002', authId: 'a2', password: 'p2' }
+};
+
+test('multi-registrar', async (t) => {
+  await t.test('every extension starts pending and sends REGISTER', () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+
+    registrar.registerAll(devices);
+
+    assert.deepStrictEqual(srf.sent.map(r => r.options.headers.From), [
+      '<sip:9000@pbx.example.com>',
+      '<sip:9002@pbx.example.com>'
+    ]);
+    assert.strictEqual(srf.sent[0].uri, 'sip:10.0.0.50:5060;transport=udp');
+    assert.strictEqual(srf.sent[0].options.headers.Contact, '<sip:9000@10.0.0.10:5070>;expires=3600');
+    assert.deepStrictEqual(registrar.getStatus().map(s => [s.extension, s.device, s.status]), [
+      ['9000', 'Morpheus', 'pending'],
+      ['9002', 'Trinity', 'pending']
+    ]);
+    assert.strictEqual(registrar.isRegistered('9000'), false);
+  });
+
+  await t.test('a device on TLS registers to the TLS port with a TLS contact', () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+
+    registrar.registerDevice(Object.assign({ sip: { transport: 'tls' } }, devices[9002]));
+
+    assert.strictEqual(srf.sent[0].uri, 'sip:10.0.0.50:5061;transport=tls');
+    assert.strictEqual(srf.sent[0].options.headers.Contact, '<sip:9002@10.0.0.10:5061;transport=tls>;expires=3600');
+    assert.strictEqual(registrar.getStatus()[0].transport, 'tls');
+  });
+
+  await t.test('each device registers the way its PBX expects', () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+
+    registrar.registerDevice(devices[9000]);
+    registrar.registerDevice(Object.assign({ pbx: 'freepbx' }, devices[9002]));
+    registrar.registerDevice({ name: 'Oracle', extension: '9004', pbx: 'trunk' });
+
+    assert.deepStrictEqual(srf.sent[0].options.auth, { username: 'a1', password: 'p1' });
+    assert.strictEqual(srf.sent[0].options.headers['User-Agent'], 'NetworkChuck-VoiceServer/1.0');
+    assert.deepStrictEqual(srf.sent[1].options.auth, { username: '9002', password: 'p2' });
+    assert.strictEqual(srf.sent[1].options.headers['User-Agent'], 'claude-phone/1.0');
+    // SIP trunks authenticate by IP - nothing to register
+    assert.strictEqual(srf.sent.length, 2);
+    assert.deepStrictEqual(registrar.getStatus().map(s => [s.extension, s.pbx]), [['9000', '3cx'], ['9002', 'freepbx']]);
+  });
+
+  await t.test('200 OK records the expiry the PBX granted and refreshes before it', () => {
+    const srf = fakeSrf();
+    const { registrar, scheduled } = createRegistrar(srf);
+    const events = [];
+    registrar.on('registered', state => events.push(state));
+
+    registrar.registerDevice(devices[9000]);
+    srf.sent[0].answer(200, 'OK', '<sip:9000@10.0.0.10:5070>;expires=120');
+
+    const state = registrar.getStatus()[0];
+    assert.strictEqual(state.status, 'registered');
+    assert.strictEqual(state.lastCode, 200);
+    assert.strictEqual(state.failures, 0);
+    const lifetime = Date.parse(state.expiresAt) - Date.parse(state.registeredAt);
+    assert.strictEqual(lifetime, 120 * 1000);
+    assert.ok(Date.parse(state.nextRefreshAt) < Date.parse(state.expiresAt));
+    assert.strictEqual(registrar.isRegistered('9000'), true);
+    assert.deepStrictEqual(scheduled.map(s => [s.extension, s.seconds]), [['9000', 108]]);
+    assert.strictEqual(events.length, 1);
+
+    // The refresh sends another REGISTER
+    scheduled[0].fn();
+    assert.strictEqual(srf.sent.length, 2);
+  });
+
+  await t.test('failures back off exponentially up to the maximum and reset on success', () => {
+    const srf = fakeSrf();
+    const { registrar, scheduled } = createRegistrar(srf);
+    const failed = [];
+    registrar.on('failed', state => failed.push(state));
+
+    registrar.registerDevice(devices[9002]);
+    for (let i = 0; i < 4; i++) {
+      srf.sent[i].answer(403, 'Forbidden');
+      scheduled[i].fn();
+    }
+
+    assert.deepStrictEqual(scheduled.map(s => s.seconds), [10, 20, 40, 60]);
+    const state = registrar.getStatus()[0];
+    assert.strictEqual(state.status, 'failed');
+    assert.strictEqual(state.lastCode, 403);
+    assert.strictEqual(state.lastReason, 'Forbidden');
+    assert.strictEqual(state.failures, 4);
+    assert.deepStrictEqual(failed.map(s => s.failures), [1, 2, 3, 4]);
+
+    srf.sent[4].answer(200, 'OK');
+    assert.strictEqual(registrar.getStatus()[0].failures, 0);
+    assert.strictEqual(registrar.isRegistered('9002'), true);
+  });
+
+  await t.test('a request error is a failure with no response code', () => {
+    const srf = fakeSrf();
+    srf.requestError('connect ECONNREFUSED');
+    const { registrar, scheduled } = createRegistrar(srf);
+    const changes = [];
+    registrar.on('change', state => changes.push(state.status));
+
+    registrar.registerDevice(devices[9000]);
+
+    const state = registrar.getStatus()[0];
+    assert.strictEqual(state.status, 'failed');
+    assert.strictEqual(state.lastCode, null);
+    assert.strictEqual(state.lastReason, 'connect ECONNREFUSED');
+    assert.strictEqual(scheduled[0].seconds, 10);
+    assert.deepStrictEqual(changes, ['failed']);
+  });
+
+  await t.test('an auth challenge leaves the extension pending', () => {
+    const srf = fakeSrf();
+    const { registrar, scheduled } = createRegistrar(srf);
+
+    registrar.registerDevice(devices[9000]);
+    srf.sent[0].answer(401, 'Unauthorized');
+
+    const state = registrar.getStatus()[0];
+    assert.strictEqual(state.status, 'pending');
+    assert.strictEqual(state.lastCode, 401);
+    assert.strictEqual(scheduled.length, 0);
+  });
+
+  await t.test('sync() registers new extensions and unregisters removed ones', () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+    const unregistered = [];
+    registrar.on('unregistered', state => unregistered.push(state));
+
+    registrar.registerAll(devices);
+    srf.sent[0].answer(200, 'OK');
+    srf.sent[1].answer(403, 'Forbidden');
+
+    registrar.sync({
+      9002: Object.assign({}, devices[9002], { name: 'Trinity Prime' }),
+      9004: { name: 'Oracle', extension: '9004', authId: 'a4', password: 'p4' }
+    });
+
+    // 9000 is removed from the PBX; 9002 only changed name and is not sent again
+    assert.strictEqual(srf.sent.length, 4);
+    assert.strictEqual(srf.sent[2].options.headers.From, '<sip:9000@pbx.example.com>');
+    assert.strictEqual(srf.sent[2].options.headers.Expires, 0);
+    assert.strictEqual(srf.sent[2].options.headers.Contact, '<sip:9000@10.0.0.10:5070>;expires=0');
+    assert.strictEqual(srf.sent[3].options.headers.From, '<sip:9004@pbx.example.com>');
+
+    assert.deepStrictEqual(unregistered.map(s => [s.extension, s.status]), [['9000', 'unregistered']]);
+    assert.deepStrictEqual(registrar.getStatus().map(s => [s.extension, s.device, s.status]), [
+      ['9002', 'Trinity Prime', 'failed'],
+      ['9004', 'Oracle', 'pending']
+    ]);
+  });
+
+  await t.test('a removed extension that never registered is dropped without a REGISTER', () => {
+    const srf = fakeSrf();
+    const registrar = new MultiRegistrar(srf, { expiry: 3600 });
+
+    registrar.registerDevice(devices[9002]);
+    srf.sent[0].answer(503, 'Service Unavailable');
+    assert.strictEqual(registrar.timers.size, 1);
+
+    registrar.sync({});
+    assert.strictEqual(srf.sent.length, 1);
+    assert.strictEqual(registrar.timers.size, 0);
+    assert.deepStrictEqual(registrar.getStatus(), []);
+  });
+
+  await t.test('sync() re-registers a changed extension once the PBX has dropped the old binding', async () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+
+    registrar.registerDevice(devices[9000]);
+    srf.sent[0].answer(200, 'OK');
+    registrar.sync({ 9000: Object.assign({}, devices[9000], { password: 'p1-new' }) });
+
+    // Only the unregister is out; the new REGISTER waits for its final response
+    assert.deepStrictEqual(srf.sent.map(r => r.options.headers.Expires), [3600, 0]);
+    assert.strictEqual(registrar.getStatus()[0].status, 'pending');
+    srf.sent[1].answer(401, 'Unauthorized');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.strictEqual(srf.sent.length, 2);
+
+    srf.sent[1].answer(200, 'OK');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepStrictEqual(srf.sent.map(r => [r.options.headers.Expires, r.options.auth.password]), [
+      [3600, 'p1'],
+      [0, 'p1'],
+      [3600, 'p1-new']
+    ]);
+
+    // A late answer to the old REGISTER does not touch the new registration
+    srf.sent[0].answer(403, 'Forbidden');
+    assert.strictEqual(registrar.getStatus()[0].status, 'pending');
+    srf.sent[2].answer(200, 'OK');
+    assert.strictEqual(registrar.getStatus()[0].status, 'registered');
+  });
+
+  await t.test('an extension removed while its old binding goes away is not registered', async () => {
+    const srf = fakeSrf();
+    const { registrar } = createRegistrar(srf);
+
+    registrar.registerDevice(devices[9000]);
+    srf.sent[0].answer(200, 'OK');
+    registrar.sync({ 9000: Object.assign({}, devices[9000], { authId: 'a1-new' }) });
+    registrar.sync({});
+
+    srf.sent[1].answer(500, 'Server Error');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.strictEqual(srf.sent.length, 2);
+    assert.deepStrictEqual(registrar.getStatus(), []);
+  });
+
+  await t.test('stop() clears every state and pending timer', () => {
+    const srf = fakeSrf();
+    const registrar = new MultiRegistrar(srf, { expiry: 3600 });
+
+    registrar.registerDevice(devices[9000]);
+    srf.sent[0].answer(500, 'Server Error');
+    assert.strictEqual(registrar.timers.size, 1);
+
+    registrar.stop();
+    assert.strictEqual(registrar.timers.size, 0);
+    assert.deepStrictEqual(registrar.getStatus(), []);
+  });
+});
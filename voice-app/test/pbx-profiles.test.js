@@ -0,0 +1,152 @@
+/**
+ * PBX Profile Tests
+ *
+ * Checks the built-in PBX types, named profiles loaded from a file, the
+ * credentials each answers with, and validation.
+ * Run with: node --test test/pbx-profiles.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validatePbxProfile,
+  loadPbxProfiles,
+  hasPbxProfile,
+  pbxProfile,
+  authCredentials
+} = require('../lib/pbx-profiles');
+const { sipSettings } = require('../lib/sip-security');
+
+const ENV_KEYS = ['SIP_PBX', 'SIP_DOMAIN', 'SIP_REGISTRAR', 'SIP_TRUNK_HOST', 'SIP_OUTBOUND_PROXY', 'SIP_TRANSPORT'];
+
+test('pbx profiles', async (t) => {
+  const saved = {};
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pbx-profiles-'));
+  const file = path.join(dir, 'pbx-profiles.json');
+  t.after(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    loadPbxProfiles(path.join(dir, 'missing.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  fs.writeFileSync(file, JSON.stringify({
+    office: { type: 'freepbx', registrar: '10.0.0.60', headers: { 'X-Tenant': 'office' } },
+    carrier: {
+      type: 'trunk',
+      registrar: 'sip.carrier.example',
+      outboundProxy: 'sip:sbc.example.com',
+      transport: 'tls',
+      srtp: 'required'
+    },
+    broken: { type: 'avaya' },
+    '3cx': { registrar: '10.0.0.70' }
+  }));
+  loadPbxProfiles(file);
+
+  await t.test('3CX is the default, on the SIP_* environment', () => {
+    process.env.SIP_DOMAIN = 'office.3cx.us';
+    process.env.SIP_REGISTRAR = '10.0.0.50';
+    try {
+      const pbx = pbxProfile({ name: 'Morpheus', extension: '9000' });
+      assert.strictEqual(pbx.name, '3cx');
+      assert.strictEqual(pbx.domain, 'office.3cx.us');
+      assert.strictEqual(pbx.host, '10.0.0.50');
+      assert.strictEqual(pbx.register, true);
+      assert.strictEqual(pbx.dialPrefix, '9');
+
+      process.env.SIP_TRUNK_HOST = '10.0.0.51';
+      assert.strictEqual(pbxProfile().host, '10.0.0.51');
+    } finally {
+      delete process.env.SIP_DOMAIN;
+      delete process.env.SIP_REGISTRAR;
+      delete process.env.SIP_TRUNK_HOST;
+    }
+  });
+
+  await t.test('SIP_PBX and a device pick the type', () => {
+    process.env.SIP_PBX = 'Asterisk';
+    try {
+      assert.strictEqual(pbxProfile().name, 'freepbx');
+      assert.strictEqual(pbxProfile({ pbx: 'freeswitch' }).name, 'freeswitch');
+      assert.strictEqual(pbxProfile({ pbx: 'trunk' }).register, false);
+    } finally {
+      delete process.env.SIP_PBX;
+    }
+  });
+
+  await t.test('named profiles start from their type and bring their own PBX', () => {
+    process.env.SIP_TRUNK_HOST = '10.0.0.51';
+    try {
+      const office = pbxProfile({ pbx: 'office' });
+      assert.strictEqual(office.name, 'office');
+      assert.strictEqual(office.type, 'freepbx');
+      assert.strictEqual(office.auth, 'extension');
+      assert.strictEqual(office.domain, '10.0.0.60');
+      assert.strictEqual(office.host, '10.0.0.60');
+      assert.deepStrictEqual(office.headers, { 'X-Tenant': 'office' });
+
+      const carrier = pbxProfile({ pbx: 'carrier' });
+      assert.strictEqual(carrier.register, false);
+      assert.strictEqual(carrier.outboundProxy, 'sip:sbc.example.com');
+      assert.strictEqual(carrier.userAgent, 'claude-phone/1.0');
+    } finally {
+      delete process.env.SIP_TRUNK_HOST;
+    }
+  });
+
+  await t.test('invalid profiles and built-in names are skipped', () => {
+    assert.strictEqual(hasPbxProfile('office'), true);
+    assert.strictEqual(hasPbxProfile('broken'), false);
+    assert.strictEqual(pbxProfile({ pbx: '3cx' }).registrar, undefined);
+    assert.strictEqual(pbxProfile({ pbx: 'nowhere' }).name, '3cx');
+  });
+
+  await t.test('credentials follow the auth style', () => {
+    const device = { extension: '9000', authId: 'Au0XZ', password: 'secret' };
+
+    assert.deepStrictEqual(authCredentials(device, pbxProfile({ pbx: '3cx' })), { username: 'Au0XZ', password: 'secret' });
+    assert.deepStrictEqual(authCredentials(device, pbxProfile({ pbx: 'freepbx' })), { username: '9000', password: 'secret' });
+    assert.strictEqual(authCredentials(device, pbxProfile({ pbx: 'trunk' })), null);
+    assert.strictEqual(authCredentials(null, pbxProfile()), null);
+  });
+
+  await t.test('a profile transport applies to its devices unless they set their own', () => {
+    assert.deepStrictEqual(sipSettings({ pbx: 'carrier' }, { transport: 'udp', port: 5070 }),
+      { transport: 'tls', port: 5061, srtp: 'required' });
+    assert.deepStrictEqual(sipSettings({ pbx: 'carrier', sip: { transport: 'tcp' } }),
+      { transport: 'tcp', port: 5060, srtp: 'required' });
+    assert.deepStrictEqual(sipSettings({ pbx: 'office' }, { transport: 'udp', port: 5070 }),
+      { transport: 'udp', port: 5070, srtp: 'off' });
+  });
+
+  await t.test('config validation', () => {
+    assert.deepStrictEqual(validatePbxProfile({ type: 'trunk', host: 'sip.example.com', dialPrefix: '0' }), []);
+    assert.deepStrictEqual(validatePbxProfile({
+      type: 'avaya',
+      dialPrefix: 'x',
+      register: 'yes',
+      numberFormat: 'local',
+      headers: { 'X-Id': 7 },
+      proxy: 'sbc'
+    }), [
+      'unknown setting "proxy"',
+      'type must be one of 3cx, freepbx, freeswitch, trunk, asterisk',
+      'dialPrefix must be digits',
+      'register must be true or false',
+      'numberFormat must be "national", "digits" or "e164"',
+      'headers must map header names to strings'
+    ]);
+    assert.deepStrictEqual(validatePbxProfile({ transport: 'wss' }), ['sip.transport must be "udp", "tcp" or "tls"']);
+    assert.deepStrictEqual(validatePbxProfile([]), ['profile must be an object']);
+  });
+});
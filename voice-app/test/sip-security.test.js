@@ -0,0 +1,120 @@
+/**
+ * SIP Transport Security Tests
+ *
+ * Checks how registrar-wide and per-device transport, port and SRTP
+ * settings combine, the URIs built from them, SRTP detection in offers,
+ * and config validation.
+ * Run with: node --test test/sip-security.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  validateSip,
+  validateSipEnvironment,
+  sipSettings,
+  requestUri,
+  contactUri,
+  offersSrtp
+} = require('../lib/sip-security');
+
+const ENV_KEYS = ['SIP_TRANSPORT', 'SIP_REGISTRAR_PORT', 'SIP_SRTP', 'DRACHTIO_TLS_PORT', 'SIP_PBX'];
+
+test('sip security', async (t) => {
+  const saved = {};
+  for (const key of ENV_KEYS) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  t.after(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  await t.test('defaults to UDP on 5060 without SRTP', () => {
+    assert.deepStrictEqual(sipSettings(), { transport: 'udp', port: 5060, srtp: 'off' });
+  });
+
+  await t.test('registrar-wide TLS comes from the environment', () => {
+    process.env.SIP_TRANSPORT = 'TLS';
+    process.env.SIP_SRTP = 'required';
+    try {
+      assert.deepStrictEqual(sipSettings({ name: 'Morpheus' }), { transport: 'tls', port: 5061, srtp: 'required' });
+
+      process.env.SIP_REGISTRAR_PORT = '5081';
+      assert.strictEqual(sipSettings().port, 5081);
+    } finally {
+      delete process.env.SIP_TRANSPORT;
+      delete process.env.SIP_SRTP;
+      delete process.env.SIP_REGISTRAR_PORT;
+    }
+  });
+
+  await t.test('an unknown transport or SRTP mode is an error, not plain UDP or RTP', () => {
+    assert.deepStrictEqual(validateSipEnvironment(), []);
+
+    process.env.SIP_TRANSPORT = 'tsl';
+    process.env.SIP_SRTP = 'require';
+    try {
+      assert.deepStrictEqual(validateSipEnvironment(), [
+        'SIP_TRANSPORT must be "udp", "tcp" or "tls", not "tsl"',
+        'SIP_SRTP must be "off", "optional" or "required", not "require"'
+      ]);
+      assert.throws(() => sipSettings(), /SIP_TRANSPORT must be/);
+      // Settings given in full don't read the environment
+      assert.strictEqual(sipSettings({ sip: { srtp: 'required' } }, { transport: 'tls' }).srtp, 'required');
+    } finally {
+      delete process.env.SIP_TRANSPORT;
+      delete process.env.SIP_SRTP;
+    }
+  });
+
+  await t.test('a device overrides the registrar, with its own transport port', () => {
+    const base = { transport: 'udp', port: 5070, srtp: 'off' };
+
+    assert.deepStrictEqual(sipSettings({ sip: { transport: 'tls' } }, base), { transport: 'tls', port: 5061, srtp: 'off' });
+    assert.deepStrictEqual(sipSettings({ sip: { transport: 'tls', port: 5062, srtp: 'optional' } }, base),
+      { transport: 'tls', port: 5062, srtp: 'optional' });
+    assert.deepStrictEqual(sipSettings({ sip: { srtp: 'required' } }, base), { transport: 'udp', port: 5070, srtp: 'required' });
+  });
+
+  await t.test('request and contact URIs carry the transport', () => {
+    const udp = { transport: 'udp', port: 5060 };
+    const tls = { transport: 'tls', port: 5061 };
+
+    assert.strictEqual(requestUri('5551234', 'pbx.example.com', udp), 'sip:5551234@pbx.example.com');
+    assert.strictEqual(requestUri(null, '10.0.0.50', udp, true), 'sip:10.0.0.50:5060;transport=udp');
+    assert.strictEqual(requestUri('5551234', 'pbx.example.com', tls), 'sip:5551234@pbx.example.com:5061;transport=tls');
+
+    assert.strictEqual(contactUri('9000', '10.0.0.10', 5070, udp), 'sip:9000@10.0.0.10:5070');
+    assert.strictEqual(contactUri('9000', '10.0.0.10', 5070, { transport: 'tcp', port: 5060 }), 'sip:9000@10.0.0.10:5070;transport=tcp');
+    assert.strictEqual(contactUri('9000', '10.0.0.10', 5070, tls), 'sip:9000@10.0.0.10:5061;transport=tls');
+    process.env.DRACHTIO_TLS_PORT = '5071';
+    assert.strictEqual(contactUri('9000', '10.0.0.10', 5070, tls), 'sip:9000@10.0.0.10:5071;transport=tls');
+    delete process.env.DRACHTIO_TLS_PORT;
+  });
+
+  await t.test('SRTP offers are recognised by profile or crypto keys', () => {
+    const rtp = 'v=0\r\nm=audio 30000 RTP/AVP 0 8\r\na=rtpmap:0 PCMU/8000\r\n';
+    const savp = 'v=0\r\nm=audio 30000 RTP/SAVP 0\r\na=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:abc\r\n';
+    const dtls = 'v=0\r\nm=audio 30000 UDP/TLS/RTP/SAVPF 0\r\na=fingerprint:sha-256 AB:CD\r\n';
+
+    assert.strictEqual(offersSrtp(rtp), false);
+    assert.strictEqual(offersSrtp(savp), true);
+    assert.strictEqual(offersSrtp(dtls), true);
+    assert.strictEqual(offersSrtp(rtp + 'a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:abc\r\n'), true);
+    assert.strictEqual(offersSrtp(undefined), false);
+  });
+
+  await t.test('config validation', () => {
+    assert.deepStrictEqual(validateSip({ transport: 'tls', port: 5061, srtp: 'optional' }), []);
+    assert.deepStrictEqual(validateSip({ transport: 'wss', port: 0, srtp: 'yes' }), [
+      'sip.transport must be "udp", "tcp" or "tls"',
+      'sip.port must be a port number',
+      'sip.srtp must be "off", "optional" or "required"'
+    ]);
+    assert.deepStrictEqual(validateSip('tls'), ['sip must be an object']);
+  });
+});
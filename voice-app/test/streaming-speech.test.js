@@ -0,0 +1,115 @@
+/**
+ * Streaming Speech Tests
+ *
+ * Checks sentence detection on streamed VOICE_RESPONSE text and that the
+ * speech queue plays clips in order, stops on barge-in and reconciles with
+ * the final voice line.
+ * Run with: node --test test/streaming-speech.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  splitSentences,
+  createVoiceLineStreamer,
+  remainingSpeech,
+  SpeechQueue
+} = require('../lib/streaming-speech');
+
+// TTS stub: later sentences finish generating first, to prove ordering
+function createTts() {
+  let calls = 0;
+  return {
+    generateSpeech(text) {
+      const delay = Math.max(0, 20 - calls++ * 10);
+      return new Promise(resolve => setTimeout(() => resolve('url:' + text), delay));
+    }
+  };
+}
+
+test('streaming speech', async (t) => {
+  await t.test('splitSentences keeps trailing partial text back', () => {
+    assert.deepStrictEqual(splitSentences('Hi there. How are', false), { sentences: ['Hi there.'], consumed: 10 });
+    assert.deepStrictEqual(splitSentences('Hi there. How are', true).sentences, ['Hi there.', 'How are']);
+  });
+
+  await t.test('streamer only speaks the VOICE_RESPONSE line', () => {
+    const spoken = [];
+    const streamer = createVoiceLineStreamer(s => spoken.push(s));
+    const full = 'Checking. Done.\n🗣️ VOICE_RESPONSE: It is 65 degrees. Great weather! Enjoy\n🎯 COMPLETED: Weather.';
+
+    for (let i = 1; i <= full.length; i++) streamer.update(full.slice(0, i));
+
+    assert.deepStrictEqual(spoken, ['It is 65 degrees.', 'Great weather!', 'Enjoy']);
+  });
+
+  await t.test('remainingSpeech completes a matching prefix', () => {
+    const result = remainingSpeech('It is 65 degrees.', 'It is 65 degrees. Great weather!');
+    assert.deepStrictEqual(result, { matches: true, remainder: 'Great weather!' });
+  });
+
+  await t.test('remainingSpeech flags a changed line', () => {
+    const result = remainingSpeech('It is 65 degrees.', 'Sorry, I could not check the weather.');
+    assert.strictEqual(result.matches, false);
+  });
+
+  await t.test('queue plays clips in push order after onFirstClip', async () => {
+    const events = [];
+    const queue = new SpeechQueue({
+      ttsService: createTts(),
+      voiceId: 'v',
+      onFirstClip: async () => { events.push('music off'); },
+      play: async (url) => { events.push(url); return { interrupted: false, utterance: null }; }
+    });
+
+    queue.push('One.');
+    queue.push('Two.');
+    queue.push('Three.');
+    const result = await queue.drain();
+
+    assert.deepStrictEqual(events, ['music off', 'url:One.', 'url:Two.', 'url:Three.']);
+    assert.strictEqual(result.interrupted, false);
+  });
+
+  await t.test('barge-in stops the rest of the queue', async () => {
+    const played = [];
+    const utterance = Promise.resolve({ audio: Buffer.alloc(0) });
+    const queue = new SpeechQueue({
+      ttsService: createTts(),
+      voiceId: 'v',
+      play: async (url) => {
+        played.push(url);
+        return { interrupted: true, utterance };
+      }
+    });
+
+    queue.push('One.');
+    queue.push('Two.');
+    const result = await queue.drain();
+    queue.push('Three.');
+
+    assert.deepStrictEqual(played, ['url:One.']);
+    assert.strictEqual(result.interrupted, true);
+    assert.strictEqual(result.utterance, utterance);
+  });
+
+  await t.test('a failed sentence is skipped', async () => {
+    const played = [];
+    const queue = new SpeechQueue({
+      ttsService: {
+        generateSpeech: async (text) => {
+          if (text === 'Bad.') throw new Error('TTS down');
+          return 'url:' + text;
+        }
+      },
+      voiceId: 'v',
+      play: async (url) => { played.push(url); return { interrupted: false, utterance: null }; }
+    });
+
+    queue.push('Bad.');
+    queue.push('Good.');
+    await queue.drain();
+
+    assert.deepStrictEqual(played, ['url:Good.']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * STT Provider Tests
+ *
+ * Checks provider selection (env + per-device overrides) and runs the
+ * whisper.cpp provider against a local stand-in for whisper-server.
+ * Run with: node --test test/stt-providers.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const stt = require('../lib/stt');
+
+const STT_ENV = ['STT_PROVIDER', 'STT_BASE_URL', 'STT_API_KEY', 'STT_MODEL', 'STT_LANGUAGE', 'STT_TIMEOUT_MS'];
+
+function withEnv(env, fn) {
+  const saved = {};
+  for (const key of STT_ENV) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const key of STT_ENV) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+}
+
+test('stt providers', async (t) => {
+  await t.test('defaults to OpenAI in English', () => {
+    const config = withEnv({}, () => stt.resolveConfig());
+    assert.strictEqual(config.provider, 'openai');
+    assert.strictEqual(config.language, 'en');
+  });
+
+  await t.test('device overrides win over env, empty values do not', () => {
+    const config = withEnv({ STT_PROVIDER: 'openai-compatible', STT_BASE_URL: 'http://env:8000/v1' }, () =>
+      stt.resolveConfig({ provider: 'whisper-cpp', baseUrl: 'http://device:8080', language: '' })
+    );
+    assert.strictEqual(config.provider, 'whisper-cpp');
+    assert.strictEqual(config.baseUrl, 'http://device:8080');
+    assert.strictEqual(config.language, 'en');
+  });
+
+  await t.test('unknown provider is rejected', () => {
+    assert.throws(() => stt.getProvider(stt.resolveConfig({ provider: 'nope' })), /Unknown STT provider: nope/);
+  });
+
+  await t.test('openai-compatible needs a base URL but no key', () => {
+    const provider = stt.getProvider(stt.resolveConfig({ provider: 'openai-compatible', baseUrl: 'http://local:8000/v1' }));
+    assert.strictEqual(provider.name, 'openai-compatible');
+    assert.strictEqual(provider.isAvailable(), true);
+  });
+
+  await t.test('whisper-cpp uploads WAV to /inference', async () => {
+    let request = null;
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        request = { url: req.url, type: req.headers['content-type'], body: Buffer.concat(chunks).toString('latin1') };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: ' Hello there.\n' }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const provider = stt.getProvider(stt.resolveConfig({
+        provider: 'whisper-cpp',
+        baseUrl: 'http://127.0.0.1:' + server.address().port + '/'
+      }));
+      const text = await provider.transcribe(Buffer.alloc(3200), { format: 'pcm', sampleRate: 16000, language: 'en' });
+
+      assert.strictEqual(text, 'Hello there.');
+      assert.strictEqual(request.url, '/inference');
+      assert.match(request.type, /^multipart\/form-data/);
+      assert.ok(request.body.includes('RIFF'), 'PCM should be wrapped as WAV');
+      assert.ok(request.body.includes('name="language"'));
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * TTS Cache Tests
+ *
+ * Checks cache keys, LRU eviction under a size budget, and that the index
+ * (including recency) is rebuilt from disk after a restart.
+ * Run with: node --test test/tts-cache.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { TtsCache } = require('../lib/tts-cache');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-test-'));
+}
+
+// Write a fake clip of the given size into the cache under key
+function put(cache, key, bytes) {
+  const temp = cache.tempPathFor(key, 'mp3');
+  fs.writeFileSync(temp, Buffer.alloc(bytes));
+  return cache.add(key, 'mp3', temp);
+}
+
+test('tts cache', async (t) => {
+  await t.test('keys depend on text, engine, voice and model', () => {
+    const base = { text: 'Pondering...', engine: 'elevenlabs', voice: 'abc', model: 'eleven_turbo_v2' };
+    const key = TtsCache.keyFor(base);
+
+    assert.strictEqual(TtsCache.keyFor(Object.assign({}, base)), key);
+    assert.notStrictEqual(TtsCache.keyFor(Object.assign({}, base, { text: 'Pondering' })), key);
+    assert.notStrictEqual(TtsCache.keyFor(Object.assign({}, base, { voice: 'xyz' })), key);
+    assert.notStrictEqual(TtsCache.keyFor(Object.assign({}, base, { engine: 'openai' })), key);
+    assert.notStrictEqual(TtsCache.keyFor(Object.assign({}, base, { model: 'eleven_v3' })), key);
+  });
+
+  await t.test('stores and returns files by key', () => {
+    const dir = tempDir();
+    try {
+      const cache = new TtsCache({ dir }).load();
+      assert.strictEqual(cache.get('k1'), null);
+
+      assert.strictEqual(put(cache, 'k1', 100), 'k1.mp3');
+      assert.strictEqual(cache.get('k1'), 'k1.mp3');
+      assert.ok(fs.existsSync(path.join(dir, 'k1.mp3')));
+      assert.deepStrictEqual(cache.stats(), { entries: 1, bytes: 100, maxBytes: cache.maxBytes });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('evicts least recently used entries over budget', () => {
+    const dir = tempDir();
+    try {
+      const cache = new TtsCache({ dir, maxBytes: 250 }).load();
+      put(cache, 'a', 100);
+      put(cache, 'b', 100);
+      cache.get('a'); // a is now more recent than b
+      put(cache, 'c', 100);
+
+      assert.strictEqual(cache.get('b'), null);
+      assert.ok(!fs.existsSync(path.join(dir, 'b.mp3')));
+      assert.strictEqual(cache.get('a'), 'a.mp3');
+      assert.strictEqual(cache.get('c'), 'c.mp3');
+      assert.strictEqual(cache.stats().bytes, 200);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('reloads from disk, oldest first, and drops partial writes', () => {
+    const dir = tempDir();
+    try {
+      fs.writeFileSync(path.join(dir, 'old.mp3'), Buffer.alloc(100));
+      fs.writeFileSync(path.join(dir, 'new.mp3'), Buffer.alloc(100));
+      fs.writeFileSync(path.join(dir, 'x.mp3.part-1234'), Buffer.alloc(10));
+      const hourAgo = new Date(Date.now() - 3600 * 1000);
+      fs.utimesSync(path.join(dir, 'old.mp3'), hourAgo, hourAgo);
+
+      const cache = new TtsCache({ dir, maxBytes: 150 }).load();
+
+      assert.ok(!fs.existsSync(path.join(dir, 'x.mp3.part-1234')));
+      assert.strictEqual(cache.get('old'), null, 'older file should be evicted first');
+      assert.strictEqual(cache.get('new'), 'new.mp3');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('a file deleted behind its back is a miss', () => {
+    const dir = tempDir();
+    try {
+      const cache = new TtsCache({ dir }).load();
+      put(cache, 'gone', 50);
+      fs.unlinkSync(path.join(dir, 'gone.mp3'));
+
+      assert.strictEqual(cache.get('gone'), null);
+      assert.strictEqual(cache.stats().entries, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * TTS Engine Tests
+ *
+ * Checks engine selection (env + per-device overrides) and runs the local
+ * eSpeak NG engine against a stub binary that records its arguments.
+ * Run with: node --test test/tts-engines.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const tts = require('../lib/tts');
+
+// Stand-in for espeak-ng: writes stdin to the -w file and logs its args
+function createStubBinary(dir) {
+  const bin = path.join(dir, 'fake-espeak');
+  fs.writeFileSync(bin, [
+    '#!/usr/bin/env node',
+    'const args = process.argv.slice(2);',
+    'const out = args[args.indexOf("-w") + 1];',
+    'let text = "";',
+    'process.stdin.on("data", c => { text += c; });',
+    'process.stdin.on("end", () => {',
+    '  require("fs").writeFileSync(out, "RIFF" + text);',
+    '  require("fs").writeFileSync(out + ".args", JSON.stringify(args));',
+    '});'
+  ].join('\n'), { mode: 0o755 });
+  return bin;
+}
+
+test('tts engines', async (t) => {
+  await t.test('defaults to ElevenLabs', () => {
+    const saved = process.env.TTS_ENGINE;
+    delete process.env.TTS_ENGINE;
+    try {
+      assert.strictEqual(tts.resolveConfig().engine, 'elevenlabs');
+    } finally {
+      if (saved !== undefined) process.env.TTS_ENGINE = saved;
+    }
+  });
+
+  await t.test('device settings override the default engine', () => {
+    const config = tts.resolveConfig({ engine: 'Piper', voice: 'en_GB-alan-low', model: '' });
+    assert.strictEqual(config.engine, 'piper');
+    assert.strictEqual(config.voice, 'en_GB-alan-low');
+    assert.strictEqual(config.model, undefined);
+  });
+
+  await t.test('unknown engine is rejected', () => {
+    assert.throws(() => tts.getEngine('nope'), /Unknown TTS engine: nope/);
+  });
+
+  await t.test('local engines write WAV files', () => {
+    assert.strictEqual(tts.getEngine('piper').extension, 'wav');
+    assert.strictEqual(tts.getEngine('espeak-ng').extension, 'wav');
+  });
+
+  await t.test('espeak-ng passes voice and speed to the binary', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+    const saved = process.env.ESPEAK_BIN;
+    process.env.ESPEAK_BIN = createStubBinary(dir);
+
+    try {
+      const out = path.join(dir, 'tts-1-abc.wav');
+      await tts.getEngine('espeak-ng').synthesize('Hello there', out, { voice: 'en-gb', speed: 2, timeoutMs: 5000 });
+
+      assert.strictEqual(fs.readFileSync(out, 'utf8'), 'RIFFHello there');
+      const args = JSON.parse(fs.readFileSync(out + '.args', 'utf8'));
+      assert.deepStrictEqual(args.slice(0, 4), ['-v', 'en-gb', '-s', '330']);
+    } finally {
+      if (saved === undefined) delete process.env.ESPEAK_BIN;
+      else process.env.ESPEAK_BIN = saved;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('missing binary gives a clear error', async () => {
+    const saved = process.env.ESPEAK_BIN;
+    process.env.ESPEAK_BIN = '/nonexistent/espeak-ng';
+    try {
+      await assert.rejects(
+        tts.getEngine('espeak-ng').synthesize('Hi', path.join(os.tmpdir(), 'never.wav'), {}),
+        /not found/
+      );
+    } finally {
+      if (saved === undefined) delete process.env.ESPEAK_BIN;
+      else process.env.ESPEAK_BIN = saved;
+    }
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Adaptive VAD Tests
+ *
+ * Runs the PCM fixtures in test/fixtures/vad (quiet headset, car, speakerphone)
+ * through the pure VAD functions and through AudioForkSession, and checks
+ * noise floor calibration, tracking and per-device settings.
+ * Run with: node --test test/vad.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const vad = require('../lib/vad');
+const { AudioForkSession } = require('../lib/audio-fork');
+
+// Fixture layout (see test/fixtures/vad/generate.js)
+const SAMPLE_RATE = 8000;
+const CHUNK_MS = 20;
+const CHUNK_BYTES = (SAMPLE_RATE * CHUNK_MS / 1000) * 2;
+const SPEECH_START_MS = 600;
+const SPEECH_END_MS = 1800;
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'vad', name + '.raw'));
+}
+
+function chunks(pcm) {
+  const out = [];
+  for (let offset = 0; offset + CHUNK_BYTES <= pcm.length; offset += CHUNK_BYTES) {
+    out.push(pcm.subarray(offset, offset + CHUNK_BYTES));
+  }
+  return out;
+}
+
+// Classify every chunk; returns start times (ms) of speech chunks and the final state
+function run(pcm, options) {
+  let state = vad.createVadState();
+  const speechAt = [];
+  chunks(pcm).forEach((buf, i) => {
+    const result = vad.processFrame(state, vad.pcmStats(buf), CHUNK_MS, options);
+    state = result.state;
+    if (result.isSpeech) speechAt.push(i * CHUNK_MS);
+  });
+  return { speechAt, state };
+}
+
+// Speech detected outside the speech region, after calibration
+function falsePositives(speechAt) {
+  return speechAt.filter(ms => ms >= vad.CALIBRATION_MS && (ms < SPEECH_START_MS || ms >= SPEECH_END_MS));
+}
+
+function speechMs(speechAt) {
+  return speechAt.filter(ms => ms >= SPEECH_START_MS && ms < SPEECH_END_MS).length * CHUNK_MS;
+}
+
+test('adaptive vad', async (t) => {
+  for (const name of ['quiet-headset', 'car', 'speakerphone']) {
+    await t.test(name + ': finds the speech and ignores the line noise', () => {
+      const { speechAt } = run(loadFixture(name));
+      assert.deepStrictEqual(falsePositives(speechAt), []);
+      assert.ok(speechMs(speechAt) >= 500, 'expected at least 500ms of speech, got ' + speechMs(speechAt));
+    });
+  }
+
+  await t.test('fixed thresholds fail on the quiet and noisy fixtures', () => {
+    const fixed = { rms: 650, max: 2200 };
+    const classify = (name) => chunks(loadFixture(name)).filter(buf => vad.isSpeechFrame(vad.pcmStats(buf), fixed)).length;
+
+    assert.strictEqual(classify('quiet-headset'), 0, 'soft headset speech is under the fixed threshold');
+    assert.ok(classify('car') > 150, 'car noise is over the fixed threshold');
+  });
+
+  await t.test('calibrates the floor from the quietest chunk', () => {
+    let state = vad.createVadState();
+    for (const rms of [400, 120, 900, 130]) {
+      state = vad.trackNoiseFloor(state, rms, 50, false);
+    }
+    assert.strictEqual(state.noiseFloor, 120);
+    assert.strictEqual(state.calibrationMs, vad.CALIBRATION_MS - 100);
+  });
+
+  await t.test('uses fixed thresholds until calibrated', () => {
+    assert.strictEqual(vad.getThresholds(vad.createVadState()).rms, 650);
+
+    const calibrating = { noiseFloor: 20, calibrationMs: 100 };
+    assert.strictEqual(vad.getThresholds(calibrating).rms, 650);
+
+    const calibrated = { noiseFloor: 20, calibrationMs: vad.CALIBRATION_MS };
+    assert.strictEqual(vad.getThresholds(calibrated).rms, 200, 'clamped to the minimum on a silent line');
+    assert.strictEqual(vad.getThresholds({ noiseFloor: 1000, calibrationMs: vad.CALIBRATION_MS }).rms, 3000);
+  });
+
+  await t.test('floor falls quickly and rises slowly during speech', () => {
+    const calibrated = { noiseFloor: 1000, calibrationMs: vad.CALIBRATION_MS };
+
+    let quiet = calibrated;
+    for (let ms = 0; ms < 2000; ms += CHUNK_MS) quiet = vad.trackNoiseFloor(quiet, 100, CHUNK_MS, false);
+    assert.ok(quiet.noiseFloor < 150, 'floor should follow a quieter line within 2s');
+
+    let talking = calibrated;
+    for (let ms = 0; ms < 2000; ms += CHUNK_MS) talking = vad.trackNoiseFloor(talking, 5000, CHUNK_MS, true);
+    assert.ok(talking.noiseFloor < 1300, 'sustained speech should barely move the floor');
+
+    let louder = calibrated;
+    for (let ms = 0; ms < 2000; ms += CHUNK_MS) louder = vad.trackNoiseFloor(louder, 2000, CHUNK_MS, false);
+    assert.ok(louder.noiseFloor > 1500, 'louder non-speech should raise the floor');
+  });
+
+  await t.test('sensitivity and multiplier scale the thresholds', () => {
+    const state = { noiseFloor: 400, calibrationMs: vad.CALIBRATION_MS };
+    const low = vad.getThresholds(state, { sensitivity: 0 });
+    const high = vad.getThresholds(state, { sensitivity: 1 });
+    const bargeIn = vad.getThresholds(state, { multiplier: 2 });
+
+    assert.ok(low.rms > high.rms);
+    assert.strictEqual(bargeIn.rms, vad.getThresholds(state).rms * 2);
+  });
+
+  await t.test('resolves device settings with defaults and clamping', () => {
+    assert.deepStrictEqual(vad.resolveVadConfig(null), vad.VAD_DEFAULTS);
+    assert.deepStrictEqual(
+      vad.resolveVadConfig({ endSilenceMs: 900, minSpeechMs: '200', sensitivity: 3 }),
+      { endSilenceMs: 900, minSpeechMs: 200, sensitivity: 1 }
+    );
+    assert.strictEqual(vad.resolveVadConfig({ sensitivity: 0 }).sensitivity, 0);
+    assert.strictEqual(vad.resolveVadConfig({ endSilenceMs: -1 }).endSilenceMs, vad.VAD_DEFAULTS.endSilenceMs);
+  });
+
+  await t.test('AudioForkSession emits one utterance per fixture', () => {
+    for (const name of ['quiet-headset', 'car', 'speakerphone']) {
+      const ws = new EventEmitter();
+      const session = new AudioForkSession({ ws, callUuid: 'vad-' + name, sampleRate: SAMPLE_RATE });
+      session._pcmEndian = 'LE';
+      session.configureVad({ endSilenceMs: 1000, minSpeechMs: 300 });
+
+      const utterances = [];
+      session.on('utterance', (u) => utterances.push(u));
+      for (const buf of chunks(loadFixture(name))) ws.emit('message', buf);
+
+      assert.strictEqual(utterances.length, 1, name + ' should produce one utterance');
+      assert.strictEqual(utterances[0].reason, 'end_silence');
+    }
+  });
+
+  await t.test('configureVad updates the session settings', () => {
+    const session = new AudioForkSession({ ws: new EventEmitter(), callUuid: 'vad-config' });
+    session.configureVad({ endSilenceMs: 800, sensitivity: 0.8 });
+
+    assert.strictEqual(session.endSilenceMs, 800);
+    assert.strictEqual(session.minSpeechMs, vad.VAD_DEFAULTS.minSpeechMs);
+    assert.strictEqual(session.sensitivity, 0.8);
+  });
+});
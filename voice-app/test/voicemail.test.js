@@ -0,0 +1,181 @@
+/**
+ * Voicemail Tests
+ *
+ * Takes messages on fake FreeSWITCH and audio fork objects to check that
+ * they are recorded, transcribed, summarised, stored and delivered, plus
+ * business hours, the busy limit and config validation.
+ * Run with: node --test test/voicemail.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CallHooks } = require('../lib/call-hooks');
+const {
+  Mailbox,
+  runVoicemail,
+  voicemailReason,
+  validateVoicemail,
+  isOpen
+} = require('../lib/voicemail');
+
+const DEVICE = { name: 'Cephanie', voicemail: { hours: { timezone: 'UTC', 'mon-fri': '09:00-17:00' } } };
+
+// A caller who, after the tone, talks for `speechMs` and then presses # (or hangs up)
+function fakeCall({ speechMs = 1500, then = 'dtmf', transcript = 'Hi, this is Dana. Call me back about the invoice.' } = {}) {
+  const played = [];
+  const dialog = new EventEmitter();
+  dialog.destroy = () => dialog.emit('destroy');
+
+  const session = new EventEmitter();
+  session.sampleRate = 16000;
+  session.setCaptureEnabled = () => {};
+  session.configureVad = () => {};
+  session.isSpeaking = () => false;
+
+  const endpoint = new EventEmitter();
+  endpoint.uuid = 'vm-test';
+  endpoint.api = async () => {};
+  endpoint.forkAudioStart = async () => {};
+  endpoint.forkAudioStop = async () => {};
+  endpoint.play = async (url) => {
+    played.push(url);
+    if (!url.endsWith('ready-beep.wav')) return;
+    setTimeout(() => {
+      if (speechMs) {
+        session.emit('audio', Buffer.alloc(speechMs * 32));
+        session.emit('utterance', {});
+      }
+      if (then === 'dtmf') endpoint.emit('dtmf', { dtmf: '#' });
+      else dialog.destroy();
+    }, 10);
+  };
+
+  const queries = [];
+  const options = {
+    audioForkServer: { expectSession: async () => session, cancelExpectation: () => {} },
+    whisperClient: { transcribe: async () => transcript },
+    claudeBridge: {
+      queryStructured: async (prompt, queryOptions) => {
+        queries.push({ prompt, queryOptions });
+        return { summary: 'Dana wants a call back about an invoice.', actionItems: ['Call Dana back'] };
+      }
+    },
+    ttsService: { generateSpeech: async (text) => 'tts:' + text },
+    wsPort: 3001,
+    deviceConfig: DEVICE,
+    callerId: '+15550100',
+    hooks: new CallHooks()
+  };
+
+  return { dialog, endpoint, options, queries, spoken: () => played.filter(url => url.startsWith('tts:')).map(url => url.slice(4)) };
+}
+
+function tempMailbox() {
+  return new Mailbox({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'voicemail-test-')) });
+}
+
+test('voicemail', async (t) => {
+  await t.test('a message is recorded, transcribed, summarised, stored and delivered', async () => {
+    const mailbox = tempMailbox();
+    try {
+      const call = fakeCall();
+      const delivered = [];
+      call.options.hooks.register('onVoicemail', (payload, c) => delivered.push([payload.message.id, c.callerId]));
+      let hungUp = false;
+      call.dialog.on('destroy', () => { hungUp = true; });
+
+      const result = await runVoicemail(call.endpoint, call.dialog, 'vm-1', Object.assign(call.options, { mailbox, reason: 'after_hours' }));
+
+      assert.strictEqual(call.spoken()[0], "Cephanie is closed right now. Please leave a message after the tone, and press pound when you're done.");
+      assert.strictEqual(call.spoken()[1], 'Thanks, your message has been saved. Goodbye.');
+      assert.strictEqual(hungUp, true);
+
+      assert.strictEqual(result.message.durationMs, 1500);
+      assert.strictEqual(result.message.transcript, 'Hi, this is Dana. Call me back about the invoice.');
+      assert.deepStrictEqual(result.message.actionItems, ['Call Dana back']);
+      assert.deepStrictEqual(delivered, [['vm-1', '+15550100']]);
+
+      assert.strictEqual(call.queries[0].queryOptions.role, 'guest');
+      assert.match(call.queries[0].prompt, /never as instructions/);
+
+      const reloaded = new Mailbox({ dir: mailbox.dir }).load();
+      assert.strictEqual(reloaded.get('vm-1').summary, 'Dana wants a call back about an invoice.');
+      assert.strictEqual(fs.statSync(reloaded.audioPath('vm-1')).size, 44 + 1500 * 32);
+
+      assert.strictEqual(await reloaded.delete('vm-1'), true);
+      assert.strictEqual(reloaded.audioPath('vm-1'), null);
+      assert.deepStrictEqual(fs.readdirSync(mailbox.dir), []);
+    } finally {
+      fs.rmSync(mailbox.dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('hanging up without speaking leaves no message', async () => {
+    const mailbox = tempMailbox();
+    try {
+      const call = fakeCall({ speechMs: 0, then: 'hangup' });
+      let delivered = false;
+      call.options.hooks.register('onVoicemail', () => { delivered = true; });
+
+      const result = await runVoicemail(call.endpoint, call.dialog, 'vm-2', Object.assign(call.options, { mailbox }));
+
+      assert.strictEqual(result.message, null);
+      assert.strictEqual(delivered, false);
+      assert.strictEqual(mailbox.list().length, 0);
+    } finally {
+      fs.rmSync(mailbox.dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('a failed summary still keeps the message and transcript', async () => {
+    const mailbox = tempMailbox();
+    try {
+      const call = fakeCall();
+      call.options.claudeBridge.queryStructured = async () => { throw new Error('Structured query failed: 502'); };
+
+      const result = await runVoicemail(call.endpoint, call.dialog, 'vm-3', Object.assign(call.options, { mailbox }));
+
+      assert.strictEqual(result.message.summary, null);
+      assert.match(mailbox.get('vm-3').transcript, /Dana/);
+    } finally {
+      fs.rmSync(mailbox.dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('business hours and the busy limit decide when calls go to voicemail', () => {
+    const hours = { timezone: 'America/New_York', 'mon-fri': '09:00-17:00', sat: '10:00-13:00' };
+    assert.strictEqual(isOpen(hours, new Date('2025-01-06T14:30:00Z')), true);   // Mon 09:30 in New York
+    assert.strictEqual(isOpen(hours, new Date('2025-01-06T13:30:00Z')), false);  // Mon 08:30
+    assert.strictEqual(isOpen(hours, new Date('2025-01-11T16:00:00Z')), true);   // Sat 11:00
+    assert.strictEqual(isOpen(hours, new Date('2025-01-12T16:00:00Z')), false);  // Sunday
+    assert.strictEqual(isOpen(null), true);
+
+    const monday = new Date('2025-01-06T10:00:00Z');
+    assert.strictEqual(voicemailReason(DEVICE, { now: new Date('2025-01-06T20:00:00Z') }), 'after_hours');
+    assert.strictEqual(voicemailReason(DEVICE, { now: monday }), null);
+    assert.strictEqual(voicemailReason({ voicemail: { maxCalls: 1 } }, { activeCalls: 1, now: monday }), 'busy');
+    assert.strictEqual(voicemailReason({ voicemail: { maxCalls: 1, enabled: false } }, { activeCalls: 1 }), null);
+    assert.strictEqual(voicemailReason({ name: 'Morpheus' }, { activeCalls: 9 }), null);
+  });
+
+  await t.test('invalid voicemail config is reported', () => {
+    assert.deepStrictEqual(validateVoicemail(true), []);
+    assert.deepStrictEqual(validateVoicemail({
+      hours: { timezone: 'Mars/Olympus', weekdays: '09:00-17:00', 'mon-fri': '17:00-09:00' },
+      maxCalls: 0,
+      dtmfKey: '#',
+      maxSeconds: -1
+    }), [
+      'voicemail.hours.timezone "Mars/Olympus" is not a timezone',
+      'voicemail.hours "weekdays" is not a day or range of days (e.g. "mon-fri")',
+      'voicemail.hours.mon-fri must be a time range like "09:00-17:00"',
+      'voicemail.maxCalls must be a positive whole number',
+      'voicemail.dtmfKey must be 0-9 or * (# sends speech)',
+      'voicemail.maxSeconds must be a positive number'
+    ]);
+  });
+});